@@ -15,12 +15,68 @@ const CONFIG = {
         RATE_LIMIT_DELAY: 1000,
         MAX_RETRIES: 3,
         TIMEOUT: 10000,
-        GITHUB_TOKEN: null // Will be set from localStorage or user input
+        GRAPHQL_BATCH_SIZE: 50
     },
     BATCH: {
-        CHUNK_SIZE: 8,
-        CHUNK_DELAY: 500,
-        MAX_CONCURRENT: 5
+        MAX_CONCURRENT: 5,
+        REQUESTS_PER_SECOND: 10
+    },
+    CACHE: {
+        DB_NAME: 'github-profile-identifier',
+        DB_VERSION: 1,
+        STORE_NAME: 'users',
+        TTL: 60 * 60 * 1000
+    },
+    STORAGE: {
+        TOKEN_KEY: 'github-token',
+        EXPORT_COLUMNS_KEY: 'export-columns',
+        ORG_SETTINGS_KEY: 'org-settings',
+        REPO_STATS_KEY: 'repo-stats-enabled',
+        ACTIVITY_KEY: 'activity-enabled',
+        SESSION_KEY: 'search-session',
+        HISTORY_KEY: 'search-history',
+        LISTS_KEY: 'user-lists',
+        SNAPSHOTS_KEY: 'snapshots'
+    },
+    REPOS: {
+        PER_PAGE: 100,
+        TOP_COUNT: 3,
+        TOP_LANGUAGES: 5
+    },
+    ACTIVITY: {
+        PER_PAGE: 100,
+        WINDOW_DAYS: 90,
+        ACTIVE_DAYS: 30,
+        INACTIVE_DAYS: 180
+    },
+    SESSION: {
+        SAVE_INTERVAL: 1000
+    },
+    HISTORY: {
+        MAX_ENTRIES: 50,
+        MAX_NAME_LENGTH: 80
+    },
+    LISTS: {
+        MAX_NAME_LENGTH: 80
+    },
+    SNAPSHOTS: {
+        MAX_SNAPSHOTS: 20,
+        MAX_NAME_LENGTH: 80
+    },
+    SHARE: {
+        // Longer URLs may be rejected by servers when the link is opened
+        MAX_URL_LENGTH: 8000
+    },
+    REVERSE_LOOKUP: {
+        MAX_ENTRIES: 100,
+        MAX_TERM_LENGTH: 100,
+        MAX_CANDIDATES: 5,
+        // GitHub's search API has its own, much lower rate limit
+        REQUESTS_PER_MINUTE: 10,
+        AUTHENTICATED_REQUESTS_PER_MINUTE: 30
+    },
+    IMPORT: {
+        MAX_FILE_SIZE: 1024 * 1024
     },
     UI: {
         MAX_DISPLAY_NAME_LENGTH: 50,
@@ -33,7 +89,11 @@ const FEATURES = {
     KEYBOARD_SHORTCUTS: true,
     PROGRESS_TRACKING: true,
     REAL_TIME_RESULTS: true,
-    CLICKABLE_CARDS: true
+    CLICKABLE_CARDS: true,
+    GRAPHQL_BATCH_LOOKUP: true,
+    ORG_MEMBERSHIP: true,
+    REPO_STATS: true,
+    ACTIVITY: true
 };
 
 
@@ -65,6 +125,96 @@ class Logger {
 }
 
 
+/**
+ * Id Generator following Single Responsibility Principle
+ * Creates the ids of stored records such as history entries, lists and snapshots
+ */
+
+class IdGenerator {
+    /**
+     * Create an id that sorts by creation time and is unique within one browser
+     * @param {number} [timestamp] - Creation timestamp (ms)
+     * @returns {string} Id, e.g. "m3k2x1ab-4fz9qc"
+     */
+    static create(timestamp = Date.now()) {
+        return `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+
+/**
+ * DOM Helpers following Single Responsibility Principle
+ * Builds the small controls shared by components: action buttons and inline rename fields
+ */
+
+class DomHelpers {
+    /**
+     * Create a button
+     * @param {string} text - Button text
+     * @param {string} className - Button class
+     * @param {Function|null} [onClick] - Click handler
+     * @param {string} [type] - Button type
+     * @returns {HTMLButtonElement} Button
+     */
+    static createButton(text, className, onClick = null, type = 'button') {
+        const button = document.createElement('button');
+        button.type = type;
+        button.className = className;
+        button.textContent = text;
+        if (onClick) {
+            button.addEventListener('click', onClick);
+        }
+        return button;
+    }
+
+    /**
+     * Replace an element with a text field until the edit is saved or cancelled
+     * Enter or leaving the field saves, Escape cancels
+     * @param {HTMLElement} element - Element showing the current value
+     * @param {Object} options - Field options
+     * @param {string} options.className - Field class
+     * @param {string} options.value - Current value
+     * @param {number} options.maxLength - Maximum length of the value
+     * @param {string} options.label - Accessible name of the field
+     * @param {string} [options.placeholder] - Placeholder shown while the field is empty
+     * @param {Function} options.onFinish - Called once with the entered value, or null if cancelled
+     * @returns {HTMLInputElement} Field
+     */
+    static startInlineEdit(element, { className, value, maxLength, label, placeholder = '', onFinish }) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = className;
+        input.value = value;
+        input.placeholder = placeholder;
+        input.maxLength = maxLength;
+        input.setAttribute('aria-label', label);
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            onFinish(save ? input.value : null);
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                // Keep Escape from also cancelling a running search
+                e.stopPropagation();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        element.replaceWith(input);
+        input.focus();
+        return input;
+    }
+}
+
+
 /**
  * Security Validator following Single Responsibility Principle
  * Handles all input validation and sanitization for security
@@ -109,6 +259,39 @@ class SecurityValidator {
         return /^[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?$/.test(trimmed);
     }
 
+    /**
+     * Normalize a user-supplied website into a safe http(s) URL
+     * @param {string} url - URL, with or without protocol (e.g. a profile blog field)
+     * @returns {string|null} Absolute http(s) URL, or null if unsafe or malformed
+     */
+    static getSafeExternalUrl(url) {
+        if (!url || typeof url !== 'string') return null;
+        const trimmed = url.trim();
+        if (trimmed.length === 0 || /\s/.test(trimmed)) return null;
+
+        // Profiles often store "example.com"; anything with another scheme is rejected
+        const hasScheme = /^[a-z][a-z0-9+.-]*:/i.test(trimmed);
+        if (hasScheme && !/^https?:\/\//i.test(trimmed)) return null;
+
+        try {
+            const urlObj = new URL(hasScheme ? trimmed : `https://${trimmed}`);
+            if (!urlObj.hostname.includes('.') || urlObj.username || urlObj.password) return null;
+            return urlObj.href;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Validate Twitter / X username format
+     * @param {string} username - Username without the leading @
+     * @returns {boolean} True if valid
+     */
+    static validateTwitterUsername(username) {
+        if (!username || typeof username !== 'string') return false;
+        return /^[A-Za-z0-9_]{1,15}$/.test(username);
+    }
+
     /**
      * Validate GitHub image URL
      * @param {string} url - URL to validate
@@ -128,410 +311,6396 @@ class SecurityValidator {
 
 
 /**
- * GitHub API Service following Single Responsibility Principle
- * Handles all GitHub API communication and caching
+ * Username Parser following Single Responsibility Principle
+ * Extracts GitHub usernames from free-form lists, @mentions and profile URLs
  */
 
 
-class GitHubApiService {
-    constructor() {
-        this.logger = new Logger('GitHubAPI');
-        this.cache = new Map();
+// First path segments on github.com that are not user profiles
+const GITHUB_RESERVED_PATHS = new Set([
+    'about', 'apps', 'collections', 'enterprise', 'events', 'explore', 'features',
+    'login', 'marketplace', 'new', 'notifications', 'orgs', 'pricing', 'pulls',
+    'search', 'settings', 'sponsors', 'topics', 'trending'
+]);
+
+class UsernameParser {
+    /**
+     * Parse raw input into unique usernames and rejected tokens
+     * @param {string} input - Usernames separated by commas, semicolons, spaces or new lines
+     * @returns {{usernames: string[], rejected: {token: string, reason: string}[], duplicates: number}}
+     *          Valid usernames in input order, rejected tokens with reasons, and duplicates skipped
+     */
+    static parse(input) {
+        return UsernameParser.parseTokens(UsernameParser.tokenize(input));
     }
 
     /**
-     * Fetch user data from GitHub API
-     * @param {string} username - GitHub username
-     * @returns {Promise<Object>} User data or error result
+     * Parse a list of values where each value is a single entry (e.g. spreadsheet cells)
+     * @param {string[]} tokens - Raw entries
+     * @returns {{usernames: string[], rejected: {token: string, reason: string}[], duplicates: number}}
+     *          Same shape as parse()
      */
-    async fetchUser(username) {
-        const cacheKey = username.toLowerCase();
-        if (this.cache.has(cacheKey)) {
-            this.logger.debug(`Cache hit for user: ${username}`);
-            return this.cache.get(cacheKey);
-        }
+    static parseTokens(tokens) {
+        const usernames = [];
+        const rejected = [];
+        const seen = new Set();
+        let duplicates = 0;
 
-        try {
-            this.logger.debug(`Fetching user: ${username}`);
-            const headers = {
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'GitHub-Profile-Identifier'
-            };
-            
-            // Add authorization header if token is available
-            if (CONFIG.API.GITHUB_TOKEN) {
-                headers['Authorization'] = `token ${CONFIG.API.GITHUB_TOKEN}`;
+        for (const rawToken of tokens) {
+            const token = String(rawToken).trim();
+            if (token.length === 0) continue;
+
+            const { username, reason } = UsernameParser.normalizeToken(token);
+            if (reason) {
+                rejected.push({ token, reason });
+                continue;
             }
-            
-            const response = await fetch(`${CONFIG.API.GITHUB_BASE_URL}/users/${username}`, {
-                headers: headers
-            });
 
-            if (!response.ok) {
-                if (response.status === 403) {
-                    throw new Error(`Rate limit exceeded. ${CONFIG.API.GITHUB_TOKEN ? 'Token may be invalid or expired.' : 'Consider adding a GitHub token for higher limits.'}`);
-                }
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            const key = username.toLowerCase();
+            if (seen.has(key)) {
+                duplicates++;
+                continue;
             }
 
-            const userData = await response.json();
-            const result = { success: true, data: userData };
-            
-            this.cache.set(cacheKey, result);
-            this.logger.debug(`Successfully fetched user: ${username}`);
-            return result;
-            
-        } catch (error) {
-            const result = { 
-                success: false, 
-                username, 
-                error: error.message || 'Failed to fetch user data' 
-            };
-            this.logger.error(`Failed to fetch user ${username}`, error);
-            return result;
+            seen.add(key);
+            usernames.push(username);
         }
+
+        return { usernames, rejected, duplicates };
     }
 
     /**
-     * Clear the cache
+     * Split raw input into tokens
+     * @param {string} input - Raw input
+     * @returns {string[]} Non-empty tokens
      */
-    clearCache() {
-        this.cache.clear();
-        this.logger.debug('Cache cleared');
+    static tokenize(input) {
+        if (typeof input !== 'string') return [];
+        return input.split(/[\s,;]+/).filter(token => token.length > 0);
+    }
+
+    /**
+     * Turn a single token (username, @mention or profile URL) into a username
+     * @param {string} token - Raw token
+     * @returns {{username?: string, reason?: string}} Username, or the reason it was rejected
+     */
+    static normalizeToken(token) {
+        // Strip quotes from CSV cells and angle brackets from chat-formatted links
+        let candidate = token.replace(/^["'<(]+|[">)'.]+$/g, '');
+
+        if (/^(https?:\/\/)?(www\.)?github\.com(\/|$)/i.test(candidate)) {
+            return UsernameParser.parseProfileUrl(candidate);
+        }
+
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(candidate) || candidate.includes('/')) {
+            return { reason: 'not a GitHub profile URL' };
+        }
+
+        if (candidate.startsWith('@')) {
+            candidate = candidate.slice(1);
+        }
+
+        const reason = UsernameParser.getUsernameError(candidate);
+        return reason ? { reason } : { username: candidate };
+    }
+
+    /**
+     * Extract the username from a github.com profile URL
+     * Links with more than one path segment (e.g. repositories) are rejected
+     * @param {string} url - URL with or without protocol
+     * @returns {{username?: string, reason?: string}} Username, or the reason it was rejected
+     */
+    static parseProfileUrl(url) {
+        let segments;
+        try {
+            const urlObj = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+            segments = urlObj.pathname
+                .split('/')
+                .filter(segment => segment.length > 0)
+                .map(segment => decodeURIComponent(segment));
+        } catch {
+            return { reason: 'malformed URL' };
+        }
+
+        if (segments.length === 0) {
+            return { reason: 'GitHub URL without a username' };
+        }
+
+        // github.com/owner/repo and deeper links point at something the user owns, not their profile
+        if (segments.length > 1) {
+            return { reason: 'not a GitHub profile URL' };
+        }
+
+        const candidate = segments[0];
+        if (GITHUB_RESERVED_PATHS.has(candidate.toLowerCase())) {
+            return { reason: 'not a GitHub profile URL' };
+        }
+
+        const reason = UsernameParser.getUsernameError(candidate);
+        return reason ? { reason } : { username: candidate };
     }
 
     /**
-     * Get cache size
-     * @returns {number} Number of cached entries
+     * Explain why a string is not a valid GitHub username
+     * @param {string} username - Candidate username
+     * @returns {string|null} Human-readable reason, or null if valid
      */
-    getCacheSize() {
-        return this.cache.size;
+    static getUsernameError(username) {
+        if (!username) return 'empty username';
+        if (username.length > 39) return 'longer than 39 characters';
+        if (!/^[a-zA-Z0-9-]+$/.test(username)) return 'only letters, numbers and hyphens are allowed';
+        if (username.startsWith('-') || username.endsWith('-')) return 'cannot start or end with a hyphen';
+        if (!SecurityValidator.validateUsername(username)) return 'invalid username';
+        return null;
     }
 }
 
 
 /**
- * Batch Processor Service following Single Responsibility Principle
- * Handles batch processing of multiple users with intelligent chunking
+ * Import Parser following Single Responsibility Principle
+ * Reads username lists from text, CSV and JSON file contents
  */
 
 
-class BatchProcessor {
-    constructor(apiService) {
-        this.apiService = apiService;
-        this.logger = new Logger('BatchProcessor');
-    }
+// Header names (lowercase, letters and digits only) of columns holding GitHub logins
+const LOGIN_HEADERS = new Set([
+    'github', 'githubusername', 'githublogin', 'githubhandle', 'githubuser', 'login', 'username', 'user', 'handle'
+]);
 
+// Other common column names; a first row containing one is a header even if it looks like usernames
+const OTHER_HEADERS = new Set([
+    'name', 'fullname', 'firstname', 'lastname', 'displayname', 'email', 'emailaddress', 'mail',
+    'id', 'team', 'company', 'department', 'role', 'title', 'location'
+]);
+
+class ImportParser {
     /**
-     * Process multiple users in optimized batches
-     * @param {string[]} usernames - Array of usernames to process
-     * @param {Function} onProgress - Progress callback (processed, total)
-     * @param {Function} onResult - Result callback (result)
-     * @returns {Promise<void>}
+     * Detect the file format from its name, falling back to its content
+     * @param {string} filename - File name
+     * @param {string} text - File content
+     * @returns {string} 'csv', 'json' or 'text'
      */
-    async processUsers(usernames, onProgress, onResult) {
-        const chunks = this.createChunks(usernames, CONFIG.BATCH.CHUNK_SIZE);
-        let processedCount = 0;
-        const totalUsers = usernames.length;
+    static detectFormat(filename, text) {
+        const extension = (filename.split('.').pop() || '').toLowerCase();
+        if (extension === 'csv') return 'csv';
+        if (extension === 'json') return 'json';
+        if (extension === 'txt') return 'text';
 
-        this.logger.info(`Processing ${totalUsers} users in ${chunks.length} chunks`);
+        const trimmed = text.trim();
+        return trimmed.startsWith('[') ? 'json' : 'text';
+    }
 
-        for (const [index, chunk] of chunks.entries()) {
-            this.logger.debug(`Processing chunk ${index + 1}/${chunks.length} with ${chunk.length} users`);
-            
-            const promises = chunk.map(username => this.apiService.fetchUser(username));
-            const results = await Promise.all(promises);
+    /**
+     * Parse CSV text into rows of cells (RFC 4180 quoting)
+     * @param {string} text - CSV content
+     * @returns {string[][]} Rows, without empty lines
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        const content = text.replace(/^\uFEFF/, '');
 
-            for (const result of results) {
-                processedCount++;
-                onResult(result);
-                onProgress(processedCount, totalUsers);
-            }
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
 
-            // Add delay between chunks to respect rate limits
-            if (index < chunks.length - 1) {
-                await this.delay(CONFIG.BATCH.CHUNK_DELAY);
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',' || char === ';' || char === '\t') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
             }
         }
 
-        this.logger.info(`Completed processing ${totalUsers} users`);
+        row.push(cell);
+        rows.push(row);
+
+        return rows.filter(cells => cells.some(value => value.trim().length > 0));
     }
 
     /**
-     * Create chunks from array
-     * @param {Array} array - Array to chunk
-     * @param {number} chunkSize - Size of each chunk
-     * @returns {Array[]} Array of chunks
+     * Guess which CSV column holds usernames and whether the first row is a header
+     * @param {string[][]} rows - CSV rows
+     * @returns {{column: number, hasHeader: boolean}} Suggested column index and header flag
      */
-    createChunks(array, chunkSize) {
-        const chunks = [];
-        for (let i = 0; i < array.length; i += chunkSize) {
-            chunks.push(array.slice(i, i + chunkSize));
+    static suggestColumn(rows) {
+        if (rows.length === 0) return { column: 0, hasHeader: false };
+
+        const firstRow = rows[0];
+        const headers = firstRow.map(cell => ImportParser.normalizeHeader(cell));
+
+        // Known column names are checked before the cells are judged as usernames ("Name" is a valid login)
+        const loginIndex = headers.findIndex((header, index) => LOGIN_HEADERS.has(header) ||
+            (/github|login|user|handle/.test(header) && UsernameParser.normalizeToken(firstRow[index].trim()).reason));
+        if (loginIndex !== -1) {
+            return { column: loginIndex, hasHeader: true };
         }
-        return chunks;
+        if (headers.some(header => OTHER_HEADERS.has(header))) {
+            return { column: 0, hasHeader: true };
+        }
+
+        // A first row with no valid usernames at all is almost certainly a header
+        const hasHeader = rows.length > 1 &&
+            firstRow.every(cell => UsernameParser.normalizeToken(cell.trim()).reason);
+        return { column: 0, hasHeader };
     }
 
     /**
-     * Delay execution
-     * @param {number} ms - Milliseconds to delay
-     * @returns {Promise<void>}
+     * Reduce a header cell to lowercase letters and digits, e.g. "GitHub Username" to "githubusername"
+     * @param {string} cell - Header cell
+     * @returns {string} Normalized header
+     */
+    static normalizeHeader(cell) {
+        return cell.toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Get the values of one CSV column
+     * @param {string[][]} rows - CSV rows
+     * @param {number} column - Column index
+     * @param {boolean} hasHeader - Whether to skip the first row
+     * @returns {string[]} Column values
+     */
+    static extractColumn(rows, column, hasHeader) {
+        return rows
+            .slice(hasHeader ? 1 : 0)
+            .map(cells => cells[column] || '');
+    }
+
+    /**
+     * Read usernames from a JSON array of strings or of objects with a login/username field
+     * @param {string} text - JSON content
+     * @returns {string[]} Raw values
+     * @throws {Error} If the content is not a JSON array
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    static parseJSONList(text) {
+        const parsed = JSON.parse(text);
+        if (!Array.isArray(parsed)) {
+            throw new Error('JSON file must contain an array');
+        }
+
+        return parsed.map(entry => {
+            if (typeof entry === 'string') return entry;
+            if (entry && typeof entry === 'object') {
+                return String(entry.login || entry.username || entry.github || '');
+            }
+            return String(entry ?? '');
+        });
     }
 }
 
 
 /**
- * Progress Bar Component following Single Responsibility Principle
- * Handles progress visualization and user feedback
+ * Result View following Single Responsibility Principle
+ * Sorts and filters batch results for display without refetching
  */
 
+/**
+ * Sort options offered by the results toolbar, in display order
+ * compare receives two successful results; errors always sort last
+ */
+const SORT_OPTIONS = [
+    { key: 'input', label: 'Input order', compare: null },
+    { key: 'login', label: 'Login (A-Z)', compare: (a, b) => ResultView.compareText(a.data.login, b.data.login) },
+    { key: 'name', label: 'Name (A-Z)', compare: (a, b) => ResultView.compareText(a.data.name, b.data.name) },
+    { key: 'followers', label: 'Followers', compare: (a, b) => (b.data.followers || 0) - (a.data.followers || 0) },
+    { key: 'public_repos', label: 'Public repos', compare: (a, b) => (b.data.public_repos || 0) - (a.data.public_repos || 0) },
+    { key: 'account_age', label: 'Account age (oldest first)', compare: (a, b) => ResultView.compareText(a.data.created_at, b.data.created_at) },
+    { key: 'total_stars', label: 'Total stars', compare: (a, b) => (b.repositories?.totalStars ?? -1) - (a.repositories?.totalStars ?? -1) },
+    { key: 'primary_language', label: 'Primary language', compare: (a, b) => ResultView.compareText(a.repositories?.primaryLanguage, b.repositories?.primaryLanguage) }
+];
 
-class ProgressBar {
-    constructor(container) {
-        this.container = container;
-        this.element = null;
-        this.logger = new Logger('ProgressBar');
+/**
+ * Status filter options offered by the results toolbar
+ */
+const STATUS_FILTERS = [
+    { key: 'all', label: 'All results', matches: () => true },
+    { key: 'success', label: 'Found', matches: (result) => result.success },
+    { key: 'error', label: 'Errors', matches: (result) => !result.success },
+    { key: 'org_member', label: 'Members of org', matches: (result) => result.organizations?.member === true },
+    { key: 'org_non_member', label: 'Not members of org', matches: (result) => result.organizations?.member === false },
+    { key: 'inactive', label: 'Inactive > 6 months', matches: (result) => result.activity?.inactive === true }
+];
+
+class ResultView {
+    /**
+     * Get the default view state
+     * @returns {Object} View with sortBy, status, text and location
+     */
+    static getDefaultView() {
+        return { sortBy: 'input', status: 'all', text: '', location: '' };
     }
 
     /**
-     * Show progress bar with initial state
-     * @param {number} totalUsers - Total number of users to process
+     * Filter and sort results
+     * @param {Object[]} results - Batch results
+     * @param {Object} view - View state
+     * @param {Function} getInputIndex - Returns a result's position in the original input
+     * @returns {Object[]} Visible results in display order
      */
-    show(totalUsers) {
-        this.element = document.createElement('div');
-        this.element.className = 'progress';
-        this.element.innerHTML = `
-            <div class="progress__text">Processing 0 of ${totalUsers} users...</div>
-            <div class="progress__container">
-                <div class="progress__bar progress__bar--0">0%</div>
-            </div>
-        `;
-        this.container.appendChild(this.element);
-        this.logger.debug(`Progress bar shown for ${totalUsers} users`);
+    static apply(results, view, getInputIndex) {
+        const sortOption = SORT_OPTIONS.find(option => option.key === view.sortBy) || SORT_OPTIONS[0];
+        const byInput = (a, b) => getInputIndex(a) - getInputIndex(b);
+
+        return results
+            .filter(result => ResultView.matches(result, view))
+            .sort((a, b) => {
+                if (!sortOption.compare) return byInput(a, b);
+                if (a.success !== b.success) return a.success ? -1 : 1;
+                if (!a.success) return byInput(a, b);
+                return sortOption.compare(a, b) || byInput(a, b);
+            });
     }
 
     /**
-     * Update progress bar with current status
-     * @param {number} processed - Number of processed users
-     * @param {number} total - Total number of users
+     * Check whether a result passes the view filters
+     * @param {Object} result - Batch result
+     * @param {Object} view - View state
+     * @returns {boolean} True if visible
      */
-    update(processed, total) {
-        if (!this.element) return;
+    static matches(result, view) {
+        const statusFilter = STATUS_FILTERS.find(filter => filter.key === view.status) || STATUS_FILTERS[0];
+        if (!statusFilter.matches(result)) return false;
 
-        const percentage = Math.round((processed / total) * 100);
-        const textElement = this.element.querySelector('.progress__text');
-        const barElement = this.element.querySelector('.progress__bar');
+        const text = view.text.trim().toLowerCase();
+        const location = view.location.trim().toLowerCase();
+        if (!text && !location) return true;
 
-        if (textElement) {
-            textElement.textContent = `Processing ${processed} of ${total} users...`;
+        // Text filters only apply to found users
+        if (!result.success) return false;
+
+        const user = result.data;
+        if (text) {
+            const haystack = [user.login, user.name, user.bio, user.company].filter(Boolean).join(' ').toLowerCase();
+            if (!haystack.includes(text)) return false;
         }
 
-        if (barElement) {
-            barElement.className = `progress__bar progress__bar--${percentage}`;
-            barElement.textContent = `${percentage}%`;
+        if (location && !(user.location || '').toLowerCase().includes(location)) {
+            return false;
         }
 
-        this.logger.debug(`Progress updated: ${processed}/${total} (${percentage}%)`);
+        return true;
     }
 
     /**
-     * Hide and remove progress bar
+     * Check whether a view differs from the default
+     * @param {Object} view - View state
+     * @returns {boolean} True if any filter is active
      */
-    hide() {
-        if (this.element && this.element.parentNode) {
-            this.element.parentNode.removeChild(this.element);
-            this.element = null;
-            this.logger.debug('Progress bar hidden');
-        }
+    static isFiltered(view) {
+        return view.status !== 'all' || view.text.trim() !== '' || view.location.trim() !== '';
     }
 
     /**
-     * Check if progress bar is currently visible
-     * @returns {boolean} True if visible
+     * Compare optional strings, placing missing values last
+     * @param {string|null} a - First value
+     * @param {string|null} b - Second value
+     * @returns {number} Sort order
      */
-    isVisible() {
-        return this.element !== null;
+    static compareText(a, b) {
+        if (!a && !b) return 0;
+        if (!a) return 1;
+        if (!b) return -1;
+        return a.localeCompare(b, undefined, { sensitivity: 'base' });
     }
 }
 
 
 /**
- * User Card Component following Single Responsibility Principle
- * Handles rendering and management of individual user display cards
+ * Token Bucket following Single Responsibility Principle
+ * Throttles work to a steady rate while allowing short bursts
  */
 
-
-class UserCard {
-    constructor(userData, container) {
-        this.userData = userData;
-        this.container = container;
-        this.element = null;
-        this.logger = new Logger('UserCard');
-    }
-
+class TokenBucket {
     /**
-     * Render the user card and append to container
-     * @returns {HTMLElement} The created card element
+     * @param {number} ratePerSecond - Tokens added per second
+     * @param {number} capacity - Maximum stored tokens (burst size)
      */
-    render() {
-        this.element = this._createElement();
-        this.container.appendChild(this.element);
-        
-        this.logger.debug('User card rendered', { 
-            username: this.userData.username,
-            success: this.userData.success 
-        });
-
-        return this.element;
+    constructor(ratePerSecond, capacity) {
+        this.ratePerSecond = ratePerSecond;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
     }
 
     /**
-     * Remove the card from DOM
+     * Wait for a token and consume it
+     * @param {AbortSignal} [signal] - Signal that ends the wait early
+     * @returns {Promise<boolean>} True if a token was taken, false if aborted
      */
-    remove() {
-        if (this.element && this.element.parentNode) {
-            this.element.parentNode.removeChild(this.element);
-            this.logger.debug('User card removed', { username: this.userData.username });
+    async take(signal = null) {
+        for (;;) {
+            if (signal?.aborted) return false;
+
+            this.refill();
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return true;
+            }
+
+            const waitTime = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+            await new Promise(resolve => {
+                // Every wait removes its listener again, as one signal serves a whole batch
+                const onAbort = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+                const timer = setTimeout(() => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                }, waitTime);
+                signal?.addEventListener('abort', onAbort, { once: true });
+            });
         }
     }
 
     /**
-     * Update card with new data
-     * @param {Object} newData - Updated user data
+     * Add the tokens earned since the last refill
      */
-    update(newData) {
-        this.userData = newData;
-        if (this.element) {
-            this.remove();
-            this.render();
-        }
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSecond);
+        this.updatedAt = now;
     }
+}
 
-    /**
-     * Create the card DOM element
-     * @private
-     * @returns {HTMLElement} Card element
-     */
-    _createElement() {
-        if (!this.userData.success) {
-            const card = document.createElement('div');
-            card.className = 'user-card user-card--error';
+
+/**
+ * Error Classifier following Single Responsibility Principle
+ * Maps failed requests to error codes with a label, guidance and retryability
+ */
+
+const ERROR_CODES = Object.freeze({
+    NOT_FOUND: 'NOT_FOUND',
+    RATE_LIMITED: 'RATE_LIMITED',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    NETWORK: 'NETWORK',
+    TIMEOUT: 'TIMEOUT',
+    SERVER: 'SERVER',
+    INVALID_INPUT: 'INVALID_INPUT'
+});
+
+/**
+ * Display details of each error code, in the order used by the results summary
+ */
+const ERROR_CATEGORIES = {
+    [ERROR_CODES.NOT_FOUND]: {
+        label: 'Not found',
+        singular: 'not found',
+        plural: 'not found',
+        guidance: 'No GitHub account has this username. Check the spelling, or the account may have been renamed or deleted.',
+        retryable: false
+    },
+    [ERROR_CODES.RATE_LIMITED]: {
+        label: 'Rate limited',
+        singular: 'rate limited',
+        plural: 'rate limited',
+        guidance: 'GitHub is limiting requests. Wait for the limit to reset or add a token in API Configuration.',
+        retryable: true
+    },
+    [ERROR_CODES.UNAUTHORIZED]: {
+        label: 'Not authorized',
+        singular: 'not authorized',
+        plural: 'not authorized',
+        guidance: 'GitHub rejected the token. Update or remove it in API Configuration.',
+        retryable: false
+    },
+    [ERROR_CODES.NETWORK]: {
+        label: 'Network error',
+        singular: 'network error',
+        plural: 'network errors',
+        guidance: 'GitHub could not be reached. Check your connection and retry.',
+        retryable: true
+    },
+    [ERROR_CODES.TIMEOUT]: {
+        label: 'Timed out',
+        singular: 'timed out',
+        plural: 'timed out',
+        guidance: 'GitHub took too long to respond. Retry in a moment.',
+        retryable: true
+    },
+    [ERROR_CODES.SERVER]: {
+        label: 'GitHub error',
+        singular: 'GitHub error',
+        plural: 'GitHub errors',
+        guidance: 'GitHub had a temporary problem. Retry in a moment.',
+        retryable: true
+    },
+    [ERROR_CODES.INVALID_INPUT]: {
+        label: 'Invalid request',
+        singular: 'invalid request',
+        plural: 'invalid requests',
+        guidance: 'GitHub did not accept this username. Check it for typos.',
+        retryable: false
+    }
+};
+
+class ErrorClassifier {
+    /**
+     * Get the error code for an HTTP status
+     * @param {number} status - HTTP status of a failed response
+     * @returns {string} Error code
+     */
+    static fromStatus(status) {
+        if (status === 404) return ERROR_CODES.NOT_FOUND;
+        if (status === 429) return ERROR_CODES.RATE_LIMITED;
+        if (status === 401 || status === 403) return ERROR_CODES.UNAUTHORIZED;
+        if (status >= 500) return ERROR_CODES.SERVER;
+        return ERROR_CODES.INVALID_INPUT;
+    }
+
+    /**
+     * Get the error code for a thrown error
+     * @param {Error} error - Error with an optional code or status property
+     * @returns {string} Error code
+     */
+    static classify(error) {
+        if (ErrorClassifier.isKnown(error.code)) return error.code;
+        if (error.name === 'TimeoutError') return ERROR_CODES.TIMEOUT;
+        if (typeof error.status === 'number') return ErrorClassifier.fromStatus(error.status);
+        // fetch rejects with a TypeError when the network request itself fails
+        return ERROR_CODES.NETWORK;
+    }
+
+    /**
+     * Build the structured fields of an error result
+     * @param {string} code - Error code
+     * @param {number|null} [status] - HTTP status, if a response was received
+     * @returns {{code: string, status: number|null, retryable: boolean}} Error fields
+     */
+    static toFields(code, status = null) {
+        return { code, status, retryable: ErrorClassifier.describe(code).retryable };
+    }
+
+    /**
+     * Check whether a value is one of ERROR_CODES
+     * @param {*} code - Value to check
+     * @returns {boolean} True for a known error code
+     */
+    static isKnown(code) {
+        return typeof code === 'string' && Object.hasOwn(ERROR_CATEGORIES, code);
+    }
+
+    /**
+     * Get the display details of an error code
+     * @param {string} [code] - Error code; results saved before codes existed have none
+     * @returns {Object} Category with label, singular, plural, guidance and retryable
+     */
+    static describe(code) {
+        if (ErrorClassifier.isKnown(code)) return ERROR_CATEGORIES[code];
+        return {
+            label: 'Error',
+            singular: 'other error',
+            plural: 'other errors',
+            guidance: '',
+            retryable: false
+        };
+    }
+
+    /**
+     * Count failed results by error code
+     * @param {Object[]} results - Batch results
+     * @returns {{code: string, count: number, label: string}[]} Non-empty categories in display order
+     */
+    static summarize(results) {
+        const counts = new Map();
+        for (const result of results) {
+            if (result.success) continue;
+            const code = ErrorClassifier.isKnown(result.code) ? result.code : null;
+            counts.set(code, (counts.get(code) || 0) + 1);
+        }
+
+        return [...Object.keys(ERROR_CATEGORIES), null]
+            .filter(code => counts.has(code))
+            .map(code => {
+                const count = counts.get(code);
+                const category = ErrorClassifier.describe(code);
+                return { code, count, label: `${count} ${count === 1 ? category.singular : category.plural}` };
+            });
+    }
+}
+
+
+/**
+ * Search URL following Single Responsibility Principle
+ * Encodes a search (usernames plus sort and filter state) in a shareable URL and reads it back
+ */
+
+
+// URL parameter for each view property
+const VIEW_PARAMS = { sortBy: 'sort', status: 'status', text: 'q', location: 'location' };
+
+class SearchUrl {
+    /**
+     * Build the URL of a search
+     * @param {string} baseUrl - Current page URL; its query string and hash are replaced
+     * @param {string[]} usernames - Searched usernames, or none for the start page
+     * @param {Object} [view] - Results view; only values that differ from the default are kept
+     * @returns {string} Absolute URL
+     */
+    static build(baseUrl, usernames, view = ResultView.getDefaultView()) {
+        const url = new URL(baseUrl);
+        url.hash = '';
+        url.search = '';
+        if (usernames.length === 0) return url.toString();
+
+        const params = new URLSearchParams();
+        params.set('users', usernames.join(','));
+
+        const defaults = ResultView.getDefaultView();
+        for (const [property, param] of Object.entries(VIEW_PARAMS)) {
+            const value = String(view[property] ?? '').trim();
+            if (value && value !== defaults[property]) {
+                params.set(param, value);
+            }
+        }
+
+        // Commas are valid in a query string and keep the username list readable
+        url.search = params.toString().replace(/%2C/gi, ',');
+        return url.toString();
+    }
+
+    /**
+     * Read a search from a URL
+     * Parameters are read from the query string, or from the hash (e.g. #users=a,b) for hand-made links
+     * @param {string} href - Page URL
+     * @returns {{usernames: string[], view: Object}|null} The search, or null if the URL has no usernames
+     */
+    static parse(href) {
+        const url = new URL(href);
+        const params = url.searchParams.has('users')
+            ? url.searchParams
+            : new URLSearchParams(url.hash.replace(/^#\/?\??/, ''));
+
+        const { usernames } = UsernameParser.parse(params.get('users') || '');
+        if (usernames.length === 0) return null;
+
+        const view = ResultView.getDefaultView();
+        for (const [property, param] of Object.entries(VIEW_PARAMS)) {
+            const value = params.get(param);
+            if (value !== null) {
+                view[property] = value;
+            }
+        }
+
+        // Unknown keys fall back to the defaults instead of hiding every result
+        if (!SORT_OPTIONS.some(option => option.key === view.sortBy)) {
+            view.sortBy = ResultView.getDefaultView().sortBy;
+        }
+        if (!STATUS_FILTERS.some(filter => filter.key === view.status)) {
+            view.status = ResultView.getDefaultView().status;
+        }
+
+        return { usernames, view };
+    }
+
+    /**
+     * Check whether two username lists describe the same search
+     * @param {string[]} a - Usernames
+     * @param {string[]} b - Usernames
+     * @returns {boolean} True if both have the same usernames in the same order, ignoring case
+     */
+    static isSameSearch(a, b) {
+        return a.length === b.length &&
+            a.every((username, index) => username.toLowerCase() === b[index].toLowerCase());
+    }
+}
+
+
+/**
+ * Identity Parser following Single Responsibility Principle
+ * Extracts email addresses and full names from free-form lists (e.g. an HR export) for reverse lookup
+ */
+
+
+const EMAIL_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+
+class IdentityParser {
+    /**
+     * Parse raw input into unique emails and names
+     * Entries are separated by new lines, commas or semicolons, so names may contain spaces;
+     * "Ada Lovelace <ada@example.com>" is read as the email
+     * @param {string} input - Raw input
+     * @returns {{entries: {term: string, type: string}[], rejected: {token: string, reason: string}[], duplicates: number}}
+     *          Entries in input order with type 'email' or 'name', rejected tokens with reasons, and duplicates skipped
+     */
+    static parse(input) {
+        const entries = [];
+        const rejected = [];
+        const seen = new Set();
+        let duplicates = 0;
+
+        for (const token of IdentityParser.tokenize(input)) {
+            const { entry, reason } = IdentityParser.normalizeToken(token);
+            if (reason) {
+                rejected.push({ token, reason });
+                continue;
+            }
+
+            const key = `${entry.type}:${entry.term.toLowerCase()}`;
+            if (seen.has(key)) {
+                duplicates++;
+                continue;
+            }
+
+            // Each entry costs a search request, which is limited to a few per minute
+            if (entries.length >= CONFIG.REVERSE_LOOKUP.MAX_ENTRIES) {
+                rejected.push({ token, reason: `over the limit of ${CONFIG.REVERSE_LOOKUP.MAX_ENTRIES} entries per lookup` });
+                continue;
+            }
+
+            seen.add(key);
+            entries.push(entry);
+        }
+
+        return { entries, rejected, duplicates };
+    }
+
+    /**
+     * Split raw input into trimmed, non-empty tokens
+     * @param {string} input - Raw input
+     * @returns {string[]} Tokens
+     */
+    static tokenize(input) {
+        if (typeof input !== 'string') return [];
+        return input.split(/[\n\r,;]+/).map(token => token.trim()).filter(token => token.length > 0);
+    }
+
+    /**
+     * Turn a single token into an email or name entry
+     * @param {string} token - Raw token
+     * @returns {{entry?: {term: string, type: string}, reason?: string}} Entry, or the reason it was rejected
+     */
+    static normalizeToken(token) {
+        const bracketed = token.match(/<([^<>]+)>/);
+        const candidate = (bracketed ? bracketed[1] : token).replace(/["']/g, '').replace(/\s+/g, ' ').trim();
+
+        if (!candidate) return { reason: 'empty entry' };
+        if (candidate.length > CONFIG.REVERSE_LOOKUP.MAX_TERM_LENGTH) {
+            return { reason: `longer than ${CONFIG.REVERSE_LOOKUP.MAX_TERM_LENGTH} characters` };
+        }
+
+        if (candidate.includes('@')) {
+            return EMAIL_PATTERN.test(candidate)
+                ? { entry: { term: candidate, type: 'email' } }
+                : { reason: 'not a valid email address' };
+        }
+
+        if (!/\p{L}/u.test(candidate)) return { reason: 'names must contain letters' };
+        return { entry: { term: candidate, type: 'name' } };
+    }
+}
+
+
+/**
+ * Credentials Service following Single Responsibility Principle
+ * Manages the optional GitHub Personal Access Token and its persistence
+ */
+
+
+class CredentialsService {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.token = null;
+        this.logger = new Logger('Credentials');
+    }
+
+    /**
+     * Load the saved token from storage
+     * @returns {string|null} Saved token or null
+     */
+    load() {
+        try {
+            const savedToken = this.storage && this.storage.getItem(CONFIG.STORAGE.TOKEN_KEY);
+            this.token = savedToken || null;
+            if (this.token) {
+                this.logger.debug('GitHub token loaded from storage');
+            }
+        } catch (error) {
+            this.logger.warn('Failed to load GitHub token from storage', error);
+        }
+        return this.token;
+    }
+
+    /**
+     * Set the token used for requests without persisting it
+     * @param {string} token - Token value, empty to clear
+     */
+    setToken(token) {
+        const trimmed = typeof token === 'string' ? token.trim() : '';
+        this.token = trimmed || null;
+
+        if (this.token) {
+            this.logger.debug('GitHub token updated - rate limit increased to 5,000/hour');
+        } else {
+            this.logger.debug('GitHub token cleared - using unauthenticated rate limit (60/hour)');
+        }
+    }
+
+    /**
+     * Persist the current token, removing it from storage when empty
+     */
+    save() {
+        try {
+            if (!this.storage) return;
+            if (this.token) {
+                this.storage.setItem(CONFIG.STORAGE.TOKEN_KEY, this.token);
+                this.logger.debug('GitHub token saved to storage');
+            } else {
+                this.storage.removeItem(CONFIG.STORAGE.TOKEN_KEY);
+                this.logger.debug('GitHub token removed from storage');
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save GitHub token to storage', error);
+        }
+    }
+
+    /**
+     * Get the current token
+     * @returns {string|null} Token or null when unauthenticated
+     */
+    getToken() {
+        return this.token;
+    }
+
+    /**
+     * Check whether a token is configured
+     * @returns {boolean} True if a token is set
+     */
+    hasToken() {
+        return this.token !== null;
+    }
+
+    /**
+     * Get the Authorization header for the current token
+     * @returns {Object} Header object, empty when unauthenticated
+     */
+    getAuthHeaders() {
+        return this.token ? { 'Authorization': `token ${this.token}` } : {};
+    }
+}
+
+
+/**
+ * User Cache Service following Single Responsibility Principle
+ * Persists fetched profiles in IndexedDB with an in-memory fallback
+ */
+
+
+class UserCache {
+    constructor() {
+        this.logger = new Logger('UserCache');
+        this.memory = new Map();
+        this.dbPromise = this.openDatabase();
+    }
+
+    /**
+     * Get a cached entry
+     * @param {string} key - Cache key (lowercased username)
+     * @returns {Promise<Object|null>} Entry with data, etag and fetchedAt, or null
+     */
+    async get(key) {
+        if (this.memory.has(key)) {
+            return this.memory.get(key);
+        }
+
+        const entry = await this.runRequest('readonly', store => store.get(key));
+        if (entry) {
+            this.memory.set(key, entry);
+        }
+        return entry || null;
+    }
+
+    /**
+     * Store an entry
+     * @param {string} key - Cache key (lowercased username)
+     * @param {Object} entry - Entry with data, etag and fetchedAt
+     * @returns {Promise<void>}
+     */
+    async set(key, entry) {
+        const record = { ...entry, key };
+        this.memory.set(key, record);
+        await this.runRequest('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Remove all entries from memory and persistent storage
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.memory.clear();
+        await this.runRequest('readwrite', store => store.clear());
+        this.logger.debug('Cache cleared');
+    }
+
+    /**
+     * Check whether an entry is still within the configured TTL
+     * @param {Object} entry - Cached entry
+     * @returns {boolean} True if the entry can be used without revalidation
+     */
+    isFresh(entry) {
+        return Boolean(entry) && Date.now() - entry.fetchedAt < CONFIG.CACHE.TTL;
+    }
+
+    /**
+     * Get storage statistics
+     * @returns {Promise<Object>} Number of entries and storage backend in use
+     */
+    async getStats() {
+        const db = await this.dbPromise;
+        if (!db) {
+            return { entries: this.memory.size, storage: 'memory' };
+        }
+
+        const entries = await this.runRequest('readonly', store => store.count());
+        return { entries: entries ?? this.memory.size, storage: 'indexeddb' };
+    }
+
+    /**
+     * Open the IndexedDB database, resolving to null when unavailable
+     * @returns {Promise<IDBDatabase|null>} Database handle or null
+     */
+    openDatabase() {
+        if (typeof indexedDB === 'undefined') {
+            this.logger.info('IndexedDB unavailable, using in-memory cache');
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            try {
+                const request = indexedDB.open(CONFIG.CACHE.DB_NAME, CONFIG.CACHE.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(CONFIG.CACHE.STORE_NAME)) {
+                        db.createObjectStore(CONFIG.CACHE.STORE_NAME, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.logger.warn('Failed to open IndexedDB, using in-memory cache', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                // Some browsers throw synchronously in private mode
+                this.logger.warn('Failed to open IndexedDB, using in-memory cache', error);
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Run a single request against the object store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} Request result, or null when storage is unavailable or fails
+     */
+    async runRequest(mode, operation) {
+        const db = await this.dbPromise;
+        if (!db) return null;
+
+        return new Promise(resolve => {
+            try {
+                const transaction = db.transaction(CONFIG.CACHE.STORE_NAME, mode);
+                const request = operation(transaction.objectStore(CONFIG.CACHE.STORE_NAME));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.logger.warn(`IndexedDB ${mode} request failed`, request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                this.logger.warn(`IndexedDB ${mode} transaction failed`, error);
+                resolve(null);
+            }
+        });
+    }
+}
+
+
+/**
+ * GitHub API Service following Single Responsibility Principle
+ * Handles all GitHub API communication and caching
+ */
+
+
+class GitHubApiService {
+    /**
+     * @param {UserCache} [cache] - Profile cache, persistent by default
+     * @param {CredentialsService} [credentials] - Source of the optional GitHub token
+     */
+    constructor(cache = new UserCache(), credentials = new CredentialsService()) {
+        this.logger = new Logger('GitHubAPI');
+        this.cache = cache;
+        this.credentials = credentials;
+        this.cacheStats = {
+            hits: 0,
+            revalidated: 0,
+            misses: 0
+        };
+        // REST ("core") and GraphQL requests have separate budgets, tracked per X-RateLimit-Resource
+        this.rateLimits = new Map();
+    }
+
+    /**
+     * Fetch user data from GitHub API, retrying transient failures
+     * @param {string} username - GitHub username
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<Object>} User data or error result
+     */
+    async fetchUser(username, { signal } = {}) {
+        const cacheKey = username.toLowerCase();
+        const cached = await this.cache.get(cacheKey);
+        if (this.cache.isFresh(cached)) {
+            this.cacheStats.hits++;
+            this.logger.debug(`Cache hit for user: ${username}`);
+            return { success: true, data: cached.data };
+        }
+
+        const headers = this.getRequestHeaders();
+
+        // Stale entries are revalidated; a 304 does not count against the rate limit
+        if (cached && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
+        }
+
+        try {
+            return await this.withRetries(`user ${username}`, signal, async (attempt) => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/users/${username}`,
+                    { headers },
+                    signal
+                );
+
+                this.updateRateLimit(response.headers);
+
+                if (response.status === 304 && cached) {
+                    await this.cache.set(cacheKey, { ...cached, fetchedAt: Date.now() });
+                    this.cacheStats.revalidated++;
+                    this.logger.debug(`Cached data still valid for user: ${username}`);
+                    return { success: true, data: cached.data };
+                }
+
+                if (this.isRateLimitResponse(response)) {
+                    this.logger.warn(`Rate limit reached while fetching user: ${username}`, this.getRateLimit());
+                    return this.createRateLimitedResult(username, attempt, response.status);
+                }
+
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                const userData = await response.json();
+                const result = { success: true, data: userData };
+                
+                await this.cache.set(cacheKey, {
+                    data: userData,
+                    etag: response.headers.get('ETag'),
+                    fetchedAt: Date.now()
+                });
+                this.cacheStats.misses++;
+                this.logger.debug(`Successfully fetched user: ${username}`);
+                return result;
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.logger.debug(`Request cancelled for user: ${username}`);
+                return { success: false, username, cancelled: true, error: 'Request cancelled' };
+            }
+
+            const result = { 
+                success: false, 
+                username, 
+                error: error.message || 'Failed to fetch user data',
+                attempts: error.attempts,
+                ...this.getErrorFields(error)
+            };
+            this.logger.error(`Failed to fetch user ${username} after ${error.attempts} attempt(s)`, error);
+            return result;
+        }
+    }
+
+    /**
+     * Fetch a user by numeric account id, which survives renames
+     * The profile is cached under its current login
+     * @param {number} id - GitHub account id
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<Object>} {success, data} or error result
+     */
+    async fetchUserById(id, { signal } = {}) {
+        try {
+            const { userData, etag } = await this.withRetries(`user id ${id}`, signal, async () => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/user/${id}`,
+                    { headers: this.getRequestHeaders() },
+                    signal
+                );
+
+                this.updateRateLimit(response.headers);
+
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                return { userData: await response.json(), etag: response.headers.get('ETag') };
+            });
+
+            await this.cache.set(userData.login.toLowerCase(), { data: userData, etag, fetchedAt: Date.now() });
+            this.logger.debug(`Fetched user id ${id}: ${userData.login}`);
+            return { success: true, data: userData };
+        } catch (error) {
+            return this.createLookupError(`user id ${id}`, error);
+        }
+    }
+
+    /**
+     * Search users with the search API, e.g. "ada@example.com in:email" or 'fullname:"Ada Lovelace"'
+     * The search API has its own rate limit, so responses do not update the core rate limit state
+     * @param {string} query - Search query with qualifiers
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @param {number} [options.perPage] - Maximum matches returned, CONFIG.REVERSE_LOOKUP.MAX_CANDIDATES by default
+     * @returns {Promise<Object>} {success, data: {total, items: [{login, id, avatar_url}]}},
+     *          or error result; rate limited results carry resetAt (ms timestamp)
+     */
+    async searchUsers(query, { signal, perPage = CONFIG.REVERSE_LOOKUP.MAX_CANDIDATES } = {}) {
+        try {
+            return await this.withRetries(`user search "${query}"`, signal, async (attempt) => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/search/users?q=${encodeURIComponent(query)}&per_page=${perPage}`,
+                    { headers: this.getRequestHeaders() },
+                    signal
+                );
+
+                if (this.isRateLimitResponse(response)) {
+                    this.logger.warn(`Search rate limit reached while searching: ${query}`);
+                    return {
+                        ...this.createRateLimitedResult(null, attempt, response.status),
+                        resetAt: this.getSearchResetAt(response.headers)
+                    };
+                }
+
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                const body = await response.json();
+                return {
+                    success: true,
+                    data: {
+                        total: body.total_count,
+                        items: body.items.map(item => ({
+                            login: item.login,
+                            id: item.id,
+                            avatar_url: item.avatar_url
+                        }))
+                    }
+                };
+            });
+        } catch (error) {
+            return this.createLookupError(`user search "${query}"`, error);
+        }
+    }
+
+    /**
+     * Get when a rejected search request may be sent again
+     * @param {Headers} headers - Response headers
+     * @returns {number} Timestamp in ms
+     */
+    getSearchResetAt(headers) {
+        const retryAfter = headers.get('Retry-After');
+        if (retryAfter !== null) {
+            return Date.now() + Number(retryAfter) * 1000;
+        }
+
+        const reset = headers.get('X-RateLimit-Reset');
+        // The search limit resets every minute
+        return reset !== null ? Number(reset) * 1000 : Date.now() + 60 * 1000;
+    }
+
+    /**
+     * Get the account id of a previously fetched user, even if the cache entry is stale
+     * @param {string} username - GitHub username
+     * @returns {Promise<number|null>} Account id, or null if the user was never fetched
+     */
+    async getCachedUserId(username) {
+        const cached = await this.cache.get(username.toLowerCase());
+        return cached?.data?.id ?? null;
+    }
+
+    /**
+     * Fetch the public organization memberships of a user
+     * @param {string} username - GitHub username
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<Object>} {success, data: [{login, avatar_url}]} or error result
+     */
+    async fetchUserOrgs(username, { signal } = {}) {
+        try {
+            const orgs = await this.withRetries(`organizations of ${username}`, signal, async () => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/users/${username}/orgs`,
+                    { headers: this.getRequestHeaders() },
+                    signal
+                );
+
+                this.updateRateLimit(response.headers);
+
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                return response.json();
+            });
+
+            return {
+                success: true,
+                data: orgs.map(org => ({ login: org.login, avatar_url: org.avatar_url }))
+            };
+        } catch (error) {
+            return this.createLookupError(`organizations of ${username}`, error);
+        }
+    }
+
+    /**
+     * Fetch the public repositories a user owns, most recently pushed first
+     * Only the first page of repositories is returned
+     * @param {string} username - GitHub username
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @param {number} [options.perPage] - Page size, CONFIG.REPOS.PER_PAGE by default
+     * @returns {Promise<Object>} {success, data: repository[]} or error result
+     */
+    async fetchUserRepos(username, { signal, perPage = CONFIG.REPOS.PER_PAGE } = {}) {
+        try {
+            const repos = await this.withRetries(`repositories of ${username}`, signal, async () => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/users/${username}/repos?type=owner&sort=pushed&per_page=${perPage}`,
+                    { headers: this.getRequestHeaders() },
+                    signal
+                );
+
+                this.updateRateLimit(response.headers);
+
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                return response.json();
+            });
+
+            return {
+                success: true,
+                data: repos.map(repo => ({
+                    name: repo.name,
+                    html_url: repo.html_url,
+                    description: repo.description,
+                    language: repo.language,
+                    stargazers_count: repo.stargazers_count,
+                    fork: repo.fork,
+                    pushed_at: repo.pushed_at
+                }))
+            };
+        } catch (error) {
+            return this.createLookupError(`repositories of ${username}`, error);
+        }
+    }
+
+    /**
+     * Fetch a user's recent public events (GitHub keeps the last 90 days)
+     * @param {string} username - GitHub username
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<Object>} {success, data: event[]} or error result
+     */
+    async fetchUserEvents(username, { signal } = {}) {
+        try {
+            const events = await this.withRetries(`events of ${username}`, signal, async () => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/users/${username}/events/public?per_page=${CONFIG.ACTIVITY.PER_PAGE}`,
+                    { headers: this.getRequestHeaders() },
+                    signal
+                );
+
+                this.updateRateLimit(response.headers);
+
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                return response.json();
+            });
+
+            return {
+                success: true,
+                data: events.map(event => ({
+                    type: event.type,
+                    action: event.payload ? event.payload.action : undefined,
+                    created_at: event.created_at
+                }))
+            };
+        } catch (error) {
+            return this.createLookupError(`events of ${username}`, error);
+        }
+    }
+
+    /**
+     * Check whether a user belongs to an organization
+     * Authenticated members of the organization also see private memberships;
+     * everyone else is redirected by GitHub to the public membership check
+     * @param {string} org - Organization login
+     * @param {string} username - GitHub username
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<Object>} {success, data: boolean} or error result
+     */
+    async checkOrgMembership(org, username, { signal } = {}) {
+        try {
+            const isMember = await this.withRetries(`membership of ${username} in ${org}`, signal, async () => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/orgs/${org}/members/${username}`,
+                    { headers: this.getRequestHeaders() },
+                    signal
+                );
+
+                this.updateRateLimit(response.headers);
+
+                if (response.status === 204) return true;
+                if (response.status === 404) return false;
+                throw await this.createHttpError(response);
+            });
+
+            return { success: true, data: isMember };
+        } catch (error) {
+            return this.createLookupError(`membership of ${username} in ${org}`, error);
+        }
+    }
+
+    /**
+     * Check whether users can be resolved in batches through the GraphQL API
+     * @returns {boolean} True when enabled and a token is configured (GraphQL requires auth)
+     */
+    canBatchLookup() {
+        return FEATURES.GRAPHQL_BATCH_LOOKUP && this.credentials.hasToken();
+    }
+
+    /**
+     * Fetch many users with a single GraphQL request using aliased user(login:) fields
+     * @param {string[]} usernames - GitHub usernames
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<Object[]>} Results in the same order and shape as fetchUser
+     */
+    async fetchUsersBatch(usernames, { signal } = {}) {
+        const results = new Array(usernames.length);
+        const pending = [];
+
+        for (const [index, username] of usernames.entries()) {
+            const cached = await this.cache.get(username.toLowerCase());
+            if (this.cache.isFresh(cached)) {
+                this.cacheStats.hits++;
+                results[index] = { success: true, data: cached.data };
+            } else {
+                pending.push(index);
+            }
+        }
+
+        if (pending.length === 0) return results;
+
+        const logins = pending.map(index => usernames[index]);
+        const description = `batch of ${logins.length} users`;
+
+        try {
+            const body = await this.withRetries(description, signal, async () => {
+                const response = await this.fetchWithTimeout(`${CONFIG.API.GITHUB_BASE_URL}/graphql`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'GitHub-Profile-Identifier',
+                        ...this.credentials.getAuthHeaders()
+                    },
+                    body: JSON.stringify(this.buildUsersQuery(logins))
+                }, signal);
+
+                this.updateRateLimit(response.headers, 'graphql');
+
+                if (this.isRateLimitResponse(response)) {
+                    return { rateLimited: true };
+                }
+
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                return response.json();
+            });
+
+            const errors = body.errors || [];
+            if (body.rateLimited || errors.some(error => error.type === 'RATE_LIMITED')) {
+                this.logger.warn(`Rate limit reached while fetching ${description}`, this.getRateLimit('graphql'));
+                pending.forEach(index => {
+                    results[index] = this.createRateLimitedResult(usernames[index], 1);
+                });
+                return results;
+            }
+
+            if (!body.data && errors.length > 0) {
+                throw Object.assign(new Error(`GraphQL error: ${errors[0].message}`), {
+                    attempts: 1,
+                    code: ERROR_CODES.INVALID_INPUT
+                });
+            }
+
+            for (const [position, index] of pending.entries()) {
+                results[index] = await this.normalizeBatchEntry(usernames[index], `u${position}`, body.data, errors);
+            }
+
+            this.logger.debug(`Successfully fetched ${description} via GraphQL`);
+            return results;
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.logger.debug(`Request cancelled for ${description}`);
+                pending.forEach(index => {
+                    results[index] = { success: false, username: usernames[index], cancelled: true, error: 'Request cancelled' };
+                });
+                return results;
+            }
+
+            this.logger.error(`Failed to fetch ${description} after ${error.attempts} attempt(s)`, error);
+            pending.forEach(index => {
+                results[index] = {
+                    success: false,
+                    username: usernames[index],
+                    error: error.message || 'Failed to fetch user data',
+                    attempts: error.attempts,
+                    ...this.getErrorFields(error)
+                };
+            });
+            return results;
+        }
+    }
+
+    /**
+     * Build the aliased GraphQL query for a list of logins
+     * @param {string[]} logins - GitHub usernames
+     * @returns {Object} Request body with query and variables
+     */
+    buildUsersQuery(logins) {
+        const variables = {};
+        const declarations = [];
+        const fields = [];
+
+        logins.forEach((login, position) => {
+            variables[`login${position}`] = login;
+            declarations.push(`$login${position}: String!`);
+            fields.push(`u${position}: user(login: $login${position}) { ...UserFields }`);
+        });
+
+        const query = `query(${declarations.join(', ')}) {
+            ${fields.join('\n            ')}
+        }
+        fragment UserFields on User {
+            login databaseId name avatarUrl url bio company location email
+            websiteUrl twitterUsername isHireable createdAt updatedAt
+            followers { totalCount }
+            following { totalCount }
+            repositories(privacy: PUBLIC, ownerAffiliations: OWNER) { totalCount }
+            gists(privacy: PUBLIC) { totalCount }
+        }`;
+
+        return { query, variables };
+    }
+
+    /**
+     * Convert one aliased GraphQL entry into a fetchUser-style result and cache it
+     * @param {string} username - Requested username
+     * @param {string} alias - Alias used in the query
+     * @param {Object|null} data - GraphQL response data
+     * @param {Object[]} errors - GraphQL response errors
+     * @returns {Promise<Object>} Success or error result
+     */
+    async normalizeBatchEntry(username, alias, data, errors) {
+        const user = data && data[alias];
+        if (!user) {
+            const aliasError = errors.find(error => Array.isArray(error.path) && error.path[0] === alias);
+            const notFound = !aliasError || aliasError.type === 'NOT_FOUND';
+            return {
+                success: false,
+                username,
+                error: notFound ? 'User not found' : aliasError.message,
+                attempts: 1,
+                ...ErrorClassifier.toFields(notFound ? ERROR_CODES.NOT_FOUND : ERROR_CODES.INVALID_INPUT)
+            };
+        }
+
+        // Same field names as the REST /users/{username} response so UserCard renders it unchanged
+        const userData = {
+            login: user.login,
+            id: user.databaseId,
+            type: 'User',
+            name: user.name,
+            avatar_url: user.avatarUrl,
+            html_url: user.url,
+            bio: user.bio,
+            company: user.company,
+            location: user.location,
+            email: user.email || null,
+            blog: user.websiteUrl || '',
+            twitter_username: user.twitterUsername,
+            hireable: user.isHireable || null,
+            followers: user.followers.totalCount,
+            following: user.following.totalCount,
+            public_repos: user.repositories.totalCount,
+            public_gists: user.gists.totalCount,
+            created_at: user.createdAt,
+            updated_at: user.updatedAt
+        };
+
+        await this.cache.set(username.toLowerCase(), { data: userData, etag: null, fetchedAt: Date.now() });
+        this.cacheStats.misses++;
+        return { success: true, data: userData };
+    }
+
+    /**
+     * Run an operation, retrying transient failures with backoff
+     * @param {string} description - What is being fetched, for logging
+     * @param {AbortSignal} [signal] - Signal used to cancel retries
+     * @param {Function} operation - Receives the attempt number (1-based) and returns a result
+     * @returns {Promise<*>} Operation result
+     * @throws {Error} Last error, with an attempts property
+     */
+    async withRetries(description, signal, operation) {
+        const maxAttempts = CONFIG.API.MAX_RETRIES + 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                this.logger.debug(`Fetching ${description} (attempt ${attempt}/${maxAttempts})`);
+                return await operation(attempt);
+            } catch (error) {
+                if (error.name === 'AbortError' || !this.isRetryableError(error) || attempt >= maxAttempts) {
+                    error.attempts = attempt;
+                    throw error;
+                }
+
+                const retryDelay = this.getRetryDelay(attempt);
+                this.logger.warn(`Attempt ${attempt} for ${description} failed, retrying in ${retryDelay}ms`, error.message);
+                await this.delay(retryDelay, signal);
+            }
+        }
+    }
+
+    /**
+     * Build the headers sent with every REST request
+     * @returns {Object} Request headers, including the token when configured
+     */
+    getRequestHeaders() {
+        return {
+            'Accept': 'application/vnd.github.v3+json',
+            'User-Agent': 'GitHub-Profile-Identifier',
+            ...this.credentials.getAuthHeaders()
+        };
+    }
+
+    /**
+     * Create the error thrown for a failed response
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Error>} Error with status, code and a retryable flag for withRetries
+     */
+    async createHttpError(response) {
+        if (this.isRateLimitResponse(response)) {
+            const error = new Error(this.createRateLimitedResult(null, 1).error);
+            error.status = response.status;
+            error.code = ERROR_CODES.RATE_LIMITED;
+            error.retryable = false;
+            error.rateLimited = true;
+            return error;
+        }
+
+        const secondaryRateLimit = await this.isSecondaryRateLimit(response);
+        const error = new Error(this.describeHttpError(response));
+        error.status = response.status;
+        error.code = secondaryRateLimit ? ERROR_CODES.RATE_LIMITED : ErrorClassifier.fromStatus(response.status);
+        error.retryable = response.status >= 500 || secondaryRateLimit;
+        return error;
+    }
+
+    /**
+     * Get the structured fields of an error result for a thrown error
+     * @param {Error} error - Error thrown by withRetries
+     * @returns {{code: string, status: number|null, retryable: boolean}} Error fields
+     */
+    getErrorFields(error) {
+        return ErrorClassifier.toFields(ErrorClassifier.classify(error), error.status ?? null);
+    }
+
+    /**
+     * Create the error result for a failed secondary lookup
+     * @param {string} description - What was being fetched, for logging
+     * @param {Error} error - Error thrown by withRetries
+     * @returns {Object} Error result
+     */
+    createLookupError(description, error) {
+        if (error.name === 'AbortError') {
+            this.logger.debug(`Request cancelled for ${description}`);
+            return { success: false, cancelled: true, error: 'Request cancelled' };
+        }
+
+        this.logger.warn(`Failed to fetch ${description} after ${error.attempts} attempt(s)`, error.message);
+        return {
+            success: false,
+            rateLimited: Boolean(error.rateLimited),
+            error: error.message || 'Request failed',
+            attempts: error.attempts,
+            ...this.getErrorFields(error)
+        };
+    }
+
+    /**
+     * Create the result for a request rejected by the rate limit
+     * @param {string} username - Requested username
+     * @param {number} attempts - Attempts made
+     * @param {number|null} [status] - HTTP status of the rejected response
+     * @returns {Object} Rate limited error result
+     */
+    createRateLimitedResult(username, attempts, status = null) {
+        return {
+            success: false,
+            username,
+            rateLimited: true,
+            error: this.credentials.hasToken()
+                ? 'Rate limit exceeded.'
+                : 'Rate limit exceeded. Consider adding a GitHub token for higher limits.',
+            attempts,
+            ...ErrorClassifier.toFields(ERROR_CODES.RATE_LIMITED, status)
+        };
+    }
+
+    /**
+     * Build an error message for a failed response
+     * @param {Response} response - Fetch response
+     * @returns {string} Error message
+     */
+    describeHttpError(response) {
+        if (response.status === 401 && this.credentials.hasToken()) {
+            return 'HTTP 401: GitHub token is invalid or expired. Update it in API Configuration.';
+        }
+        if (response.status === 403 && this.credentials.hasToken()) {
+            return 'HTTP 403: Forbidden. Token may be invalid or lack access.';
+        }
+        return `HTTP ${response.status}: ${response.statusText}`;
+    }
+
+    /**
+     * Fetch a URL, aborting if it takes longer than CONFIG.API.TIMEOUT
+     * @param {string} url - Request URL
+     * @param {Object} options - Fetch options
+     * @param {AbortSignal} [signal] - Signal used to cancel the request
+     * @returns {Promise<Response>} Fetch response
+     */
+    async fetchWithTimeout(url, options, signal) {
+        const controller = new AbortController();
+        const forwardAbort = () => controller.abort();
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, CONFIG.API.TIMEOUT);
+
+        if (signal?.aborted) {
+            controller.abort();
+        } else {
+            signal?.addEventListener('abort', forwardAbort, { once: true });
+        }
+
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (timedOut && !signal?.aborted) {
+                const timeoutError = new Error(`Request timed out after ${CONFIG.API.TIMEOUT / 1000}s`);
+                timeoutError.name = 'TimeoutError';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', forwardAbort);
+        }
+    }
+
+    /**
+     * Check whether a failed request is worth retrying
+     * @param {Error} error - Error thrown by the request
+     * @returns {boolean} True for network errors, timeouts, 5xx and secondary rate limits
+     */
+    isRetryableError(error) {
+        if (typeof error.retryable === 'boolean') return error.retryable;
+        // fetch rejects with a TypeError when the network request itself fails
+        return error.name === 'TypeError' || error.name === 'TimeoutError';
+    }
+
+    /**
+     * Check whether a 403 response comes from GitHub's secondary rate limit
+     * @param {Response} response - Fetch response
+     * @returns {Promise<boolean>} True if the body reports a secondary rate limit
+     */
+    async isSecondaryRateLimit(response) {
+        if (response.status !== 403) return false;
+        try {
+            const body = await response.clone().json();
+            return /secondary rate limit/i.test(body.message || '');
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Get the jittered exponential backoff delay for a retry
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt) {
+        const backoff = CONFIG.API.RATE_LIMIT_DELAY * 2 ** (attempt - 1);
+        return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+    }
+
+    /**
+     * Delay execution
+     * @param {number} ms - Milliseconds to delay
+     * @param {AbortSignal} [signal] - Signal that ends the delay early
+     * @returns {Promise<void>}
+     */
+    delay(ms, signal = null) {
+        return new Promise(resolve => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Record rate limit state from GitHub response headers
+     * @param {Headers} headers - Response headers
+     * @param {string} [resource] - Rate limit resource of the request, used when the response does not name one
+     */
+    updateRateLimit(headers, resource = 'core') {
+        if (!headers) return;
+
+        const state = this.getRateLimitState(headers.get('X-RateLimit-Resource') || resource);
+        const limit = headers.get('X-RateLimit-Limit');
+        const remaining = headers.get('X-RateLimit-Remaining');
+        const reset = headers.get('X-RateLimit-Reset');
+        const retryAfter = headers.get('Retry-After');
+
+        if (limit !== null) {
+            state.limit = Number(limit);
+        }
+
+        if (reset !== null && remaining !== null) {
+            const resetAt = Number(reset) * 1000;
+            // Concurrent responses can arrive out of order within the same window
+            const sameWindow = resetAt === state.resetAt && state.remaining !== null;
+            state.remaining = sameWindow
+                ? Math.min(state.remaining, Number(remaining))
+                : Number(remaining);
+            state.resetAt = resetAt;
+        }
+
+        state.retryAfterUntil = retryAfter !== null
+            ? Date.now() + Number(retryAfter) * 1000
+            : null;
+    }
+
+    /**
+     * Get the tracked state of one rate limit resource, creating it on first use
+     * @param {string} resource - Rate limit resource, e.g. 'core' or 'graphql'
+     * @returns {Object} Mutable state (limit, remaining, resetAt, retryAfterUntil)
+     */
+    getRateLimitState(resource) {
+        if (!this.rateLimits.has(resource)) {
+            this.rateLimits.set(resource, { limit: null, remaining: null, resetAt: null, retryAfterUntil: null });
+        }
+        return this.rateLimits.get(resource);
+    }
+
+    /**
+     * Check whether a response was rejected by a primary or secondary rate limit
+     * @param {Response} response - Fetch response
+     * @returns {boolean} True if rate limited
+     */
+    isRateLimitResponse(response) {
+        if (response.status === 429) return true;
+        if (response.status !== 403 || !response.headers) return false;
+        return response.headers.get('Retry-After') !== null ||
+               response.headers.get('X-RateLimit-Remaining') === '0';
+    }
+
+    /**
+     * Get a snapshot of the rate limit state of one resource
+     * @param {string} [resource] - Rate limit resource, 'core' (REST) by default
+     * @returns {Object} Rate limit state (limit, remaining, resetAt, retryAfterUntil)
+     */
+    getRateLimit(resource = 'core') {
+        return { ...this.getRateLimitState(resource) };
+    }
+
+    /**
+     * Get how long to wait before the next request to a resource is allowed
+     * @param {string} [resource] - Rate limit resource, 'core' (REST) by default
+     * @returns {number} Milliseconds to wait, 0 if requests can proceed
+     */
+    getRateLimitWaitTime(resource = 'core') {
+        const rateLimit = this.getRateLimitState(resource);
+        const now = Date.now();
+        let waitTime = 0;
+
+        if (rateLimit.retryAfterUntil) {
+            waitTime = Math.max(waitTime, rateLimit.retryAfterUntil - now);
+        }
+
+        if (rateLimit.remaining === 0 && rateLimit.resetAt) {
+            waitTime = Math.max(waitTime, rateLimit.resetAt - now);
+        }
+
+        return waitTime;
+    }
+
+    /**
+     * Clear the cache
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        await this.cache.clear();
+        this.cacheStats = { hits: 0, revalidated: 0, misses: 0 };
+        this.logger.debug('Cache cleared');
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Promise<Object>} Entries, storage backend, hits, revalidated and misses
+     */
+    async getCacheStats() {
+        const storageStats = await this.cache.getStats();
+        return { ...storageStats, ...this.cacheStats };
+    }
+}
+
+
+/**
+ * Organization Membership Service following Single Responsibility Principle
+ * Looks up a user's organizations and membership in the configured organization
+ * Doubles as the "organizations" enrichment stage for BatchProcessor
+ */
+
+
+class OrgMembershipService {
+    /**
+     * @param {GitHubApiService} apiService - API service used for the lookups
+     * @param {CredentialsService} credentials - Source of the optional GitHub token
+     * @param {Storage} [storage] - Where the lookup settings are persisted
+     */
+    constructor(apiService, credentials, storage = globalThis.localStorage) {
+        this.apiService = apiService;
+        this.credentials = credentials;
+        this.storage = storage;
+        this.settings = { enabled: false, org: '' };
+        this.name = 'organizations';
+        this.concurrency = CONFIG.BATCH.MAX_CONCURRENT;
+        this.logger = new Logger('OrgMembership');
+    }
+
+    /**
+     * Load the saved settings from storage
+     * @returns {Object} Settings with enabled and org
+     */
+    load() {
+        try {
+            const saved = this.storage && this.storage.getItem(CONFIG.STORAGE.ORG_SETTINGS_KEY);
+            if (saved) {
+                const { enabled, org } = JSON.parse(saved);
+                this.settings = { enabled: Boolean(enabled), org: this.normalizeOrg(org) };
+            }
+        } catch (error) {
+            this.logger.warn('Failed to load organization settings from storage', error);
+        }
+        return this.getSettings();
+    }
+
+    /**
+     * Update and persist the settings
+     * @param {Object} settings - Partial settings with enabled and/or org
+     */
+    setSettings(settings) {
+        this.settings = {
+            enabled: 'enabled' in settings ? Boolean(settings.enabled) : this.settings.enabled,
+            org: 'org' in settings ? this.normalizeOrg(settings.org) : this.settings.org
+        };
+
+        try {
+            if (this.storage) {
+                this.storage.setItem(CONFIG.STORAGE.ORG_SETTINGS_KEY, JSON.stringify(this.settings));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save organization settings', error);
+        }
+    }
+
+    /**
+     * Get the current settings
+     * @returns {Object} Settings with enabled and org
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Check whether lookups should run for new searches
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return FEATURES.ORG_MEMBERSHIP && this.settings.enabled;
+    }
+
+    /**
+     * Enrichment stage entry point
+     * @param {Object} result - Successful batch result
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the requests
+     * @param {Function} [options.throttle] - Awaited before each request; resolves to false once cancelled
+     * @returns {Promise<Object>} Same as lookup()
+     */
+    enrich(result, { signal, throttle } = {}) {
+        return this.lookup(result.data.login, { signal, throttle });
+    }
+
+    /**
+     * Look up a user's public organizations and membership in the configured organization
+     * @param {string} username - GitHub username
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the requests
+     * @param {Function} [options.throttle] - Awaited before each request; resolves to false once cancelled
+     * @returns {Promise<Object>} {orgs, org, member} where member is null when unknown,
+     *          or {error, rateLimited} if the organizations could not be fetched or the membership check was rate limited
+     */
+    async lookup(username, { signal, throttle = () => Promise.resolve(true) } = {}) {
+        if (!(await throttle())) {
+            return { error: 'Request cancelled' };
+        }
+
+        const orgsResult = await this.apiService.fetchUserOrgs(username, { signal });
+        if (!orgsResult.success) {
+            return { error: orgsResult.error, rateLimited: orgsResult.rateLimited };
+        }
+
+        const orgs = orgsResult.data;
+        const org = this.settings.org;
+        if (!org) {
+            return { orgs, org: null, member: null };
+        }
+
+        if (orgs.some(entry => entry.login.toLowerCase() === org.toLowerCase())) {
+            return { orgs, org, member: true };
+        }
+
+        // Without a token only public memberships are visible, and those are already in the list
+        if (!this.credentials.hasToken()) {
+            return { orgs, org, member: false };
+        }
+
+        if (!(await throttle())) {
+            return { error: 'Request cancelled' };
+        }
+
+        const membership = await this.apiService.checkOrgMembership(org, username, { signal });
+        if (membership.rateLimited) {
+            return { error: membership.error, rateLimited: true };
+        }
+        return { orgs, org, member: membership.success ? membership.data : null };
+    }
+
+    /**
+     * Validate an organization login from user input
+     * @param {string} org - Organization login, optionally prefixed with @
+     * @returns {string} Organization login, or an empty string if invalid
+     */
+    normalizeOrg(org) {
+        const candidate = typeof org === 'string' ? org.trim().replace(/^@/, '') : '';
+        return SecurityValidator.validateUsername(candidate) ? candidate : '';
+    }
+}
+
+
+/**
+ * Repository Stats Service following Single Responsibility Principle
+ * Summarizes a user's public repositories: top repositories, languages and stars
+ * Doubles as the "repositories" enrichment stage for BatchProcessor
+ */
+
+
+class RepoStatsService {
+    /**
+     * @param {GitHubApiService} apiService - API service used for the lookups
+     * @param {Storage} [storage] - Where the enabled setting is persisted
+     */
+    constructor(apiService, storage = globalThis.localStorage) {
+        this.apiService = apiService;
+        this.storage = storage;
+        this.enabled = false;
+        this.name = 'repositories';
+        this.concurrency = CONFIG.BATCH.MAX_CONCURRENT;
+        this.logger = new Logger('RepoStats');
+    }
+
+    /**
+     * Load the saved setting from storage
+     * @returns {boolean} Whether the lookup is enabled
+     */
+    load() {
+        try {
+            this.enabled = Boolean(this.storage) && this.storage.getItem(CONFIG.STORAGE.REPO_STATS_KEY) === 'true';
+        } catch (error) {
+            this.logger.warn('Failed to load repository settings from storage', error);
+        }
+        return this.enabled;
+    }
+
+    /**
+     * Enable or disable the lookup and persist the choice
+     * @param {boolean} enabled - Whether to fetch repositories for new searches
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+        try {
+            if (this.storage) {
+                this.storage.setItem(CONFIG.STORAGE.REPO_STATS_KEY, String(this.enabled));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save repository settings', error);
+        }
+    }
+
+    /**
+     * Check whether lookups should run for new searches
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return FEATURES.REPO_STATS && this.enabled;
+    }
+
+    /**
+     * Enrichment stage entry point
+     * @param {Object} result - Successful batch result
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @param {Function} [options.throttle] - Awaited before the request; resolves to false once cancelled
+     * @returns {Promise<Object>} Summary from summarize(), or {error, rateLimited}
+     */
+    async enrich(result, { signal, throttle = () => Promise.resolve(true) } = {}) {
+        if (!(await throttle())) {
+            return { error: 'Request cancelled' };
+        }
+
+        const repos = await this.apiService.fetchUserRepos(result.data.login, { signal });
+        if (!repos.success) {
+            return { error: repos.error, rateLimited: repos.rateLimited };
+        }
+        return this.summarize(repos.data);
+    }
+
+    /**
+     * Summarize repositories, ignoring forks
+     * @param {Object[]} repos - Repositories from fetchUserRepos
+     * @returns {Object} {topRepos, languages, primaryLanguage, totalStars, count, complete}
+     *          where languages holds {language, count, share} by number of repositories
+     */
+    summarize(repos) {
+        const sources = repos.filter(repo => !repo.fork);
+        const totalStars = sources.reduce((sum, repo) => sum + (repo.stargazers_count || 0), 0);
+
+        const topRepos = [...sources]
+            .sort((a, b) => (b.stargazers_count || 0) - (a.stargazers_count || 0))
+            .slice(0, CONFIG.REPOS.TOP_COUNT)
+            .map(({ name, html_url, description, language, stargazers_count }) =>
+                ({ name, html_url, description, language, stargazers_count }));
+
+        const counts = new Map();
+        for (const repo of sources) {
+            if (repo.language) {
+                counts.set(repo.language, (counts.get(repo.language) || 0) + 1);
+            }
+        }
+        const withLanguage = [...counts.values()].reduce((sum, count) => sum + count, 0);
+        const languages = [...counts.entries()]
+            .map(([language, count]) => ({ language, count, share: count / withLanguage }))
+            .sort((a, b) => b.count - a.count || a.language.localeCompare(b.language));
+
+        return {
+            topRepos,
+            languages,
+            primaryLanguage: languages.length > 0 ? languages[0].language : null,
+            totalStars,
+            count: sources.length,
+            // A full page means the user may own more repositories than were summarized
+            complete: repos.length < CONFIG.REPOS.PER_PAGE
+        };
+    }
+}
+
+
+/**
+ * Activity Service following Single Responsibility Principle
+ * Summarizes a user's recent public events into an activity level and counts
+ * Doubles as the "activity" enrichment stage for BatchProcessor
+ */
+
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ActivityService {
+    /**
+     * @param {GitHubApiService} apiService - API service used for the lookups
+     * @param {Storage} [storage] - Where the enabled setting is persisted
+     */
+    constructor(apiService, storage = globalThis.localStorage) {
+        this.apiService = apiService;
+        this.storage = storage;
+        this.enabled = false;
+        this.name = 'activity';
+        this.concurrency = CONFIG.BATCH.MAX_CONCURRENT;
+        this.logger = new Logger('Activity');
+    }
+
+    /**
+     * Load the saved setting from storage
+     * @returns {boolean} Whether the lookup is enabled
+     */
+    load() {
+        try {
+            this.enabled = Boolean(this.storage) && this.storage.getItem(CONFIG.STORAGE.ACTIVITY_KEY) === 'true';
+        } catch (error) {
+            this.logger.warn('Failed to load activity settings from storage', error);
+        }
+        return this.enabled;
+    }
+
+    /**
+     * Enable or disable the lookup and persist the choice
+     * @param {boolean} enabled - Whether to fetch activity for new searches
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+        try {
+            if (this.storage) {
+                this.storage.setItem(CONFIG.STORAGE.ACTIVITY_KEY, String(this.enabled));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save activity settings', error);
+        }
+    }
+
+    /**
+     * Check whether lookups should run for new searches
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return FEATURES.ACTIVITY && this.enabled;
+    }
+
+    /**
+     * Enrichment stage entry point
+     * @param {Object} result - Successful batch result
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the requests
+     * @param {Function} [options.throttle] - Awaited before each request; resolves to false once cancelled
+     * @returns {Promise<Object>} Summary from summarize(), or {error, rateLimited}
+     */
+    async enrich(result, { signal, throttle = () => Promise.resolve(true) } = {}) {
+        const login = result.data.login;
+        if (!(await throttle())) {
+            return { error: 'Request cancelled' };
+        }
+
+        const events = await this.apiService.fetchUserEvents(login, { signal });
+        if (!events.success) {
+            return { error: events.error, rateLimited: events.rateLimited };
+        }
+
+        // The events API only covers 90 days; fall back to the latest push for quiet accounts
+        let lastPush = null;
+        if (events.data.length === 0) {
+            if (!(await throttle())) {
+                return { error: 'Request cancelled' };
+            }
+
+            const repos = await this.apiService.fetchUserRepos(login, { signal, perPage: 1 });
+            if (repos.rateLimited) {
+                return { error: repos.error, rateLimited: true };
+            }
+            if (repos.success && repos.data.length > 0) {
+                lastPush = repos.data[0].pushed_at || null;
+            }
+        }
+
+        return this.summarize(events.data, lastPush);
+    }
+
+    /**
+     * Summarize events from the last CONFIG.ACTIVITY.WINDOW_DAYS days
+     * @param {Object[]} events - Events from fetchUserEvents, newest first
+     * @param {string|null} [lastPush] - Latest repository push, used when there are no events
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Object} {lastActive, level, inactive, counts: {pushes, pullRequests, issues, reviews}}
+     */
+    summarize(events, lastPush = null, now = Date.now()) {
+        const since = now - CONFIG.ACTIVITY.WINDOW_DAYS * DAY_MS;
+        const counts = { pushes: 0, pullRequests: 0, issues: 0, reviews: 0 };
+        let lastActive = null;
+
+        for (const event of events) {
+            const time = Date.parse(event.created_at);
+            if (Number.isNaN(time)) continue;
+            if (!lastActive || time > Date.parse(lastActive)) {
+                lastActive = event.created_at;
+            }
+            if (time < since) continue;
+
+            if (event.type === 'PushEvent') counts.pushes++;
+            else if (event.type === 'PullRequestEvent' && event.action === 'opened') counts.pullRequests++;
+            else if (event.type === 'IssuesEvent' && event.action === 'opened') counts.issues++;
+            else if (event.type === 'PullRequestReviewEvent') counts.reviews++;
+        }
+
+        if (!lastActive && lastPush && !Number.isNaN(Date.parse(lastPush))) {
+            lastActive = lastPush;
+        }
+
+        const level = this.getLevel(lastActive, now);
+        return { lastActive, level, inactive: level === 'inactive', counts };
+    }
+
+    /**
+     * Classify how recently an account was active
+     * @param {string|null} lastActive - Last activity timestamp
+     * @param {number} now - Current time in milliseconds
+     * @returns {string} 'active', 'recent' or 'inactive'
+     */
+    getLevel(lastActive, now) {
+        if (!lastActive) return 'inactive';
+        const days = (now - Date.parse(lastActive)) / DAY_MS;
+        if (days <= CONFIG.ACTIVITY.ACTIVE_DAYS) return 'active';
+        if (days <= CONFIG.ACTIVITY.INACTIVE_DAYS) return 'recent';
+        return 'inactive';
+    }
+}
+
+
+/**
+ * Batch Processor Service following Single Responsibility Principle
+ * Handles batch processing of multiple users with a throttled worker pool
+ */
+
+
+/**
+ * Enrichment stage run for every found user after the base profile
+ * @typedef {Object} EnrichmentStage
+ * @property {string} name - Result property the stage output is stored under
+ * @property {number} [concurrency] - Users enriched in parallel across the batch, CONFIG.BATCH.MAX_CONCURRENT by default
+ * @property {Function} [isEnabled] - Returns false to skip the stage for a batch
+ * @property {Function} enrich - Receives (result, {signal, throttle}) and resolves to the stage output;
+ *           throttle must be awaited before each request and resolves to false once the batch is cancelled.
+ *           An output with rateLimited set is retried once the REST rate limit resets
+ */
+
+class BatchProcessor {
+    /**
+     * @param {GitHubApiService} apiService - API service used to fetch profiles
+     * @param {EnrichmentStage[]} [stages] - Enrichment stages run after each profile
+     */
+    constructor(apiService, stages = []) {
+        this.apiService = apiService;
+        this.stages = [...stages];
+        this.pauseState = null;
+        this.logger = new Logger('BatchProcessor');
+    }
+
+    /**
+     * Stop starting new requests; requests in flight still complete
+     */
+    pause() {
+        if (this.pauseState) return;
+
+        let resume;
+        const promise = new Promise(resolve => { resume = resolve; });
+        this.pauseState = { promise, resume };
+        this.logger.info('Batch paused');
+    }
+
+    /**
+     * Continue a paused batch
+     */
+    resume() {
+        if (!this.pauseState) return;
+
+        this.pauseState.resume();
+        this.pauseState = null;
+        this.logger.info('Batch resumed');
+    }
+
+    /**
+     * Check whether the batch is paused
+     * @returns {boolean} True if paused
+     */
+    isPaused() {
+        return Boolean(this.pauseState);
+    }
+
+    /**
+     * Register an enrichment stage
+     * @param {EnrichmentStage} stage - Stage to run after the base profile
+     */
+    addStage(stage) {
+        if (this.stages.some(existing => existing.name === stage.name)) {
+            throw new Error(`Enrichment stage "${stage.name}" is already registered`);
+        }
+        this.stages.push(stage);
+    }
+
+    /**
+     * Process multiple users with a pool of workers that keeps up to
+     * CONFIG.BATCH.MAX_CONCURRENT requests in flight, throttled to CONFIG.BATCH.REQUESTS_PER_SECOND
+     * @param {string[]} usernames - Array of usernames to process
+     * @param {Function} onProgress - Progress callback (processed, total, {throughput})
+     * @param {Function} onResult - Result callback (result, tagged with requestedUsername)
+     * @param {Object} [options] - Processing options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the batch
+     * @param {Function} [options.onRateLimit] - Called with the resume timestamp before pausing
+     * @param {Function} [options.resolveUserId] - Resolves a username to a known account id (or null),
+     *        used to follow renames of users that are no longer found
+     * @returns {Promise<Object>} Summary with processed, total, cancelled, elapsed (ms) and throughput (users/s)
+     */
+    async processUsers(usernames, onProgress, onResult, options = {}) {
+        const { signal, onRateLimit, resolveUserId } = options;
+        const useBatchLookup = this.apiService.canBatchLookup();
+        const lookupResource = useBatchLookup ? 'graphql' : 'core';
+        const stages = this.stages.filter(stage => !stage.isEnabled || stage.isEnabled());
+        const limiters = new Map(stages.map(stage =>
+            [stage, this.createLimiter(stage.concurrency || CONFIG.BATCH.MAX_CONCURRENT)]
+        ));
+        const bucket = new TokenBucket(CONFIG.BATCH.REQUESTS_PER_SECOND, CONFIG.BATCH.MAX_CONCURRENT);
+        const totalUsers = usernames.length;
+        const startedAt = Date.now();
+        let processedCount = 0;
+
+        // Each unit of work is one request: a single user, or a GraphQL batch of users
+        const queue = useBatchLookup
+            ? this.createChunks(usernames, CONFIG.API.GRAPHQL_BATCH_SIZE)
+            : usernames.map(username => [username]);
+        const workerCount = Math.min(CONFIG.BATCH.MAX_CONCURRENT, queue.length);
+
+        // Workers and stages share one rate limit pause per resource so the countdown is only reported once
+        const rateLimited = new Set();
+        const rateLimitPauses = new Map();
+        const waitForRateLimit = (resource) => {
+            if (!rateLimitPauses.has(resource)) {
+                rateLimitPauses.set(resource, this.waitForRateLimit(rateLimited.has(resource), signal, onRateLimit, resource)
+                    .finally(() => rateLimitPauses.delete(resource)));
+                rateLimited.delete(resource);
+            }
+            return rateLimitPauses.get(resource);
+        };
+
+        // Every request, including enrichment stages, waits out rate limits and takes a token first
+        const throttle = async (resource, wasRateLimited = false) => {
+            if (wasRateLimited) {
+                rateLimited.add(resource);
+            }
+            await waitForRateLimit(resource);
+            return bucket.take(signal);
+        };
+
+        const worker = async () => {
+            while (queue.length > 0 && !signal?.aborted) {
+                await this.waitWhilePaused(signal);
+                if (signal?.aborted || queue.length === 0) break;
+
+                const requested = queue.shift();
+
+                if (!(await throttle(lookupResource))) break;
+
+                const results = await this.fetchChunk(requested, useBatchLookup, signal);
+                if (resolveUserId) {
+                    await this.resolveRenames(results, requested, resolveUserId, signal);
+                }
+                await this.enrichResults(results, stages, limiters, throttle, signal);
+
+                const retry = [];
+                for (const [position, result] of results.entries()) {
+                    // Cancelled requests never reached GitHub, so they are not results
+                    if (result.cancelled) continue;
+
+                    // Rate limited requests are retried once the limit resets
+                    if (result.rateLimited) {
+                        retry.push(requested[position]);
+                        continue;
+                    }
+
+                    processedCount++;
+                    onResult({ ...result, requestedUsername: requested[position] });
+                    onProgress(processedCount, totalUsers, {
+                        throughput: this.getThroughput(processedCount, startedAt)
+                    });
+                }
+
+                if (retry.length > 0) {
+                    queue.unshift(retry);
+                    rateLimited.add(lookupResource);
+                }
+            }
+        };
+
+        this.logger.info(`Processing ${totalUsers} users with up to ${workerCount} requests in flight${useBatchLookup ? ' via GraphQL' : ''}`);
+        await Promise.all(Array.from({ length: workerCount }, worker));
+
+        // A batch cancelled while paused must not leave the next one paused
+        if (this.pauseState) {
+            this.pauseState.resume();
+            this.pauseState = null;
+        }
+
+        const cancelled = Boolean(signal?.aborted);
+        const elapsed = Date.now() - startedAt;
+        const throughput = this.getThroughput(processedCount, startedAt);
+        if (cancelled) {
+            this.logger.info(`Cancelled after processing ${processedCount} of ${totalUsers} users`);
+        } else {
+            this.logger.info(`Completed processing ${totalUsers} users in ${elapsed}ms (${throughput.toFixed(1)} users/s)`);
+        }
+
+        return { processed: processedCount, total: totalUsers, cancelled, elapsed, throughput };
+    }
+
+    /**
+     * Fetch one unit of work, with a single GraphQL request when available
+     * @param {string[]} usernames - Usernames in the unit (one, unless batching via GraphQL)
+     * @param {boolean} useBatchLookup - Whether to use the GraphQL batch lookup
+     * @param {AbortSignal} [signal] - Signal used to cancel the requests
+     * @returns {Promise<Object[]>} Results in input order
+     */
+    fetchChunk(usernames, useBatchLookup, signal) {
+        if (useBatchLookup) {
+            return this.apiService.fetchUsersBatch(usernames, { signal });
+        }
+        return Promise.all(usernames.map(username => this.apiService.fetchUser(username, { signal })));
+    }
+
+    /**
+     * Look up users that were not found by their known account id, so renamed accounts are followed
+     * A found account replaces the result and is tagged with renamedFrom; a rate limited lookup
+     * replaces it too so the username is retried
+     * @param {Object[]} results - Request results, updated in place
+     * @param {string[]} usernames - Requested usernames, in result order
+     * @param {Function} resolveUserId - Resolves a username to a known account id (or null)
+     * @param {AbortSignal} [signal] - Signal used to cancel the requests
+     * @returns {Promise<void>}
+     */
+    async resolveRenames(results, usernames, resolveUserId, signal) {
+        await Promise.all([...results.keys()]
+            .filter(position => results[position].code === ERROR_CODES.NOT_FOUND)
+            .map(async (position) => {
+                const username = usernames[position];
+                const id = await resolveUserId(username);
+                if (id === null || id === undefined || signal?.aborted) return;
+
+                const lookup = await this.apiService.fetchUserById(id, { signal });
+                if (lookup.rateLimited) {
+                    results[position] = { ...lookup, username };
+                } else if (lookup.success && lookup.data.login.toLowerCase() !== username.toLowerCase()) {
+                    this.logger.info(`${username} was renamed to ${lookup.data.login}`);
+                    results[position] = { ...lookup, renamedFrom: username };
+                }
+            }));
+    }
+
+    /**
+     * Run the enrichment stages for the successful results of one request
+     * Stages run side by side; a failing stage only affects its own output
+     * @param {Object[]} results - Request results, updated in place
+     * @param {EnrichmentStage[]} stages - Enabled stages
+     * @param {Map<EnrichmentStage, Function>} limiters - Concurrency limiter of each stage
+     * @param {Function} throttle - Receives (resource, wasRateLimited) and resolves to false once cancelled
+     * @param {AbortSignal} [signal] - Signal used to cancel the requests
+     * @returns {Promise<void>}
+     */
+    async enrichResults(results, stages, limiters, throttle, signal) {
+        if (stages.length === 0) return;
+
+        await Promise.all([...results.keys()]
+            .filter(position => results[position].success)
+            .map(async (position) => {
+                const outputs = await Promise.all(stages.map(stage =>
+                    limiters.get(stage)(() => this.runStage(stage, results[position], throttle, signal))
+                ));
+
+                const enrichment = {};
+                stages.forEach((stage, index) => {
+                    enrichment[stage.name] = outputs[index];
+                });
+                results[position] = { ...results[position], ...enrichment };
+            }));
+    }
+
+    /**
+     * Run one stage for one result, turning failures into an error output
+     * Stage requests are REST calls, so a rate limited stage waits for the core limit to reset and is retried
+     * @param {EnrichmentStage} stage - Stage to run
+     * @param {Object} result - Successful base result
+     * @param {Function} throttle - Receives (resource, wasRateLimited) and resolves to false once cancelled
+     * @param {AbortSignal} [signal] - Signal used to cancel the requests
+     * @returns {Promise<Object>} Stage output, or {error} if the stage threw
+     */
+    async runStage(stage, result, throttle, signal) {
+        let wasRateLimited = false;
+
+        // Stages may send several requests, and each one takes its own token
+        const throttleRequest = async () => {
+            const allowed = await throttle('core', wasRateLimited);
+            wasRateLimited = false;
+            return allowed;
+        };
+
+        for (;;) {
+            let output;
+            try {
+                output = await stage.enrich(result, { signal, throttle: throttleRequest });
+            } catch (error) {
+                this.logger.warn(`Enrichment stage ${stage.name} failed for ${result.data.login}`, error);
+                return { error: error.message || `${stage.name} unavailable` };
+            }
+
+            if (!output || !output.rateLimited || signal?.aborted) return output;
+            wasRateLimited = true;
+        }
+    }
+
+    /**
+     * Create a limiter that runs at most `limit` tasks at once
+     * @param {number} limit - Maximum tasks in flight
+     * @returns {Function} Function that takes an async task and resolves to its result
+     */
+    createLimiter(limit) {
+        let active = 0;
+        const waiting = [];
+
+        // A finishing task hands its slot straight to the next waiting one
+        const release = () => {
+            const next = waiting.shift();
+            if (next) {
+                next();
+            } else {
+                active--;
+            }
+        };
+
+        return async (task) => {
+            if (active >= limit) {
+                await new Promise(resolve => waiting.push(resolve));
+            } else {
+                active++;
+            }
+
+            try {
+                return await task();
+            } finally {
+                release();
+            }
+        };
+    }
+
+    /**
+     * Calculate users processed per second since the batch started
+     * @param {number} processed - Users processed so far
+     * @param {number} startedAt - Batch start timestamp (ms)
+     * @returns {number} Users per second
+     */
+    getThroughput(processed, startedAt) {
+        const seconds = (Date.now() - startedAt) / 1000;
+        return seconds > 0 ? processed / seconds : 0;
+    }
+
+    /**
+     * Wait until the batch is resumed or cancelled
+     * @param {AbortSignal} [signal] - Signal that ends the wait early
+     * @returns {Promise<void>}
+     */
+    waitWhilePaused(signal) {
+        if (!this.pauseState) return Promise.resolve();
+
+        return new Promise(resolve => {
+            const onAbort = () => resolve();
+            this.pauseState.promise.then(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            });
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Pause until the API service reports that requests to a rate limit resource may proceed
+     * @param {boolean} wasRateLimited - Whether the previous attempt was rejected
+     * @param {AbortSignal} [signal] - Signal that ends the pause early
+     * @param {Function} [onRateLimit] - Called with the resume timestamp before pausing
+     * @param {string} [resource] - Rate limit resource, 'core' (REST) or 'graphql'
+     * @returns {Promise<void>}
+     */
+    async waitForRateLimit(wasRateLimited, signal, onRateLimit, resource = 'core') {
+        let waitTime = this.apiService.getRateLimitWaitTime(resource);
+
+        // A rejection without a usable reset time still needs a short pause
+        if (wasRateLimited) {
+            waitTime = Math.max(waitTime, CONFIG.API.RATE_LIMIT_DELAY);
+        }
+
+        if (waitTime <= 0) return;
+
+        this.logger.info(`Rate limit reached, pausing for ${Math.ceil(waitTime / 1000)}s`);
+        if (onRateLimit) {
+            onRateLimit(Date.now() + waitTime);
+        }
+
+        await this.delay(waitTime, signal);
+    }
+
+    /**
+     * Create chunks from array
+     * @param {Array} array - Array to chunk
+     * @param {number} chunkSize - Size of each chunk
+     * @returns {Array[]} Array of chunks
+     */
+    createChunks(array, chunkSize) {
+        const chunks = [];
+        for (let i = 0; i < array.length; i += chunkSize) {
+            chunks.push(array.slice(i, i + chunkSize));
+        }
+        return chunks;
+    }
+
+    /**
+     * Delay execution
+     * @param {number} ms - Milliseconds to delay
+     * @param {AbortSignal} [signal] - Signal that ends the delay early
+     * @returns {Promise<void>}
+     */
+    delay(ms, signal = null) {
+        return new Promise(resolve => {
+            // The listener is removed when the timer fires, so long batches don't pile them up on the signal
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+
+/**
+ * Export Service following Single Responsibility Principle
+ * Converts batch results to CSV or JSON and triggers downloads
+ */
+
+
+/**
+ * Exportable columns, in output order
+ * Each column reads from a result object ({success, data} or {success: false, username, error, code})
+ */
+const EXPORT_COLUMNS = [
+    { key: 'login', label: 'Login', value: (result) => result.success ? result.data.login : result.username },
+    { key: 'id', label: 'Account id', value: (result) => result.data?.id },
+    { key: 'renamed_from', label: 'Renamed from', value: (result) => result.renamedFrom },
+    { key: 'name', label: 'Name', value: (result) => result.data?.name },
+    { key: 'company', label: 'Company', value: (result) => result.data?.company },
+    { key: 'location', label: 'Location', value: (result) => result.data?.location },
+    { key: 'email', label: 'Email', value: (result) => result.data?.email },
+    { key: 'blog', label: 'Blog', value: (result) => result.data?.blog },
+    { key: 'followers', label: 'Followers', value: (result) => result.data?.followers },
+    { key: 'public_repos', label: 'Public repos', value: (result) => result.data?.public_repos },
+    { key: 'created_at', label: 'Created at', value: (result) => result.data?.created_at },
+    { key: 'primary_language', label: 'Primary language', value: (result) => result.repositories?.primaryLanguage },
+    { key: 'total_stars', label: 'Total stars', value: (result) => result.repositories?.totalStars },
+    { key: 'organizations', label: 'Organizations', value: (result) => result.organizations?.orgs?.map(org => org.login).join(' ') },
+    { key: 'org_member', label: 'Org member', value: (result) => typeof result.organizations?.member === 'boolean' ? String(result.organizations.member) : null },
+    { key: 'error', label: 'Error', value: (result) => result.success ? null : result.error },
+    { key: 'error_code', label: 'Error code', value: (result) => result.success ? null : result.code }
+];
+
+class ExportService {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.logger = new Logger('Export');
+    }
+
+    /**
+     * Get the columns selected for export
+     * @returns {string[]} Column keys in output order
+     */
+    getSelectedColumns() {
+        try {
+            const saved = this.storage && this.storage.getItem(CONFIG.STORAGE.EXPORT_COLUMNS_KEY);
+            if (saved) {
+                const keys = JSON.parse(saved);
+                const known = EXPORT_COLUMNS.filter(column => keys.includes(column.key)).map(column => column.key);
+                if (known.length > 0) return known;
+            }
+        } catch (error) {
+            this.logger.warn('Failed to load export columns from storage', error);
+        }
+        return EXPORT_COLUMNS.map(column => column.key);
+    }
+
+    /**
+     * Persist the columns selected for export
+     * @param {string[]} keys - Column keys
+     */
+    setSelectedColumns(keys) {
+        try {
+            if (this.storage) {
+                this.storage.setItem(CONFIG.STORAGE.EXPORT_COLUMNS_KEY, JSON.stringify(keys));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save export columns to storage', error);
+        }
+    }
+
+    /**
+     * Convert results to rows of column values
+     * @param {Object[]} results - Batch results
+     * @param {string[]} keys - Column keys
+     * @returns {Object[]} One object per result, keyed by column
+     */
+    toRows(results, keys) {
+        const columns = EXPORT_COLUMNS.filter(column => keys.includes(column.key));
+        return results.map(result => {
+            const row = {};
+            for (const column of columns) {
+                const value = column.value(result);
+                row[column.key] = value === undefined || value === '' ? null : value;
+            }
+            return row;
+        });
+    }
+
+    /**
+     * Convert results to CSV
+     * @param {Object[]} results - Batch results
+     * @param {string[]} keys - Column keys
+     * @returns {string} CSV text with a header row
+     */
+    toCSV(results, keys) {
+        const columnKeys = EXPORT_COLUMNS.filter(column => keys.includes(column.key)).map(column => column.key);
+        return this.formatCSV(this.toRows(results, keys), columnKeys);
+    }
+
+    /**
+     * Format rows as CSV
+     * @param {Object[]} rows - Row objects
+     * @param {string[]} keys - Row properties to output, in column order
+     * @returns {string} CSV text with a header row
+     */
+    formatCSV(rows, keys) {
+        const lines = [keys.join(',')];
+
+        for (const row of rows) {
+            lines.push(keys.map(key => this.escapeCSV(row[key])).join(','));
+        }
+
+        return lines.join('\r\n');
+    }
+
+    /**
+     * Convert results to JSON
+     * @param {Object[]} results - Batch results
+     * @param {string[]} keys - Column keys
+     * @returns {string} Pretty-printed JSON array
+     */
+    toJSON(results, keys) {
+        return JSON.stringify(this.toRows(results, keys), null, 2);
+    }
+
+    /**
+     * Escape a single CSV value
+     * @param {*} value - Cell value
+     * @returns {string} Escaped cell
+     */
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = String(value);
+        // Spreadsheets evaluate cells starting with these characters as formulas
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Export results as a downloaded file
+     * @param {Object[]} results - Batch results
+     * @param {string} format - 'csv' or 'json'
+     * @param {string[]} keys - Column keys
+     */
+    download(results, format, keys) {
+        const content = format === 'csv' ? this.toCSV(results, keys) : this.toJSON(results, keys);
+        const filename = this.saveFile(content, format, 'github-users');
+        this.logger.info(`Exported ${results.length} results as ${filename}`);
+    }
+
+    /**
+     * Export plain rows (e.g. a snapshot diff) as a downloaded file
+     * @param {Object[]} rows - Row objects
+     * @param {string[]} keys - Row properties to output, in column order
+     * @param {string} format - 'csv' or 'json'
+     * @param {string} basename - File name without date and extension
+     */
+    downloadRows(rows, keys, format, basename) {
+        const content = format === 'csv'
+            ? this.formatCSV(rows, keys)
+            : JSON.stringify(rows.map(row => Object.fromEntries(keys.map(key => [key, row[key] ?? null]))), null, 2);
+        const filename = this.saveFile(content, format, basename);
+        this.logger.info(`Exported ${rows.length} rows as ${filename}`);
+    }
+
+    /**
+     * Download text as a dated file
+     * @param {string} content - CSV or JSON text
+     * @param {string} format - 'csv' or 'json'
+     * @param {string} basename - File name without date and extension
+     * @returns {string} Downloaded file name
+     */
+    saveFile(content, format, basename) {
+        const isCSV = format === 'csv';
+        // The byte order mark lets spreadsheet apps detect UTF-8
+        const body = isCSV ? '\uFEFF' + content : content;
+        const mimeType = isCSV ? 'text/csv;charset=utf-8' : 'application/json';
+        const filename = `${basename}-${new Date().toISOString().slice(0, 10)}.${isCSV ? 'csv' : 'json'}`;
+
+        const url = URL.createObjectURL(new Blob([body], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        return filename;
+    }
+}
+
+
+/**
+ * Search Session Service following Single Responsibility Principle
+ * Persists the running batch (requested usernames and completed results) so it survives a reload
+ */
+
+
+class SearchSessionService {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.session = null;
+        this.saveTimer = null;
+        this.logger = new Logger('SearchSession');
+    }
+
+    /**
+     * Load an unfinished session from storage
+     * @returns {Object|null} Session with usernames, results and savedAt, or null if none remain
+     */
+    load() {
+        try {
+            const saved = this.storage && this.storage.getItem(CONFIG.STORAGE.SESSION_KEY);
+            if (!saved) return null;
+
+            const session = JSON.parse(saved);
+            if (!Array.isArray(session.usernames) || !Array.isArray(session.results)) {
+                this.clear();
+                return null;
+            }
+
+            this.session = session;
+            if (this.getRemaining().length === 0) {
+                this.clear();
+                return null;
+            }
+            return session;
+        } catch (error) {
+            this.logger.warn('Failed to load saved search', error);
+            return null;
+        }
+    }
+
+    /**
+     * Start tracking a batch
+     * @param {string[]} usernames - All usernames in the batch
+     * @param {Object[]} [results] - Results already completed (when resuming)
+     */
+    start(usernames, results = []) {
+        this.session = { usernames: [...usernames], results: [...results], savedAt: Date.now() };
+        this.save();
+    }
+
+    /**
+     * Record a completed result; saving is batched to keep large sessions cheap
+     * @param {Object} result - Result tagged with requestedUsername
+     */
+    recordResult(result) {
+        if (!this.session) return;
+
+        this.session.results.push(result);
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), CONFIG.SESSION.SAVE_INTERVAL);
+        }
+    }
+
+    /**
+     * Get usernames that have no result yet, in input order
+     * @returns {string[]} Remaining usernames
+     */
+    getRemaining() {
+        if (!this.session) return [];
+
+        const done = new Set(this.session.results.map(result =>
+            (result.requestedUsername || result.username || '').toLowerCase()
+        ));
+        return this.session.usernames.filter(username => !done.has(username.toLowerCase()));
+    }
+
+    /**
+     * Write the session to storage now
+     */
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.session || !this.storage) return;
+
+        try {
+            this.session.savedAt = Date.now();
+            this.storage.setItem(CONFIG.STORAGE.SESSION_KEY, JSON.stringify(this.session));
+        } catch (error) {
+            // Most likely the storage quota; the batch still runs, it just can't be resumed
+            this.logger.warn('Failed to save search progress', error);
+        }
+    }
+
+    /**
+     * Forget the session, e.g. once the batch finished or was discarded
+     */
+    clear() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.session = null;
+
+        try {
+            if (this.storage) {
+                this.storage.removeItem(CONFIG.STORAGE.SESSION_KEY);
+            }
+        } catch (error) {
+            this.logger.warn('Failed to remove saved search', error);
+        }
+    }
+}
+
+
+/**
+ * Search History Service following Single Responsibility Principle
+ * Keeps a local history of past searches that can be re-run, renamed, pinned or deleted
+ */
+
+
+class SearchHistoryService {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.entries = [];
+        this.logger = new Logger('SearchHistory');
+    }
+
+    /**
+     * Load the history from storage
+     * @returns {Object[]} Entries, pinned first and then newest first
+     */
+    load() {
+        try {
+            const saved = this.storage && this.storage.getItem(CONFIG.STORAGE.HISTORY_KEY);
+            const entries = saved ? JSON.parse(saved) : [];
+            this.entries = Array.isArray(entries)
+                ? entries.filter(entry => entry && typeof entry.id === 'string' &&
+                    typeof entry.query === 'string' && Array.isArray(entry.usernames))
+                : [];
+        } catch (error) {
+            this.logger.warn('Failed to load search history from storage', error);
+            this.entries = [];
+        }
+        return this.getEntries();
+    }
+
+    /**
+     * Get the history in display order
+     * @returns {Object[]} Entries, pinned first and then newest first
+     */
+    getEntries() {
+        return [...this.entries].sort((a, b) =>
+            Number(b.pinned) - Number(a.pinned) || b.searchedAt - a.searchedAt
+        );
+    }
+
+    /**
+     * Get one entry
+     * @param {string} id - Entry id
+     * @returns {Object|null} Entry, or null if it was deleted
+     */
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Record a search; searching the same usernames again updates the existing entry
+     * @param {string} query - Search text as entered, used to re-run the search
+     * @param {string[]} usernames - Searched usernames in input order
+     * @param {Object} counts - Outcome of the search
+     * @param {number} counts.found - Users found
+     * @param {number} counts.failed - Users that failed
+     * @returns {Object} Recorded entry
+     */
+    record(query, usernames, { found, failed }) {
+        const key = this.getKey(usernames);
+        let entry = this.entries.find(existing => this.getKey(existing.usernames) === key);
+
+        if (entry) {
+            Object.assign(entry, { query, usernames: [...usernames], searchedAt: Date.now(), found, failed });
+        } else {
+            entry = {
+                id: IdGenerator.create(),
+                name: '',
+                pinned: false,
+                query,
+                usernames: [...usernames],
+                searchedAt: Date.now(),
+                found,
+                failed
+            };
+            this.entries.push(entry);
+            this.prune();
+        }
+
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Update the found/failed counts of an entry, e.g. after retrying failures
+     * @param {string} id - Entry id
+     * @param {Object} counts - New counts with found and failed
+     */
+    updateCounts(id, { found, failed }) {
+        this.update(id, { found, failed });
+    }
+
+    /**
+     * Rename an entry; an empty name falls back to the username list
+     * @param {string} id - Entry id
+     * @param {string} name - New name
+     */
+    rename(id, name) {
+        this.update(id, { name: String(name || '').trim().slice(0, CONFIG.HISTORY.MAX_NAME_LENGTH) });
+    }
+
+    /**
+     * Pin or unpin an entry; pinned entries stay on top and are never pruned
+     * @param {string} id - Entry id
+     * @param {boolean} pinned - Whether the entry is pinned
+     */
+    setPinned(id, pinned) {
+        this.update(id, { pinned: Boolean(pinned) });
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} id - Entry id
+     */
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.save();
+    }
+
+    /**
+     * Apply changes to an entry and persist them
+     * @param {string} id - Entry id
+     * @param {Object} changes - Properties to update
+     */
+    update(id, changes) {
+        const entry = this.get(id);
+        if (!entry) return;
+        Object.assign(entry, changes);
+        this.save();
+    }
+
+    /**
+     * Drop the oldest unpinned entries beyond CONFIG.HISTORY.MAX_ENTRIES
+     */
+    prune() {
+        const unpinned = this.entries
+            .filter(entry => !entry.pinned)
+            .sort((a, b) => b.searchedAt - a.searchedAt);
+        const dropped = new Set(unpinned.slice(CONFIG.HISTORY.MAX_ENTRIES));
+        this.entries = this.entries.filter(entry => !dropped.has(entry));
+    }
+
+    /**
+     * Build the key that identifies searches of the same usernames
+     * @param {string[]} usernames - Usernames
+     * @returns {string} Case-insensitive key independent of order
+     */
+    getKey(usernames) {
+        return usernames.map(username => username.toLowerCase()).sort().join(',');
+    }
+
+    /**
+     * Write the history to storage
+     */
+    save() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(CONFIG.STORAGE.HISTORY_KEY, JSON.stringify(this.entries));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save search history', error);
+        }
+    }
+}
+
+
+/**
+ * User Lists Service following Single Responsibility Principle
+ * Stores named collections of usernames (e.g. "frontend team") that can be searched as a batch
+ * Each list also keeps the account ids of its members so renamed accounts can be found again
+ */
+
+
+class UserListsService {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.lists = [];
+        this.logger = new Logger('UserLists');
+    }
+
+    /**
+     * Load the lists from storage
+     * @returns {Object[]} Lists sorted by name
+     */
+    load() {
+        try {
+            const saved = this.storage && this.storage.getItem(CONFIG.STORAGE.LISTS_KEY);
+            const lists = saved ? JSON.parse(saved) : [];
+            this.lists = Array.isArray(lists)
+                ? lists.filter(list => list && typeof list.id === 'string' &&
+                    typeof list.name === 'string' && Array.isArray(list.usernames))
+                : [];
+            // Lists saved before ids were tracked start without any
+            for (const list of this.lists) {
+                if (!list.ids || typeof list.ids !== 'object') {
+                    list.ids = {};
+                }
+            }
+        } catch (error) {
+            this.logger.warn('Failed to load user lists from storage', error);
+            this.lists = [];
+        }
+        return this.getLists();
+    }
+
+    /**
+     * Get all lists
+     * @returns {Object[]} Lists sorted by name
+     */
+    getLists() {
+        return [...this.lists].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get one list
+     * @param {string} id - List id
+     * @returns {Object|null} List, or null if it was deleted
+     */
+    get(id) {
+        return this.lists.find(list => list.id === id) || null;
+    }
+
+    /**
+     * Create a list; a name that is already taken returns the existing list
+     * @param {string} name - List name
+     * @param {string[]} [usernames] - Initial members
+     * @returns {Object|null} The list, or null if the name is empty
+     */
+    create(name, usernames = []) {
+        const listName = this.normalizeName(name);
+        if (!listName) return null;
+
+        const existing = this.findByName(listName);
+        if (existing) {
+            usernames.forEach(username => this.addMember(existing.id, username));
+            return existing;
+        }
+
+        const list = {
+            id: IdGenerator.create(),
+            name: listName,
+            usernames: [],
+            ids: {},
+            updatedAt: Date.now()
+        };
+        usernames.forEach(username => this.addUnique(list, username));
+        this.lists.push(list);
+        this.save();
+        return list;
+    }
+
+    /**
+     * Find a list by name, ignoring case
+     * @param {string} name - List name
+     * @returns {Object|null} List, or null if none has that name
+     */
+    findByName(name) {
+        const key = this.normalizeName(name).toLowerCase();
+        return this.lists.find(list => list.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Rename a list; empty names and names used by another list are ignored
+     * @param {string} id - List id
+     * @param {string} name - New name
+     * @returns {boolean} True if the list was renamed
+     */
+    rename(id, name) {
+        const list = this.get(id);
+        const listName = this.normalizeName(name);
+        const existing = this.findByName(listName);
+        if (!list || !listName || (existing && existing !== list)) return false;
+
+        list.name = listName;
+        this.touch(list);
+        return true;
+    }
+
+    /**
+     * Delete a list
+     * @param {string} id - List id
+     */
+    remove(id) {
+        this.lists = this.lists.filter(list => list.id !== id);
+        this.save();
+    }
+
+    /**
+     * Add a username to a list
+     * @param {string} id - List id
+     * @param {string} username - GitHub username
+     * @param {number|null} [userId] - Account id of the user, if known
+     */
+    addMember(id, username, userId = null) {
+        const list = this.get(id);
+        if (!list) return;
+
+        const added = this.addUnique(list, username);
+        const idChanged = this.setUserId(list, username, userId);
+        if (added || idChanged) {
+            this.touch(list);
+        }
+    }
+
+    /**
+     * Remove a username from a list
+     * @param {string} id - List id
+     * @param {string} username - GitHub username
+     */
+    removeMember(id, username) {
+        const list = this.get(id);
+        if (!list || !this.hasMember(id, username)) return;
+
+        const key = username.toLowerCase();
+        list.usernames = list.usernames.filter(member => member.toLowerCase() !== key);
+        delete list.ids[key];
+        this.touch(list);
+    }
+
+    /**
+     * Replace a renamed member with its new login in every list that contains the old one
+     * The member keeps its position in each list
+     * @param {string} oldLogin - Previous login
+     * @param {string} newLogin - Current login
+     * @param {number|null} [userId] - Account id of the user
+     * @returns {number} Number of lists updated
+     */
+    replaceMember(oldLogin, newLogin, userId = null) {
+        const oldKey = oldLogin.toLowerCase();
+        const newKey = newLogin.toLowerCase();
+        const lists = this.getListsWithMember(oldLogin);
+
+        for (const list of lists) {
+            // A list that already has the new login just drops the old one
+            list.usernames = list.usernames.some(member => member.toLowerCase() === newKey)
+                ? list.usernames.filter(member => member.toLowerCase() !== oldKey)
+                : list.usernames.map(member => (member.toLowerCase() === oldKey ? newLogin : member));
+            delete list.ids[oldKey];
+            this.setUserId(list, newLogin, userId);
+            list.updatedAt = Date.now();
+        }
+
+        if (lists.length > 0) {
+            this.save();
+            this.logger.info(`Replaced ${oldLogin} with ${newLogin} in ${lists.length} list(s)`);
+        }
+        return lists.length;
+    }
+
+    /**
+     * Get the lists that contain a username
+     * @param {string} username - GitHub username
+     * @returns {Object[]} Lists sorted by name
+     */
+    getListsWithMember(username) {
+        return this.getLists().filter(list => this.hasMember(list.id, username));
+    }
+
+    /**
+     * Remember the account ids of list members found by a search
+     * @param {Object[]} users - GitHub user data with login and id
+     */
+    recordUserIds(users) {
+        let changed = false;
+        for (const list of this.lists) {
+            for (const user of users) {
+                if (this.hasMember(list.id, user.login) && this.setUserId(list, user.login, user.id)) {
+                    changed = true;
+                }
+            }
+        }
+        if (changed) {
+            this.save();
+        }
+    }
+
+    /**
+     * Get the account id stored for a username in any list
+     * @param {string} username - GitHub username
+     * @returns {number|null} Account id, or null if no list knows it
+     */
+    getUserId(username) {
+        const key = username.toLowerCase();
+        const list = this.lists.find(candidate => Object.hasOwn(candidate.ids, key));
+        return list ? list.ids[key] : null;
+    }
+
+    /**
+     * Check whether a list contains a username
+     * @param {string} id - List id
+     * @param {string} username - GitHub username
+     * @returns {boolean} True if the username is a member, ignoring case
+     */
+    hasMember(id, username) {
+        const list = this.get(id);
+        const key = username.toLowerCase();
+        return Boolean(list) && list.usernames.some(member => member.toLowerCase() === key);
+    }
+
+    /**
+     * Add a username to a list object unless it is already a member
+     * @param {Object} list - List
+     * @param {string} username - GitHub username
+     * @returns {boolean} True if the username was added
+     */
+    addUnique(list, username) {
+        const key = username.toLowerCase();
+        if (list.usernames.some(member => member.toLowerCase() === key)) return false;
+        list.usernames.push(username);
+        return true;
+    }
+
+    /**
+     * Store the account id of a list member
+     * @param {Object} list - List
+     * @param {string} username - GitHub username
+     * @param {number|null} userId - Account id; null leaves the stored id unchanged
+     * @returns {boolean} True if the stored id changed
+     */
+    setUserId(list, username, userId) {
+        const key = username.toLowerCase();
+        if (userId === null || userId === undefined || list.ids[key] === userId) return false;
+        list.ids[key] = userId;
+        return true;
+    }
+
+    /**
+     * Trim and shorten a list name
+     * @param {string} name - Raw name
+     * @returns {string} Normalized name, possibly empty
+     */
+    normalizeName(name) {
+        return String(name || '').trim().slice(0, CONFIG.LISTS.MAX_NAME_LENGTH);
+    }
+
+    /**
+     * Mark a list as changed and persist all lists
+     * @param {Object} list - Changed list
+     */
+    touch(list) {
+        list.updatedAt = Date.now();
+        this.save();
+    }
+
+    /**
+     * Write the lists to storage
+     */
+    save() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(CONFIG.STORAGE.LISTS_KEY, JSON.stringify(this.lists));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save user lists', error);
+        }
+    }
+}
+
+
+/**
+ * Snapshot Service following Single Responsibility Principle
+ * Saves batch results as snapshots and compares a later run against them
+ */
+
+
+/**
+ * Profile fields kept in a snapshot and compared between runs, in display order
+ */
+const SNAPSHOT_FIELDS = [
+    { key: 'name', label: 'Name' },
+    { key: 'company', label: 'Company' },
+    { key: 'location', label: 'Location' },
+    { key: 'bio', label: 'Bio' },
+    { key: 'avatar_url', label: 'Avatar' },
+    { key: 'followers', label: 'Followers' }
+];
+
+/**
+ * Kinds of difference between a snapshot and a new run
+ */
+const DIFF_STATUSES = {
+    changed: { label: 'Changed' },
+    not_found: { label: 'Now not found' },
+    new: { label: 'New' },
+    removed: { label: 'Not in this run' }
+};
+
+class SnapshotService {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.snapshots = [];
+        this.logger = new Logger('Snapshots');
+    }
+
+    /**
+     * Load snapshots from storage
+     * @returns {Object[]} Snapshots, newest first
+     */
+    load() {
+        try {
+            const saved = this.storage && this.storage.getItem(CONFIG.STORAGE.SNAPSHOTS_KEY);
+            const snapshots = saved ? JSON.parse(saved) : [];
+            this.snapshots = Array.isArray(snapshots)
+                ? snapshots.filter(snapshot => snapshot && typeof snapshot.id === 'string' &&
+                    snapshot.users && typeof snapshot.users === 'object')
+                : [];
+        } catch (error) {
+            this.logger.warn('Failed to load snapshots from storage', error);
+            this.snapshots = [];
+        }
+        return this.getSnapshots();
+    }
+
+    /**
+     * Get all snapshots
+     * @returns {Object[]} Snapshots, newest first
+     */
+    getSnapshots() {
+        return [...this.snapshots].sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Get one snapshot
+     * @param {string} id - Snapshot id
+     * @returns {Object|null} Snapshot, or null if it was deleted
+     */
+    get(id) {
+        return this.snapshots.find(snapshot => snapshot.id === id) || null;
+    }
+
+    /**
+     * Save results as a snapshot; users that could not be fetched for other reasons are left out
+     * @param {string} name - Snapshot name
+     * @param {Object[]} results - Batch results
+     * @returns {Object|null} The snapshot, or null if it could not be stored
+     */
+    create(name, results) {
+        const users = {};
+        for (const result of results) {
+            const key = this.getKey(result);
+            if (!key) continue;
+
+            if (result.success) {
+                users[key] = this.pickFields(result.data);
+            } else if (result.code === ERROR_CODES.NOT_FOUND) {
+                users[key] = null;
+            }
+        }
+
+        const savedAt = Date.now();
+        const snapshot = {
+            id: IdGenerator.create(savedAt),
+            name: String(name || '').trim().slice(0, CONFIG.SNAPSHOTS.MAX_NAME_LENGTH) ||
+                `Snapshot of ${Object.keys(users).length} users`,
+            savedAt,
+            users
+        };
+
+        const previous = this.snapshots;
+        this.snapshots = [...previous, snapshot];
+        this.prune();
+        if (!this.save()) {
+            this.snapshots = previous;
+            return null;
+        }
+
+        this.logger.info(`Saved snapshot "${snapshot.name}" with ${Object.keys(users).length} users`);
+        return snapshot;
+    }
+
+    /**
+     * Get the account id a username had in the newest snapshot that found it
+     * @param {string} username - GitHub username
+     * @returns {number|null} Account id, or null if no snapshot has it
+     */
+    getUserId(username) {
+        const key = username.toLowerCase();
+        const snapshot = this.getSnapshots().find(candidate => candidate.users[key]?.id != null);
+        return snapshot ? snapshot.users[key].id : null;
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot id
+     */
+    remove(id) {
+        this.snapshots = this.snapshots.filter(snapshot => snapshot.id !== id);
+        this.save();
+    }
+
+    /**
+     * Compare results with a snapshot
+     * @param {Object} snapshot - Saved snapshot
+     * @param {Object[]} results - Batch results of the new run
+     * @returns {Object} {entries: [{key, login, status, changes: [{field, label, before, after}]}],
+     *          counts by status, unchanged, skipped (failures other than not found)}
+     */
+    compare(snapshot, results) {
+        const entries = [];
+        const seen = new Set();
+        let unchanged = 0;
+        let skipped = 0;
+
+        for (const result of results) {
+            const key = this.getKey(result);
+            if (!key) continue;
+            seen.add(key);
+
+            const hadEntry = Object.hasOwn(snapshot.users, key);
+            const before = hadEntry ? snapshot.users[key] : null;
+
+            if (!result.success) {
+                if (result.code !== ERROR_CODES.NOT_FOUND) {
+                    skipped++;
+                } else if (before) {
+                    entries.push({ key, login: before.login || key, status: 'not_found', changes: [] });
+                } else {
+                    unchanged++;
+                }
+                continue;
+            }
+
+            if (!before) {
+                entries.push({ key, login: result.data.login, status: 'new', changes: [] });
+                continue;
+            }
+
+            const after = this.pickFields(result.data);
+            const changes = [];
+
+            // A renamed account followed by id keeps the key of its old login, so the rename is a change of its own
+            if (before.login && before.login !== after.login) {
+                changes.push({ field: 'login', label: 'Login', before: before.login, after: after.login });
+            }
+
+            changes.push(...SNAPSHOT_FIELDS
+                .filter(field => (before[field.key] ?? null) !== (after[field.key] ?? null))
+                .map(field => ({
+                    field: field.key,
+                    label: field.label,
+                    before: before[field.key] ?? null,
+                    after: after[field.key] ?? null
+                })));
+
+            if (changes.length > 0) {
+                entries.push({ key, login: result.data.login, status: 'changed', changes });
+            } else {
+                unchanged++;
+            }
+        }
+
+        for (const [key, user] of Object.entries(snapshot.users)) {
+            if (!seen.has(key) && user) {
+                entries.push({ key, login: user.login || key, status: 'removed', changes: [] });
+            }
+        }
+
+        const counts = Object.fromEntries(Object.keys(DIFF_STATUSES).map(status =>
+            [status, entries.filter(entry => entry.status === status).length]
+        ));
+
+        return { snapshotId: snapshot.id, entries, counts, unchanged, skipped };
+    }
+
+    /**
+     * Flatten a diff into export rows, one per changed field
+     * @param {Object} diff - Result of compare()
+     * @returns {Object[]} Rows with login, status, field, before and after
+     */
+    toRows(diff) {
+        return diff.entries.flatMap(entry => {
+            if (entry.changes.length === 0) {
+                return [{ login: entry.login, status: entry.status, field: null, before: null, after: null }];
+            }
+            return entry.changes.map(change => ({
+                login: entry.login,
+                status: entry.status,
+                field: change.field,
+                before: change.before,
+                after: change.after
+            }));
+        });
+    }
+
+    /**
+     * Get the key that matches a result across runs
+     * @param {Object} result - Batch result
+     * @returns {string} Lowercase requested username, or an empty string
+     */
+    getKey(result) {
+        const username = result.requestedUsername || result.username || (result.data && result.data.login) || '';
+        return username.toLowerCase();
+    }
+
+    /**
+     * Keep only the compared profile fields
+     * @param {Object} user - GitHub user data
+     * @returns {Object} Login, id and SNAPSHOT_FIELDS values
+     */
+    pickFields(user) {
+        const fields = { login: user.login, id: user.id ?? null };
+        for (const field of SNAPSHOT_FIELDS) {
+            fields[field.key] = user[field.key] ?? null;
+        }
+        return fields;
+    }
+
+    /**
+     * Drop the oldest snapshots beyond CONFIG.SNAPSHOTS.MAX_SNAPSHOTS
+     */
+    prune() {
+        this.snapshots = this.getSnapshots().slice(0, CONFIG.SNAPSHOTS.MAX_SNAPSHOTS);
+    }
+
+    /**
+     * Write snapshots to storage
+     * @returns {boolean} False if storage is unavailable or full
+     */
+    save() {
+        try {
+            if (!this.storage) return false;
+            this.storage.setItem(CONFIG.STORAGE.SNAPSHOTS_KEY, JSON.stringify(this.snapshots));
+            return true;
+        } catch (error) {
+            this.logger.warn('Failed to save snapshots', error);
+            return false;
+        }
+    }
+}
+
+
+/**
+ * Reverse Lookup Service following Single Responsibility Principle
+ * Proposes candidate GitHub accounts for email addresses and full names via the search users API
+ */
+
+
+class ReverseLookupService {
+    /**
+     * @param {GitHubApiService} apiService - API service used for the searches
+     * @param {CredentialsService} credentials - Source of the optional GitHub token, which raises the search limit
+     */
+    constructor(apiService, credentials) {
+        this.apiService = apiService;
+        this.credentials = credentials;
+        this.logger = new Logger('ReverseLookup');
+    }
+
+    /**
+     * Look up candidate accounts for each entry, one search at a time within the search rate limit
+     * @param {{term: string, type: string}[]} entries - Entries from IdentityParser
+     * @param {Object} [options] - Lookup options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the lookup
+     * @param {Function} [options.onLookup] - Called with (lookup, index) as each entry finishes
+     * @param {Function} [options.onRateLimit] - Called with the resume timestamp before waiting for the search limit
+     * @returns {Promise<Object[]>} Lookups ({term, type, candidates, total, error}) for the entries finished
+     *          before any cancellation, in input order
+     */
+    async findCandidates(entries, { signal, onLookup, onRateLimit } = {}) {
+        const perMinute = this.credentials.hasToken()
+            ? CONFIG.REVERSE_LOOKUP.AUTHENTICATED_REQUESTS_PER_MINUTE
+            : CONFIG.REVERSE_LOOKUP.REQUESTS_PER_MINUTE;
+        const bucket = new TokenBucket(perMinute / 60, perMinute);
+        const lookups = [];
+
+        for (const [index, entry] of entries.entries()) {
+            const lookup = await this.lookupEntry(entry, bucket, signal, onRateLimit);
+            if (!lookup) break;
+
+            lookups.push(lookup);
+            if (onLookup) onLookup(lookup, index);
+        }
+
+        this.logger.info(`Looked up ${lookups.length} of ${entries.length} entries`);
+        return lookups;
+    }
+
+    /**
+     * Run the queries of one entry until one of them has matches
+     * @param {{term: string, type: string}} entry - Email or name entry
+     * @param {TokenBucket} bucket - Throttle shared by the whole lookup
+     * @param {AbortSignal} [signal] - Signal used to cancel the lookup
+     * @param {Function} [onRateLimit] - Called with the resume timestamp before waiting for the search limit
+     * @returns {Promise<Object|null>} Lookup, or null if cancelled
+     */
+    async lookupEntry(entry, bucket, signal, onRateLimit) {
+        const lookup = { ...entry, candidates: [], total: 0, error: null };
+
+        for (const query of this.buildQueries(entry)) {
+            let result;
+            do {
+                if (!(await bucket.take(signal))) return null;
+                result = await this.apiService.searchUsers(query, { signal });
+
+                if (result.rateLimited) {
+                    if (onRateLimit) onRateLimit(result.resetAt);
+                    await this.apiService.delay(Math.max(0, result.resetAt - Date.now()), signal);
+                }
+                if (signal?.aborted || result.cancelled) return null;
+            } while (result.rateLimited);
+
+            if (!result.success) {
+                lookup.error = result.error;
+                return lookup;
+            }
+
+            if (result.data.items.length > 0) {
+                lookup.candidates = result.data.items;
+                lookup.total = result.data.total;
+                return lookup;
+            }
+        }
+
+        return lookup;
+    }
+
+    /**
+     * Build the search queries for an entry, most precise first
+     * Names are matched as the full profile name, then anywhere in the name
+     * @param {{term: string, type: string}} entry - Email or name entry
+     * @returns {string[]} Search queries
+     */
+    buildQueries(entry) {
+        if (entry.type === 'email') {
+            return [`${entry.term} in:email`];
+        }
+        return [`fullname:"${entry.term}"`, `${entry.term} in:name`];
+    }
+}
+
+
+/**
+ * Progress Bar Component following Single Responsibility Principle
+ * Handles progress visualization and user feedback
+ */
+
+
+class ProgressBar {
+    constructor(container) {
+        this.container = container;
+        this.element = null;
+        this.isCancelling = false;
+        this.isPaused = false;
+        this.processed = 0;
+        this.total = 0;
+        this.countdownTimer = null;
+        this.logger = new Logger('ProgressBar');
+    }
+
+    /**
+     * Show progress bar with initial state
+     * @param {number} totalUsers - Total number of users to process
+     * @param {Function} [onCancel] - Cancel callback; renders a Cancel button when provided
+     * @param {Function} [onTogglePause] - Pause/resume callback; renders a Pause button when provided
+     * @param {number} [processed] - Users already processed (when resuming a saved search)
+     */
+    show(totalUsers, onCancel = null, onTogglePause = null, processed = 0) {
+        this.processed = processed;
+        this.total = totalUsers;
+        const percentage = Math.round((processed / totalUsers) * 100);
+        this.element = document.createElement('div');
+        this.element.className = 'progress';
+        this.element.innerHTML = `
+            <div class="progress__text">Processing ${processed} of ${totalUsers} users...</div>
+            <div class="progress__container">
+                <div class="progress__bar progress__bar--${percentage}">${percentage}%</div>
+            </div>
+            <div class="progress__warning"></div>
+        `;
+
+        if (onTogglePause) {
+            this.element.appendChild(DomHelpers.createButton('Pause', 'progress__pause', () => onTogglePause()));
+        }
+
+        if (onCancel) {
+            const cancelButton = DomHelpers.createButton('Cancel', 'progress__cancel', () => onCancel());
+            cancelButton.title = 'Cancel search (Esc)';
+            this.element.appendChild(cancelButton);
+        }
+
+        this.container.appendChild(this.element);
+        this.logger.debug(`Progress bar shown for ${totalUsers} users`);
+    }
+
+    /**
+     * Update progress bar with current status
+     * @param {number} processed - Number of processed users
+     * @param {number} total - Total number of users
+     * @param {Object} [stats] - Batch statistics
+     * @param {number} [stats.throughput] - Users processed per second
+     */
+    update(processed, total, stats = {}) {
+        if (!this.element) return;
+
+        this.processed = processed;
+        this.total = total;
+        const percentage = Math.round((processed / total) * 100);
+        const textElement = this.element.querySelector('.progress__text');
+        const barElement = this.element.querySelector('.progress__bar');
+
+        if (textElement && !this.isCancelling) {
+            // Requests in flight when pausing still complete, so the paused count can grow
+            const rate = stats.throughput ? ` (${stats.throughput.toFixed(1)} users/s)` : '';
+            textElement.textContent = this.isPaused
+                ? this._getPausedText()
+                : `Processing ${processed} of ${total} users...${rate}`;
+        }
+
+        if (barElement) {
+            barElement.className = `progress__bar progress__bar--${percentage}`;
+            barElement.textContent = `${percentage}%`;
+        }
+
+        this.logger.debug(`Progress updated: ${processed}/${total} (${percentage}%)`);
+    }
+
+    /**
+     * Show a countdown while the batch waits for the rate limit to reset
+     * @param {number} resumeAt - Timestamp (ms) when processing resumes
+     */
+    showRateLimitCountdown(resumeAt) {
+        if (!this.element) return;
+
+        const warningElement = this.element.querySelector('.progress__warning');
+        if (!warningElement) return;
+
+        this.clearRateLimitCountdown();
+
+        const tick = () => {
+            const secondsLeft = Math.ceil((resumeAt - Date.now()) / 1000);
+            if (secondsLeft <= 0) {
+                this.clearRateLimitCountdown();
+                return;
+            }
+            warningElement.textContent = `Rate limit reached. Resuming in ${this._formatDuration(secondsLeft)}...`;
+        };
+
+        warningElement.className = 'progress__warning progress__warning--visible';
+        tick();
+        this.countdownTimer = setInterval(tick, 1000);
+        this.logger.debug(`Rate limit countdown shown until ${new Date(resumeAt).toISOString()}`);
+    }
+
+    /**
+     * Stop and hide the rate limit countdown
+     */
+    clearRateLimitCountdown() {
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+
+        const warningElement = this.element && this.element.querySelector('.progress__warning');
+        if (warningElement) {
+            warningElement.className = 'progress__warning';
+            warningElement.textContent = '';
+        }
+    }
+
+    /**
+     * Reflect whether the batch is paused
+     * @param {boolean} paused - True when paused
+     */
+    setPaused(paused) {
+        if (!this.element) return;
+
+        this.isPaused = paused;
+        const textElement = this.element.querySelector('.progress__text');
+        const pauseButton = this.element.querySelector('.progress__pause');
+
+        if (pauseButton) {
+            pauseButton.textContent = paused ? 'Resume' : 'Pause';
+        }
+
+        if (textElement && !this.isCancelling) {
+            textElement.textContent = paused
+                ? this._getPausedText()
+                : `Processing ${this.processed} of ${this.total} users...`;
+        }
+
+        this.logger.debug(`Progress bar ${paused ? 'paused' : 'resumed'}`);
+    }
+
+    /**
+     * Get the status text shown while paused
+     * @private
+     * @returns {string} Status text
+     */
+    _getPausedText() {
+        return `Paused after ${this.processed} of ${this.total} users. Progress is saved, so you can resume after reloading the page.`;
+    }
+
+    /**
+     * Reflect that cancellation was requested while pending requests settle
+     */
+    markCancelling() {
+        if (!this.element) return;
+
+        this.isCancelling = true;
+        this.clearRateLimitCountdown();
+        const textElement = this.element.querySelector('.progress__text');
+        const cancelButton = this.element.querySelector('.progress__cancel');
+        const pauseButton = this.element.querySelector('.progress__pause');
+
+        if (textElement) {
+            textElement.textContent = 'Cancelling search...';
+        }
+
+        if (cancelButton) {
+            cancelButton.disabled = true;
+        }
+
+        if (pauseButton) {
+            pauseButton.disabled = true;
+        }
+
+        this.logger.debug('Progress bar marked as cancelling');
+    }
+
+    /**
+     * Hide and remove progress bar
+     */
+    hide() {
+        this.clearRateLimitCountdown();
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+            this.element = null;
+            this.logger.debug('Progress bar hidden');
+        }
+    }
+
+    /**
+     * Check if progress bar is currently visible
+     * @returns {boolean} True if visible
+     */
+    isVisible() {
+        return this.element !== null;
+    }
+
+    /**
+     * Format a number of seconds as a short duration
+     * @private
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Duration such as "42s" or "12m 05s"
+     */
+    _formatDuration(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        const remainder = String(seconds % 60).padStart(2, '0');
+        return `${minutes}m ${remainder}s`;
+    }
+}
+
+
+/**
+ * User Card Component following Single Responsibility Principle
+ * Handles rendering and management of individual user display cards
+ */
+
+
+class UserCard {
+    /**
+     * @param {Object} userData - User result
+     * @param {HTMLElement} container - Container element
+     * @param {Object} [options] - Card options
+     * @param {Function} [options.onSaveToList] - Called with ({login, id}, cardElement) from the "Save to list" button
+     * @param {Function} [options.onUpdateLists] - Called with the result of a renamed user from the "Update lists"
+     *        button; returns the number of lists updated
+     */
+    constructor(userData, container, { onSaveToList = null, onUpdateLists = null } = {}) {
+        this.userData = userData;
+        this.container = container;
+        this.onSaveToList = onSaveToList;
+        this.onUpdateLists = onUpdateLists;
+        this.highlight = null;
+        this.element = null;
+        this.logger = new Logger('UserCard');
+    }
+
+    /**
+     * Render the user card and append to container
+     * @returns {HTMLElement} The created card element
+     */
+    render() {
+        this.element = this._createElement();
+        this.container.appendChild(this.element);
+        
+        this.logger.debug('User card rendered', { 
+            username: this.userData.username,
+            success: this.userData.success 
+        });
+
+        return this.element;
+    }
+
+    /**
+     * Remove the card from DOM
+     */
+    remove() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+            this.logger.debug('User card removed', { username: this.userData.username });
+        }
+    }
+
+    /**
+     * Update card with new data, keeping its position in the DOM
+     * @param {Object} newData - Updated user data
+     * @param {Object} [options] - Card options for the new data
+     * @param {Function|null} [options.onUpdateLists] - Replaces the "Update lists" handler; null removes the button
+     */
+    update(newData, { onUpdateLists = this.onUpdateLists } = {}) {
+        this.userData = newData;
+        this.onUpdateLists = onUpdateLists;
+        if (!this.element) return;
+
+        const previous = this.element;
+        this.element = this._createElement();
+        if (previous.parentNode) {
+            previous.parentNode.replaceChild(this.element, previous);
+        }
+
+        this.logger.debug('User card updated', {
+            username: this.userData.username,
+            success: this.userData.success
+        });
+    }
+
+    /**
+     * Mark the card as different from a compared snapshot, or clear the mark
+     * @param {Object|null} highlight - {status, label}, e.g. {status: 'changed', label: 'Changed'}
+     */
+    setHighlight(highlight) {
+        this.highlight = highlight;
+        if (this.element) {
+            this._applyHighlight(this.element);
+        }
+    }
+
+    /**
+     * Apply the snapshot highlight to a card element
+     * @private
+     * @param {HTMLElement} card - Card element
+     */
+    _applyHighlight(card) {
+        [...card.classList]
+            .filter(className => className.startsWith('user-card--diff-'))
+            .forEach(className => card.classList.remove(className));
+        const badge = card.querySelector(':scope > .user-card__diff');
+        if (badge) badge.remove();
+
+        if (!this.highlight) return;
+
+        card.classList.add(`user-card--diff-${this.highlight.status.replace(/_/g, '-')}`);
+        const newBadge = document.createElement('span');
+        newBadge.className = 'user-card__diff';
+        newBadge.textContent = this.highlight.label;
+        card.insertBefore(newBadge, card.firstChild);
+    }
+
+    /**
+     * Create the card DOM element
+     * @private
+     * @returns {HTMLElement} Card element
+     */
+    _createElement() {
+        if (!this.userData.success) {
+            const card = document.createElement('div');
+            card.className = `user-card user-card--error ${this._getErrorModifier()}`.trim();
             card.innerHTML = this._createErrorContent();
+            this._applyHighlight(card);
+            return card;
+        } else {
+            // The card holds its own links, so only the header links to the profile
+            const card = document.createElement('div');
+            card.className = 'user-card user-card--detailed';
+            card.innerHTML = this._createSuccessContent();
+            if (this.userData.renamedFrom) {
+                card.querySelector('.user-card__link').after(this._createRenameNotice());
+            }
+            if (this.onSaveToList) {
+                card.appendChild(this._createSaveButton(card));
+            }
+            this._applyHighlight(card);
             return card;
+        }
+    }
+
+    /**
+     * Create content for successful user data
+     * @private
+     * @returns {string} HTML content
+     */
+    _createSuccessContent() {
+        const user = this.userData.data || this.userData;
+        
+        const avatarUrl = this._getValidAvatarUrl(user.avatar_url);
+        const displayName = SecurityValidator.truncateText(
+            user.name || user.login || 'Unknown User',
+            CONFIG.UI.MAX_DISPLAY_NAME_LENGTH
+        );
+        const username = SecurityValidator.sanitizeText(user.login || 'unknown');
+        const displayBio = SecurityValidator.truncateText(
+            user.bio || 'No description available.',
+            CONFIG.UI.MAX_DISPLAY_BIO_LENGTH
+        );
+
+        return `
+            <a class="user-card__link"
+               href="${this._getGitHubProfileUrl()}"
+               target="_blank"
+               rel="noopener noreferrer">
+                <img class="user-card__avatar" 
+                     src="${avatarUrl}" 
+                     alt="${SecurityValidator.sanitizeText(user.login || 'User')}'s avatar"
+                     loading="lazy">
+                <div class="user-card__info">
+                    <h3 class="user-card__name">${SecurityValidator.sanitizeText(displayName)}</h3>
+                    <p class="user-card__username">@${username}</p>
+                    <p class="user-card__bio">${SecurityValidator.sanitizeText(displayBio)}</p>
+                </div>
+            </a>
+            ${this._createStatsContent(user, this.userData.repositories)}
+            ${this._createActivityContent(this.userData.activity)}
+            ${this._createOrgsContent(this.userData.organizations)}
+            ${this._createDetailsContent(user, this.userData.repositories)}
+        `;
+    }
+
+    /**
+     * Create the "Save to list" button
+     * @private
+     * @param {HTMLElement} card - Card element passed to the callback
+     * @returns {HTMLButtonElement} Button
+     */
+    _createSaveButton(card) {
+        const user = this.userData.data || this.userData;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'user-card__save';
+        button.textContent = 'Save to list';
+        button.addEventListener('click', () => this.onSaveToList({ login: user.login, id: user.id ?? null }, card));
+        return button;
+    }
+
+    /**
+     * Create the notice shown for a user found under a new login, with the "Update lists" action
+     * @private
+     * @returns {HTMLElement} Notice element
+     */
+    _createRenameNotice() {
+        const user = this.userData.data || this.userData;
+        const notice = document.createElement('div');
+        notice.className = 'user-card__renamed';
+
+        const text = document.createElement('span');
+        text.className = 'user-card__renamed-text';
+        text.textContent = `Renamed from @${this.userData.renamedFrom} to @${user.login}`;
+        notice.appendChild(text);
+
+        if (this.onUpdateLists) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'user-card__update-lists';
+            button.textContent = 'Update lists';
+            button.addEventListener('click', () => {
+                const updated = this.onUpdateLists(this.userData);
+                const done = document.createElement('span');
+                done.className = 'user-card__renamed-text';
+                done.textContent = `Updated ${updated} ${updated === 1 ? 'list' : 'lists'}`;
+                button.replaceWith(done);
+            });
+            notice.appendChild(button);
+        }
+
+        return notice;
+    }
+
+    /**
+     * Create the compact followers / following / repositories row
+     * @private
+     * @param {Object} user - GitHub user data
+     * @param {Object} [repositories] - Repository summary, when fetched
+     * @returns {string} HTML content
+     */
+    _createStatsContent(user, repositories) {
+        const stats = [
+            { label: 'followers', value: user.followers },
+            { label: 'following', value: user.following },
+            { label: 'repos', value: user.public_repos },
+            { label: 'stars', value: repositories?.totalStars }
+        ];
+
+        const items = stats
+            .filter(stat => Number.isFinite(stat.value))
+            .map(stat => `
+                <li class="user-card__stat" title="${stat.value.toLocaleString()} ${stat.label}">
+                    <span class="user-card__stat-value">${this._formatCount(stat.value)}</span>
+                    ${stat.label}
+                </li>
+            `)
+            .join('');
+
+        const language = repositories?.primaryLanguage
+            ? `<li class="user-card__stat user-card__stat--language">${SecurityValidator.sanitizeText(repositories.primaryLanguage)}</li>`
+            : '';
+
+        return items || language ? `<ul class="user-card__stats">${items}${language}</ul>` : '';
+    }
+
+    /**
+     * Create the activity indicator from the last public event
+     * @private
+     * @param {Object} [activity] - Activity summary ({lastActive, level} or {error})
+     * @returns {string} HTML content, empty if no lookup ran
+     */
+    _createActivityContent(activity) {
+        if (!activity) return '';
+
+        if (activity.error) {
+            return `<p class="user-card__activity user-card__activity--unknown">Activity unavailable: ${SecurityValidator.sanitizeText(activity.error)}</p>`;
+        }
+
+        const text = activity.lastActive
+            ? `Last active ${this._formatRelativeDate(activity.lastActive)}`
+            : 'No public activity found';
+        const title = activity.lastActive ? ` title="${SecurityValidator.sanitizeText(this._formatDate(activity.lastActive))}"` : '';
+
+        return `<p class="user-card__activity user-card__activity--${activity.level}"${title}>${SecurityValidator.sanitizeText(text)}</p>`;
+    }
+
+    /**
+     * Describe activity counts, e.g. "12 pushes, 1 pull request"
+     * @private
+     * @param {Object} counts - Counts of pushes, pullRequests, issues and reviews
+     * @returns {string} Description
+     */
+    _formatActivityCounts(counts) {
+        const parts = [
+            [counts.pushes, 'push', 'pushes'],
+            [counts.pullRequests, 'pull request', 'pull requests'],
+            [counts.issues, 'issue', 'issues'],
+            [counts.reviews, 'review', 'reviews']
+        ].map(([count, singular, plural]) => `${count} ${count === 1 ? singular : plural}`);
+
+        return parts.join(', ');
+    }
+
+    /**
+     * Format a timestamp relative to now (e.g. "3 days ago")
+     * @private
+     * @param {string} timestamp - ISO 8601 timestamp
+     * @returns {string} Relative time
+     */
+    _formatRelativeDate(timestamp) {
+        const days = Math.floor((Date.now() - Date.parse(timestamp)) / (24 * 60 * 60 * 1000));
+        const format = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+        if (days < 30) return format.format(-Math.max(days, 0), 'day');
+        if (days < 365) return format.format(-Math.floor(days / 30), 'month');
+        return format.format(-Math.floor(days / 365), 'year');
+    }
+
+    /**
+     * Create the organization badges and membership status
+     * @private
+     * @param {Object} [organizations] - Organization lookup result ({orgs, org, member} or {error})
+     * @returns {string} HTML content, empty if no lookup ran
+     */
+    _createOrgsContent(organizations) {
+        if (!organizations) return '';
+
+        if (organizations.error) {
+            return `<p class="user-card__orgs-note">Organizations unavailable: ${SecurityValidator.sanitizeText(organizations.error)}</p>`;
+        }
+
+        let membership = '';
+        if (organizations.org) {
+            const org = SecurityValidator.sanitizeText(organizations.org);
+            const status = organizations.member === true
+                ? { modifier: 'member', text: `Member of ${org}` }
+                : organizations.member === false
+                    ? { modifier: 'non-member', text: `Not a member of ${org}` }
+                    : { modifier: 'unknown', text: `Membership in ${org} unknown` };
+            membership = `<span class="user-card__membership user-card__membership--${status.modifier}">${status.text}</span>`;
+        }
+
+        const badges = organizations.orgs.map(org => {
+            const login = SecurityValidator.sanitizeText(org.login);
+            const avatar = SecurityValidator.isValidGitHubImageUrl(org.avatar_url)
+                ? `<img class="user-card__org-avatar" src="${SecurityValidator.sanitizeText(org.avatar_url)}" alt="" loading="lazy">`
+                : '';
+            return `
+                <li>
+                    <a class="user-card__org" href="https://github.com/${login}" target="_blank" rel="noopener noreferrer" title="${login}">
+                        ${avatar}${login}
+                    </a>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="user-card__orgs">
+                ${membership}
+                ${badges ? `<ul class="user-card__org-list">${badges}</ul>` : '<span class="user-card__orgs-note">No public organizations</span>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Create the expandable panel with the remaining profile fields
+     * @private
+     * @param {Object} user - GitHub user data
+     * @param {Object} [repositories] - Repository summary, when fetched
+     * @returns {string} HTML content, empty if the profile has no extra fields
+     */
+    _createDetailsContent(user, repositories) {
+        const rows = [];
+        const addRow = (label, valueHtml) => {
+            if (valueHtml) rows.push(`<dt>${label}</dt><dd>${valueHtml}</dd>`);
+        };
+
+        if (user.bio && user.bio.length > CONFIG.UI.MAX_DISPLAY_BIO_LENGTH) {
+            addRow('Bio', SecurityValidator.sanitizeText(user.bio));
+        }
+        addRow('Company', SecurityValidator.sanitizeText(user.company || ''));
+        addRow('Location', SecurityValidator.sanitizeText(user.location || ''));
+        addRow('Website', this._createExternalLink(
+            SecurityValidator.getSafeExternalUrl(user.blog),
+            user.blog
+        ));
+        if (SecurityValidator.validateTwitterUsername(user.twitter_username)) {
+            addRow('Twitter', this._createExternalLink(
+                `https://twitter.com/${user.twitter_username}`,
+                `@${user.twitter_username}`
+            ));
+        }
+        if (user.hireable) {
+            addRow('Hireable', 'Yes');
+        }
+        addRow('Joined', SecurityValidator.sanitizeText(this._formatDate(user.created_at)));
+
+        const activity = this.userData.activity;
+        if (activity && !activity.error) {
+            addRow(`Activity (${CONFIG.ACTIVITY.WINDOW_DAYS} days)`, this._formatActivityCounts(activity.counts));
+        }
+
+        if (repositories?.error) {
+            addRow('Repositories', `Unavailable: ${SecurityValidator.sanitizeText(repositories.error)}`);
+        } else if (repositories) {
+            addRow('Languages', this._createLanguagesContent(repositories));
+            addRow('Top repos', this._createTopReposContent(repositories.topRepos));
+        }
+
+        if (rows.length === 0) return '';
+
+        return `
+            <details class="user-card__details">
+                <summary class="user-card__details-toggle">More details</summary>
+                <dl class="user-card__fields">${rows.join('')}</dl>
+            </details>
+        `;
+    }
+
+    /**
+     * Create the language breakdown, by share of repositories
+     * @private
+     * @param {Object} repositories - Repository summary
+     * @returns {string} HTML content, empty if no repository has a language
+     */
+    _createLanguagesContent(repositories) {
+        const shown = repositories.languages.slice(0, CONFIG.REPOS.TOP_LANGUAGES);
+        if (shown.length === 0) return '';
+
+        const items = shown
+            .map(({ language, share }) => `
+                <li class="user-card__language">
+                    ${SecurityValidator.sanitizeText(language)}
+                    <span class="user-card__language-share">${Math.round(share * 100)}%</span>
+                </li>
+            `)
+            .join('');
+        const note = repositories.complete ? '' : `<small>Based on the ${repositories.count} most recently pushed repositories</small>`;
+
+        return `<ul class="user-card__languages">${items}</ul>${note}`;
+    }
+
+    /**
+     * Create the list of most starred repositories
+     * @private
+     * @param {Object[]} topRepos - Repositories sorted by stars
+     * @returns {string} HTML content, empty if the user has no repositories
+     */
+    _createTopReposContent(topRepos) {
+        const items = topRepos
+            .filter(repo => this._isGitHubUrl(repo.html_url))
+            .map(repo => `
+                <li class="user-card__repo">
+                    ${this._createExternalLink(repo.html_url, repo.name)}
+                    <span class="user-card__repo-stars" title="${(repo.stargazers_count || 0).toLocaleString()} stars">★ ${this._formatCount(repo.stargazers_count || 0)}</span>
+                    ${repo.description ? `<span class="user-card__repo-description">${SecurityValidator.sanitizeText(SecurityValidator.truncateText(repo.description, CONFIG.UI.MAX_DISPLAY_NAME_LENGTH * 2))}</span>` : ''}
+                </li>
+            `)
+            .join('');
+
+        return items ? `<ol class="user-card__repos">${items}</ol>` : '';
+    }
+
+    /**
+     * Check whether a URL points to github.com over https
+     * @private
+     * @param {string} url - URL to check
+     * @returns {boolean} True if it is a github.com URL
+     */
+    _isGitHubUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            return urlObj.protocol === 'https:' && urlObj.hostname === 'github.com';
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Create a link that opens outside the app without leaking the opener
+     * @private
+     * @param {string|null} url - Validated absolute URL
+     * @param {string} text - Link text
+     * @returns {string} HTML content, empty if the URL is missing
+     */
+    _createExternalLink(url, text) {
+        if (!url) return '';
+        const label = SecurityValidator.truncateText(text, CONFIG.UI.MAX_DISPLAY_NAME_LENGTH);
+        return `<a class="user-card__external-link" href="${SecurityValidator.sanitizeText(url)}" target="_blank" rel="noopener noreferrer nofollow">${SecurityValidator.sanitizeText(label)}</a>`;
+    }
+
+    /**
+     * Format a count compactly (e.g. 1.2k)
+     * @private
+     * @param {number} value - Count
+     * @returns {string} Formatted count
+     */
+    _formatCount(value) {
+        return new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+    }
+
+    /**
+     * Format an ISO timestamp as a readable date
+     * @private
+     * @param {string} timestamp - ISO 8601 timestamp
+     * @returns {string} Formatted date, or an empty string if invalid
+     */
+    _formatDate(timestamp) {
+        const date = new Date(timestamp);
+        if (!timestamp || Number.isNaN(date.getTime())) return '';
+        return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Create content for error state
+     * @private
+     * @returns {string} HTML content
+     */
+    _createErrorContent() {
+        const errorMessage = this.userData.error || 'Unknown error occurred';
+        const category = ErrorClassifier.describe(this.userData.code);
+        const attempts = this.userData.attempts > 1
+            ? `<br><small>Failed after ${this.userData.attempts} attempts</small>`
+            : '';
+        const guidance = category.guidance
+            ? `<p class="user-card__error-guidance">${SecurityValidator.sanitizeText(category.guidance)}</p>`
+            : '';
+        
+        return `
+            <div class="user-card__error">
+                <span class="user-card__error-category">${SecurityValidator.sanitizeText(category.label)}</span>
+                <br>
+                <strong>${SecurityValidator.sanitizeText(this.userData.username || 'Unknown')}</strong>
+                <br>
+                ${SecurityValidator.sanitizeText(errorMessage)}
+                ${attempts}
+                ${guidance}
+            </div>
+        `;
+    }
+
+    /**
+     * Get the modifier class for the error category, e.g. user-card--error-not-found
+     * @private
+     * @returns {string} Modifier class, or an empty string for uncategorized errors
+     */
+    _getErrorModifier() {
+        const code = this.userData.code;
+        if (!ErrorClassifier.isKnown(code)) return '';
+        return `user-card--error-${code.toLowerCase().replace(/_/g, '-')}`;
+    }
+
+    /**
+     * Get a valid avatar URL or fallback
+     * @private
+     * @param {string} avatarUrl - Original avatar URL
+     * @returns {string} Valid avatar URL or fallback
+     */
+    _getValidAvatarUrl(avatarUrl) {
+        if (avatarUrl && SecurityValidator.isValidGitHubImageUrl(avatarUrl)) {
+            return avatarUrl;
+        }
+
+        // Return a data URI for a placeholder image
+        return 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTAwIiBoZWlnaHQ9IjEwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwIiBoZWlnaHQ9IjEwMCIgZmlsbD0iIzMzMzMzMyIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTIiIGZpbGw9IndoaXRlIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBkeT0iLjNlbSI+Tm8gSW1hZ2U8L3RleHQ+PC9zdmc+';
+    }
+
+    /**
+     * Get the GitHub profile URL for the user
+     * @private
+     * @returns {string} GitHub profile URL
+     */
+    _getGitHubProfileUrl() {
+        const user = this.userData.data || this.userData;
+        const username = user.login || 'github';
+        return `https://github.com/${SecurityValidator.sanitizeText(username)}`;
+    }
+}
+
+/**
+ * User Card Factory for creating different types of cards
+ * Follows Factory Pattern for flexible card creation
+ */
+class UserCardFactory {
+    /**
+     * Create a user card based on data type
+     * @param {Object} userData - User data
+     * @param {HTMLElement} container - Container element
+     * @param {Object} [options] - Card options, see UserCard
+     * @returns {UserCard} User card instance
+     */
+    static create(userData, container, options = {}) {
+        return new UserCard(userData, container, options);
+    }
+
+    /**
+     * Create multiple cards from an array of user data
+     * @param {Object[]} usersData - Array of user data
+     * @param {HTMLElement} container - Container element
+     * @returns {UserCard[]} Array of user card instances
+     */
+    static createMultiple(usersData, container) {
+        return usersData.map(userData => 
+            UserCardFactory.create(userData, container)
+        );
+    }
+}
+
+
+/**
+ * Settings Dialog Component following Single Responsibility Principle
+ * Handles the API configuration dialog: token input, cache controls and optional lookups
+ */
+
+
+class SettingsDialog {
+    /**
+     * @param {HTMLDialogElement} dialog - Settings dialog element
+     * @param {CredentialsService} credentials - Token storage
+     * @param {GitHubApiService} apiService - API service exposing cache controls
+     * @param {OrgMembershipService} orgMembership - Organization lookup settings
+     * @param {RepoStatsService} repoStats - Repository lookup setting
+     * @param {ActivityService} activity - Activity lookup setting
+     */
+    constructor(dialog, credentials, apiService, orgMembership, repoStats, activity) {
+        this.dialog = dialog;
+        this.credentials = credentials;
+        this.apiService = apiService;
+        this.orgMembership = orgMembership;
+        this.repoStats = repoStats;
+        this.activity = activity;
+        this.logger = new Logger('SettingsDialog');
+
+        this.elements = {
+            closeButton: null,
+            tokenInput: null,
+            cacheStats: null,
+            clearCacheButton: null,
+            orgEnabledInput: null,
+            orgNameInput: null,
+            repoStatsInput: null,
+            activityInput: null
+        };
+    }
+
+    /**
+     * Find dialog elements, restore the saved token and lookup settings and bind events
+     */
+    initialize() {
+        if (!this.dialog) return;
+
+        this.elements.closeButton = this.dialog.querySelector('#close-settings');
+        this.elements.tokenInput = this.dialog.querySelector('#github-token');
+        this.elements.cacheStats = this.dialog.querySelector('#cache-stats');
+        this.elements.clearCacheButton = this.dialog.querySelector('#clear-cache');
+        this.elements.orgEnabledInput = this.dialog.querySelector('#org-lookup-enabled');
+        this.elements.orgNameInput = this.dialog.querySelector('#org-name');
+        this.elements.repoStatsInput = this.dialog.querySelector('#repo-stats-enabled');
+        this.elements.activityInput = this.dialog.querySelector('#activity-enabled');
+
+        const savedToken = this.credentials.load();
+        if (savedToken && this.elements.tokenInput) {
+            this.elements.tokenInput.value = savedToken;
+        }
+
+        const orgSettings = this.orgMembership.load();
+        if (this.elements.orgEnabledInput) {
+            this.elements.orgEnabledInput.checked = orgSettings.enabled;
+        }
+        if (this.elements.orgNameInput) {
+            this.elements.orgNameInput.value = orgSettings.org;
+        }
+
+        const repoStatsEnabled = this.repoStats.load();
+        if (this.elements.repoStatsInput) {
+            this.elements.repoStatsInput.checked = repoStatsEnabled;
+        }
+
+        const activityEnabled = this.activity.load();
+        if (this.elements.activityInput) {
+            this.elements.activityInput.checked = activityEnabled;
+        }
+
+        this._bindEvents();
+    }
+
+    /**
+     * Open the dialog
+     */
+    open() {
+        if (this.dialog) {
+            this.dialog.showModal();
+            this.refreshCacheStats();
+            this.logger.debug('Settings dialog opened');
+        }
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        if (this.dialog) {
+            this.dialog.close();
+            this.logger.debug('Settings dialog closed');
+        }
+    }
+
+    /**
+     * Display current cache statistics
+     */
+    async refreshCacheStats() {
+        if (!this.elements.cacheStats) return;
+
+        try {
+            const stats = await this.apiService.getCacheStats();
+            const storage = stats.storage === 'indexeddb' ? 'saved in this browser' : 'in memory only';
+            this.elements.cacheStats.textContent =
+                `${stats.entries} profiles cached (${storage}). ` +
+                `This session: ${stats.hits} hits, ${stats.revalidated} revalidated, ${stats.misses} fetched.`;
+        } catch (error) {
+            this.logger.warn('Failed to read cache statistics', error);
+            this.elements.cacheStats.textContent = 'Cache statistics unavailable.';
+        }
+    }
+
+    /**
+     * Bind dialog event listeners
+     * @private
+     */
+    _bindEvents() {
+        if (this.elements.closeButton) {
+            this.elements.closeButton.addEventListener('click', () => this.close());
+        }
+
+        // Clicking the backdrop closes the dialog
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) {
+                this.close();
+            }
+        });
+
+        if (this.elements.tokenInput) {
+            this.elements.tokenInput.addEventListener('input', () => {
+                this.credentials.setToken(this.elements.tokenInput.value);
+            });
+            this.elements.tokenInput.addEventListener('blur', () => this.credentials.save());
+        }
+
+        if (this.elements.clearCacheButton) {
+            this.elements.clearCacheButton.addEventListener('click', () => this._handleClearCache());
+        }
+
+        if (this.elements.orgEnabledInput) {
+            this.elements.orgEnabledInput.addEventListener('change', () => {
+                this.orgMembership.setSettings({ enabled: this.elements.orgEnabledInput.checked });
+            });
+        }
+
+        if (this.elements.orgNameInput) {
+            this.elements.orgNameInput.addEventListener('change', () => {
+                this.orgMembership.setSettings({ org: this.elements.orgNameInput.value });
+                // Show what was actually kept, e.g. without a leading @ or cleared if invalid
+                this.elements.orgNameInput.value = this.orgMembership.getSettings().org;
+            });
+        }
+
+        if (this.elements.repoStatsInput) {
+            this.elements.repoStatsInput.addEventListener('change', () => {
+                this.repoStats.setEnabled(this.elements.repoStatsInput.checked);
+            });
+        }
+
+        if (this.elements.activityInput) {
+            this.elements.activityInput.addEventListener('change', () => {
+                this.activity.setEnabled(this.elements.activityInput.checked);
+            });
+        }
+    }
+
+    /**
+     * Clear the profile cache
+     * @private
+     */
+    async _handleClearCache() {
+        this.elements.clearCacheButton.disabled = true;
+        try {
+            await this.apiService.clearCache();
+            this.logger.info('Profile cache cleared');
+        } catch (error) {
+            this.logger.warn('Failed to clear profile cache', error);
+        } finally {
+            this.elements.clearCacheButton.disabled = false;
+            await this.refreshCacheStats();
+        }
+    }
+}
+
+
+/**
+ * Export Toolbar Component following Single Responsibility Principle
+ * Renders CSV/JSON download buttons and the export column picker
+ */
+
+
+class ExportToolbar {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {ExportService} exportService - Service that formats and downloads results
+     * @param {Function} getResults - Returns the results to export
+     */
+    constructor(container, exportService, getResults) {
+        this.container = container;
+        this.exportService = exportService;
+        this.getResults = getResults;
+        this.element = null;
+        this.logger = new Logger('ExportToolbar');
+    }
+
+    /**
+     * Render the toolbar and append to container
+     * @returns {HTMLElement} The created toolbar element
+     */
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'export-toolbar';
+
+        this.element.appendChild(this._createButton('Export CSV', 'csv'));
+        this.element.appendChild(this._createButton('Export JSON', 'json'));
+        this.element.appendChild(this._createColumnPicker());
+
+        this.container.appendChild(this.element);
+        return this.element;
+    }
+
+    /**
+     * Remove the toolbar from DOM
+     */
+    remove() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+            this.element = null;
+        }
+    }
+
+    /**
+     * Create a download button
+     * @private
+     * @param {string} text - Button label
+     * @param {string} format - 'csv' or 'json'
+     * @returns {HTMLButtonElement} Button element
+     */
+    _createButton(text, format) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'export-toolbar__button';
+        button.textContent = text;
+        button.addEventListener('click', () => this._handleExport(format));
+        return button;
+    }
+
+    /**
+     * Create the collapsible column picker
+     * @private
+     * @returns {HTMLDetailsElement} Picker element
+     */
+    _createColumnPicker() {
+        const selected = this.exportService.getSelectedColumns();
+        const picker = document.createElement('details');
+        picker.className = 'export-toolbar__columns';
+
+        const summary = document.createElement('summary');
+        summary.textContent = 'Columns';
+        picker.appendChild(summary);
+
+        for (const column of EXPORT_COLUMNS) {
+            const label = document.createElement('label');
+            label.className = 'export-toolbar__column';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = column.key;
+            checkbox.checked = selected.includes(column.key);
+            checkbox.addEventListener('change', () => this._saveSelection());
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${column.label}`));
+            picker.appendChild(label);
+        }
+
+        return picker;
+    }
+
+    /**
+     * Get the column keys currently checked
+     * @private
+     * @returns {string[]} Column keys
+     */
+    _getCheckedColumns() {
+        return Array.from(this.element.querySelectorAll('.export-toolbar__column input:checked'))
+            .map(checkbox => checkbox.value);
+    }
+
+    /**
+     * Persist the checked columns
+     * @private
+     */
+    _saveSelection() {
+        this.exportService.setSelectedColumns(this._getCheckedColumns());
+    }
+
+    /**
+     * Download the results in the requested format
+     * @private
+     * @param {string} format - 'csv' or 'json'
+     */
+    _handleExport(format) {
+        const columns = this._getCheckedColumns();
+        const results = this.getResults();
+
+        if (columns.length === 0 || results.length === 0) {
+            this.logger.warn('Nothing to export', { columns: columns.length, results: results.length });
+            return;
+        }
+
+        this.exportService.download(results, format, columns);
+    }
+}
+
+
+/**
+ * File Import Component following Single Responsibility Principle
+ * Handles drag-and-drop / file picker import of username lists with a preview
+ */
+
+
+class FileImport {
+    /**
+     * @param {HTMLElement} dropZone - Element that accepts dropped files
+     * @param {HTMLInputElement} fileInput - File picker input
+     * @param {HTMLElement} previewContainer - Container for the import preview
+     * @param {Function} onConfirm - Called with (usernames, rejected) when the import is confirmed
+     */
+    constructor(dropZone, fileInput, previewContainer, onConfirm) {
+        this.dropZone = dropZone;
+        this.fileInput = fileInput;
+        this.previewContainer = previewContainer;
+        this.onConfirm = onConfirm;
+        this.element = null;
+        this.pending = null;
+        this.logger = new Logger('FileImport');
+    }
+
+    /**
+     * Bind drag-and-drop and file picker events
+     */
+    initialize() {
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', () => {
+                const [file] = this.fileInput.files;
+                if (file) this.importFile(file);
+                // Allow picking the same file again
+                this.fileInput.value = '';
+            });
+        }
+
+        if (this.dropZone) {
+            this.dropZone.addEventListener('dragover', (e) => {
+                if (!this._hasFiles(e)) return;
+                e.preventDefault();
+                this.dropZone.classList.add('search--dragover');
+            });
+            this.dropZone.addEventListener('dragleave', (e) => {
+                if (!this.dropZone.contains(e.relatedTarget)) {
+                    this.dropZone.classList.remove('search--dragover');
+                }
+            });
+            this.dropZone.addEventListener('drop', (e) => {
+                if (!this._hasFiles(e)) return;
+                e.preventDefault();
+                this.dropZone.classList.remove('search--dragover');
+                const [file] = e.dataTransfer.files;
+                if (file) this.importFile(file);
+            });
+        }
+    }
+
+    /**
+     * Read a file and show the import preview
+     * @param {File} file - Imported file
+     */
+    async importFile(file) {
+        if (file.size > CONFIG.IMPORT.MAX_FILE_SIZE) {
+            this._renderMessage(`"${file.name}" is too large (max ${CONFIG.IMPORT.MAX_FILE_SIZE / 1024 / 1024} MB).`);
+            return;
+        }
+
+        try {
+            const text = await file.text();
+            const format = ImportParser.detectFormat(file.name, text);
+            this.pending = { filename: file.name, format, text, rows: null, column: 0, hasHeader: false };
+
+            if (format === 'csv') {
+                this.pending.rows = ImportParser.parseCSV(text);
+                Object.assign(this.pending, ImportParser.suggestColumn(this.pending.rows));
+            }
+
+            this.logger.info(`Imported ${format} file ${file.name}`);
+            this._renderPreview();
+        } catch (error) {
+            this.logger.error(`Failed to import ${file.name}`, error);
+            this._renderMessage(`Could not read "${file.name}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove the preview and forget the pending import
+     */
+    dismiss() {
+        this.pending = null;
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+
+    /**
+     * Parse the pending import with its current options
+     * @private
+     * @returns {Object} Parse result from UsernameParser
+     */
+    _parsePending() {
+        const { format, text, rows, column, hasHeader } = this.pending;
+        if (format === 'csv') {
+            return UsernameParser.parseTokens(ImportParser.extractColumn(rows, column, hasHeader));
+        }
+        if (format === 'json') {
+            return UsernameParser.parseTokens(ImportParser.parseJSONList(text));
+        }
+        return UsernameParser.parse(text);
+    }
+
+    /**
+     * Render the preview with counts, CSV options and confirm/cancel actions
+     * @private
+     */
+    _renderPreview() {
+        const parsed = this._parsePending();
+        const { filename, format } = this.pending;
+
+        this._resetElement();
+        this.element.innerHTML = `
+            <p class="import-preview__title">${SecurityValidator.sanitizeText(filename)}</p>
+            <p class="import-preview__counts">
+                <span class="import-preview__valid">${parsed.usernames.length} valid</span>,
+                <span class="import-preview__invalid">${parsed.rejected.length} invalid</span>${parsed.duplicates > 0 ? `, ${parsed.duplicates} duplicates removed` : ''}
+            </p>
+        `;
+
+        if (format === 'csv') {
+            this.element.appendChild(this._createCSVOptions());
+        }
+
+        if (parsed.rejected.length > 0) {
+            const invalidList = document.createElement('p');
+            invalidList.className = 'import-preview__rejected';
+            invalidList.textContent = 'Invalid: ' + parsed.rejected
+                .slice(0, 10)
+                .map(({ token, reason }) => `"${SecurityValidator.truncateText(token, 40)}" (${reason})`)
+                .join(', ') + (parsed.rejected.length > 10 ? ` and ${parsed.rejected.length - 10} more` : '');
+            this.element.appendChild(invalidList);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'import-preview__actions';
+
+        const confirmButton = DomHelpers.createButton(`Search ${parsed.usernames.length} users`, 'import-preview__confirm', () => {
+            this.dismiss();
+            this.onConfirm(parsed.usernames, parsed.rejected);
+        });
+        confirmButton.disabled = parsed.usernames.length === 0;
+
+        const cancelButton = DomHelpers.createButton('Cancel', 'import-preview__cancel', () => this.dismiss());
+
+        actions.appendChild(confirmButton);
+        actions.appendChild(cancelButton);
+        this.element.appendChild(actions);
+    }
+
+    /**
+     * Create the column and header controls for CSV imports
+     * @private
+     * @returns {HTMLElement} Options element
+     */
+    _createCSVOptions() {
+        const { rows, column, hasHeader } = this.pending;
+        const columnCount = Math.max(0, ...rows.map(cells => cells.length));
+
+        const options = document.createElement('div');
+        options.className = 'import-preview__options';
+
+        const columnLabel = document.createElement('label');
+        columnLabel.textContent = 'Column ';
+        const select = document.createElement('select');
+        for (let index = 0; index < columnCount; index++) {
+            const option = document.createElement('option');
+            option.value = String(index);
+            const header = hasHeader && rows[0][index] ? rows[0][index].trim() : '';
+            option.textContent = header || `Column ${index + 1}`;
+            option.selected = index === column;
+            select.appendChild(option);
+        }
+        select.addEventListener('change', () => {
+            this.pending.column = Number(select.value);
+            this._renderPreview();
+        });
+        columnLabel.appendChild(select);
+
+        const headerLabel = document.createElement('label');
+        const headerCheckbox = document.createElement('input');
+        headerCheckbox.type = 'checkbox';
+        headerCheckbox.checked = hasHeader;
+        headerCheckbox.addEventListener('change', () => {
+            this.pending.hasHeader = headerCheckbox.checked;
+            this._renderPreview();
+        });
+        headerLabel.appendChild(headerCheckbox);
+        headerLabel.appendChild(document.createTextNode(' First row is a header'));
+
+        options.appendChild(columnLabel);
+        options.appendChild(headerLabel);
+        return options;
+    }
+
+    /**
+     * Show a single message in the preview area
+     * @private
+     * @param {string} message - Message to display
+     */
+    _renderMessage(message) {
+        this.pending = null;
+        this._resetElement();
+
+        const text = document.createElement('p');
+        text.className = 'import-preview__rejected';
+        text.textContent = message;
+
+        const closeButton = DomHelpers.createButton('Dismiss', 'import-preview__cancel', () => this.dismiss());
+
+        this.element.appendChild(text);
+        this.element.appendChild(closeButton);
+    }
+
+    /**
+     * Create or empty the preview element
+     * @private
+     */
+    _resetElement() {
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'import-preview';
+            this.previewContainer.appendChild(this.element);
+        }
+        this.element.innerHTML = '';
+    }
+
+    /**
+     * Check whether a drag event carries files
+     * @private
+     * @param {DragEvent} e - Drag event
+     * @returns {boolean} True if files are being dragged
+     */
+    _hasFiles(e) {
+        return Boolean(e.dataTransfer) && Array.from(e.dataTransfer.types || []).includes('Files');
+    }
+}
+
+
+/**
+ * Results Toolbar Component following Single Responsibility Principle
+ * Renders sort and filter controls for the results grid
+ */
+
+
+class ResultsToolbar {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {Function} onChange - Called with the view state whenever a control changes
+     * @param {Object} [view] - Initial view state, e.g. restored from a shared URL
+     */
+    constructor(container, onChange, view = ResultView.getDefaultView()) {
+        this.container = container;
+        this.onChange = onChange;
+        this.element = null;
+        this.countElement = null;
+        this.view = { ...view };
+        this.controls = {};
+        this.debounceTimers = {};
+        this.logger = new Logger('ResultsToolbar');
+    }
+
+    /**
+     * Render the toolbar and append to container
+     * @returns {HTMLElement} The created toolbar element
+     */
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'results-toolbar';
+
+        this.element.appendChild(this._createSelect('Sort by', 'sortBy', SORT_OPTIONS));
+        this.element.appendChild(this._createSelect('Show', 'status', STATUS_FILTERS));
+        this.element.appendChild(this._createTextInput('Name, bio or company', 'text'));
+        this.element.appendChild(this._createTextInput('Location', 'location'));
+
+        this.countElement = document.createElement('span');
+        this.countElement.className = 'results-toolbar__count';
+        this.element.appendChild(this.countElement);
+
+        this.container.appendChild(this.element);
+        return this.element;
+    }
+
+    /**
+     * Get the current view state
+     * @returns {Object} View state
+     */
+    getView() {
+        return { ...this.view };
+    }
+
+    /**
+     * Replace the view state and update the controls without notifying listeners
+     * @param {Object} view - New view state
+     */
+    setView(view) {
+        Object.values(this.debounceTimers).forEach(timer => clearTimeout(timer));
+        this.debounceTimers = {};
+        this.view = { ...view };
+
+        for (const [property, control] of Object.entries(this.controls)) {
+            control.value = this.view[property];
+        }
+    }
+
+    /**
+     * Show how many results are visible
+     * @param {number} visible - Visible results
+     * @param {number} total - All results
+     */
+    updateCount(visible, total) {
+        if (!this.countElement) return;
+        this.countElement.textContent = visible === total
+            ? `${total} results`
+            : `Showing ${visible} of ${total}`;
+    }
+
+    /**
+     * Create a labelled select bound to a view property
+     * @private
+     * @param {string} labelText - Label text
+     * @param {string} property - View property
+     * @param {Object[]} options - Options with key and label
+     * @returns {HTMLLabelElement} Label containing the select
+     */
+    _createSelect(labelText, property, options) {
+        const label = document.createElement('label');
+        label.className = 'results-toolbar__field';
+        label.appendChild(document.createTextNode(labelText));
+
+        const select = document.createElement('select');
+        select.className = 'results-toolbar__control';
+        for (const option of options) {
+            const optionElement = document.createElement('option');
+            optionElement.value = option.key;
+            optionElement.textContent = option.label;
+            optionElement.selected = option.key === this.view[property];
+            select.appendChild(optionElement);
+        }
+        select.addEventListener('change', () => this._update(property, select.value));
+        this.controls[property] = select;
+
+        label.appendChild(select);
+        return label;
+    }
+
+    /**
+     * Create a text filter input bound to a view property
+     * @private
+     * @param {string} placeholder - Placeholder and accessible label
+     * @param {string} property - View property
+     * @returns {HTMLInputElement} Input element
+     */
+    _createTextInput(placeholder, property) {
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.className = 'results-toolbar__control results-toolbar__filter';
+        input.placeholder = placeholder;
+        input.setAttribute('aria-label', `Filter by ${placeholder.toLowerCase()}`);
+        input.value = this.view[property];
+        input.addEventListener('input', () => {
+            clearTimeout(this.debounceTimers[property]);
+            this.debounceTimers[property] = setTimeout(
+                () => this._update(property, input.value),
+                CONFIG.UI.DEBOUNCE_DELAY
+            );
+        });
+        this.controls[property] = input;
+        return input;
+    }
+
+    /**
+     * Update one view property and notify listeners
+     * @private
+     * @param {string} property - View property
+     * @param {string} value - New value
+     */
+    _update(property, value) {
+        this.view[property] = value;
+        this.logger.debug('Results view changed', this.view);
+        this.onChange(this.getView());
+    }
+}
+
+
+/**
+ * History Dropdown Component following Single Responsibility Principle
+ * Lists past searches under the search input with re-run, rename, pin and delete actions
+ */
+
+
+class HistoryDropdown {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {SearchHistoryService} history - History storage
+     * @param {Function} onRun - Called with an entry when it is re-run
+     */
+    constructor(container, history, onRun) {
+        this.container = container;
+        this.history = history;
+        this.onRun = onRun;
+        this.element = null;
+        this.logger = new Logger('HistoryDropdown');
+    }
+
+    /**
+     * Load the history and render the dropdown
+     */
+    initialize() {
+        if (!this.container) return;
+        this.history.load();
+        this.render();
+    }
+
+    /**
+     * Render the dropdown, keeping it open if it already was
+     */
+    render() {
+        const wasOpen = Boolean(this.element && this.element.open);
+        this.container.innerHTML = '';
+        this.element = null;
+
+        const entries = this.history.getEntries();
+        if (entries.length === 0) return;
+
+        this.element = document.createElement('details');
+        this.element.className = 'history';
+        this.element.open = wasOpen;
+
+        const summary = document.createElement('summary');
+        summary.className = 'history__toggle';
+        summary.textContent = `Recent searches (${entries.length})`;
+        this.element.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'history__list';
+        entries.forEach(entry => list.appendChild(this._createItem(entry)));
+        this.element.appendChild(list);
+
+        this.container.appendChild(this.element);
+    }
+
+    /**
+     * Close the dropdown
+     */
+    close() {
+        if (this.element) {
+            this.element.open = false;
+        }
+    }
+
+    /**
+     * Create the list item for an entry
+     * @private
+     * @param {Object} entry - History entry
+     * @returns {HTMLLIElement} List item
+     */
+    _createItem(entry) {
+        const item = document.createElement('li');
+        item.className = entry.pinned ? 'history__item history__item--pinned' : 'history__item';
+
+        const details = document.createElement('div');
+        details.className = 'history__details';
+
+        const title = document.createElement('span');
+        title.className = 'history__title';
+        title.textContent = entry.name || SecurityValidator.truncateText(entry.query, CONFIG.UI.MAX_DISPLAY_NAME_LENGTH);
+        title.title = entry.query;
+        details.appendChild(title);
+
+        const meta = document.createElement('span');
+        meta.className = 'history__meta';
+        meta.textContent = this._describeEntry(entry);
+        details.appendChild(meta);
+
+        item.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'history__actions';
+        actions.appendChild(DomHelpers.createButton('Run', 'history__run', () => {
+            this.close();
+            this.onRun(entry);
+        }));
+        actions.appendChild(DomHelpers.createButton('Rename', 'history__action', () => this._startRename(item, entry)));
+        actions.appendChild(DomHelpers.createButton(entry.pinned ? 'Unpin' : 'Pin', 'history__action', () => {
+            this.history.setPinned(entry.id, !entry.pinned);
+            this.render();
+        }));
+        actions.appendChild(DomHelpers.createButton('Delete', 'history__action history__action--delete', () => {
+            this.history.remove(entry.id);
+            this.render();
+        }));
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    /**
+     * Replace an entry's title with a name field until it is saved or cancelled
+     * @private
+     * @param {HTMLLIElement} item - List item of the entry
+     * @param {Object} entry - History entry
+     */
+    _startRename(item, entry) {
+        DomHelpers.startInlineEdit(item.querySelector('.history__title'), {
+            className: 'history__name-input',
+            value: entry.name,
+            placeholder: 'Name this search',
+            maxLength: CONFIG.HISTORY.MAX_NAME_LENGTH,
+            label: 'Search name',
+            onFinish: (name) => {
+                if (name !== null) {
+                    this.history.rename(entry.id, name);
+                    this.logger.debug(`Renamed search ${entry.id}`);
+                }
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Describe an entry's size, outcome and date
+     * @private
+     * @param {Object} entry - History entry
+     * @returns {string} Description
+     */
+    _describeEntry(entry) {
+        const users = `${entry.usernames.length} ${entry.usernames.length === 1 ? 'user' : 'users'}`;
+        const failed = entry.failed > 0 ? `, ${entry.failed} failed` : '';
+        const date = new Date(entry.searchedAt).toLocaleString();
+        return `${users} · ${entry.found} found${failed} · ${date}`;
+    }
+}
+
+
+/**
+ * List Manager Component following Single Responsibility Principle
+ * Shows saved user lists under the search input to create, rename, edit, delete and run them
+ */
+
+
+class ListManager {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {UserListsService} lists - List storage
+     * @param {Function} onRun - Called with a list when it is run as a search
+     */
+    constructor(container, lists, onRun) {
+        this.container = container;
+        this.lists = lists;
+        this.onRun = onRun;
+        this.element = null;
+        this.logger = new Logger('ListManager');
+    }
+
+    /**
+     * Load the lists and render the panel
+     */
+    initialize() {
+        if (!this.container) return;
+        this.lists.load();
+        this.render();
+    }
+
+    /**
+     * Render the panel, keeping it open if it already was
+     */
+    render() {
+        if (!this.container) return;
+
+        const wasOpen = Boolean(this.element && this.element.open);
+        this.container.innerHTML = '';
+
+        const lists = this.lists.getLists();
+        this.element = document.createElement('details');
+        this.element.className = 'lists';
+        this.element.open = wasOpen;
+
+        const summary = document.createElement('summary');
+        summary.className = 'lists__toggle';
+        summary.textContent = `Saved lists (${lists.length})`;
+        this.element.appendChild(summary);
+
+        this.element.appendChild(this._createNewListForm());
+
+        if (lists.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'lists__empty';
+            empty.textContent = 'Create a list, then add users to it with "Save to list" on a result card.';
+            this.element.appendChild(empty);
         } else {
-            const card = document.createElement('a');
-            card.className = 'user-card';
-            card.href = this._getGitHubProfileUrl();
-            card.target = '_blank';
-            card.rel = 'noopener noreferrer';
-            card.innerHTML = this._createSuccessContent();
-            return card;
+            const list = document.createElement('ul');
+            list.className = 'lists__list';
+            lists.forEach(userList => list.appendChild(this._createItem(userList)));
+            this.element.appendChild(list);
+        }
+
+        this.container.appendChild(this.element);
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        if (this.element) {
+            this.element.open = false;
+        }
+    }
+
+    /**
+     * Create the list item for a saved list
+     * @private
+     * @param {Object} userList - Saved list
+     * @returns {HTMLLIElement} List item
+     */
+    _createItem(userList) {
+        const item = document.createElement('li');
+        item.className = 'lists__item';
+
+        const header = document.createElement('div');
+        header.className = 'lists__header';
+
+        const details = document.createElement('div');
+        details.className = 'lists__details';
+
+        const name = document.createElement('span');
+        name.className = 'lists__name';
+        name.textContent = userList.name;
+        details.appendChild(name);
+
+        const meta = document.createElement('span');
+        meta.className = 'lists__meta';
+        meta.textContent = `${userList.usernames.length} ${userList.usernames.length === 1 ? 'user' : 'users'}`;
+        details.appendChild(meta);
+
+        header.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'lists__actions';
+        const runButton = DomHelpers.createButton('Run', 'lists__run', () => {
+            this.close();
+            this.onRun(userList);
+        });
+        runButton.disabled = userList.usernames.length === 0;
+        actions.appendChild(runButton);
+        actions.appendChild(DomHelpers.createButton('Rename', 'lists__action', () => this._startRename(item, userList)));
+        actions.appendChild(DomHelpers.createButton('Delete', 'lists__action lists__action--delete', () => {
+            this.lists.remove(userList.id);
+            this.logger.debug(`Deleted list ${userList.name}`);
+            this.render();
+        }));
+        header.appendChild(actions);
+
+        item.appendChild(header);
+
+        if (userList.usernames.length > 0) {
+            const members = document.createElement('ul');
+            members.className = 'lists__members';
+            userList.usernames.forEach(username => members.appendChild(this._createMember(userList, username)));
+            item.appendChild(members);
+        }
+
+        return item;
+    }
+
+    /**
+     * Create a member chip with a remove button
+     * @private
+     * @param {Object} userList - Saved list
+     * @param {string} username - Member login
+     * @returns {HTMLLIElement} Member chip
+     */
+    _createMember(userList, username) {
+        const member = document.createElement('li');
+        member.className = 'lists__member';
+        member.textContent = username;
+
+        const removeButton = DomHelpers.createButton('×', 'lists__remove', () => {
+            this.lists.removeMember(userList.id, username);
+            this.render();
+        });
+        removeButton.setAttribute('aria-label', `Remove ${username} from ${userList.name}`);
+        member.appendChild(removeButton);
+        return member;
+    }
+
+    /**
+     * Create the form that adds an empty list
+     * @private
+     * @returns {HTMLFormElement} Form
+     */
+    _createNewListForm() {
+        const form = document.createElement('form');
+        form.className = 'lists__new';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'lists__input';
+        input.placeholder = 'New list name, e.g. frontend team';
+        input.maxLength = CONFIG.LISTS.MAX_NAME_LENGTH;
+        input.setAttribute('aria-label', 'New list name');
+
+        const button = DomHelpers.createButton('Create list', 'lists__create', null, 'submit');
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.lists.create(input.value)) {
+                this.render();
+            }
+        });
+
+        form.appendChild(input);
+        form.appendChild(button);
+        return form;
+    }
+
+    /**
+     * Replace a list's name with a text field until it is saved or cancelled
+     * @private
+     * @param {HTMLLIElement} item - List item of the list
+     * @param {Object} userList - Saved list
+     */
+    _startRename(item, userList) {
+        DomHelpers.startInlineEdit(item.querySelector('.lists__name'), {
+            className: 'lists__input',
+            value: userList.name,
+            maxLength: CONFIG.LISTS.MAX_NAME_LENGTH,
+            label: 'List name',
+            onFinish: (name) => {
+                if (name !== null && !this.lists.rename(userList.id, name)) {
+                    this.logger.info(`Kept the name of list ${userList.name}; the new name is empty or taken`);
+                }
+                this.render();
+            }
+        });
+    }
+}
+
+
+/**
+ * List Picker Component following Single Responsibility Principle
+ * Lets a result card add its user to saved lists, remove it, or start a new list
+ */
+
+
+class ListPicker {
+    /**
+     * @param {HTMLElement} container - Card element the picker opens in
+     * @param {UserListsService} lists - List storage
+     * @param {Object} user - The card's user
+     * @param {string} user.login - GitHub login
+     * @param {number|null} user.id - Account id, stored so the user can be found after a rename
+     * @param {Function} onChange - Called after a list changes
+     */
+    constructor(container, lists, { login, id }, onChange) {
+        this.container = container;
+        this.lists = lists;
+        this.username = login;
+        this.userId = id;
+        this.onChange = onChange;
+        this.element = null;
+        this.logger = new Logger('ListPicker');
+    }
+
+    /**
+     * Render the picker and append to container
+     * @returns {HTMLElement} The created picker element
+     */
+    render() {
+        const previous = this.element;
+        this.element = document.createElement('div');
+        this.element.className = 'list-picker';
+
+        const title = document.createElement('p');
+        title.className = 'list-picker__title';
+        title.textContent = `Save @${this.username} to:`;
+        this.element.appendChild(title);
+
+        const lists = this.lists.getLists();
+        if (lists.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'list-picker__empty';
+            empty.textContent = 'No lists yet. Name one below.';
+            this.element.appendChild(empty);
+        }
+        lists.forEach(list => this.element.appendChild(this._createOption(list)));
+
+        this.element.appendChild(this._createNewListForm());
+
+        if (previous && previous.parentNode) {
+            previous.parentNode.replaceChild(this.element, previous);
+        } else {
+            this.container.appendChild(this.element);
+        }
+        return this.element;
+    }
+
+    /**
+     * Remove the picker from the card
+     */
+    close() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+
+    /**
+     * Create the checkbox that toggles membership in a list
+     * @private
+     * @param {Object} list - Saved list
+     * @returns {HTMLLabelElement} Label containing the checkbox
+     */
+    _createOption(list) {
+        const label = document.createElement('label');
+        label.className = 'list-picker__option';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = this.lists.hasMember(list.id, this.username);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                this.lists.addMember(list.id, this.username, this.userId);
+            } else {
+                this.lists.removeMember(list.id, this.username);
+            }
+            this.logger.debug(`${checkbox.checked ? 'Added' : 'Removed'} ${this.username} in list ${list.name}`);
+            this.onChange();
+            this.render();
+        });
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${list.name} (${list.usernames.length})`));
+        return label;
+    }
+
+    /**
+     * Create the form that starts a new list with this user
+     * @private
+     * @returns {HTMLFormElement} Form
+     */
+    _createNewListForm() {
+        const form = document.createElement('form');
+        form.className = 'list-picker__new';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'list-picker__input';
+        input.placeholder = 'New list name';
+        input.maxLength = CONFIG.LISTS.MAX_NAME_LENGTH;
+        input.setAttribute('aria-label', 'New list name');
+
+        const button = DomHelpers.createButton('Add', 'list-picker__create', null, 'submit');
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const list = this.lists.create(input.value);
+            if (!list) return;
+            this.lists.addMember(list.id, this.username, this.userId);
+            this.onChange();
+            this.render();
+        });
+
+        form.appendChild(input);
+        form.appendChild(button);
+        return form;
+    }
+}
+
+
+/**
+ * Snapshot Panel Component following Single Responsibility Principle
+ * Saves the current results as a snapshot and shows the diff against an earlier one
+ */
+
+
+// Columns of the exported diff
+const DIFF_EXPORT_KEYS = ['login', 'status', 'field', 'before', 'after'];
+
+class SnapshotPanel {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {SnapshotService} snapshots - Snapshot storage and comparison
+     * @param {ExportService} exportService - Service used to download the diff
+     * @param {Object} callbacks - Panel callbacks
+     * @param {Function} callbacks.getResults - Returns the current results
+     * @param {Function} callbacks.onDiff - Called with the diff after a comparison, or null when it is closed
+     */
+    constructor(container, snapshots, exportService, { getResults, onDiff }) {
+        this.container = container;
+        this.snapshots = snapshots;
+        this.exportService = exportService;
+        this.getResults = getResults;
+        this.onDiff = onDiff;
+        this.element = null;
+        this.diffElement = null;
+        this.messageElement = null;
+        this.diff = null;
+        this.logger = new Logger('SnapshotPanel');
+    }
+
+    /**
+     * Render the panel and append to container
+     * @returns {HTMLElement} The created panel element
+     */
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'snapshot-panel';
+        this._renderControls();
+        this.container.appendChild(this.element);
+        return this.element;
+    }
+
+    /**
+     * Compare the current results with a snapshot and show the diff
+     * @param {string} snapshotId - Snapshot id
+     * @returns {Object|null} Diff, or null if the snapshot no longer exists
+     */
+    compare(snapshotId) {
+        const snapshot = this.snapshots.get(snapshotId);
+        if (!snapshot) return null;
+
+        this.diff = this.snapshots.compare(snapshot, this.getResults());
+        this._renderDiff(snapshot);
+        this.onDiff(this.diff);
+        return this.diff;
+    }
+
+    /**
+     * Build the save and compare controls
+     * @private
+     */
+    _renderControls() {
+        const controls = document.createElement('div');
+        controls.className = 'snapshot-panel__controls';
+
+        const saveForm = document.createElement('form');
+        saveForm.className = 'snapshot-panel__save';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'snapshot-panel__input';
+        nameInput.placeholder = 'Snapshot name, e.g. Roster June';
+        nameInput.maxLength = CONFIG.SNAPSHOTS.MAX_NAME_LENGTH;
+        nameInput.setAttribute('aria-label', 'Snapshot name');
+        saveForm.appendChild(nameInput);
+        saveForm.appendChild(DomHelpers.createButton('Save snapshot', 'snapshot-panel__button', null, 'submit'));
+        saveForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._save(nameInput.value);
+        });
+        controls.appendChild(saveForm);
+
+        const snapshots = this.snapshots.getSnapshots();
+        if (snapshots.length > 0) {
+            const compare = document.createElement('div');
+            compare.className = 'snapshot-panel__compare';
+
+            const select = document.createElement('select');
+            select.className = 'snapshot-panel__select';
+            select.setAttribute('aria-label', 'Snapshot to compare with');
+            for (const snapshot of snapshots) {
+                const option = document.createElement('option');
+                option.value = snapshot.id;
+                option.textContent = `${snapshot.name} (${new Date(snapshot.savedAt).toLocaleDateString()})`;
+                option.selected = Boolean(this.diff && this.diff.snapshotId === snapshot.id);
+                select.appendChild(option);
+            }
+
+            compare.appendChild(select);
+            compare.appendChild(DomHelpers.createButton('Compare', 'snapshot-panel__button', () => this.compare(select.value)));
+            compare.appendChild(DomHelpers.createButton('Delete', 'snapshot-panel__button snapshot-panel__button--secondary', () => {
+                this.snapshots.remove(select.value);
+                if (this.diff && this.diff.snapshotId === select.value) {
+                    this._closeDiff();
+                }
+                this._refreshControls();
+            }));
+            controls.appendChild(compare);
+        }
+
+        this.messageElement = document.createElement('p');
+        this.messageElement.className = 'snapshot-panel__message';
+        controls.appendChild(this.messageElement);
+
+        this.element.appendChild(controls);
+    }
+
+    /**
+     * Rebuild the controls, e.g. after a snapshot was saved or deleted
+     * @private
+     */
+    _refreshControls() {
+        const controls = this.element.querySelector('.snapshot-panel__controls');
+        if (controls) controls.remove();
+
+        const diffElement = this.diffElement;
+        this._renderControls();
+        if (diffElement) {
+            this.element.appendChild(diffElement);
+        }
+    }
+
+    /**
+     * Save the current results as a snapshot
+     * @private
+     * @param {string} name - Snapshot name
+     */
+    _save(name) {
+        const results = this.getResults();
+        if (results.length === 0) return;
+
+        const snapshot = this.snapshots.create(name, results);
+        this._refreshControls();
+        this.messageElement.textContent = snapshot
+            ? `Saved "${snapshot.name}".`
+            : 'Could not save the snapshot; browser storage may be full. Delete older snapshots and try again.';
+    }
+
+    /**
+     * Show the diff summary, the changed users and export buttons
+     * @private
+     * @param {Object} snapshot - Snapshot the results were compared with
+     */
+    _renderDiff(snapshot) {
+        const diffElement = document.createElement('div');
+        diffElement.className = 'snapshot-diff';
+
+        const header = document.createElement('div');
+        header.className = 'snapshot-diff__header';
+
+        const summary = document.createElement('p');
+        summary.className = 'snapshot-diff__summary';
+        const parts = Object.entries(DIFF_STATUSES)
+            .filter(([status]) => this.diff.counts[status] > 0)
+            .map(([status, { label }]) => `${this.diff.counts[status]} ${label.toLowerCase()}`);
+        parts.push(`${this.diff.unchanged} unchanged`);
+        if (this.diff.skipped > 0) {
+            parts.push(`${this.diff.skipped} could not be compared`);
+        }
+        summary.textContent = `Compared with "${snapshot.name}" from ${new Date(snapshot.savedAt).toLocaleString()}: ${parts.join(', ')}`;
+        header.appendChild(summary);
+
+        if (this.diff.entries.length > 0) {
+            header.appendChild(DomHelpers.createButton('Export diff CSV', 'snapshot-panel__button', () => this._export('csv')));
+            header.appendChild(DomHelpers.createButton('Export diff JSON', 'snapshot-panel__button', () => this._export('json')));
+        }
+        header.appendChild(DomHelpers.createButton('Close', 'snapshot-panel__button snapshot-panel__button--secondary', () => this._closeDiff()));
+        diffElement.appendChild(header);
+
+        if (this.diff.entries.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'snapshot-diff__list';
+            this.diff.entries.forEach(entry => list.appendChild(this._createEntry(entry)));
+            diffElement.appendChild(list);
+        }
+
+        if (this.diffElement) {
+            this.diffElement.replaceWith(diffElement);
+        } else {
+            this.element.appendChild(diffElement);
+        }
+        this.diffElement = diffElement;
+    }
+
+    /**
+     * Create the list item describing one user's difference
+     * @private
+     * @param {Object} entry - Diff entry
+     * @returns {HTMLLIElement} List item
+     */
+    _createEntry(entry) {
+        const item = document.createElement('li');
+        item.className = `snapshot-diff__entry snapshot-diff__entry--${entry.status.replace(/_/g, '-')}`;
+
+        const title = document.createElement('span');
+        title.className = 'snapshot-diff__login';
+        title.textContent = `@${entry.login}`;
+        item.appendChild(title);
+
+        const status = document.createElement('span');
+        status.className = 'snapshot-diff__status';
+        status.textContent = DIFF_STATUSES[entry.status].label;
+        item.appendChild(status);
+
+        if (entry.changes.length > 0) {
+            const changes = document.createElement('ul');
+            changes.className = 'snapshot-diff__changes';
+            for (const change of entry.changes) {
+                const line = document.createElement('li');
+                line.textContent = `${change.label}: ${this._formatValue(change.before)} → ${this._formatValue(change.after)}`;
+                changes.appendChild(line);
+            }
+            item.appendChild(changes);
+        }
+
+        return item;
+    }
+
+    /**
+     * Hide the diff
+     * @private
+     */
+    _closeDiff() {
+        if (this.diffElement) {
+            this.diffElement.remove();
+        }
+        this.diffElement = null;
+        this.diff = null;
+        this.onDiff(null);
+    }
+
+    /**
+     * Download the diff
+     * @private
+     * @param {string} format - 'csv' or 'json'
+     */
+    _export(format) {
+        if (!this.diff) return;
+        this.exportService.downloadRows(this.snapshots.toRows(this.diff), DIFF_EXPORT_KEYS, format, 'github-users-diff');
+    }
+
+    /**
+     * Format a compared value for display
+     * @private
+     * @param {*} value - Field value
+     * @returns {string} Display text
+     */
+    _formatValue(value) {
+        if (value === null || value === '') return '(empty)';
+        const text = String(value);
+        return text.length > CONFIG.UI.MAX_DISPLAY_NAME_LENGTH
+            ? `${text.slice(0, CONFIG.UI.MAX_DISPLAY_NAME_LENGTH)}…`
+            : text;
+    }
+}
+
+
+/**
+ * Candidate Picker Component following Single Responsibility Principle
+ * Shows the accounts proposed for each email or name so the right ones can be confirmed and searched
+ */
+
+
+class CandidatePicker {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {Function} onConfirm - Called with the confirmed logins
+     */
+    constructor(container, onConfirm) {
+        this.container = container;
+        this.onConfirm = onConfirm;
+        this.element = null;
+        this.list = null;
+        this.lookups = [];
+        this.logger = new Logger('CandidatePicker');
+    }
+
+    /**
+     * Show an empty picker that lookups are added to as they finish
+     * @param {number} total - Number of entries being looked up
+     */
+    start(total) {
+        this.close();
+        this.element = document.createElement('div');
+        this.element.className = 'candidates';
+
+        const title = document.createElement('p');
+        title.className = 'candidates__title';
+        title.textContent = `Matching accounts for ${total} ${total === 1 ? 'entry' : 'entries'}`;
+        this.element.appendChild(title);
+
+        this.list = document.createElement('ul');
+        this.list.className = 'candidates__list';
+        this.element.appendChild(this.list);
+
+        this.container.appendChild(this.element);
+    }
+
+    /**
+     * Add the candidates of one entry
+     * @param {Object} lookup - Lookup from ReverseLookupService, {term, type, candidates, total, error}
+     */
+    add(lookup) {
+        if (!this.element) return;
+
+        const index = this.lookups.length;
+        this.lookups.push(lookup);
+        this.list.appendChild(this._createGroup(lookup, index));
+    }
+
+    /**
+     * Add the confirm and discard buttons once the lookup has finished or was cancelled
+     * @param {boolean} [cancelled] - Whether the lookup was cancelled before every entry was looked up
+     */
+    finish(cancelled = false) {
+        if (!this.element) return;
+
+        if (this.lookups.length === 0) {
+            this.close();
+            return;
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'candidates__actions';
+
+        if (cancelled) {
+            const note = document.createElement('span');
+            note.className = 'candidates__note';
+            note.textContent = 'Lookup cancelled; only the entries above were looked up.';
+            actions.appendChild(note);
         }
+
+        const confirmButton = DomHelpers.createButton('', 'candidates__confirm', () => {
+            const logins = this.getSelectedLogins();
+            if (logins.length === 0) return;
+            this.close();
+            this.onConfirm(logins);
+        });
+        actions.appendChild(confirmButton);
+        actions.appendChild(DomHelpers.createButton('Discard', 'candidates__discard', () => this.close()));
+        this.element.appendChild(actions);
+
+        // The button names how many accounts will be searched
+        const refresh = () => {
+            const count = this.getSelectedLogins().length;
+            confirmButton.textContent = `Search selected (${count})`;
+            confirmButton.disabled = count === 0;
+        };
+        this.element.addEventListener('change', refresh);
+        refresh();
     }
 
     /**
-     * Create content for successful user data
-     * @private
-     * @returns {string} HTML content
+     * Get the logins picked for every entry, without duplicates
+     * @returns {string[]} Logins in entry order
      */
-    _createSuccessContent() {
-        const user = this.userData.data || this.userData;
-        
-        const avatarUrl = this._getValidAvatarUrl(user.avatar_url);
-        const displayName = SecurityValidator.truncateText(
-            user.name || user.login || 'Unknown User',
-            CONFIG.UI.MAX_DISPLAY_NAME_LENGTH
-        );
-        const username = SecurityValidator.sanitizeText(user.login || 'unknown');
-        const displayBio = SecurityValidator.truncateText(
-            user.bio || 'No description available.',
-            CONFIG.UI.MAX_DISPLAY_BIO_LENGTH
-        );
+    getSelectedLogins() {
+        if (!this.element) return [];
 
-        return `
-            <img class="user-card__avatar" 
-                 src="${avatarUrl}" 
-                 alt="${SecurityValidator.sanitizeText(user.login || 'User')}'s avatar"
-                 loading="lazy">
-            <div class="user-card__info">
-                <h3 class="user-card__name">${SecurityValidator.sanitizeText(displayName)}</h3>
-                <p class="user-card__username">@${username}</p>
-                <p class="user-card__bio">${SecurityValidator.sanitizeText(displayBio)}</p>
-            </div>
-        `;
+        const logins = [...this.element.querySelectorAll('.candidates__radio:checked')]
+            .map(radio => radio.value)
+            .filter(login => login.length > 0);
+        return [...new Set(logins)];
     }
 
     /**
-     * Create content for error state
-     * @private
-     * @returns {string} HTML content
+     * Remove the picker
      */
-    _createErrorContent() {
-        const errorMessage = this.userData.error || 'Unknown error occurred';
-        
-        return `
-            <div class="user-card__error">
-                <strong>${SecurityValidator.sanitizeText(this.userData.username || 'Unknown')}</strong>
-                <br>
-                ${SecurityValidator.sanitizeText(errorMessage)}
-            </div>
-        `;
+    close() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+        this.list = null;
+        this.lookups = [];
     }
 
     /**
-     * Get a valid avatar URL or fallback
+     * Create the group of candidates for one entry
+     * A single match is preselected; otherwise the entry is skipped until a candidate is picked
      * @private
-     * @param {string} avatarUrl - Original avatar URL
-     * @returns {string} Valid avatar URL or fallback
+     * @param {Object} lookup - Lookup of the entry
+     * @param {number} index - Position of the entry, used to group its radio buttons
+     * @returns {HTMLLIElement} Group element
      */
-    _getValidAvatarUrl(avatarUrl) {
-        if (avatarUrl && SecurityValidator.isValidGitHubImageUrl(avatarUrl)) {
-            return avatarUrl;
+    _createGroup(lookup, index) {
+        const group = document.createElement('li');
+        group.className = 'candidates__group';
+
+        const header = document.createElement('div');
+        header.className = 'candidates__header';
+        const term = document.createElement('span');
+        term.className = 'candidates__term';
+        term.textContent = lookup.term;
+        header.appendChild(term);
+
+        const meta = document.createElement('span');
+        meta.className = 'candidates__meta';
+        meta.textContent = this._describeLookup(lookup);
+        header.appendChild(meta);
+        group.appendChild(header);
+
+        const name = `candidates-${index}`;
+        const preselect = lookup.candidates.length === 1;
+        lookup.candidates.forEach(candidate => group.appendChild(this._createOption(name, candidate, preselect)));
+        if (lookup.candidates.length > 0) {
+            group.appendChild(this._createSkipOption(name, !preselect));
         }
 
-        // Return a data URI for a placeholder image
-        return 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTAwIiBoZWlnaHQ9IjEwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwIiBoZWlnaHQ9IjEwMCIgZmlsbD0iIzMzMzMzMyIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTIiIGZpbGw9IndoaXRlIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBkeT0iLjNlbSI+Tm8gSW1hZ2U8L3RleHQ+PC9zdmc+';
+        return group;
     }
 
     /**
-     * Get the GitHub profile URL for the user
+     * Summarize the outcome of a lookup
      * @private
-     * @returns {string} GitHub profile URL
+     * @param {Object} lookup - Lookup of the entry
+     * @returns {string} Summary, e.g. "email, 2 matches"
      */
-    _getGitHubProfileUrl() {
-        const user = this.userData.data || this.userData;
-        const username = user.login || 'github';
-        return `https://github.com/${SecurityValidator.sanitizeText(username)}`;
+    _describeLookup(lookup) {
+        if (lookup.error) return `${lookup.type}, lookup failed: ${lookup.error}`;
+        if (lookup.candidates.length === 0) return `${lookup.type}, no matching accounts`;
+
+        const shown = lookup.total > lookup.candidates.length
+            ? `top ${lookup.candidates.length} of ${lookup.total} matches`
+            : `${lookup.total} ${lookup.total === 1 ? 'match' : 'matches'}`;
+        return `${lookup.type}, ${shown}`;
     }
-}
 
-/**
- * User Card Factory for creating different types of cards
- * Follows Factory Pattern for flexible card creation
- */
-class UserCardFactory {
     /**
-     * Create a user card based on data type
-     * @param {Object} userData - User data
-     * @param {HTMLElement} container - Container element
-     * @returns {UserCard} User card instance
+     * Create the radio button of a candidate account
+     * @private
+     * @param {string} name - Radio group name
+     * @param {Object} candidate - Candidate with login and avatar_url
+     * @param {boolean} checked - Whether the candidate is preselected
+     * @returns {HTMLLabelElement} Label containing the radio button
      */
-    static create(userData, container) {
-        return new UserCard(userData, container);
+    _createOption(name, candidate, checked) {
+        const label = document.createElement('label');
+        label.className = 'candidates__option';
+        label.appendChild(this._createRadio(name, candidate.login, checked));
+
+        if (SecurityValidator.isValidGitHubImageUrl(candidate.avatar_url)) {
+            const avatar = document.createElement('img');
+            avatar.className = 'candidates__avatar';
+            avatar.src = candidate.avatar_url;
+            avatar.alt = '';
+            avatar.loading = 'lazy';
+            label.appendChild(avatar);
+        }
+
+        // Opening the profile helps confirm it is the right person
+        const profile = document.createElement('a');
+        profile.className = 'candidates__login';
+        profile.href = `https://github.com/${encodeURIComponent(candidate.login)}`;
+        profile.target = '_blank';
+        profile.rel = 'noopener noreferrer';
+        profile.textContent = `@${candidate.login}`;
+        label.appendChild(profile);
+
+        return label;
     }
 
     /**
-     * Create multiple cards from an array of user data
-     * @param {Object[]} usersData - Array of user data
-     * @param {HTMLElement} container - Container element
-     * @returns {UserCard[]} Array of user card instances
+     * Create the option that leaves an entry out of the search
+     * @private
+     * @param {string} name - Radio group name
+     * @param {boolean} checked - Whether skipping is preselected
+     * @returns {HTMLLabelElement} Label containing the radio button
      */
-    static createMultiple(usersData, container) {
-        return usersData.map(userData => 
-            UserCardFactory.create(userData, container)
-        );
+    _createSkipOption(name, checked) {
+        const label = document.createElement('label');
+        label.className = 'candidates__option candidates__option--skip';
+        label.appendChild(this._createRadio(name, '', checked));
+        label.appendChild(document.createTextNode(' None of these'));
+        return label;
+    }
+
+    /**
+     * Create a radio button
+     * @private
+     * @param {string} name - Radio group name
+     * @param {string} value - Login, or an empty string to skip the entry
+     * @param {boolean} checked - Whether the radio button is selected
+     * @returns {HTMLInputElement} Radio button
+     */
+    _createRadio(name, value, checked) {
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.className = 'candidates__radio';
+        radio.name = name;
+        radio.value = value;
+        radio.checked = checked;
+        return radio;
     }
 }
 
@@ -550,30 +6719,58 @@ const appLogger = new Logger('App');
  */
 class GitHubProfileIdentifier {
     constructor() {
-        this.apiService = new GitHubApiService();
-        this.batchProcessor = new BatchProcessor(this.apiService);
+        this.credentials = new CredentialsService();
+        this.apiService = new GitHubApiService(new UserCache(), this.credentials);
+        this.orgMembership = new OrgMembershipService(this.apiService, this.credentials);
+        this.repoStats = new RepoStatsService(this.apiService);
+        this.activity = new ActivityService(this.apiService);
+        this.batchProcessor = new BatchProcessor(this.apiService, [this.orgMembership, this.repoStats, this.activity]);
+        this.exportService = new ExportService();
+        this.searchSession = new SearchSessionService();
+        this.searchHistory = new SearchHistoryService();
+        this.userLists = new UserListsService();
+        this.snapshots = new SnapshotService();
+        this.reverseLookup = new ReverseLookupService(this.apiService, this.credentials);
+        this.settingsDialog = null;
+        this.fileImport = null;
+        this.historyDropdown = null;
+        this.listManager = null;
+        this.listPicker = null;
+        this.candidatePicker = null;
+        this.resultsToolbar = null;
         this.progressBar = null;
+        this.abortController = null;
+        this.activeSearch = null;
         this.userCards = [];
+        this.cardsByResult = new Map();
 
         // DOM elements
         this.elements = {
             searchInput: null,
             searchButton: null,
             settingsButton: null,
-            settingsDialog: null,
-            closeSettingsButton: null,
-            githubTokenInput: null,
             resultsContainer: null,
+            resultsToolbar: null,
             resultsGrid: null,
             resultsSummary: null,
+            resultsActions: null,
             errorContainer: null,
-            progressContainer: null
+            progressContainer: null,
+            resumePrompt: null,
+            history: null,
+            lists: null,
+            candidates: null,
+            modeInputs: []
         };
 
         this.state = {
             isProcessing: false,
             currentResults: [],
-            lastSearch: null
+            inputOrder: new Map(),
+            searchMode: 'usernames',
+            lastSearch: null,
+            pendingView: null,
+            diffSnapshotId: null
         };
     }
 
@@ -586,6 +6783,8 @@ class GitHubProfileIdentifier {
             this.initializeElements();
             this.bindEvents();
             this.setupKeyboardShortcuts();
+            const session = this.offerResume();
+            this.handleInitialUrl(session);
             appLogger.info('Application initialized successfully');
         } catch (error) {
             appLogger.error('Failed to initialize application', error);
@@ -601,19 +6800,58 @@ class GitHubProfileIdentifier {
         this.elements.searchInput = document.getElementById('search-input');
         this.elements.searchButton = document.getElementById('search-button');
         this.elements.settingsButton = document.getElementById('settings-button');
-        this.elements.settingsDialog = document.getElementById('settings-dialog');
-        this.elements.closeSettingsButton = document.getElementById('close-settings');
-        this.elements.githubTokenInput = document.getElementById('github-token');
         this.elements.resultsContainer = document.getElementById('results');
         this.elements.errorContainer = document.getElementById('error-container');
         this.elements.progressContainer = document.getElementById('progress-container');
+        this.elements.resumePrompt = document.getElementById('resume-prompt');
+        this.elements.history = document.getElementById('search-history');
+        this.elements.lists = document.getElementById('user-lists');
+        this.elements.candidates = document.getElementById('candidate-picker');
+        this.elements.modeInputs = [...document.querySelectorAll('input[name="search-mode"]')];
 
         if (!this.elements.searchInput || !this.elements.searchButton || !this.elements.resultsContainer) {
             throw new Error('Required DOM elements not found');
         }
 
-        // Load saved token from localStorage
-        this.loadGitHubToken();
+        // Restores the saved token and wires the API configuration dialog
+        this.settingsDialog = new SettingsDialog(
+            document.getElementById('settings-dialog'),
+            this.credentials,
+            this.apiService,
+            this.orgMembership,
+            this.repoStats,
+            this.activity
+        );
+        this.settingsDialog.initialize();
+
+        this.fileImport = new FileImport(
+            this.elements.searchInput.closest('.search'),
+            document.getElementById('import-file'),
+            document.getElementById('import-preview'),
+            (usernames, rejected) => this.handleImport(usernames, rejected)
+        );
+        this.fileImport.initialize();
+
+        this.historyDropdown = new HistoryDropdown(
+            this.elements.history,
+            this.searchHistory,
+            (entry) => this.runHistoryEntry(entry)
+        );
+        this.historyDropdown.initialize();
+
+        this.listManager = new ListManager(
+            this.elements.lists,
+            this.userLists,
+            (list) => this.runList(list)
+        );
+        this.listManager.initialize();
+
+        this.candidatePicker = new CandidatePicker(
+            this.elements.candidates,
+            (logins) => this.searchCandidates(logins)
+        );
+
+        this.snapshots.load();
     }
 
     /**
@@ -622,32 +6860,30 @@ class GitHubProfileIdentifier {
      */
     bindEvents() {
         this.elements.searchButton.addEventListener('click', () => this.handleSearch());
-        this.elements.searchInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.handleSearch();
+        this.elements.modeInputs.forEach(input => {
+            input.addEventListener('change', () => this.setSearchMode(input.value));
         });
-        
-        // Handle settings dialog
+        this.elements.searchInput.addEventListener('keydown', (e) => {
+            // Enter searches; Shift+Enter adds a new line to the list
+            if (e.key === 'Enter' && !e.shiftKey && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                this.handleSearch();
+            }
+        });
+
         if (this.elements.settingsButton) {
-            this.elements.settingsButton.addEventListener('click', () => this.openSettings());
-        }
-        
-        if (this.elements.closeSettingsButton) {
-            this.elements.closeSettingsButton.addEventListener('click', () => this.closeSettings());
-        }
-        
-        if (this.elements.settingsDialog) {
-            this.elements.settingsDialog.addEventListener('click', (e) => {
-                if (e.target === this.elements.settingsDialog) {
-                    this.closeSettings();
-                }
-            });
-        }
-        
-        // Handle GitHub token input changes
-        if (this.elements.githubTokenInput) {
-            this.elements.githubTokenInput.addEventListener('input', () => this.handleTokenChange());
-            this.elements.githubTokenInput.addEventListener('blur', () => this.saveGitHubToken());
+            this.elements.settingsButton.addEventListener('click', () => this.settingsDialog.open());
         }
+
+        // Back/forward move between searches
+        window.addEventListener('popstate', () => this.handleUrlChange());
+
+        // Save the latest progress so an interrupted search can be resumed after reload
+        window.addEventListener('pagehide', () => {
+            if (this.state.isProcessing) {
+                this.searchSession.save();
+            }
+        });
     }
 
     /**
@@ -672,83 +6908,532 @@ class GitHubProfileIdentifier {
             
             // Escape: Cancel search (if processing)
             if (e.key === 'Escape' && this.state.isProcessing) {
-                // Note: Actual cancellation would require more complex implementation
-                appLogger.info('Search cancellation requested (not implemented)');
+                this.cancelSearch();
+            }
+        });
+    }
+
+    /**
+     * Handle search button click or Enter key
+     */
+    async handleSearch() {
+        const query = this.elements.searchInput.value.trim();
+        const reverseLookup = this.state.searchMode === 'identities';
+        
+        if (!query) {
+            this.showError(reverseLookup
+                ? 'Please enter at least one email address or name'
+                : 'Please enter at least one GitHub username');
+            return;
+        }
+
+        if (this.state.isProcessing) {
+            appLogger.info('Search already in progress, ignoring new request');
+            return;
+        }
+
+        if (reverseLookup) {
+            await this.handleReverseLookup(query);
+            return;
+        }
+
+        const { usernames, rejected } = this.parseUsernames(query);
+        if (usernames.length === 0) {
+            const details = rejected.length > 0 ? ` ${this.describeRejected(rejected)}` : '';
+            this.showError(`No valid GitHub usernames found.${details}`);
+            return;
+        }
+
+        await this.processSearch(usernames, { rejected, query });
+    }
+
+    /**
+     * Run the search in the URL the page was opened with
+     * While an unfinished session can be resumed the search is only filled in, since running it
+     * would replace the session; a reload during a batch leaves that same search in the URL
+     * @param {Object|null} session - Unfinished session offered for resuming
+     * @private
+     */
+    handleInitialUrl(session) {
+        const search = SearchUrl.parse(window.location.href);
+        if (!search || !session) {
+            this.handleUrlChange();
+            return;
+        }
+
+        this.applyView(search.view);
+        this.setSearchInput(search.usernames.join(', '));
+        if (SearchUrl.isSameSearch(session.usernames, search.usernames)) {
+            appLogger.info('Search in the URL did not finish; waiting for it to be resumed');
+        } else {
+            this.showWarning('The linked search was not run so the unfinished search can still be resumed. ' +
+                'Click Search to run it instead; the unfinished search is then discarded.');
+        }
+    }
+
+    /**
+     * Run the search encoded in the page URL, e.g. a shared link or a back/forward step
+     * @private
+     */
+    async handleUrlChange() {
+        const search = SearchUrl.parse(window.location.href);
+
+        // Results of a search still running would land in the one from the URL
+        if (this.activeSearch) {
+            this.cancelSearch();
+            await this.activeSearch;
+        }
+
+        if (!search) {
+            if (this.state.lastSearch) {
+                this.state.lastSearch = null;
+                this.state.currentResults = [];
+                this.elements.searchInput.value = '';
+                this.clearResults();
             }
+            return;
+        }
+
+        this.applyView(search.view);
+
+        const lastSearch = this.state.lastSearch;
+        if (lastSearch && SearchUrl.isSameSearch(lastSearch.usernames, search.usernames)) return;
+
+        appLogger.info(`Running search for ${search.usernames.length} users from the URL`);
+        this.setSearchInput(search.usernames.join(', '));
+        await this.processSearch(search.usernames, { updateUrl: false });
+    }
+
+    /**
+     * Show results with a sort and filter state, e.g. from a shared URL
+     * @param {Object} view - View state
+     * @private
+     */
+    applyView(view) {
+        if (this.resultsToolbar) {
+            this.resultsToolbar.setView(view);
+            this.applyResultsView();
+        } else {
+            this.state.pendingView = view;
+        }
+    }
+
+    /**
+     * Write the last search and the results view to the page URL
+     * @param {Object} [options] - Update options
+     * @param {boolean} [options.replace] - Replace the current history entry instead of adding one
+     * @private
+     */
+    updateUrl({ replace = false } = {}) {
+        if (!this.state.lastSearch) return;
+
+        const view = this.resultsToolbar ? this.resultsToolbar.getView() : this.state.pendingView || undefined;
+        let url = SearchUrl.build(window.location.href, this.state.lastSearch.usernames, view);
+
+        // The previous search must still leave the URL, or a reload would run it over the resumable session
+        if (url.length > CONFIG.SHARE.MAX_URL_LENGTH) {
+            appLogger.info(`Search is too large to share as a link (${url.length} characters)`);
+            url = SearchUrl.build(window.location.href, []);
+        }
+        if (url === window.location.href) return;
+
+        try {
+            window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+        } catch (error) {
+            appLogger.warn('Failed to update the page URL', error);
+        }
+    }
+
+    /**
+     * Re-run a search from the history
+     * @param {Object} entry - History entry
+     * @private
+     */
+    async runHistoryEntry(entry) {
+        if (this.state.isProcessing) {
+            appLogger.info('Search already in progress, ignoring history entry');
+            return;
+        }
+
+        this.setSearchInput(entry.query);
+        await this.handleSearch();
+    }
+
+    /**
+     * Search every user in a saved list
+     * @param {Object} list - Saved list
+     * @private
+     */
+    async runList(list) {
+        if (this.state.isProcessing) {
+            appLogger.info('Search already in progress, ignoring list');
+            return;
+        }
+        if (list.usernames.length === 0) return;
+
+        this.setSearchInput(list.usernames.join(', '));
+        await this.handleSearch();
+    }
+
+    /**
+     * Open the list picker in a card, or close it if it is already open there
+     * @param {Object} user - The card's user, {login, id}
+     * @param {HTMLElement} cardElement - Card element
+     * @private
+     */
+    toggleListPicker(user, cardElement) {
+        const wasOpenHere = this.listPicker && this.listPicker.container === cardElement;
+        if (this.listPicker) {
+            this.listPicker.close();
+            this.listPicker = null;
+        }
+        if (wasOpenHere) return;
+
+        this.listPicker = new ListPicker(cardElement, this.userLists, user, () => this.listManager.render());
+        this.listPicker.render();
+    }
+
+    /**
+     * Replace the old login of a renamed user with the new one in saved lists
+     * @param {Object} result - Result of the renamed user, with renamedFrom
+     * @returns {number} Number of lists updated
+     * @private
+     */
+    updateListsForRename(result) {
+        const updated = this.userLists.replaceMember(result.renamedFrom, result.data.login, result.data.id);
+        this.listManager.render();
+        return updated;
+    }
+
+    /**
+     * Get the "Update lists" handler for a result, offered only for renamed users that a list still has under the old login
+     * @param {Object} result - User result
+     * @returns {Function|null} Handler, or null if there is nothing to update
+     * @private
+     */
+    getUpdateListsHandler(result) {
+        const renamedInLists = Boolean(result.renamedFrom) &&
+            this.userLists.getListsWithMember(result.renamedFrom).length > 0;
+        return renamedInLists ? (renamed) => this.updateListsForRename(renamed) : null;
+    }
+
+    /**
+     * Find the account id last seen for a username, to follow the account if it was renamed
+     * Saved lists, snapshots and cached profiles are checked in that order
+     * @param {string} username - GitHub username
+     * @returns {Promise<number|null>} Account id, or null if the username was never seen
+     * @private
+     */
+    async getKnownUserId(username) {
+        return this.userLists.getUserId(username) ??
+            this.snapshots.getUserId(username) ??
+            this.apiService.getCachedUserId(username);
+    }
+
+    /**
+     * Search the usernames confirmed from an imported file
+     * @param {string[]} usernames - Valid usernames from the file
+     * @param {Object[]} rejected - Entries that were skipped
+     * @private
+     */
+    async handleImport(usernames, rejected) {
+        if (this.state.isProcessing) {
+            appLogger.info('Search already in progress, ignoring import');
+            return;
+        }
+
+        this.setSearchInput(usernames.join(', '));
+        await this.processSearch(usernames, { rejected });
+    }
+
+    /**
+     * Switch between searching usernames and looking up accounts from emails or names
+     * @param {string} mode - 'usernames' or 'identities'
+     * @private
+     */
+    setSearchMode(mode) {
+        this.state.searchMode = mode === 'identities' ? 'identities' : 'usernames';
+        this.elements.modeInputs.forEach(input => {
+            input.checked = input.value === this.state.searchMode;
         });
+        this.elements.searchInput.placeholder = this.state.searchMode === 'identities'
+            ? 'Enter email addresses or full names - one per line, or separated by commas or semicolons'
+            : 'Enter GitHub usernames, @mentions or profile URLs - separated by commas, spaces or new lines (unlimited)';
     }
 
     /**
-     * Handle search button click or Enter key
+     * Put usernames in the search input, switching to username search
+     * @param {string} text - Usernames as typed
+     * @private
      */
-    async handleSearch() {
-        const query = this.elements.searchInput.value.trim();
-        
-        if (!query) {
-            this.showError('Please enter at least one GitHub username');
+    setSearchInput(text) {
+        this.setSearchMode('usernames');
+        this.elements.searchInput.value = text;
+    }
+
+    /**
+     * Look up candidate accounts for the emails and names in the input and show the candidate picker
+     * @param {string} query - Raw input
+     * @private
+     */
+    async handleReverseLookup(query) {
+        const { entries, rejected } = IdentityParser.parse(query);
+        if (entries.length === 0) {
+            const details = rejected.length > 0 ? ` ${this.describeRejected(rejected)}` : '';
+            this.showError(`No email addresses or names found.${details}`);
             return;
         }
 
-        if (this.state.isProcessing) {
-            appLogger.info('Search already in progress, ignoring new request');
-            return;
+        this.hideError();
+        if (rejected.length > 0) {
+            this.showWarning(this.describeRejected(rejected));
         }
 
-        const usernames = this.parseUsernames(query);
-        if (usernames.length === 0) {
-            this.showError('Please enter valid GitHub usernames (letters, numbers, hyphens only)');
+        const endSearch = this.beginSearch();
+        try {
+            this.candidatePicker.start(entries.length);
+            const lookups = await this.runWithProgress(entries.length, (signal) =>
+                this.reverseLookup.findCandidates(entries, {
+                    signal,
+                    onLookup: (lookup, index) => {
+                        this.candidatePicker.add(lookup);
+                        this.handleProgress(index + 1, entries.length, {});
+                    },
+                    onRateLimit: (resumeAt) => this.handleRateLimit(resumeAt)
+                }),
+                { label: 'Looking up...' }
+            );
+            this.candidatePicker.finish(lookups.length < entries.length);
+        } catch (error) {
+            appLogger.error('Reverse lookup failed', error);
+            this.candidatePicker.close();
+            this.showError('Lookup failed. Please try again.');
+        } finally {
+            endSearch();
+        }
+    }
+
+    /**
+     * Search the accounts confirmed in the candidate picker as a normal batch
+     * @param {string[]} logins - Confirmed logins
+     * @private
+     */
+    async searchCandidates(logins) {
+        if (this.state.isProcessing) {
+            appLogger.info('Search already in progress, ignoring confirmed candidates');
             return;
         }
 
-        await this.processSearch(usernames);
+        this.setSearchInput(logins.join(', '));
+        await this.handleSearch();
     }
 
     /**
      * Parse and validate usernames from input
      * @param {string} query - Raw input query
-     * @returns {string[]} Array of valid usernames
+     * @returns {Object} Valid usernames and rejected tokens with reasons
      * @private
      */
     parseUsernames(query) {
-        return query
-            .split(',')
-            .map(username => username.trim())
-            .filter(username => SecurityValidator.validateUsername(username));
+        return UsernameParser.parse(query);
+    }
+
+    /**
+     * Describe rejected input tokens for the user
+     * @param {Object[]} rejected - Rejected tokens with reasons
+     * @returns {string} Summary message
+     * @private
+     */
+    describeRejected(rejected) {
+        const maxListed = 5;
+        const listed = rejected
+            .slice(0, maxListed)
+            .map(({ token, reason }) => `"${SecurityValidator.truncateText(token, 40)}" (${reason})`)
+            .join(', ');
+        const more = rejected.length > maxListed ? ` and ${rejected.length - maxListed} more` : '';
+        return `Skipped ${rejected.length} ${rejected.length === 1 ? 'entry' : 'entries'}: ${listed}${more}.`;
+    }
+
+    /**
+     * Offer to resume a search interrupted by a reload or a closed tab
+     * @returns {Object|null} The unfinished session offered, or null if there is none
+     * @private
+     */
+    offerResume() {
+        const session = this.searchSession.load();
+        if (!session || !this.elements.resumePrompt) return null;
+
+        const remaining = this.searchSession.getRemaining();
+        const prompt = document.createElement('div');
+        prompt.className = 'resume-prompt';
+
+        const text = document.createElement('span');
+        text.className = 'resume-prompt__text';
+        text.textContent = `A search of ${session.usernames.length} users from ` +
+            `${new Date(session.savedAt).toLocaleString()} did not finish.`;
+
+        const resumeButton = DomHelpers.createButton(
+            `Resume previous search (${remaining.length} remaining)`, 'resume-prompt__resume', () => {
+                this.dismissResumePrompt();
+                this.processSearch(remaining, { resumeFrom: session });
+            }
+        );
+
+        const discardButton = DomHelpers.createButton('Discard', 'resume-prompt__discard', () => {
+            this.searchSession.clear();
+            this.dismissResumePrompt();
+        });
+
+        prompt.appendChild(text);
+        prompt.appendChild(resumeButton);
+        prompt.appendChild(discardButton);
+        this.elements.resumePrompt.appendChild(prompt);
+        appLogger.info(`Found unfinished search with ${remaining.length} users remaining`);
+        return session;
+    }
+
+    /**
+     * Remove the resume prompt
+     * @private
+     */
+    dismissResumePrompt() {
+        if (this.elements.resumePrompt) {
+            this.elements.resumePrompt.innerHTML = '';
+        }
     }
 
     /**
      * Process the search for multiple users
      * @param {string[]} usernames - Array of usernames to search
+     * @param {Object} [options] - Search options
+     * @param {Object[]} [options.rejected] - Input tokens that were skipped, reported to the user
+     * @param {Object} [options.resumeFrom] - Saved session whose results are restored before continuing
+     * @param {string} [options.query] - Search text recorded in the history, the username list by default
+     * @param {boolean} [options.updateUrl] - Add the search to the browser history (off when it came from the URL)
      * @private
      */
-    async processSearch(usernames) {
+    async processSearch(usernames, { rejected = [], resumeFrom = null, query = null, updateUrl = true } = {}) {
+        const allUsernames = resumeFrom ? resumeFrom.usernames : usernames;
+        const restored = resumeFrom ? resumeFrom.results : [];
+
+        const endSearch = this.beginSearch();
         try {
-            this.state.isProcessing = true;
+            this.state.lastSearch = { query: query || allUsernames.join(', '), usernames: allUsernames, historyId: null };
+            if (updateUrl) {
+                this.updateUrl();
+            }
             this.state.currentResults = [];
+            this.state.inputOrder = new Map(allUsernames.map((username, index) => [username.toLowerCase(), index]));
             this.clearResults();
             this.hideError();
-            
-            this.elements.searchButton.disabled = true;
-            this.elements.searchButton.textContent = 'Searching...';
+            this.dismissResumePrompt();
 
-            if (FEATURES.PROGRESS_TRACKING) {
-                this.progressBar = new ProgressBar(this.elements.progressContainer);
-                this.progressBar.show(usernames.length);
+            this.searchSession.start(allUsernames, restored);
+            restored.forEach(result => this.handleResult(result));
+
+            if (rejected.length > 0) {
+                this.showWarning(this.describeRejected(rejected));
             }
 
-            await this.batchProcessor.processUsers(
+            const summary = await this.runBatch(
                 usernames,
-                (processed, total) => this.handleProgress(processed, total),
-                (result) => this.handleResult(result)
+                (result) => {
+                    this.searchSession.recordResult(result);
+                    this.handleResult(result);
+                },
+                { total: allUsernames.length, completed: restored.length, pausable: true }
             );
 
-            this.showResultsSummary();
+            // Finished or cancelled on purpose, so there is nothing left to resume
+            this.searchSession.clear();
+            this.recordSearch();
+            this.showResultsSummary({
+                ...summary,
+                processed: summary.processed + restored.length,
+                total: allUsernames.length
+            });
             
         } catch (error) {
             appLogger.error('Search failed', error);
             this.showError('Search failed. Please try again.');
+        } finally {
+            endSearch();
+        }
+    }
+
+    /**
+     * Track a search or retry so others can wait for it to finish
+     * @returns {Function} Call when the search has finished
+     * @private
+     */
+    beginSearch() {
+        let resolve;
+        const search = new Promise(done => { resolve = done; });
+        this.activeSearch = search;
+        return () => {
+            if (this.activeSearch === search) {
+                this.activeSearch = null;
+            }
+            resolve();
+        };
+    }
+
+    /**
+     * Run usernames through the batch processor with progress, cancel and pause controls
+     * @param {string[]} usernames - Usernames to fetch
+     * @param {Function} onResult - Called with each result
+     * @param {Object} [options] - Batch options
+     * @param {number} [options.total] - Total shown in the progress bar, usernames.length by default
+     * @param {number} [options.completed] - Users already done, added to the progress count
+     * @param {boolean} [options.pausable] - Whether to offer a Pause button
+     * @returns {Promise<Object>} Summary from BatchProcessor.processUsers
+     * @private
+     */
+    async runBatch(usernames, onResult, { total = usernames.length, completed = 0, pausable = false } = {}) {
+        return this.runWithProgress(total, (signal) => this.batchProcessor.processUsers(
+            usernames,
+            (processed, batchTotal, stats) => this.handleProgress(processed + completed, total, stats),
+            onResult,
+            {
+                signal,
+                onRateLimit: (resumeAt) => this.handleRateLimit(resumeAt),
+                resolveUserId: (username) => this.getKnownUserId(username)
+            }
+        ), { completed, pausable });
+    }
+
+    /**
+     * Run a cancellable task with the progress bar shown and the search button disabled
+     * @param {number} total - Total shown in the progress bar
+     * @param {Function} task - Receives the AbortSignal and resolves to the task's result
+     * @param {Object} [options] - Progress options
+     * @param {number} [options.completed] - Items already done when the task starts
+     * @param {boolean} [options.pausable] - Whether to offer a Pause button
+     * @param {string} [options.label] - Search button text while the task runs
+     * @returns {Promise<*>} Result of the task
+     * @private
+     */
+    async runWithProgress(total, task, { completed = 0, pausable = false, label = 'Searching...' } = {}) {
+        try {
+            this.state.isProcessing = true;
+            this.abortController = new AbortController();
+            this.elements.searchButton.disabled = true;
+            this.elements.searchButton.textContent = label;
+
+            if (FEATURES.PROGRESS_TRACKING) {
+                this.progressBar = new ProgressBar(this.elements.progressContainer);
+                this.progressBar.show(
+                    total,
+                    () => this.cancelSearch(),
+                    pausable ? () => this.togglePause() : null,
+                    completed
+                );
+            }
+
+            return await task(this.abortController.signal);
         } finally {
             this.state.isProcessing = false;
+            this.abortController = null;
             this.elements.searchButton.disabled = false;
             this.elements.searchButton.textContent = 'Search';
             
@@ -759,15 +7444,156 @@ class GitHubProfileIdentifier {
         }
     }
 
+    /**
+     * Get failed results worth fetching again (e.g. network errors, not missing users)
+     * @returns {Object[]} Retryable error results
+     * @private
+     */
+    getRetryableFailures() {
+        return this.state.currentResults.filter(result => !result.success && result.retryable);
+    }
+
+    /**
+     * Fetch the retryable failures again, replacing their cards in place
+     */
+    async retryFailed() {
+        if (this.state.isProcessing) return;
+
+        const failed = this.getRetryableFailures();
+        if (failed.length === 0) return;
+
+        const failedByUsername = new Map(failed.map(result =>
+            [(result.requestedUsername || result.username).toLowerCase(), result]
+        ));
+        appLogger.info(`Retrying ${failed.length} failed users`);
+        this.hideError();
+
+        const retryButton = this.elements.resultsSummary && this.elements.resultsSummary.querySelector('.results__retry');
+        if (retryButton) {
+            retryButton.disabled = true;
+        }
+
+        const endSearch = this.beginSearch();
+        try {
+            await this.runBatch([...failedByUsername.keys()], (result) => {
+                const previous = failedByUsername.get(result.requestedUsername.toLowerCase());
+                this.replaceResult(previous, result);
+            });
+        } catch (error) {
+            appLogger.error('Retry failed', error);
+            this.showError('Retry failed. Please try again.');
+        } finally {
+            this.recordSearch();
+            this.showResultsSummary();
+            endSearch();
+        }
+    }
+
+    /**
+     * Save the outcome of the last search to the history, and the account ids of found users to saved lists
+     * @private
+     */
+    recordSearch() {
+        const lastSearch = this.state.lastSearch;
+        if (!lastSearch) return;
+
+        const found = this.state.currentResults.filter(result => result.success).length;
+        const counts = { found, failed: this.state.currentResults.length - found };
+
+        // Saved lists learn the account ids of their members, so later renames can be followed
+        this.userLists.recordUserIds(this.state.currentResults
+            .filter(result => result.success)
+            .map(result => result.data));
+
+        if (lastSearch.historyId && this.searchHistory.get(lastSearch.historyId)) {
+            this.searchHistory.updateCounts(lastSearch.historyId, counts);
+        } else {
+            lastSearch.historyId = this.searchHistory.record(lastSearch.query, lastSearch.usernames, counts).id;
+        }
+
+        if (this.historyDropdown) {
+            this.historyDropdown.render();
+        }
+    }
+
+    /**
+     * Replace a result and update its card in place
+     * @param {Object} previous - Result being replaced
+     * @param {Object} result - New result
+     * @private
+     */
+    replaceResult(previous, result) {
+        const index = this.state.currentResults.indexOf(previous);
+        if (index === -1) {
+            this.handleResult(result);
+            return;
+        }
+
+        this.state.currentResults[index] = result;
+
+        const card = this.cardsByResult.get(previous);
+        if (card) {
+            // A retry may resolve a rename the first attempt did not
+            card.update(result, { onUpdateLists: this.getUpdateListsHandler(result) });
+            this.cardsByResult.delete(previous);
+            this.cardsByResult.set(result, card);
+            this.applyResultsView();
+        }
+    }
+
+    /**
+     * Pause or resume the search in progress, saving progress while paused
+     */
+    togglePause() {
+        if (!this.state.isProcessing) return;
+
+        if (this.batchProcessor.isPaused()) {
+            this.batchProcessor.resume();
+        } else {
+            this.batchProcessor.pause();
+            this.searchSession.save();
+        }
+
+        if (this.progressBar) {
+            this.progressBar.setPaused(this.batchProcessor.isPaused());
+        }
+    }
+
+    /**
+     * Cancel the search in progress, keeping results already shown
+     */
+    cancelSearch() {
+        if (!this.abortController || this.abortController.signal.aborted) return;
+
+        appLogger.info('Cancelling search');
+        this.abortController.abort();
+
+        if (this.progressBar) {
+            this.progressBar.markCancelling();
+        }
+    }
+
     /**
      * Handle progress updates
      * @param {number} processed - Number of processed users
      * @param {number} total - Total number of users
+     * @param {Object} [stats] - Batch statistics such as throughput
+     * @private
+     */
+    handleProgress(processed, total, stats) {
+        if (this.progressBar && FEATURES.PROGRESS_TRACKING) {
+            this.progressBar.update(processed, total, stats);
+        }
+    }
+
+    /**
+     * Handle a rate limit pause in the batch
+     * @param {number} resumeAt - Timestamp (ms) when processing resumes
      * @private
      */
-    handleProgress(processed, total) {
+    handleRateLimit(resumeAt) {
         if (this.progressBar && FEATURES.PROGRESS_TRACKING) {
-            this.progressBar.update(processed, total);
+            this.progressBar.showRateLimitCountdown(resumeAt);
         }
     }
 
@@ -790,22 +7616,94 @@ class GitHubProfileIdentifier {
      * @private
      */
     renderUserCard(userData) {
-        if (!this.elements.resultsGrid) {
-            this.elements.resultsGrid = document.createElement('div');
-            this.elements.resultsGrid.className = 'results__grid';
-            this.elements.resultsContainer.appendChild(this.elements.resultsGrid);
-        }
+        this.ensureResultsGrid();
 
-        const userCard = UserCardFactory.create(userData, this.elements.resultsGrid);
+        const userCard = UserCardFactory.create(userData, this.elements.resultsGrid, {
+            onSaveToList: (user, cardElement) => this.toggleListPicker(user, cardElement),
+            onUpdateLists: this.getUpdateListsHandler(userData)
+        });
         userCard.render();
         this.userCards.push(userCard);
+        this.cardsByResult.set(userData, userCard);
+        this.applyResultsView();
+    }
+
+    /**
+     * Create the results toolbar and grid on first use
+     * @private
+     */
+    ensureResultsGrid() {
+        if (this.elements.resultsGrid) return;
+
+        this.elements.resultsToolbar = document.createElement('div');
+        this.elements.resultsToolbar.className = 'results__toolbar';
+        this.elements.resultsContainer.appendChild(this.elements.resultsToolbar);
+
+        this.resultsToolbar = new ResultsToolbar(
+            this.elements.resultsToolbar,
+            () => {
+                this.applyResultsView();
+                this.updateUrl({ replace: true });
+            },
+            this.state.pendingView || undefined
+        );
+        this.state.pendingView = null;
+        this.resultsToolbar.render();
+
+        this.elements.resultsGrid = document.createElement('div');
+        this.elements.resultsGrid.className = 'results__grid';
+        this.elements.resultsContainer.appendChild(this.elements.resultsGrid);
+    }
+
+    /**
+     * Sort and filter the rendered cards to match the toolbar, moving only cards out of place
+     * @private
+     */
+    applyResultsView() {
+        if (!this.resultsToolbar || !this.elements.resultsGrid) return;
+
+        const grid = this.elements.resultsGrid;
+        const visible = ResultView.apply(
+            this.state.currentResults.filter(result => this.cardsByResult.has(result)),
+            this.resultsToolbar.getView(),
+            (result) => this.getInputIndex(result)
+        );
+        const visibleSet = new Set(visible);
+
+        for (const card of this.userCards) {
+            if (!visibleSet.has(card.userData)) {
+                card.remove();
+            }
+        }
+
+        visible.forEach((result, index) => {
+            const element = this.cardsByResult.get(result).element;
+            const current = grid.children[index];
+            if (current !== element) {
+                grid.insertBefore(element, current || null);
+            }
+        });
+
+        this.resultsToolbar.updateCount(visible.length, this.state.currentResults.length);
+    }
+
+    /**
+     * Get a result's position in the searched username list
+     * @param {Object} result - User result data
+     * @returns {number} Input index, or a large number when unknown
+     * @private
+     */
+    getInputIndex(result) {
+        const username = result.requestedUsername || result.username || (result.data && result.data.login) || '';
+        return this.state.inputOrder.get(username.toLowerCase()) ?? Number.MAX_SAFE_INTEGER;
     }
 
     /**
      * Show results summary
+     * @param {Object} [summary] - Batch summary returned by the processor
      * @private
      */
-    showResultsSummary() {
+    showResultsSummary(summary = null) {
         const successful = this.state.currentResults.filter(r => r.success).length;
         const total = this.state.currentResults.length;
         
@@ -814,116 +7712,138 @@ class GitHubProfileIdentifier {
             this.elements.resultsSummary.className = 'results__summary';
             this.elements.resultsContainer.insertBefore(
                 this.elements.resultsSummary, 
-                this.elements.resultsGrid
+                this.elements.resultsToolbar
             );
         }
 
-        this.elements.resultsSummary.textContent = `Found ${successful} of ${total} users`;
-    }
+        if (summary && summary.cancelled) {
+            this.elements.resultsSummary.textContent =
+                `Search cancelled after ${summary.processed} of ${summary.total} users (found ${successful})`;
+        } else {
+            const timing = summary && summary.elapsed
+                ? ` in ${(summary.elapsed / 1000).toFixed(1)}s (${summary.throughput.toFixed(1)} users/s)`
+                : '';
+            this.elements.resultsSummary.textContent = `Found ${successful} of ${total} users${timing}`;
+        }
 
-    /**
-     * Clear all results
-     * @private
-     */
-    clearResults() {
-        this.userCards = [];
-        if (this.elements.resultsGrid) {
-            this.elements.resultsGrid.innerHTML = '';
+        const retryable = this.getRetryableFailures().length;
+        if (retryable > 0) {
+            this.elements.resultsSummary.appendChild(
+                DomHelpers.createButton(`Retry failed (${retryable})`, 'results__retry', () => this.retryFailed())
+            );
         }
-        if (this.elements.resultsSummary) {
-            this.elements.resultsSummary.textContent = '';
+
+        const breakdown = ErrorClassifier.summarize(this.state.currentResults);
+        if (breakdown.length > 0) {
+            const breakdownElement = document.createElement('span');
+            breakdownElement.className = 'results__breakdown';
+            breakdownElement.textContent = `Failed: ${breakdown.map(category => category.label).join(', ')}`;
+            this.elements.resultsSummary.appendChild(breakdownElement);
         }
-    }
 
-    /**
-     * Show error message
-     * @param {string} message - Error message to display
-     * @private
-     */
-    showError(message) {
-        this.elements.errorContainer.textContent = message;
-        this.elements.errorContainer.className = 'error';
+        this.renderResultActions();
     }
 
     /**
-     * Hide error message
+     * Render actions available for the finished batch (export)
      * @private
      */
-    hideError() {
-        this.elements.errorContainer.className = 'error--hidden';
+    renderResultActions() {
+        if (!this.elements.resultsActions) {
+            this.elements.resultsActions = document.createElement('div');
+            this.elements.resultsActions.className = 'results__actions';
+            this.elements.resultsContainer.insertBefore(
+                this.elements.resultsActions,
+                this.elements.resultsToolbar
+            );
+        }
+
+        this.elements.resultsActions.innerHTML = '';
+        if (this.state.currentResults.length === 0) return;
+
+        const exportToolbar = new ExportToolbar(
+            this.elements.resultsActions,
+            this.exportService,
+            () => this.state.currentResults
+        );
+        exportToolbar.render();
+
+        const snapshotPanel = new SnapshotPanel(this.elements.resultsActions, this.snapshots, this.exportService, {
+            getResults: () => this.state.currentResults,
+            onDiff: (diff) => this.highlightDiff(diff)
+        });
+        snapshotPanel.render();
+
+        // Keep an open comparison up to date, e.g. after retrying failures
+        if (this.state.diffSnapshotId && !snapshotPanel.compare(this.state.diffSnapshotId)) {
+            this.highlightDiff(null);
+        }
     }
 
     /**
-     * Load GitHub token from localStorage
+     * Mark cards that differ from the compared snapshot
+     * @param {Object|null} diff - Diff from SnapshotService.compare, or null to clear the marks
      * @private
      */
-    loadGitHubToken() {
-        try {
-            const savedToken = localStorage.getItem('github-token');
-            if (savedToken && this.elements.githubTokenInput) {
-                this.elements.githubTokenInput.value = savedToken;
-                CONFIG.API.GITHUB_TOKEN = savedToken;
-                appLogger.debug('GitHub token loaded from localStorage');
-            }
-        } catch (error) {
-            appLogger.warn('Failed to load GitHub token from localStorage', error);
+    highlightDiff(diff) {
+        this.state.diffSnapshotId = diff ? diff.snapshotId : null;
+        const entries = new Map(diff ? diff.entries.map(entry => [entry.key, entry]) : []);
+
+        for (const card of this.userCards) {
+            const entry = entries.get(this.snapshots.getKey(card.userData));
+            card.setHighlight(entry ? { status: entry.status, label: DIFF_STATUSES[entry.status].label } : null);
         }
     }
 
     /**
-     * Save GitHub token to localStorage
+     * Clear all results
      * @private
      */
-    saveGitHubToken() {
-        try {
-            const token = this.elements.githubTokenInput?.value?.trim();
-            if (token) {
-                localStorage.setItem('github-token', token);
-                appLogger.debug('GitHub token saved to localStorage');
-            } else {
-                localStorage.removeItem('github-token');
-                appLogger.debug('GitHub token removed from localStorage');
-            }
-        } catch (error) {
-            appLogger.warn('Failed to save GitHub token to localStorage', error);
+    clearResults() {
+        this.state.diffSnapshotId = null;
+        this.userCards = [];
+        this.cardsByResult.clear();
+        this.listPicker = null;
+        if (this.elements.resultsGrid) {
+            this.elements.resultsGrid.innerHTML = '';
+        }
+        if (this.resultsToolbar) {
+            this.resultsToolbar.updateCount(0, 0);
+        }
+        if (this.elements.resultsSummary) {
+            this.elements.resultsSummary.textContent = '';
+        }
+        if (this.elements.resultsActions) {
+            this.elements.resultsActions.innerHTML = '';
         }
     }
 
     /**
-     * Handle GitHub token input changes
+     * Show error message
+     * @param {string} message - Error message to display
      * @private
      */
-    handleTokenChange() {
-        const token = this.elements.githubTokenInput?.value?.trim();
-        CONFIG.API.GITHUB_TOKEN = token || null;
-        
-        if (token) {
-            appLogger.debug('GitHub token updated - rate limit increased to 5,000/hour');
-        } else {
-            appLogger.debug('GitHub token cleared - using unauthenticated rate limit (60/hour)');
-        }
+    showError(message) {
+        this.elements.errorContainer.textContent = message;
+        this.elements.errorContainer.className = 'error';
     }
 
     /**
-     * Open settings dialog
+     * Show a non-blocking warning message
+     * @param {string} message - Warning message to display
      * @private
      */
-    openSettings() {
-        if (this.elements.settingsDialog) {
-            this.elements.settingsDialog.showModal();
-            appLogger.debug('Settings dialog opened');
-        }
+    showWarning(message) {
+        this.elements.errorContainer.textContent = message;
+        this.elements.errorContainer.className = 'error error--warning';
     }
 
     /**
-     * Close settings dialog
+     * Hide error message
      * @private
      */
-    closeSettings() {
-        if (this.elements.settingsDialog) {
-            this.elements.settingsDialog.close();
-            appLogger.debug('Settings dialog closed');
-        }
+    hideError() {
+        this.elements.errorContainer.className = 'error--hidden';
     }
 }
 
@@ -7,48 +7,115 @@
 const fs = require('fs');
 const path = require('path');
 
-// Read all module files
-const config = fs.readFileSync('js/config.js', 'utf8');
-const logger = fs.readFileSync('js/utils/logger.js', 'utf8');
-const validator = fs.readFileSync('js/utils/validator.js', 'utf8');
-const githubApi = fs.readFileSync('js/services/github-api.js', 'utf8');
-const batchProcessor = fs.readFileSync('js/services/batch-processor.js', 'utf8');
-const progressBar = fs.readFileSync('js/components/progress-bar.js', 'utf8');
-const userCard = fs.readFileSync('js/components/user-card.js', 'utf8');
-const app = fs.readFileSync('js/app.js', 'utf8');
-
-// Remove import/export statements and combine
-const bundled = `
+// Module files in dependency order
+const modules = [
+    'js/config.js',
+    'js/utils/logger.js',
+    'js/utils/id-generator.js',
+    'js/utils/dom-helpers.js',
+    'js/utils/validator.js',
+    'js/utils/username-parser.js',
+    'js/utils/import-parser.js',
+    'js/utils/result-view.js',
+    'js/utils/token-bucket.js',
+    'js/utils/error-classifier.js',
+    'js/utils/search-url.js',
+    'js/utils/identity-parser.js',
+    'js/services/credentials.js',
+    'js/services/user-cache.js',
+    'js/services/github-api.js',
+    'js/services/org-membership.js',
+    'js/services/repo-stats.js',
+    'js/services/activity-service.js',
+    'js/services/batch-processor.js',
+    'js/services/export-service.js',
+    'js/services/search-session.js',
+    'js/services/search-history.js',
+    'js/services/user-lists.js',
+    'js/services/snapshot-service.js',
+    'js/services/reverse-lookup.js',
+    'js/components/progress-bar.js',
+    'js/components/user-card.js',
+    'js/components/settings-dialog.js',
+    'js/components/export-toolbar.js',
+    'js/components/file-import.js',
+    'js/components/results-toolbar.js',
+    'js/components/history-dropdown.js',
+    'js/components/list-manager.js',
+    'js/components/list-picker.js',
+    'js/components/snapshot-panel.js',
+    'js/components/candidate-picker.js',
+    'js/app.js'
+];
+
 /**
- * GitHub Profile Identifier - Bundled for GitHub Pages
- * Generated from modular ES6 source files
+ * Remove import/export statements so modules can share one script scope
+ * @param {string} source - Module source
+ * @returns {string} Script source
+ */
+function stripModuleSyntax(source) {
+    return source
+        .replace(/^export\s+/gm, '')
+        .replace(/^import.*from.*;\n/gm, '');
+}
+
+/**
+ * Bundle the modules into app.js, or with --check verify the committed bundle is current
  */
+function main() {
+    const sources = modules.map(file => stripModuleSyntax(fs.readFileSync(path.join(__dirname, file), 'utf8')));
 
-${config.replace(/export\s+/g, '').replace(/import.*from.*;\n/g, '')}
+    // Modules share a single scope once bundled, so top-level names must be unique
+    const declared = new Map();
+    sources.forEach((source, index) => {
+        for (const match of source.matchAll(/^(?:const|let|var|class|function)\s+(\w+)/gm)) {
+            const name = match[1];
+            if (declared.has(name)) {
+                console.error(`❌ Build failed: "${name}" is declared in both ${declared.get(name)} and ${modules[index]}`);
+                process.exit(1);
+            }
+            declared.set(name, modules[index]);
+        }
+    });
 
-${logger.replace(/export\s+/g, '').replace(/import.*from.*;\n/g, '')}
+    const bundled = `
+/**
+ * GitHub Profile Identifier - Bundled for GitHub Pages
+ * Generated from modular ES6 source files
+ */
 
-${validator.replace(/export\s+/g, '').replace(/import.*from.*;\n/g, '')}
+${sources.join('\n\n')}
+`;
 
-${githubApi.replace(/export\s+/g, '').replace(/import.*from.*;\n/g, '')}
+    const bundlePath = path.join(__dirname, 'app.js');
 
-${batchProcessor.replace(/export\s+/g, '').replace(/import.*from.*;\n/g, '')}
+    // --check verifies the committed bundle matches the sources instead of writing it
+    if (process.argv.includes('--check')) {
+        const current = fs.existsSync(bundlePath) ? fs.readFileSync(bundlePath, 'utf8') : '';
+        if (current !== bundled) {
+            console.error('❌ app.js is out of date with js/. Run `npm run build` and commit the result.');
+            process.exit(1);
+        }
+        console.log('✅ app.js is up to date');
+        process.exit(0);
+    }
 
-${progressBar.replace(/export\s+/g, '').replace(/import.*from.*;\n/g, '')}
+    // Write bundled file
+    fs.writeFileSync(bundlePath, bundled);
 
-${userCard.replace(/export\s+/g, '').replace(/import.*from.*;\n/g, '')}
+    console.log('✅ Build complete!');
+    console.log('📁 Files created:');
+    console.log('   - app.js (bundled application)');
+    console.log('');
+    console.log('🚀 Ready for GitHub Pages deployment:');
+    console.log('   1. Commit and push to GitHub');
+    console.log('   2. Enable GitHub Pages in repository settings');
+    console.log('   3. No server required - works directly in browser!');
+}
 
-${app.replace(/export\s+/g, '').replace(/import.*from.*;\n/g, '')}
-`;
+if (require.main === module) {
+    main();
+}
 
-// Write bundled file
-fs.writeFileSync('app.js', bundled);
-
-console.log('✅ Build complete!');
-console.log('📁 Files created:');
-console.log('   - app.js (bundled application)');
-console.log('');
-console.log('🚀 Ready for GitHub Pages deployment:');
-console.log('   1. Commit and push to GitHub');
-console.log('   2. Enable GitHub Pages in repository settings');
-console.log('   3. No server required - works directly in browser!');
+// The module list and syntax stripping are shared with check-credentials.js
+module.exports = { modules, stripModuleSyntax };
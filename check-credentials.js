@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * Check of the GitHub token handling: storage of the token in CredentialsService
+ * and the Authorization header GitHubApiService sends with it
+ * Runs the source modules in Node with in-memory storage and a recording fetch, no browser needed
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { stripModuleSyntax } = require('./build.js');
+
+// Modules needed by the two services, in dependency order
+const modules = [
+    'js/config.js',
+    'js/utils/logger.js',
+    'js/utils/error-classifier.js',
+    'js/services/user-cache.js',
+    'js/services/credentials.js',
+    'js/services/github-api.js'
+];
+
+/**
+ * localStorage stand-in backed by a Map
+ */
+class MemoryStorage {
+    constructor(entries = {}) {
+        this.items = new Map(Object.entries(entries));
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * Load the services into a sandbox whose fetch records the headers of every request
+ * @returns {Object} {CONFIG, CredentialsService, GitHubApiService, requests}
+ */
+function loadServices() {
+    const requests = [];
+    const quiet = () => {};
+    const context = vm.createContext({
+        console: { log: quiet, info: quiet, debug: quiet, warn: quiet, error: quiet },
+        setTimeout,
+        clearTimeout,
+        AbortController,
+        Headers,
+        fetch: async (url, options = {}) => {
+            requests.push({ url, headers: { ...options.headers } });
+            return {
+                ok: true,
+                status: 200,
+                statusText: 'OK',
+                headers: new Headers(),
+                json: async () => ({ login: 'octocat', id: 583231 }),
+                clone() { return this; }
+            };
+        }
+    });
+
+    const source = modules
+        .map(file => stripModuleSyntax(fs.readFileSync(path.join(__dirname, file), 'utf8')))
+        .join('\n\n');
+    const services = vm.runInContext(`${source}\n({ CONFIG, CredentialsService, GitHubApiService });`, context);
+    return { ...services, requests };
+}
+
+/**
+ * Fetch one user with the given credentials and return the headers that were sent
+ * @param {Object} services - Result of loadServices()
+ * @param {CredentialsService} credentials - Credentials used by the API service
+ * @returns {Promise<Object>} Request headers
+ */
+async function fetchHeaders(services, credentials) {
+    const cache = { get: async () => null, set: async () => {}, isFresh: () => false };
+    const api = new services.GitHubApiService(cache, credentials);
+    const result = await api.fetchUser('octocat');
+    assert.strictEqual(result.success, true, 'fetchUser should succeed against the recording fetch');
+    return services.requests[services.requests.length - 1].headers;
+}
+
+const checks = [
+    ['a saved token is loaded from storage', (services) => {
+        const key = services.CONFIG.STORAGE.TOKEN_KEY;
+        const credentials = new services.CredentialsService(new MemoryStorage({ [key]: 'ghp_saved' }));
+        assert.strictEqual(credentials.load(), 'ghp_saved');
+        assert.strictEqual(credentials.hasToken(), true);
+    }],
+    ['setToken trims the token and save persists it', (services) => {
+        const storage = new MemoryStorage();
+        const credentials = new services.CredentialsService(storage);
+        credentials.setToken('  ghp_new  ');
+        credentials.save();
+        assert.strictEqual(credentials.getToken(), 'ghp_new');
+        assert.strictEqual(storage.getItem(services.CONFIG.STORAGE.TOKEN_KEY), 'ghp_new');
+    }],
+    ['clearing the token removes it from storage', (services) => {
+        const key = services.CONFIG.STORAGE.TOKEN_KEY;
+        const storage = new MemoryStorage({ [key]: 'ghp_saved' });
+        const credentials = new services.CredentialsService(storage);
+        credentials.load();
+        credentials.setToken('   ');
+        credentials.save();
+        assert.strictEqual(credentials.hasToken(), false);
+        assert.strictEqual(storage.getItem(key), null);
+    }],
+    ['unavailable storage leaves the app unauthenticated instead of throwing', (services) => {
+        const blocked = {
+            getItem() { throw new Error('SecurityError'); },
+            setItem() { throw new Error('SecurityError'); },
+            removeItem() { throw new Error('SecurityError'); }
+        };
+        const credentials = new services.CredentialsService(blocked);
+        assert.strictEqual(credentials.load(), null);
+        credentials.setToken('ghp_session');
+        credentials.save();
+        assert.strictEqual(credentials.getToken(), 'ghp_session');
+    }],
+    ['requests carry the token in the Authorization header', async (services) => {
+        const credentials = new services.CredentialsService(new MemoryStorage());
+        credentials.setToken('ghp_header');
+        const headers = await fetchHeaders(services, credentials);
+        assert.strictEqual(headers.Authorization, 'token ghp_header');
+    }],
+    ['requests without a token send no Authorization header', async (services) => {
+        const credentials = new services.CredentialsService(new MemoryStorage());
+        const headers = await fetchHeaders(services, credentials);
+        assert.strictEqual(Object.hasOwn(headers, 'Authorization'), false);
+    }]
+];
+
+/**
+ * Run every check and exit with 1 if any failed
+ */
+async function main() {
+    let failed = 0;
+    for (const [name, check] of checks) {
+        try {
+            await check(loadServices());
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    if (failed > 0) {
+        console.error(`❌ ${failed} of ${checks.length} credential checks failed`);
+        process.exit(1);
+    }
+    console.log(`✅ All ${checks.length} credential checks passed`);
+}
+
+main();
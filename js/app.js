@@ -6,12 +6,38 @@
 import { CONFIG, FEATURES } from './config.js';
 import { Logger } from './utils/logger.js';
 import { SecurityValidator } from './utils/validator.js';
+import { UsernameParser } from './utils/username-parser.js';
+import { ResultView } from './utils/result-view.js';
+import { ErrorClassifier } from './utils/error-classifier.js';
+import { SearchUrl } from './utils/search-url.js';
+import { IdentityParser } from './utils/identity-parser.js';
+import { DomHelpers } from './utils/dom-helpers.js';
+import { CredentialsService } from './services/credentials.js';
+import { UserCache } from './services/user-cache.js';
 import { GitHubApiService } from './services/github-api.js';
+import { OrgMembershipService } from './services/org-membership.js';
+import { RepoStatsService } from './services/repo-stats.js';
+import { ActivityService } from './services/activity-service.js';
 import { BatchProcessor } from './services/batch-processor.js';
+import { ExportService } from './services/export-service.js';
+import { SearchSessionService } from './services/search-session.js';
+import { SearchHistoryService } from './services/search-history.js';
+import { UserListsService } from './services/user-lists.js';
+import { SnapshotService, DIFF_STATUSES } from './services/snapshot-service.js';
+import { ReverseLookupService } from './services/reverse-lookup.js';
 import { UserCardFactory } from './components/user-card.js';
 import { ProgressBar } from './components/progress-bar.js';
+import { SettingsDialog } from './components/settings-dialog.js';
+import { ExportToolbar } from './components/export-toolbar.js';
+import { FileImport } from './components/file-import.js';
+import { ResultsToolbar } from './components/results-toolbar.js';
+import { HistoryDropdown } from './components/history-dropdown.js';
+import { ListManager } from './components/list-manager.js';
+import { ListPicker } from './components/list-picker.js';
+import { SnapshotPanel } from './components/snapshot-panel.js';
+import { CandidatePicker } from './components/candidate-picker.js';
 
-const logger = new Logger('App');
+const appLogger = new Logger('App');
 
 /**
  * Main Application Class following Single Responsibility Principle
@@ -19,26 +45,58 @@ const logger = new Logger('App');
  */
 export class GitHubProfileIdentifier {
     constructor() {
-        this.apiService = new GitHubApiService();
-        this.batchProcessor = new BatchProcessor(this.apiService);
+        this.credentials = new CredentialsService();
+        this.apiService = new GitHubApiService(new UserCache(), this.credentials);
+        this.orgMembership = new OrgMembershipService(this.apiService, this.credentials);
+        this.repoStats = new RepoStatsService(this.apiService);
+        this.activity = new ActivityService(this.apiService);
+        this.batchProcessor = new BatchProcessor(this.apiService, [this.orgMembership, this.repoStats, this.activity]);
+        this.exportService = new ExportService();
+        this.searchSession = new SearchSessionService();
+        this.searchHistory = new SearchHistoryService();
+        this.userLists = new UserListsService();
+        this.snapshots = new SnapshotService();
+        this.reverseLookup = new ReverseLookupService(this.apiService, this.credentials);
+        this.settingsDialog = null;
+        this.fileImport = null;
+        this.historyDropdown = null;
+        this.listManager = null;
+        this.listPicker = null;
+        this.candidatePicker = null;
+        this.resultsToolbar = null;
         this.progressBar = null;
+        this.abortController = null;
+        this.activeSearch = null;
         this.userCards = [];
+        this.cardsByResult = new Map();
 
         // DOM elements
         this.elements = {
             searchInput: null,
             searchButton: null,
+            settingsButton: null,
             resultsContainer: null,
+            resultsToolbar: null,
             resultsGrid: null,
             resultsSummary: null,
+            resultsActions: null,
             errorContainer: null,
-            progressContainer: null
+            progressContainer: null,
+            resumePrompt: null,
+            history: null,
+            lists: null,
+            candidates: null,
+            modeInputs: []
         };
 
         this.state = {
             isProcessing: false,
             currentResults: [],
-            lastSearch: null
+            inputOrder: new Map(),
+            searchMode: 'usernames',
+            lastSearch: null,
+            pendingView: null,
+            diffSnapshotId: null
         };
     }
 
@@ -47,13 +105,15 @@ export class GitHubProfileIdentifier {
      */
     async initialize() {
         try {
-            logger.info('Initializing GitHub Profile Identifier application');
+            appLogger.info('Initializing GitHub Profile Identifier application');
             this.initializeElements();
             this.bindEvents();
             this.setupKeyboardShortcuts();
-            logger.info('Application initialized successfully');
+            const session = this.offerResume();
+            this.handleInitialUrl(session);
+            appLogger.info('Application initialized successfully');
         } catch (error) {
-            logger.error('Failed to initialize application', error);
+            appLogger.error('Failed to initialize application', error);
             this.showError('Failed to initialize application. Please refresh the page.');
         }
     }
@@ -65,13 +125,59 @@ export class GitHubProfileIdentifier {
     initializeElements() {
         this.elements.searchInput = document.getElementById('search-input');
         this.elements.searchButton = document.getElementById('search-button');
+        this.elements.settingsButton = document.getElementById('settings-button');
         this.elements.resultsContainer = document.getElementById('results');
         this.elements.errorContainer = document.getElementById('error-container');
         this.elements.progressContainer = document.getElementById('progress-container');
+        this.elements.resumePrompt = document.getElementById('resume-prompt');
+        this.elements.history = document.getElementById('search-history');
+        this.elements.lists = document.getElementById('user-lists');
+        this.elements.candidates = document.getElementById('candidate-picker');
+        this.elements.modeInputs = [...document.querySelectorAll('input[name="search-mode"]')];
 
         if (!this.elements.searchInput || !this.elements.searchButton || !this.elements.resultsContainer) {
             throw new Error('Required DOM elements not found');
         }
+
+        // Restores the saved token and wires the API configuration dialog
+        this.settingsDialog = new SettingsDialog(
+            document.getElementById('settings-dialog'),
+            this.credentials,
+            this.apiService,
+            this.orgMembership,
+            this.repoStats,
+            this.activity
+        );
+        this.settingsDialog.initialize();
+
+        this.fileImport = new FileImport(
+            this.elements.searchInput.closest('.search'),
+            document.getElementById('import-file'),
+            document.getElementById('import-preview'),
+            (usernames, rejected) => this.handleImport(usernames, rejected)
+        );
+        this.fileImport.initialize();
+
+        this.historyDropdown = new HistoryDropdown(
+            this.elements.history,
+            this.searchHistory,
+            (entry) => this.runHistoryEntry(entry)
+        );
+        this.historyDropdown.initialize();
+
+        this.listManager = new ListManager(
+            this.elements.lists,
+            this.userLists,
+            (list) => this.runList(list)
+        );
+        this.listManager.initialize();
+
+        this.candidatePicker = new CandidatePicker(
+            this.elements.candidates,
+            (logins) => this.searchCandidates(logins)
+        );
+
+        this.snapshots.load();
     }
 
     /**
@@ -80,8 +186,29 @@ export class GitHubProfileIdentifier {
      */
     bindEvents() {
         this.elements.searchButton.addEventListener('click', () => this.handleSearch());
-        this.elements.searchInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.handleSearch();
+        this.elements.modeInputs.forEach(input => {
+            input.addEventListener('change', () => this.setSearchMode(input.value));
+        });
+        this.elements.searchInput.addEventListener('keydown', (e) => {
+            // Enter searches; Shift+Enter adds a new line to the list
+            if (e.key === 'Enter' && !e.shiftKey && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                this.handleSearch();
+            }
+        });
+
+        if (this.elements.settingsButton) {
+            this.elements.settingsButton.addEventListener('click', () => this.settingsDialog.open());
+        }
+
+        // Back/forward move between searches
+        window.addEventListener('popstate', () => this.handleUrlChange());
+
+        // Save the latest progress so an interrupted search can be resumed after reload
+        window.addEventListener('pagehide', () => {
+            if (this.state.isProcessing) {
+                this.searchSession.save();
+            }
         });
     }
 
@@ -107,8 +234,7 @@ export class GitHubProfileIdentifier {
             
             // Escape: Cancel search (if processing)
             if (e.key === 'Escape' && this.state.isProcessing) {
-                // Note: Actual cancellation would require more complex implementation
-                logger.info('Search cancellation requested (not implemented)');
+                this.cancelSearch();
             }
         });
     }
@@ -118,72 +244,522 @@ export class GitHubProfileIdentifier {
      */
     async handleSearch() {
         const query = this.elements.searchInput.value.trim();
+        const reverseLookup = this.state.searchMode === 'identities';
         
         if (!query) {
-            this.showError('Please enter at least one GitHub username');
+            this.showError(reverseLookup
+                ? 'Please enter at least one email address or name'
+                : 'Please enter at least one GitHub username');
             return;
         }
 
         if (this.state.isProcessing) {
-            logger.info('Search already in progress, ignoring new request');
+            appLogger.info('Search already in progress, ignoring new request');
             return;
         }
 
-        const usernames = this.parseUsernames(query);
+        if (reverseLookup) {
+            await this.handleReverseLookup(query);
+            return;
+        }
+
+        const { usernames, rejected } = this.parseUsernames(query);
         if (usernames.length === 0) {
-            this.showError('Please enter valid GitHub usernames (letters, numbers, hyphens only)');
+            const details = rejected.length > 0 ? ` ${this.describeRejected(rejected)}` : '';
+            this.showError(`No valid GitHub usernames found.${details}`);
+            return;
+        }
+
+        await this.processSearch(usernames, { rejected, query });
+    }
+
+    /**
+     * Run the search in the URL the page was opened with
+     * While an unfinished session can be resumed the search is only filled in, since running it
+     * would replace the session; a reload during a batch leaves that same search in the URL
+     * @param {Object|null} session - Unfinished session offered for resuming
+     * @private
+     */
+    handleInitialUrl(session) {
+        const search = SearchUrl.parse(window.location.href);
+        if (!search || !session) {
+            this.handleUrlChange();
+            return;
+        }
+
+        this.applyView(search.view);
+        this.setSearchInput(search.usernames.join(', '));
+        if (SearchUrl.isSameSearch(session.usernames, search.usernames)) {
+            appLogger.info('Search in the URL did not finish; waiting for it to be resumed');
+        } else {
+            this.showWarning('The linked search was not run so the unfinished search can still be resumed. ' +
+                'Click Search to run it instead; the unfinished search is then discarded.');
+        }
+    }
+
+    /**
+     * Run the search encoded in the page URL, e.g. a shared link or a back/forward step
+     * @private
+     */
+    async handleUrlChange() {
+        const search = SearchUrl.parse(window.location.href);
+
+        // Results of a search still running would land in the one from the URL
+        if (this.activeSearch) {
+            this.cancelSearch();
+            await this.activeSearch;
+        }
+
+        if (!search) {
+            if (this.state.lastSearch) {
+                this.state.lastSearch = null;
+                this.state.currentResults = [];
+                this.elements.searchInput.value = '';
+                this.clearResults();
+            }
+            return;
+        }
+
+        this.applyView(search.view);
+
+        const lastSearch = this.state.lastSearch;
+        if (lastSearch && SearchUrl.isSameSearch(lastSearch.usernames, search.usernames)) return;
+
+        appLogger.info(`Running search for ${search.usernames.length} users from the URL`);
+        this.setSearchInput(search.usernames.join(', '));
+        await this.processSearch(search.usernames, { updateUrl: false });
+    }
+
+    /**
+     * Show results with a sort and filter state, e.g. from a shared URL
+     * @param {Object} view - View state
+     * @private
+     */
+    applyView(view) {
+        if (this.resultsToolbar) {
+            this.resultsToolbar.setView(view);
+            this.applyResultsView();
+        } else {
+            this.state.pendingView = view;
+        }
+    }
+
+    /**
+     * Write the last search and the results view to the page URL
+     * @param {Object} [options] - Update options
+     * @param {boolean} [options.replace] - Replace the current history entry instead of adding one
+     * @private
+     */
+    updateUrl({ replace = false } = {}) {
+        if (!this.state.lastSearch) return;
+
+        const view = this.resultsToolbar ? this.resultsToolbar.getView() : this.state.pendingView || undefined;
+        let url = SearchUrl.build(window.location.href, this.state.lastSearch.usernames, view);
+
+        // The previous search must still leave the URL, or a reload would run it over the resumable session
+        if (url.length > CONFIG.SHARE.MAX_URL_LENGTH) {
+            appLogger.info(`Search is too large to share as a link (${url.length} characters)`);
+            url = SearchUrl.build(window.location.href, []);
+        }
+        if (url === window.location.href) return;
+
+        try {
+            window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+        } catch (error) {
+            appLogger.warn('Failed to update the page URL', error);
+        }
+    }
+
+    /**
+     * Re-run a search from the history
+     * @param {Object} entry - History entry
+     * @private
+     */
+    async runHistoryEntry(entry) {
+        if (this.state.isProcessing) {
+            appLogger.info('Search already in progress, ignoring history entry');
+            return;
+        }
+
+        this.setSearchInput(entry.query);
+        await this.handleSearch();
+    }
+
+    /**
+     * Search every user in a saved list
+     * @param {Object} list - Saved list
+     * @private
+     */
+    async runList(list) {
+        if (this.state.isProcessing) {
+            appLogger.info('Search already in progress, ignoring list');
+            return;
+        }
+        if (list.usernames.length === 0) return;
+
+        this.setSearchInput(list.usernames.join(', '));
+        await this.handleSearch();
+    }
+
+    /**
+     * Open the list picker in a card, or close it if it is already open there
+     * @param {Object} user - The card's user, {login, id}
+     * @param {HTMLElement} cardElement - Card element
+     * @private
+     */
+    toggleListPicker(user, cardElement) {
+        const wasOpenHere = this.listPicker && this.listPicker.container === cardElement;
+        if (this.listPicker) {
+            this.listPicker.close();
+            this.listPicker = null;
+        }
+        if (wasOpenHere) return;
+
+        this.listPicker = new ListPicker(cardElement, this.userLists, user, () => this.listManager.render());
+        this.listPicker.render();
+    }
+
+    /**
+     * Replace the old login of a renamed user with the new one in saved lists
+     * @param {Object} result - Result of the renamed user, with renamedFrom
+     * @returns {number} Number of lists updated
+     * @private
+     */
+    updateListsForRename(result) {
+        const updated = this.userLists.replaceMember(result.renamedFrom, result.data.login, result.data.id);
+        this.listManager.render();
+        return updated;
+    }
+
+    /**
+     * Get the "Update lists" handler for a result, offered only for renamed users that a list still has under the old login
+     * @param {Object} result - User result
+     * @returns {Function|null} Handler, or null if there is nothing to update
+     * @private
+     */
+    getUpdateListsHandler(result) {
+        const renamedInLists = Boolean(result.renamedFrom) &&
+            this.userLists.getListsWithMember(result.renamedFrom).length > 0;
+        return renamedInLists ? (renamed) => this.updateListsForRename(renamed) : null;
+    }
+
+    /**
+     * Find the account id last seen for a username, to follow the account if it was renamed
+     * Saved lists, snapshots and cached profiles are checked in that order
+     * @param {string} username - GitHub username
+     * @returns {Promise<number|null>} Account id, or null if the username was never seen
+     * @private
+     */
+    async getKnownUserId(username) {
+        return this.userLists.getUserId(username) ??
+            this.snapshots.getUserId(username) ??
+            this.apiService.getCachedUserId(username);
+    }
+
+    /**
+     * Search the usernames confirmed from an imported file
+     * @param {string[]} usernames - Valid usernames from the file
+     * @param {Object[]} rejected - Entries that were skipped
+     * @private
+     */
+    async handleImport(usernames, rejected) {
+        if (this.state.isProcessing) {
+            appLogger.info('Search already in progress, ignoring import');
             return;
         }
 
-        await this.processSearch(usernames);
+        this.setSearchInput(usernames.join(', '));
+        await this.processSearch(usernames, { rejected });
+    }
+
+    /**
+     * Switch between searching usernames and looking up accounts from emails or names
+     * @param {string} mode - 'usernames' or 'identities'
+     * @private
+     */
+    setSearchMode(mode) {
+        this.state.searchMode = mode === 'identities' ? 'identities' : 'usernames';
+        this.elements.modeInputs.forEach(input => {
+            input.checked = input.value === this.state.searchMode;
+        });
+        this.elements.searchInput.placeholder = this.state.searchMode === 'identities'
+            ? 'Enter email addresses or full names - one per line, or separated by commas or semicolons'
+            : 'Enter GitHub usernames, @mentions or profile URLs - separated by commas, spaces or new lines (unlimited)';
+    }
+
+    /**
+     * Put usernames in the search input, switching to username search
+     * @param {string} text - Usernames as typed
+     * @private
+     */
+    setSearchInput(text) {
+        this.setSearchMode('usernames');
+        this.elements.searchInput.value = text;
+    }
+
+    /**
+     * Look up candidate accounts for the emails and names in the input and show the candidate picker
+     * @param {string} query - Raw input
+     * @private
+     */
+    async handleReverseLookup(query) {
+        const { entries, rejected } = IdentityParser.parse(query);
+        if (entries.length === 0) {
+            const details = rejected.length > 0 ? ` ${this.describeRejected(rejected)}` : '';
+            this.showError(`No email addresses or names found.${details}`);
+            return;
+        }
+
+        this.hideError();
+        if (rejected.length > 0) {
+            this.showWarning(this.describeRejected(rejected));
+        }
+
+        const endSearch = this.beginSearch();
+        try {
+            this.candidatePicker.start(entries.length);
+            const lookups = await this.runWithProgress(entries.length, (signal) =>
+                this.reverseLookup.findCandidates(entries, {
+                    signal,
+                    onLookup: (lookup, index) => {
+                        this.candidatePicker.add(lookup);
+                        this.handleProgress(index + 1, entries.length, {});
+                    },
+                    onRateLimit: (resumeAt) => this.handleRateLimit(resumeAt)
+                }),
+                { label: 'Looking up...' }
+            );
+            this.candidatePicker.finish(lookups.length < entries.length);
+        } catch (error) {
+            appLogger.error('Reverse lookup failed', error);
+            this.candidatePicker.close();
+            this.showError('Lookup failed. Please try again.');
+        } finally {
+            endSearch();
+        }
+    }
+
+    /**
+     * Search the accounts confirmed in the candidate picker as a normal batch
+     * @param {string[]} logins - Confirmed logins
+     * @private
+     */
+    async searchCandidates(logins) {
+        if (this.state.isProcessing) {
+            appLogger.info('Search already in progress, ignoring confirmed candidates');
+            return;
+        }
+
+        this.setSearchInput(logins.join(', '));
+        await this.handleSearch();
     }
 
     /**
      * Parse and validate usernames from input
      * @param {string} query - Raw input query
-     * @returns {string[]} Array of valid usernames
+     * @returns {Object} Valid usernames and rejected tokens with reasons
      * @private
      */
     parseUsernames(query) {
-        return query
-            .split(',')
-            .map(username => username.trim())
-            .filter(username => SecurityValidator.validateUsername(username));
+        return UsernameParser.parse(query);
+    }
+
+    /**
+     * Describe rejected input tokens for the user
+     * @param {Object[]} rejected - Rejected tokens with reasons
+     * @returns {string} Summary message
+     * @private
+     */
+    describeRejected(rejected) {
+        const maxListed = 5;
+        const listed = rejected
+            .slice(0, maxListed)
+            .map(({ token, reason }) => `"${SecurityValidator.truncateText(token, 40)}" (${reason})`)
+            .join(', ');
+        const more = rejected.length > maxListed ? ` and ${rejected.length - maxListed} more` : '';
+        return `Skipped ${rejected.length} ${rejected.length === 1 ? 'entry' : 'entries'}: ${listed}${more}.`;
+    }
+
+    /**
+     * Offer to resume a search interrupted by a reload or a closed tab
+     * @returns {Object|null} The unfinished session offered, or null if there is none
+     * @private
+     */
+    offerResume() {
+        const session = this.searchSession.load();
+        if (!session || !this.elements.resumePrompt) return null;
+
+        const remaining = this.searchSession.getRemaining();
+        const prompt = document.createElement('div');
+        prompt.className = 'resume-prompt';
+
+        const text = document.createElement('span');
+        text.className = 'resume-prompt__text';
+        text.textContent = `A search of ${session.usernames.length} users from ` +
+            `${new Date(session.savedAt).toLocaleString()} did not finish.`;
+
+        const resumeButton = DomHelpers.createButton(
+            `Resume previous search (${remaining.length} remaining)`, 'resume-prompt__resume', () => {
+                this.dismissResumePrompt();
+                this.processSearch(remaining, { resumeFrom: session });
+            }
+        );
+
+        const discardButton = DomHelpers.createButton('Discard', 'resume-prompt__discard', () => {
+            this.searchSession.clear();
+            this.dismissResumePrompt();
+        });
+
+        prompt.appendChild(text);
+        prompt.appendChild(resumeButton);
+        prompt.appendChild(discardButton);
+        this.elements.resumePrompt.appendChild(prompt);
+        appLogger.info(`Found unfinished search with ${remaining.length} users remaining`);
+        return session;
+    }
+
+    /**
+     * Remove the resume prompt
+     * @private
+     */
+    dismissResumePrompt() {
+        if (this.elements.resumePrompt) {
+            this.elements.resumePrompt.innerHTML = '';
+        }
     }
 
     /**
      * Process the search for multiple users
      * @param {string[]} usernames - Array of usernames to search
+     * @param {Object} [options] - Search options
+     * @param {Object[]} [options.rejected] - Input tokens that were skipped, reported to the user
+     * @param {Object} [options.resumeFrom] - Saved session whose results are restored before continuing
+     * @param {string} [options.query] - Search text recorded in the history, the username list by default
+     * @param {boolean} [options.updateUrl] - Add the search to the browser history (off when it came from the URL)
      * @private
      */
-    async processSearch(usernames) {
+    async processSearch(usernames, { rejected = [], resumeFrom = null, query = null, updateUrl = true } = {}) {
+        const allUsernames = resumeFrom ? resumeFrom.usernames : usernames;
+        const restored = resumeFrom ? resumeFrom.results : [];
+
+        const endSearch = this.beginSearch();
         try {
-            this.state.isProcessing = true;
+            this.state.lastSearch = { query: query || allUsernames.join(', '), usernames: allUsernames, historyId: null };
+            if (updateUrl) {
+                this.updateUrl();
+            }
             this.state.currentResults = [];
+            this.state.inputOrder = new Map(allUsernames.map((username, index) => [username.toLowerCase(), index]));
             this.clearResults();
             this.hideError();
-            
-            this.elements.searchButton.disabled = true;
-            this.elements.searchButton.textContent = 'Searching...';
+            this.dismissResumePrompt();
 
-            if (FEATURES.PROGRESS_TRACKING) {
-                this.progressBar = new ProgressBar(this.elements.progressContainer);
-                this.progressBar.show(usernames.length);
+            this.searchSession.start(allUsernames, restored);
+            restored.forEach(result => this.handleResult(result));
+
+            if (rejected.length > 0) {
+                this.showWarning(this.describeRejected(rejected));
             }
 
-            await this.batchProcessor.processUsers(
+            const summary = await this.runBatch(
                 usernames,
-                (processed, total) => this.handleProgress(processed, total),
-                (result) => this.handleResult(result)
+                (result) => {
+                    this.searchSession.recordResult(result);
+                    this.handleResult(result);
+                },
+                { total: allUsernames.length, completed: restored.length, pausable: true }
             );
 
-            this.showResultsSummary();
+            // Finished or cancelled on purpose, so there is nothing left to resume
+            this.searchSession.clear();
+            this.recordSearch();
+            this.showResultsSummary({
+                ...summary,
+                processed: summary.processed + restored.length,
+                total: allUsernames.length
+            });
             
         } catch (error) {
-            logger.error('Search failed', error);
+            appLogger.error('Search failed', error);
             this.showError('Search failed. Please try again.');
+        } finally {
+            endSearch();
+        }
+    }
+
+    /**
+     * Track a search or retry so others can wait for it to finish
+     * @returns {Function} Call when the search has finished
+     * @private
+     */
+    beginSearch() {
+        let resolve;
+        const search = new Promise(done => { resolve = done; });
+        this.activeSearch = search;
+        return () => {
+            if (this.activeSearch === search) {
+                this.activeSearch = null;
+            }
+            resolve();
+        };
+    }
+
+    /**
+     * Run usernames through the batch processor with progress, cancel and pause controls
+     * @param {string[]} usernames - Usernames to fetch
+     * @param {Function} onResult - Called with each result
+     * @param {Object} [options] - Batch options
+     * @param {number} [options.total] - Total shown in the progress bar, usernames.length by default
+     * @param {number} [options.completed] - Users already done, added to the progress count
+     * @param {boolean} [options.pausable] - Whether to offer a Pause button
+     * @returns {Promise<Object>} Summary from BatchProcessor.processUsers
+     * @private
+     */
+    async runBatch(usernames, onResult, { total = usernames.length, completed = 0, pausable = false } = {}) {
+        return this.runWithProgress(total, (signal) => this.batchProcessor.processUsers(
+            usernames,
+            (processed, batchTotal, stats) => this.handleProgress(processed + completed, total, stats),
+            onResult,
+            {
+                signal,
+                onRateLimit: (resumeAt) => this.handleRateLimit(resumeAt),
+                resolveUserId: (username) => this.getKnownUserId(username)
+            }
+        ), { completed, pausable });
+    }
+
+    /**
+     * Run a cancellable task with the progress bar shown and the search button disabled
+     * @param {number} total - Total shown in the progress bar
+     * @param {Function} task - Receives the AbortSignal and resolves to the task's result
+     * @param {Object} [options] - Progress options
+     * @param {number} [options.completed] - Items already done when the task starts
+     * @param {boolean} [options.pausable] - Whether to offer a Pause button
+     * @param {string} [options.label] - Search button text while the task runs
+     * @returns {Promise<*>} Result of the task
+     * @private
+     */
+    async runWithProgress(total, task, { completed = 0, pausable = false, label = 'Searching...' } = {}) {
+        try {
+            this.state.isProcessing = true;
+            this.abortController = new AbortController();
+            this.elements.searchButton.disabled = true;
+            this.elements.searchButton.textContent = label;
+
+            if (FEATURES.PROGRESS_TRACKING) {
+                this.progressBar = new ProgressBar(this.elements.progressContainer);
+                this.progressBar.show(
+                    total,
+                    () => this.cancelSearch(),
+                    pausable ? () => this.togglePause() : null,
+                    completed
+                );
+            }
+
+            return await task(this.abortController.signal);
         } finally {
             this.state.isProcessing = false;
+            this.abortController = null;
             this.elements.searchButton.disabled = false;
             this.elements.searchButton.textContent = 'Search';
             
@@ -194,15 +770,156 @@ export class GitHubProfileIdentifier {
         }
     }
 
+    /**
+     * Get failed results worth fetching again (e.g. network errors, not missing users)
+     * @returns {Object[]} Retryable error results
+     * @private
+     */
+    getRetryableFailures() {
+        return this.state.currentResults.filter(result => !result.success && result.retryable);
+    }
+
+    /**
+     * Fetch the retryable failures again, replacing their cards in place
+     */
+    async retryFailed() {
+        if (this.state.isProcessing) return;
+
+        const failed = this.getRetryableFailures();
+        if (failed.length === 0) return;
+
+        const failedByUsername = new Map(failed.map(result =>
+            [(result.requestedUsername || result.username).toLowerCase(), result]
+        ));
+        appLogger.info(`Retrying ${failed.length} failed users`);
+        this.hideError();
+
+        const retryButton = this.elements.resultsSummary && this.elements.resultsSummary.querySelector('.results__retry');
+        if (retryButton) {
+            retryButton.disabled = true;
+        }
+
+        const endSearch = this.beginSearch();
+        try {
+            await this.runBatch([...failedByUsername.keys()], (result) => {
+                const previous = failedByUsername.get(result.requestedUsername.toLowerCase());
+                this.replaceResult(previous, result);
+            });
+        } catch (error) {
+            appLogger.error('Retry failed', error);
+            this.showError('Retry failed. Please try again.');
+        } finally {
+            this.recordSearch();
+            this.showResultsSummary();
+            endSearch();
+        }
+    }
+
+    /**
+     * Save the outcome of the last search to the history, and the account ids of found users to saved lists
+     * @private
+     */
+    recordSearch() {
+        const lastSearch = this.state.lastSearch;
+        if (!lastSearch) return;
+
+        const found = this.state.currentResults.filter(result => result.success).length;
+        const counts = { found, failed: this.state.currentResults.length - found };
+
+        // Saved lists learn the account ids of their members, so later renames can be followed
+        this.userLists.recordUserIds(this.state.currentResults
+            .filter(result => result.success)
+            .map(result => result.data));
+
+        if (lastSearch.historyId && this.searchHistory.get(lastSearch.historyId)) {
+            this.searchHistory.updateCounts(lastSearch.historyId, counts);
+        } else {
+            lastSearch.historyId = this.searchHistory.record(lastSearch.query, lastSearch.usernames, counts).id;
+        }
+
+        if (this.historyDropdown) {
+            this.historyDropdown.render();
+        }
+    }
+
+    /**
+     * Replace a result and update its card in place
+     * @param {Object} previous - Result being replaced
+     * @param {Object} result - New result
+     * @private
+     */
+    replaceResult(previous, result) {
+        const index = this.state.currentResults.indexOf(previous);
+        if (index === -1) {
+            this.handleResult(result);
+            return;
+        }
+
+        this.state.currentResults[index] = result;
+
+        const card = this.cardsByResult.get(previous);
+        if (card) {
+            // A retry may resolve a rename the first attempt did not
+            card.update(result, { onUpdateLists: this.getUpdateListsHandler(result) });
+            this.cardsByResult.delete(previous);
+            this.cardsByResult.set(result, card);
+            this.applyResultsView();
+        }
+    }
+
+    /**
+     * Pause or resume the search in progress, saving progress while paused
+     */
+    togglePause() {
+        if (!this.state.isProcessing) return;
+
+        if (this.batchProcessor.isPaused()) {
+            this.batchProcessor.resume();
+        } else {
+            this.batchProcessor.pause();
+            this.searchSession.save();
+        }
+
+        if (this.progressBar) {
+            this.progressBar.setPaused(this.batchProcessor.isPaused());
+        }
+    }
+
+    /**
+     * Cancel the search in progress, keeping results already shown
+     */
+    cancelSearch() {
+        if (!this.abortController || this.abortController.signal.aborted) return;
+
+        appLogger.info('Cancelling search');
+        this.abortController.abort();
+
+        if (this.progressBar) {
+            this.progressBar.markCancelling();
+        }
+    }
+
     /**
      * Handle progress updates
      * @param {number} processed - Number of processed users
      * @param {number} total - Total number of users
+     * @param {Object} [stats] - Batch statistics such as throughput
      * @private
      */
-    handleProgress(processed, total) {
+    handleProgress(processed, total, stats) {
         if (this.progressBar && FEATURES.PROGRESS_TRACKING) {
-            this.progressBar.update(processed, total);
+            this.progressBar.update(processed, total, stats);
+        }
+    }
+
+    /**
+     * Handle a rate limit pause in the batch
+     * @param {number} resumeAt - Timestamp (ms) when processing resumes
+     * @private
+     */
+    handleRateLimit(resumeAt) {
+        if (this.progressBar && FEATURES.PROGRESS_TRACKING) {
+            this.progressBar.showRateLimitCountdown(resumeAt);
         }
     }
 
@@ -225,22 +942,94 @@ export class GitHubProfileIdentifier {
      * @private
      */
     renderUserCard(userData) {
-        if (!this.elements.resultsGrid) {
-            this.elements.resultsGrid = document.createElement('div');
-            this.elements.resultsGrid.className = 'results__grid';
-            this.elements.resultsContainer.appendChild(this.elements.resultsGrid);
-        }
+        this.ensureResultsGrid();
 
-        const userCard = UserCardFactory.create(userData, this.elements.resultsGrid);
+        const userCard = UserCardFactory.create(userData, this.elements.resultsGrid, {
+            onSaveToList: (user, cardElement) => this.toggleListPicker(user, cardElement),
+            onUpdateLists: this.getUpdateListsHandler(userData)
+        });
         userCard.render();
         this.userCards.push(userCard);
+        this.cardsByResult.set(userData, userCard);
+        this.applyResultsView();
+    }
+
+    /**
+     * Create the results toolbar and grid on first use
+     * @private
+     */
+    ensureResultsGrid() {
+        if (this.elements.resultsGrid) return;
+
+        this.elements.resultsToolbar = document.createElement('div');
+        this.elements.resultsToolbar.className = 'results__toolbar';
+        this.elements.resultsContainer.appendChild(this.elements.resultsToolbar);
+
+        this.resultsToolbar = new ResultsToolbar(
+            this.elements.resultsToolbar,
+            () => {
+                this.applyResultsView();
+                this.updateUrl({ replace: true });
+            },
+            this.state.pendingView || undefined
+        );
+        this.state.pendingView = null;
+        this.resultsToolbar.render();
+
+        this.elements.resultsGrid = document.createElement('div');
+        this.elements.resultsGrid.className = 'results__grid';
+        this.elements.resultsContainer.appendChild(this.elements.resultsGrid);
+    }
+
+    /**
+     * Sort and filter the rendered cards to match the toolbar, moving only cards out of place
+     * @private
+     */
+    applyResultsView() {
+        if (!this.resultsToolbar || !this.elements.resultsGrid) return;
+
+        const grid = this.elements.resultsGrid;
+        const visible = ResultView.apply(
+            this.state.currentResults.filter(result => this.cardsByResult.has(result)),
+            this.resultsToolbar.getView(),
+            (result) => this.getInputIndex(result)
+        );
+        const visibleSet = new Set(visible);
+
+        for (const card of this.userCards) {
+            if (!visibleSet.has(card.userData)) {
+                card.remove();
+            }
+        }
+
+        visible.forEach((result, index) => {
+            const element = this.cardsByResult.get(result).element;
+            const current = grid.children[index];
+            if (current !== element) {
+                grid.insertBefore(element, current || null);
+            }
+        });
+
+        this.resultsToolbar.updateCount(visible.length, this.state.currentResults.length);
+    }
+
+    /**
+     * Get a result's position in the searched username list
+     * @param {Object} result - User result data
+     * @returns {number} Input index, or a large number when unknown
+     * @private
+     */
+    getInputIndex(result) {
+        const username = result.requestedUsername || result.username || (result.data && result.data.login) || '';
+        return this.state.inputOrder.get(username.toLowerCase()) ?? Number.MAX_SAFE_INTEGER;
     }
 
     /**
      * Show results summary
+     * @param {Object} [summary] - Batch summary returned by the processor
      * @private
      */
-    showResultsSummary() {
+    showResultsSummary(summary = null) {
         const successful = this.state.currentResults.filter(r => r.success).length;
         const total = this.state.currentResults.length;
         
@@ -249,11 +1038,87 @@ export class GitHubProfileIdentifier {
             this.elements.resultsSummary.className = 'results__summary';
             this.elements.resultsContainer.insertBefore(
                 this.elements.resultsSummary, 
-                this.elements.resultsGrid
+                this.elements.resultsToolbar
             );
         }
 
-        this.elements.resultsSummary.textContent = `Found ${successful} of ${total} users`;
+        if (summary && summary.cancelled) {
+            this.elements.resultsSummary.textContent =
+                `Search cancelled after ${summary.processed} of ${summary.total} users (found ${successful})`;
+        } else {
+            const timing = summary && summary.elapsed
+                ? ` in ${(summary.elapsed / 1000).toFixed(1)}s (${summary.throughput.toFixed(1)} users/s)`
+                : '';
+            this.elements.resultsSummary.textContent = `Found ${successful} of ${total} users${timing}`;
+        }
+
+        const retryable = this.getRetryableFailures().length;
+        if (retryable > 0) {
+            this.elements.resultsSummary.appendChild(
+                DomHelpers.createButton(`Retry failed (${retryable})`, 'results__retry', () => this.retryFailed())
+            );
+        }
+
+        const breakdown = ErrorClassifier.summarize(this.state.currentResults);
+        if (breakdown.length > 0) {
+            const breakdownElement = document.createElement('span');
+            breakdownElement.className = 'results__breakdown';
+            breakdownElement.textContent = `Failed: ${breakdown.map(category => category.label).join(', ')}`;
+            this.elements.resultsSummary.appendChild(breakdownElement);
+        }
+
+        this.renderResultActions();
+    }
+
+    /**
+     * Render actions available for the finished batch (export)
+     * @private
+     */
+    renderResultActions() {
+        if (!this.elements.resultsActions) {
+            this.elements.resultsActions = document.createElement('div');
+            this.elements.resultsActions.className = 'results__actions';
+            this.elements.resultsContainer.insertBefore(
+                this.elements.resultsActions,
+                this.elements.resultsToolbar
+            );
+        }
+
+        this.elements.resultsActions.innerHTML = '';
+        if (this.state.currentResults.length === 0) return;
+
+        const exportToolbar = new ExportToolbar(
+            this.elements.resultsActions,
+            this.exportService,
+            () => this.state.currentResults
+        );
+        exportToolbar.render();
+
+        const snapshotPanel = new SnapshotPanel(this.elements.resultsActions, this.snapshots, this.exportService, {
+            getResults: () => this.state.currentResults,
+            onDiff: (diff) => this.highlightDiff(diff)
+        });
+        snapshotPanel.render();
+
+        // Keep an open comparison up to date, e.g. after retrying failures
+        if (this.state.diffSnapshotId && !snapshotPanel.compare(this.state.diffSnapshotId)) {
+            this.highlightDiff(null);
+        }
+    }
+
+    /**
+     * Mark cards that differ from the compared snapshot
+     * @param {Object|null} diff - Diff from SnapshotService.compare, or null to clear the marks
+     * @private
+     */
+    highlightDiff(diff) {
+        this.state.diffSnapshotId = diff ? diff.snapshotId : null;
+        const entries = new Map(diff ? diff.entries.map(entry => [entry.key, entry]) : []);
+
+        for (const card of this.userCards) {
+            const entry = entries.get(this.snapshots.getKey(card.userData));
+            card.setHighlight(entry ? { status: entry.status, label: DIFF_STATUSES[entry.status].label } : null);
+        }
     }
 
     /**
@@ -261,13 +1126,22 @@ export class GitHubProfileIdentifier {
      * @private
      */
     clearResults() {
+        this.state.diffSnapshotId = null;
         this.userCards = [];
+        this.cardsByResult.clear();
+        this.listPicker = null;
         if (this.elements.resultsGrid) {
             this.elements.resultsGrid.innerHTML = '';
         }
+        if (this.resultsToolbar) {
+            this.resultsToolbar.updateCount(0, 0);
+        }
         if (this.elements.resultsSummary) {
             this.elements.resultsSummary.textContent = '';
         }
+        if (this.elements.resultsActions) {
+            this.elements.resultsActions.innerHTML = '';
+        }
     }
 
     /**
@@ -280,6 +1154,16 @@ export class GitHubProfileIdentifier {
         this.elements.errorContainer.className = 'error';
     }
 
+    /**
+     * Show a non-blocking warning message
+     * @param {string} message - Warning message to display
+     * @private
+     */
+    showWarning(message) {
+        this.elements.errorContainer.textContent = message;
+        this.elements.errorContainer.className = 'error error--warning';
+    }
+
     /**
      * Hide error message
      * @private
@@ -0,0 +1,241 @@
+/**
+ * Candidate Picker Component following Single Responsibility Principle
+ * Shows the accounts proposed for each email or name so the right ones can be confirmed and searched
+ */
+
+import { SecurityValidator } from '../utils/validator.js';
+import { Logger } from '../utils/logger.js';
+import { DomHelpers } from '../utils/dom-helpers.js';
+
+export class CandidatePicker {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {Function} onConfirm - Called with the confirmed logins
+     */
+    constructor(container, onConfirm) {
+        this.container = container;
+        this.onConfirm = onConfirm;
+        this.element = null;
+        this.list = null;
+        this.lookups = [];
+        this.logger = new Logger('CandidatePicker');
+    }
+
+    /**
+     * Show an empty picker that lookups are added to as they finish
+     * @param {number} total - Number of entries being looked up
+     */
+    start(total) {
+        this.close();
+        this.element = document.createElement('div');
+        this.element.className = 'candidates';
+
+        const title = document.createElement('p');
+        title.className = 'candidates__title';
+        title.textContent = `Matching accounts for ${total} ${total === 1 ? 'entry' : 'entries'}`;
+        this.element.appendChild(title);
+
+        this.list = document.createElement('ul');
+        this.list.className = 'candidates__list';
+        this.element.appendChild(this.list);
+
+        this.container.appendChild(this.element);
+    }
+
+    /**
+     * Add the candidates of one entry
+     * @param {Object} lookup - Lookup from ReverseLookupService, {term, type, candidates, total, error}
+     */
+    add(lookup) {
+        if (!this.element) return;
+
+        const index = this.lookups.length;
+        this.lookups.push(lookup);
+        this.list.appendChild(this._createGroup(lookup, index));
+    }
+
+    /**
+     * Add the confirm and discard buttons once the lookup has finished or was cancelled
+     * @param {boolean} [cancelled] - Whether the lookup was cancelled before every entry was looked up
+     */
+    finish(cancelled = false) {
+        if (!this.element) return;
+
+        if (this.lookups.length === 0) {
+            this.close();
+            return;
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'candidates__actions';
+
+        if (cancelled) {
+            const note = document.createElement('span');
+            note.className = 'candidates__note';
+            note.textContent = 'Lookup cancelled; only the entries above were looked up.';
+            actions.appendChild(note);
+        }
+
+        const confirmButton = DomHelpers.createButton('', 'candidates__confirm', () => {
+            const logins = this.getSelectedLogins();
+            if (logins.length === 0) return;
+            this.close();
+            this.onConfirm(logins);
+        });
+        actions.appendChild(confirmButton);
+        actions.appendChild(DomHelpers.createButton('Discard', 'candidates__discard', () => this.close()));
+        this.element.appendChild(actions);
+
+        // The button names how many accounts will be searched
+        const refresh = () => {
+            const count = this.getSelectedLogins().length;
+            confirmButton.textContent = `Search selected (${count})`;
+            confirmButton.disabled = count === 0;
+        };
+        this.element.addEventListener('change', refresh);
+        refresh();
+    }
+
+    /**
+     * Get the logins picked for every entry, without duplicates
+     * @returns {string[]} Logins in entry order
+     */
+    getSelectedLogins() {
+        if (!this.element) return [];
+
+        const logins = [...this.element.querySelectorAll('.candidates__radio:checked')]
+            .map(radio => radio.value)
+            .filter(login => login.length > 0);
+        return [...new Set(logins)];
+    }
+
+    /**
+     * Remove the picker
+     */
+    close() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+        this.list = null;
+        this.lookups = [];
+    }
+
+    /**
+     * Create the group of candidates for one entry
+     * A single match is preselected; otherwise the entry is skipped until a candidate is picked
+     * @private
+     * @param {Object} lookup - Lookup of the entry
+     * @param {number} index - Position of the entry, used to group its radio buttons
+     * @returns {HTMLLIElement} Group element
+     */
+    _createGroup(lookup, index) {
+        const group = document.createElement('li');
+        group.className = 'candidates__group';
+
+        const header = document.createElement('div');
+        header.className = 'candidates__header';
+        const term = document.createElement('span');
+        term.className = 'candidates__term';
+        term.textContent = lookup.term;
+        header.appendChild(term);
+
+        const meta = document.createElement('span');
+        meta.className = 'candidates__meta';
+        meta.textContent = this._describeLookup(lookup);
+        header.appendChild(meta);
+        group.appendChild(header);
+
+        const name = `candidates-${index}`;
+        const preselect = lookup.candidates.length === 1;
+        lookup.candidates.forEach(candidate => group.appendChild(this._createOption(name, candidate, preselect)));
+        if (lookup.candidates.length > 0) {
+            group.appendChild(this._createSkipOption(name, !preselect));
+        }
+
+        return group;
+    }
+
+    /**
+     * Summarize the outcome of a lookup
+     * @private
+     * @param {Object} lookup - Lookup of the entry
+     * @returns {string} Summary, e.g. "email, 2 matches"
+     */
+    _describeLookup(lookup) {
+        if (lookup.error) return `${lookup.type}, lookup failed: ${lookup.error}`;
+        if (lookup.candidates.length === 0) return `${lookup.type}, no matching accounts`;
+
+        const shown = lookup.total > lookup.candidates.length
+            ? `top ${lookup.candidates.length} of ${lookup.total} matches`
+            : `${lookup.total} ${lookup.total === 1 ? 'match' : 'matches'}`;
+        return `${lookup.type}, ${shown}`;
+    }
+
+    /**
+     * Create the radio button of a candidate account
+     * @private
+     * @param {string} name - Radio group name
+     * @param {Object} candidate - Candidate with login and avatar_url
+     * @param {boolean} checked - Whether the candidate is preselected
+     * @returns {HTMLLabelElement} Label containing the radio button
+     */
+    _createOption(name, candidate, checked) {
+        const label = document.createElement('label');
+        label.className = 'candidates__option';
+        label.appendChild(this._createRadio(name, candidate.login, checked));
+
+        if (SecurityValidator.isValidGitHubImageUrl(candidate.avatar_url)) {
+            const avatar = document.createElement('img');
+            avatar.className = 'candidates__avatar';
+            avatar.src = candidate.avatar_url;
+            avatar.alt = '';
+            avatar.loading = 'lazy';
+            label.appendChild(avatar);
+        }
+
+        // Opening the profile helps confirm it is the right person
+        const profile = document.createElement('a');
+        profile.className = 'candidates__login';
+        profile.href = `https://github.com/${encodeURIComponent(candidate.login)}`;
+        profile.target = '_blank';
+        profile.rel = 'noopener noreferrer';
+        profile.textContent = `@${candidate.login}`;
+        label.appendChild(profile);
+
+        return label;
+    }
+
+    /**
+     * Create the option that leaves an entry out of the search
+     * @private
+     * @param {string} name - Radio group name
+     * @param {boolean} checked - Whether skipping is preselected
+     * @returns {HTMLLabelElement} Label containing the radio button
+     */
+    _createSkipOption(name, checked) {
+        const label = document.createElement('label');
+        label.className = 'candidates__option candidates__option--skip';
+        label.appendChild(this._createRadio(name, '', checked));
+        label.appendChild(document.createTextNode(' None of these'));
+        return label;
+    }
+
+    /**
+     * Create a radio button
+     * @private
+     * @param {string} name - Radio group name
+     * @param {string} value - Login, or an empty string to skip the entry
+     * @param {boolean} checked - Whether the radio button is selected
+     * @returns {HTMLInputElement} Radio button
+     */
+    _createRadio(name, value, checked) {
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.className = 'candidates__radio';
+        radio.name = name;
+        radio.value = value;
+        radio.checked = checked;
+        return radio;
+    }
+}
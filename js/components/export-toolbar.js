@@ -0,0 +1,131 @@
+/**
+ * Export Toolbar Component following Single Responsibility Principle
+ * Renders CSV/JSON download buttons and the export column picker
+ */
+
+import { EXPORT_COLUMNS } from '../services/export-service.js';
+import { Logger } from '../utils/logger.js';
+
+export class ExportToolbar {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {ExportService} exportService - Service that formats and downloads results
+     * @param {Function} getResults - Returns the results to export
+     */
+    constructor(container, exportService, getResults) {
+        this.container = container;
+        this.exportService = exportService;
+        this.getResults = getResults;
+        this.element = null;
+        this.logger = new Logger('ExportToolbar');
+    }
+
+    /**
+     * Render the toolbar and append to container
+     * @returns {HTMLElement} The created toolbar element
+     */
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'export-toolbar';
+
+        this.element.appendChild(this._createButton('Export CSV', 'csv'));
+        this.element.appendChild(this._createButton('Export JSON', 'json'));
+        this.element.appendChild(this._createColumnPicker());
+
+        this.container.appendChild(this.element);
+        return this.element;
+    }
+
+    /**
+     * Remove the toolbar from DOM
+     */
+    remove() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+            this.element = null;
+        }
+    }
+
+    /**
+     * Create a download button
+     * @private
+     * @param {string} text - Button label
+     * @param {string} format - 'csv' or 'json'
+     * @returns {HTMLButtonElement} Button element
+     */
+    _createButton(text, format) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'export-toolbar__button';
+        button.textContent = text;
+        button.addEventListener('click', () => this._handleExport(format));
+        return button;
+    }
+
+    /**
+     * Create the collapsible column picker
+     * @private
+     * @returns {HTMLDetailsElement} Picker element
+     */
+    _createColumnPicker() {
+        const selected = this.exportService.getSelectedColumns();
+        const picker = document.createElement('details');
+        picker.className = 'export-toolbar__columns';
+
+        const summary = document.createElement('summary');
+        summary.textContent = 'Columns';
+        picker.appendChild(summary);
+
+        for (const column of EXPORT_COLUMNS) {
+            const label = document.createElement('label');
+            label.className = 'export-toolbar__column';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = column.key;
+            checkbox.checked = selected.includes(column.key);
+            checkbox.addEventListener('change', () => this._saveSelection());
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${column.label}`));
+            picker.appendChild(label);
+        }
+
+        return picker;
+    }
+
+    /**
+     * Get the column keys currently checked
+     * @private
+     * @returns {string[]} Column keys
+     */
+    _getCheckedColumns() {
+        return Array.from(this.element.querySelectorAll('.export-toolbar__column input:checked'))
+            .map(checkbox => checkbox.value);
+    }
+
+    /**
+     * Persist the checked columns
+     * @private
+     */
+    _saveSelection() {
+        this.exportService.setSelectedColumns(this._getCheckedColumns());
+    }
+
+    /**
+     * Download the results in the requested format
+     * @private
+     * @param {string} format - 'csv' or 'json'
+     */
+    _handleExport(format) {
+        const columns = this._getCheckedColumns();
+        const results = this.getResults();
+
+        if (columns.length === 0 || results.length === 0) {
+            this.logger.warn('Nothing to export', { columns: columns.length, results: results.length });
+            return;
+        }
+
+        this.exportService.download(results, format, columns);
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * File Import Component following Single Responsibility Principle
+ * Handles drag-and-drop / file picker import of username lists with a preview
+ */
+
+import { CONFIG } from '../config.js';
+import { SecurityValidator } from '../utils/validator.js';
+import { UsernameParser } from '../utils/username-parser.js';
+import { ImportParser } from '../utils/import-parser.js';
+import { Logger } from '../utils/logger.js';
+import { DomHelpers } from '../utils/dom-helpers.js';
+
+export class FileImport {
+    /**
+     * @param {HTMLElement} dropZone - Element that accepts dropped files
+     * @param {HTMLInputElement} fileInput - File picker input
+     * @param {HTMLElement} previewContainer - Container for the import preview
+     * @param {Function} onConfirm - Called with (usernames, rejected) when the import is confirmed
+     */
+    constructor(dropZone, fileInput, previewContainer, onConfirm) {
+        this.dropZone = dropZone;
+        this.fileInput = fileInput;
+        this.previewContainer = previewContainer;
+        this.onConfirm = onConfirm;
+        this.element = null;
+        this.pending = null;
+        this.logger = new Logger('FileImport');
+    }
+
+    /**
+     * Bind drag-and-drop and file picker events
+     */
+    initialize() {
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', () => {
+                const [file] = this.fileInput.files;
+                if (file) this.importFile(file);
+                // Allow picking the same file again
+                this.fileInput.value = '';
+            });
+        }
+
+        if (this.dropZone) {
+            this.dropZone.addEventListener('dragover', (e) => {
+                if (!this._hasFiles(e)) return;
+                e.preventDefault();
+                this.dropZone.classList.add('search--dragover');
+            });
+            this.dropZone.addEventListener('dragleave', (e) => {
+                if (!this.dropZone.contains(e.relatedTarget)) {
+                    this.dropZone.classList.remove('search--dragover');
+                }
+            });
+            this.dropZone.addEventListener('drop', (e) => {
+                if (!this._hasFiles(e)) return;
+                e.preventDefault();
+                this.dropZone.classList.remove('search--dragover');
+                const [file] = e.dataTransfer.files;
+                if (file) this.importFile(file);
+            });
+        }
+    }
+
+    /**
+     * Read a file and show the import preview
+     * @param {File} file - Imported file
+     */
+    async importFile(file) {
+        if (file.size > CONFIG.IMPORT.MAX_FILE_SIZE) {
+            this._renderMessage(`"${file.name}" is too large (max ${CONFIG.IMPORT.MAX_FILE_SIZE / 1024 / 1024} MB).`);
+            return;
+        }
+
+        try {
+            const text = await file.text();
+            const format = ImportParser.detectFormat(file.name, text);
+            this.pending = { filename: file.name, format, text, rows: null, column: 0, hasHeader: false };
+
+            if (format === 'csv') {
+                this.pending.rows = ImportParser.parseCSV(text);
+                Object.assign(this.pending, ImportParser.suggestColumn(this.pending.rows));
+            }
+
+            this.logger.info(`Imported ${format} file ${file.name}`);
+            this._renderPreview();
+        } catch (error) {
+            this.logger.error(`Failed to import ${file.name}`, error);
+            this._renderMessage(`Could not read "${file.name}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove the preview and forget the pending import
+     */
+    dismiss() {
+        this.pending = null;
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+
+    /**
+     * Parse the pending import with its current options
+     * @private
+     * @returns {Object} Parse result from UsernameParser
+     */
+    _parsePending() {
+        const { format, text, rows, column, hasHeader } = this.pending;
+        if (format === 'csv') {
+            return UsernameParser.parseTokens(ImportParser.extractColumn(rows, column, hasHeader));
+        }
+        if (format === 'json') {
+            return UsernameParser.parseTokens(ImportParser.parseJSONList(text));
+        }
+        return UsernameParser.parse(text);
+    }
+
+    /**
+     * Render the preview with counts, CSV options and confirm/cancel actions
+     * @private
+     */
+    _renderPreview() {
+        const parsed = this._parsePending();
+        const { filename, format } = this.pending;
+
+        this._resetElement();
+        this.element.innerHTML = `
+            <p class="import-preview__title">${SecurityValidator.sanitizeText(filename)}</p>
+            <p class="import-preview__counts">
+                <span class="import-preview__valid">${parsed.usernames.length} valid</span>,
+                <span class="import-preview__invalid">${parsed.rejected.length} invalid</span>${parsed.duplicates > 0 ? `, ${parsed.duplicates} duplicates removed` : ''}
+            </p>
+        `;
+
+        if (format === 'csv') {
+            this.element.appendChild(this._createCSVOptions());
+        }
+
+        if (parsed.rejected.length > 0) {
+            const invalidList = document.createElement('p');
+            invalidList.className = 'import-preview__rejected';
+            invalidList.textContent = 'Invalid: ' + parsed.rejected
+                .slice(0, 10)
+                .map(({ token, reason }) => `"${SecurityValidator.truncateText(token, 40)}" (${reason})`)
+                .join(', ') + (parsed.rejected.length > 10 ? ` and ${parsed.rejected.length - 10} more` : '');
+            this.element.appendChild(invalidList);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'import-preview__actions';
+
+        const confirmButton = DomHelpers.createButton(`Search ${parsed.usernames.length} users`, 'import-preview__confirm', () => {
+            this.dismiss();
+            this.onConfirm(parsed.usernames, parsed.rejected);
+        });
+        confirmButton.disabled = parsed.usernames.length === 0;
+
+        const cancelButton = DomHelpers.createButton('Cancel', 'import-preview__cancel', () => this.dismiss());
+
+        actions.appendChild(confirmButton);
+        actions.appendChild(cancelButton);
+        this.element.appendChild(actions);
+    }
+
+    /**
+     * Create the column and header controls for CSV imports
+     * @private
+     * @returns {HTMLElement} Options element
+     */
+    _createCSVOptions() {
+        const { rows, column, hasHeader } = this.pending;
+        const columnCount = Math.max(0, ...rows.map(cells => cells.length));
+
+        const options = document.createElement('div');
+        options.className = 'import-preview__options';
+
+        const columnLabel = document.createElement('label');
+        columnLabel.textContent = 'Column ';
+        const select = document.createElement('select');
+        for (let index = 0; index < columnCount; index++) {
+            const option = document.createElement('option');
+            option.value = String(index);
+            const header = hasHeader && rows[0][index] ? rows[0][index].trim() : '';
+            option.textContent = header || `Column ${index + 1}`;
+            option.selected = index === column;
+            select.appendChild(option);
+        }
+        select.addEventListener('change', () => {
+            this.pending.column = Number(select.value);
+            this._renderPreview();
+        });
+        columnLabel.appendChild(select);
+
+        const headerLabel = document.createElement('label');
+        const headerCheckbox = document.createElement('input');
+        headerCheckbox.type = 'checkbox';
+        headerCheckbox.checked = hasHeader;
+        headerCheckbox.addEventListener('change', () => {
+            this.pending.hasHeader = headerCheckbox.checked;
+            this._renderPreview();
+        });
+        headerLabel.appendChild(headerCheckbox);
+        headerLabel.appendChild(document.createTextNode(' First row is a header'));
+
+        options.appendChild(columnLabel);
+        options.appendChild(headerLabel);
+        return options;
+    }
+
+    /**
+     * Show a single message in the preview area
+     * @private
+     * @param {string} message - Message to display
+     */
+    _renderMessage(message) {
+        this.pending = null;
+        this._resetElement();
+
+        const text = document.createElement('p');
+        text.className = 'import-preview__rejected';
+        text.textContent = message;
+
+        const closeButton = DomHelpers.createButton('Dismiss', 'import-preview__cancel', () => this.dismiss());
+
+        this.element.appendChild(text);
+        this.element.appendChild(closeButton);
+    }
+
+    /**
+     * Create or empty the preview element
+     * @private
+     */
+    _resetElement() {
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'import-preview';
+            this.previewContainer.appendChild(this.element);
+        }
+        this.element.innerHTML = '';
+    }
+
+    /**
+     * Check whether a drag event carries files
+     * @private
+     * @param {DragEvent} e - Drag event
+     * @returns {boolean} True if files are being dragged
+     */
+    _hasFiles(e) {
+        return Boolean(e.dataTransfer) && Array.from(e.dataTransfer.types || []).includes('Files');
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * History Dropdown Component following Single Responsibility Principle
+ * Lists past searches under the search input with re-run, rename, pin and delete actions
+ */
+
+import { CONFIG } from '../config.js';
+import { SecurityValidator } from '../utils/validator.js';
+import { Logger } from '../utils/logger.js';
+import { DomHelpers } from '../utils/dom-helpers.js';
+
+export class HistoryDropdown {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {SearchHistoryService} history - History storage
+     * @param {Function} onRun - Called with an entry when it is re-run
+     */
+    constructor(container, history, onRun) {
+        this.container = container;
+        this.history = history;
+        this.onRun = onRun;
+        this.element = null;
+        this.logger = new Logger('HistoryDropdown');
+    }
+
+    /**
+     * Load the history and render the dropdown
+     */
+    initialize() {
+        if (!this.container) return;
+        this.history.load();
+        this.render();
+    }
+
+    /**
+     * Render the dropdown, keeping it open if it already was
+     */
+    render() {
+        const wasOpen = Boolean(this.element && this.element.open);
+        this.container.innerHTML = '';
+        this.element = null;
+
+        const entries = this.history.getEntries();
+        if (entries.length === 0) return;
+
+        this.element = document.createElement('details');
+        this.element.className = 'history';
+        this.element.open = wasOpen;
+
+        const summary = document.createElement('summary');
+        summary.className = 'history__toggle';
+        summary.textContent = `Recent searches (${entries.length})`;
+        this.element.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'history__list';
+        entries.forEach(entry => list.appendChild(this._createItem(entry)));
+        this.element.appendChild(list);
+
+        this.container.appendChild(this.element);
+    }
+
+    /**
+     * Close the dropdown
+     */
+    close() {
+        if (this.element) {
+            this.element.open = false;
+        }
+    }
+
+    /**
+     * Create the list item for an entry
+     * @private
+     * @param {Object} entry - History entry
+     * @returns {HTMLLIElement} List item
+     */
+    _createItem(entry) {
+        const item = document.createElement('li');
+        item.className = entry.pinned ? 'history__item history__item--pinned' : 'history__item';
+
+        const details = document.createElement('div');
+        details.className = 'history__details';
+
+        const title = document.createElement('span');
+        title.className = 'history__title';
+        title.textContent = entry.name || SecurityValidator.truncateText(entry.query, CONFIG.UI.MAX_DISPLAY_NAME_LENGTH);
+        title.title = entry.query;
+        details.appendChild(title);
+
+        const meta = document.createElement('span');
+        meta.className = 'history__meta';
+        meta.textContent = this._describeEntry(entry);
+        details.appendChild(meta);
+
+        item.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'history__actions';
+        actions.appendChild(DomHelpers.createButton('Run', 'history__run', () => {
+            this.close();
+            this.onRun(entry);
+        }));
+        actions.appendChild(DomHelpers.createButton('Rename', 'history__action', () => this._startRename(item, entry)));
+        actions.appendChild(DomHelpers.createButton(entry.pinned ? 'Unpin' : 'Pin', 'history__action', () => {
+            this.history.setPinned(entry.id, !entry.pinned);
+            this.render();
+        }));
+        actions.appendChild(DomHelpers.createButton('Delete', 'history__action history__action--delete', () => {
+            this.history.remove(entry.id);
+            this.render();
+        }));
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    /**
+     * Replace an entry's title with a name field until it is saved or cancelled
+     * @private
+     * @param {HTMLLIElement} item - List item of the entry
+     * @param {Object} entry - History entry
+     */
+    _startRename(item, entry) {
+        DomHelpers.startInlineEdit(item.querySelector('.history__title'), {
+            className: 'history__name-input',
+            value: entry.name,
+            placeholder: 'Name this search',
+            maxLength: CONFIG.HISTORY.MAX_NAME_LENGTH,
+            label: 'Search name',
+            onFinish: (name) => {
+                if (name !== null) {
+                    this.history.rename(entry.id, name);
+                    this.logger.debug(`Renamed search ${entry.id}`);
+                }
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Describe an entry's size, outcome and date
+     * @private
+     * @param {Object} entry - History entry
+     * @returns {string} Description
+     */
+    _describeEntry(entry) {
+        const users = `${entry.usernames.length} ${entry.usernames.length === 1 ? 'user' : 'users'}`;
+        const failed = entry.failed > 0 ? `, ${entry.failed} failed` : '';
+        const date = new Date(entry.searchedAt).toLocaleString();
+        return `${users} · ${entry.found} found${failed} · ${date}`;
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * List Manager Component following Single Responsibility Principle
+ * Shows saved user lists under the search input to create, rename, edit, delete and run them
+ */
+
+import { CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { DomHelpers } from '../utils/dom-helpers.js';
+
+export class ListManager {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {UserListsService} lists - List storage
+     * @param {Function} onRun - Called with a list when it is run as a search
+     */
+    constructor(container, lists, onRun) {
+        this.container = container;
+        this.lists = lists;
+        this.onRun = onRun;
+        this.element = null;
+        this.logger = new Logger('ListManager');
+    }
+
+    /**
+     * Load the lists and render the panel
+     */
+    initialize() {
+        if (!this.container) return;
+        this.lists.load();
+        this.render();
+    }
+
+    /**
+     * Render the panel, keeping it open if it already was
+     */
+    render() {
+        if (!this.container) return;
+
+        const wasOpen = Boolean(this.element && this.element.open);
+        this.container.innerHTML = '';
+
+        const lists = this.lists.getLists();
+        this.element = document.createElement('details');
+        this.element.className = 'lists';
+        this.element.open = wasOpen;
+
+        const summary = document.createElement('summary');
+        summary.className = 'lists__toggle';
+        summary.textContent = `Saved lists (${lists.length})`;
+        this.element.appendChild(summary);
+
+        this.element.appendChild(this._createNewListForm());
+
+        if (lists.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'lists__empty';
+            empty.textContent = 'Create a list, then add users to it with "Save to list" on a result card.';
+            this.element.appendChild(empty);
+        } else {
+            const list = document.createElement('ul');
+            list.className = 'lists__list';
+            lists.forEach(userList => list.appendChild(this._createItem(userList)));
+            this.element.appendChild(list);
+        }
+
+        this.container.appendChild(this.element);
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        if (this.element) {
+            this.element.open = false;
+        }
+    }
+
+    /**
+     * Create the list item for a saved list
+     * @private
+     * @param {Object} userList - Saved list
+     * @returns {HTMLLIElement} List item
+     */
+    _createItem(userList) {
+        const item = document.createElement('li');
+        item.className = 'lists__item';
+
+        const header = document.createElement('div');
+        header.className = 'lists__header';
+
+        const details = document.createElement('div');
+        details.className = 'lists__details';
+
+        const name = document.createElement('span');
+        name.className = 'lists__name';
+        name.textContent = userList.name;
+        details.appendChild(name);
+
+        const meta = document.createElement('span');
+        meta.className = 'lists__meta';
+        meta.textContent = `${userList.usernames.length} ${userList.usernames.length === 1 ? 'user' : 'users'}`;
+        details.appendChild(meta);
+
+        header.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'lists__actions';
+        const runButton = DomHelpers.createButton('Run', 'lists__run', () => {
+            this.close();
+            this.onRun(userList);
+        });
+        runButton.disabled = userList.usernames.length === 0;
+        actions.appendChild(runButton);
+        actions.appendChild(DomHelpers.createButton('Rename', 'lists__action', () => this._startRename(item, userList)));
+        actions.appendChild(DomHelpers.createButton('Delete', 'lists__action lists__action--delete', () => {
+            this.lists.remove(userList.id);
+            this.logger.debug(`Deleted list ${userList.name}`);
+            this.render();
+        }));
+        header.appendChild(actions);
+
+        item.appendChild(header);
+
+        if (userList.usernames.length > 0) {
+            const members = document.createElement('ul');
+            members.className = 'lists__members';
+            userList.usernames.forEach(username => members.appendChild(this._createMember(userList, username)));
+            item.appendChild(members);
+        }
+
+        return item;
+    }
+
+    /**
+     * Create a member chip with a remove button
+     * @private
+     * @param {Object} userList - Saved list
+     * @param {string} username - Member login
+     * @returns {HTMLLIElement} Member chip
+     */
+    _createMember(userList, username) {
+        const member = document.createElement('li');
+        member.className = 'lists__member';
+        member.textContent = username;
+
+        const removeButton = DomHelpers.createButton('×', 'lists__remove', () => {
+            this.lists.removeMember(userList.id, username);
+            this.render();
+        });
+        removeButton.setAttribute('aria-label', `Remove ${username} from ${userList.name}`);
+        member.appendChild(removeButton);
+        return member;
+    }
+
+    /**
+     * Create the form that adds an empty list
+     * @private
+     * @returns {HTMLFormElement} Form
+     */
+    _createNewListForm() {
+        const form = document.createElement('form');
+        form.className = 'lists__new';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'lists__input';
+        input.placeholder = 'New list name, e.g. frontend team';
+        input.maxLength = CONFIG.LISTS.MAX_NAME_LENGTH;
+        input.setAttribute('aria-label', 'New list name');
+
+        const button = DomHelpers.createButton('Create list', 'lists__create', null, 'submit');
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.lists.create(input.value)) {
+                this.render();
+            }
+        });
+
+        form.appendChild(input);
+        form.appendChild(button);
+        return form;
+    }
+
+    /**
+     * Replace a list's name with a text field until it is saved or cancelled
+     * @private
+     * @param {HTMLLIElement} item - List item of the list
+     * @param {Object} userList - Saved list
+     */
+    _startRename(item, userList) {
+        DomHelpers.startInlineEdit(item.querySelector('.lists__name'), {
+            className: 'lists__input',
+            value: userList.name,
+            maxLength: CONFIG.LISTS.MAX_NAME_LENGTH,
+            label: 'List name',
+            onFinish: (name) => {
+                if (name !== null && !this.lists.rename(userList.id, name)) {
+                    this.logger.info(`Kept the name of list ${userList.name}; the new name is empty or taken`);
+                }
+                this.render();
+            }
+        });
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * List Picker Component following Single Responsibility Principle
+ * Lets a result card add its user to saved lists, remove it, or start a new list
+ */
+
+import { CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { DomHelpers } from '../utils/dom-helpers.js';
+
+export class ListPicker {
+    /**
+     * @param {HTMLElement} container - Card element the picker opens in
+     * @param {UserListsService} lists - List storage
+     * @param {Object} user - The card's user
+     * @param {string} user.login - GitHub login
+     * @param {number|null} user.id - Account id, stored so the user can be found after a rename
+     * @param {Function} onChange - Called after a list changes
+     */
+    constructor(container, lists, { login, id }, onChange) {
+        this.container = container;
+        this.lists = lists;
+        this.username = login;
+        this.userId = id;
+        this.onChange = onChange;
+        this.element = null;
+        this.logger = new Logger('ListPicker');
+    }
+
+    /**
+     * Render the picker and append to container
+     * @returns {HTMLElement} The created picker element
+     */
+    render() {
+        const previous = this.element;
+        this.element = document.createElement('div');
+        this.element.className = 'list-picker';
+
+        const title = document.createElement('p');
+        title.className = 'list-picker__title';
+        title.textContent = `Save @${this.username} to:`;
+        this.element.appendChild(title);
+
+        const lists = this.lists.getLists();
+        if (lists.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'list-picker__empty';
+            empty.textContent = 'No lists yet. Name one below.';
+            this.element.appendChild(empty);
+        }
+        lists.forEach(list => this.element.appendChild(this._createOption(list)));
+
+        this.element.appendChild(this._createNewListForm());
+
+        if (previous && previous.parentNode) {
+            previous.parentNode.replaceChild(this.element, previous);
+        } else {
+            this.container.appendChild(this.element);
+        }
+        return this.element;
+    }
+
+    /**
+     * Remove the picker from the card
+     */
+    close() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+
+    /**
+     * Create the checkbox that toggles membership in a list
+     * @private
+     * @param {Object} list - Saved list
+     * @returns {HTMLLabelElement} Label containing the checkbox
+     */
+    _createOption(list) {
+        const label = document.createElement('label');
+        label.className = 'list-picker__option';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = this.lists.hasMember(list.id, this.username);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                this.lists.addMember(list.id, this.username, this.userId);
+            } else {
+                this.lists.removeMember(list.id, this.username);
+            }
+            this.logger.debug(`${checkbox.checked ? 'Added' : 'Removed'} ${this.username} in list ${list.name}`);
+            this.onChange();
+            this.render();
+        });
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${list.name} (${list.usernames.length})`));
+        return label;
+    }
+
+    /**
+     * Create the form that starts a new list with this user
+     * @private
+     * @returns {HTMLFormElement} Form
+     */
+    _createNewListForm() {
+        const form = document.createElement('form');
+        form.className = 'list-picker__new';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'list-picker__input';
+        input.placeholder = 'New list name';
+        input.maxLength = CONFIG.LISTS.MAX_NAME_LENGTH;
+        input.setAttribute('aria-label', 'New list name');
+
+        const button = DomHelpers.createButton('Add', 'list-picker__create', null, 'submit');
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const list = this.lists.create(input.value);
+            if (!list) return;
+            this.lists.addMember(list.id, this.username, this.userId);
+            this.onChange();
+            this.render();
+        });
+
+        form.appendChild(input);
+        form.appendChild(button);
+        return form;
+    }
+}
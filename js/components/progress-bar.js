@@ -4,27 +4,51 @@
  */
 
 import { Logger } from '../utils/logger.js';
+import { DomHelpers } from '../utils/dom-helpers.js';
 
 export class ProgressBar {
     constructor(container) {
         this.container = container;
         this.element = null;
+        this.isCancelling = false;
+        this.isPaused = false;
+        this.processed = 0;
+        this.total = 0;
+        this.countdownTimer = null;
         this.logger = new Logger('ProgressBar');
     }
 
     /**
      * Show progress bar with initial state
      * @param {number} totalUsers - Total number of users to process
+     * @param {Function} [onCancel] - Cancel callback; renders a Cancel button when provided
+     * @param {Function} [onTogglePause] - Pause/resume callback; renders a Pause button when provided
+     * @param {number} [processed] - Users already processed (when resuming a saved search)
      */
-    show(totalUsers) {
+    show(totalUsers, onCancel = null, onTogglePause = null, processed = 0) {
+        this.processed = processed;
+        this.total = totalUsers;
+        const percentage = Math.round((processed / totalUsers) * 100);
         this.element = document.createElement('div');
         this.element.className = 'progress';
         this.element.innerHTML = `
-            <div class="progress__text">Processing 0 of ${totalUsers} users...</div>
+            <div class="progress__text">Processing ${processed} of ${totalUsers} users...</div>
             <div class="progress__container">
-                <div class="progress__bar progress__bar--0">0%</div>
+                <div class="progress__bar progress__bar--${percentage}">${percentage}%</div>
             </div>
+            <div class="progress__warning"></div>
         `;
+
+        if (onTogglePause) {
+            this.element.appendChild(DomHelpers.createButton('Pause', 'progress__pause', () => onTogglePause()));
+        }
+
+        if (onCancel) {
+            const cancelButton = DomHelpers.createButton('Cancel', 'progress__cancel', () => onCancel());
+            cancelButton.title = 'Cancel search (Esc)';
+            this.element.appendChild(cancelButton);
+        }
+
         this.container.appendChild(this.element);
         this.logger.debug(`Progress bar shown for ${totalUsers} users`);
     }
@@ -33,16 +57,24 @@ export class ProgressBar {
      * Update progress bar with current status
      * @param {number} processed - Number of processed users
      * @param {number} total - Total number of users
+     * @param {Object} [stats] - Batch statistics
+     * @param {number} [stats.throughput] - Users processed per second
      */
-    update(processed, total) {
+    update(processed, total, stats = {}) {
         if (!this.element) return;
 
+        this.processed = processed;
+        this.total = total;
         const percentage = Math.round((processed / total) * 100);
         const textElement = this.element.querySelector('.progress__text');
         const barElement = this.element.querySelector('.progress__bar');
 
-        if (textElement) {
-            textElement.textContent = `Processing ${processed} of ${total} users...`;
+        if (textElement && !this.isCancelling) {
+            // Requests in flight when pausing still complete, so the paused count can grow
+            const rate = stats.throughput ? ` (${stats.throughput.toFixed(1)} users/s)` : '';
+            textElement.textContent = this.isPaused
+                ? this._getPausedText()
+                : `Processing ${processed} of ${total} users...${rate}`;
         }
 
         if (barElement) {
@@ -53,10 +85,114 @@ export class ProgressBar {
         this.logger.debug(`Progress updated: ${processed}/${total} (${percentage}%)`);
     }
 
+    /**
+     * Show a countdown while the batch waits for the rate limit to reset
+     * @param {number} resumeAt - Timestamp (ms) when processing resumes
+     */
+    showRateLimitCountdown(resumeAt) {
+        if (!this.element) return;
+
+        const warningElement = this.element.querySelector('.progress__warning');
+        if (!warningElement) return;
+
+        this.clearRateLimitCountdown();
+
+        const tick = () => {
+            const secondsLeft = Math.ceil((resumeAt - Date.now()) / 1000);
+            if (secondsLeft <= 0) {
+                this.clearRateLimitCountdown();
+                return;
+            }
+            warningElement.textContent = `Rate limit reached. Resuming in ${this._formatDuration(secondsLeft)}...`;
+        };
+
+        warningElement.className = 'progress__warning progress__warning--visible';
+        tick();
+        this.countdownTimer = setInterval(tick, 1000);
+        this.logger.debug(`Rate limit countdown shown until ${new Date(resumeAt).toISOString()}`);
+    }
+
+    /**
+     * Stop and hide the rate limit countdown
+     */
+    clearRateLimitCountdown() {
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+
+        const warningElement = this.element && this.element.querySelector('.progress__warning');
+        if (warningElement) {
+            warningElement.className = 'progress__warning';
+            warningElement.textContent = '';
+        }
+    }
+
+    /**
+     * Reflect whether the batch is paused
+     * @param {boolean} paused - True when paused
+     */
+    setPaused(paused) {
+        if (!this.element) return;
+
+        this.isPaused = paused;
+        const textElement = this.element.querySelector('.progress__text');
+        const pauseButton = this.element.querySelector('.progress__pause');
+
+        if (pauseButton) {
+            pauseButton.textContent = paused ? 'Resume' : 'Pause';
+        }
+
+        if (textElement && !this.isCancelling) {
+            textElement.textContent = paused
+                ? this._getPausedText()
+                : `Processing ${this.processed} of ${this.total} users...`;
+        }
+
+        this.logger.debug(`Progress bar ${paused ? 'paused' : 'resumed'}`);
+    }
+
+    /**
+     * Get the status text shown while paused
+     * @private
+     * @returns {string} Status text
+     */
+    _getPausedText() {
+        return `Paused after ${this.processed} of ${this.total} users. Progress is saved, so you can resume after reloading the page.`;
+    }
+
+    /**
+     * Reflect that cancellation was requested while pending requests settle
+     */
+    markCancelling() {
+        if (!this.element) return;
+
+        this.isCancelling = true;
+        this.clearRateLimitCountdown();
+        const textElement = this.element.querySelector('.progress__text');
+        const cancelButton = this.element.querySelector('.progress__cancel');
+        const pauseButton = this.element.querySelector('.progress__pause');
+
+        if (textElement) {
+            textElement.textContent = 'Cancelling search...';
+        }
+
+        if (cancelButton) {
+            cancelButton.disabled = true;
+        }
+
+        if (pauseButton) {
+            pauseButton.disabled = true;
+        }
+
+        this.logger.debug('Progress bar marked as cancelling');
+    }
+
     /**
      * Hide and remove progress bar
      */
     hide() {
+        this.clearRateLimitCountdown();
         if (this.element && this.element.parentNode) {
             this.element.parentNode.removeChild(this.element);
             this.element = null;
@@ -71,4 +207,17 @@ export class ProgressBar {
     isVisible() {
         return this.element !== null;
     }
+
+    /**
+     * Format a number of seconds as a short duration
+     * @private
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Duration such as "42s" or "12m 05s"
+     */
+    _formatDuration(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        const remainder = String(seconds % 60).padStart(2, '0');
+        return `${minutes}m ${remainder}s`;
+    }
 }
@@ -0,0 +1,147 @@
+/**
+ * Results Toolbar Component following Single Responsibility Principle
+ * Renders sort and filter controls for the results grid
+ */
+
+import { CONFIG } from '../config.js';
+import { ResultView, SORT_OPTIONS, STATUS_FILTERS } from '../utils/result-view.js';
+import { Logger } from '../utils/logger.js';
+
+export class ResultsToolbar {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {Function} onChange - Called with the view state whenever a control changes
+     * @param {Object} [view] - Initial view state, e.g. restored from a shared URL
+     */
+    constructor(container, onChange, view = ResultView.getDefaultView()) {
+        this.container = container;
+        this.onChange = onChange;
+        this.element = null;
+        this.countElement = null;
+        this.view = { ...view };
+        this.controls = {};
+        this.debounceTimers = {};
+        this.logger = new Logger('ResultsToolbar');
+    }
+
+    /**
+     * Render the toolbar and append to container
+     * @returns {HTMLElement} The created toolbar element
+     */
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'results-toolbar';
+
+        this.element.appendChild(this._createSelect('Sort by', 'sortBy', SORT_OPTIONS));
+        this.element.appendChild(this._createSelect('Show', 'status', STATUS_FILTERS));
+        this.element.appendChild(this._createTextInput('Name, bio or company', 'text'));
+        this.element.appendChild(this._createTextInput('Location', 'location'));
+
+        this.countElement = document.createElement('span');
+        this.countElement.className = 'results-toolbar__count';
+        this.element.appendChild(this.countElement);
+
+        this.container.appendChild(this.element);
+        return this.element;
+    }
+
+    /**
+     * Get the current view state
+     * @returns {Object} View state
+     */
+    getView() {
+        return { ...this.view };
+    }
+
+    /**
+     * Replace the view state and update the controls without notifying listeners
+     * @param {Object} view - New view state
+     */
+    setView(view) {
+        Object.values(this.debounceTimers).forEach(timer => clearTimeout(timer));
+        this.debounceTimers = {};
+        this.view = { ...view };
+
+        for (const [property, control] of Object.entries(this.controls)) {
+            control.value = this.view[property];
+        }
+    }
+
+    /**
+     * Show how many results are visible
+     * @param {number} visible - Visible results
+     * @param {number} total - All results
+     */
+    updateCount(visible, total) {
+        if (!this.countElement) return;
+        this.countElement.textContent = visible === total
+            ? `${total} results`
+            : `Showing ${visible} of ${total}`;
+    }
+
+    /**
+     * Create a labelled select bound to a view property
+     * @private
+     * @param {string} labelText - Label text
+     * @param {string} property - View property
+     * @param {Object[]} options - Options with key and label
+     * @returns {HTMLLabelElement} Label containing the select
+     */
+    _createSelect(labelText, property, options) {
+        const label = document.createElement('label');
+        label.className = 'results-toolbar__field';
+        label.appendChild(document.createTextNode(labelText));
+
+        const select = document.createElement('select');
+        select.className = 'results-toolbar__control';
+        for (const option of options) {
+            const optionElement = document.createElement('option');
+            optionElement.value = option.key;
+            optionElement.textContent = option.label;
+            optionElement.selected = option.key === this.view[property];
+            select.appendChild(optionElement);
+        }
+        select.addEventListener('change', () => this._update(property, select.value));
+        this.controls[property] = select;
+
+        label.appendChild(select);
+        return label;
+    }
+
+    /**
+     * Create a text filter input bound to a view property
+     * @private
+     * @param {string} placeholder - Placeholder and accessible label
+     * @param {string} property - View property
+     * @returns {HTMLInputElement} Input element
+     */
+    _createTextInput(placeholder, property) {
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.className = 'results-toolbar__control results-toolbar__filter';
+        input.placeholder = placeholder;
+        input.setAttribute('aria-label', `Filter by ${placeholder.toLowerCase()}`);
+        input.value = this.view[property];
+        input.addEventListener('input', () => {
+            clearTimeout(this.debounceTimers[property]);
+            this.debounceTimers[property] = setTimeout(
+                () => this._update(property, input.value),
+                CONFIG.UI.DEBOUNCE_DELAY
+            );
+        });
+        this.controls[property] = input;
+        return input;
+    }
+
+    /**
+     * Update one view property and notify listeners
+     * @private
+     * @param {string} property - View property
+     * @param {string} value - New value
+     */
+    _update(property, value) {
+        this.view[property] = value;
+        this.logger.debug('Results view changed', this.view);
+        this.onChange(this.getView());
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * Settings Dialog Component following Single Responsibility Principle
+ * Handles the API configuration dialog: token input, cache controls and optional lookups
+ */
+
+import { Logger } from '../utils/logger.js';
+
+export class SettingsDialog {
+    /**
+     * @param {HTMLDialogElement} dialog - Settings dialog element
+     * @param {CredentialsService} credentials - Token storage
+     * @param {GitHubApiService} apiService - API service exposing cache controls
+     * @param {OrgMembershipService} orgMembership - Organization lookup settings
+     * @param {RepoStatsService} repoStats - Repository lookup setting
+     * @param {ActivityService} activity - Activity lookup setting
+     */
+    constructor(dialog, credentials, apiService, orgMembership, repoStats, activity) {
+        this.dialog = dialog;
+        this.credentials = credentials;
+        this.apiService = apiService;
+        this.orgMembership = orgMembership;
+        this.repoStats = repoStats;
+        this.activity = activity;
+        this.logger = new Logger('SettingsDialog');
+
+        this.elements = {
+            closeButton: null,
+            tokenInput: null,
+            cacheStats: null,
+            clearCacheButton: null,
+            orgEnabledInput: null,
+            orgNameInput: null,
+            repoStatsInput: null,
+            activityInput: null
+        };
+    }
+
+    /**
+     * Find dialog elements, restore the saved token and lookup settings and bind events
+     */
+    initialize() {
+        if (!this.dialog) return;
+
+        this.elements.closeButton = this.dialog.querySelector('#close-settings');
+        this.elements.tokenInput = this.dialog.querySelector('#github-token');
+        this.elements.cacheStats = this.dialog.querySelector('#cache-stats');
+        this.elements.clearCacheButton = this.dialog.querySelector('#clear-cache');
+        this.elements.orgEnabledInput = this.dialog.querySelector('#org-lookup-enabled');
+        this.elements.orgNameInput = this.dialog.querySelector('#org-name');
+        this.elements.repoStatsInput = this.dialog.querySelector('#repo-stats-enabled');
+        this.elements.activityInput = this.dialog.querySelector('#activity-enabled');
+
+        const savedToken = this.credentials.load();
+        if (savedToken && this.elements.tokenInput) {
+            this.elements.tokenInput.value = savedToken;
+        }
+
+        const orgSettings = this.orgMembership.load();
+        if (this.elements.orgEnabledInput) {
+            this.elements.orgEnabledInput.checked = orgSettings.enabled;
+        }
+        if (this.elements.orgNameInput) {
+            this.elements.orgNameInput.value = orgSettings.org;
+        }
+
+        const repoStatsEnabled = this.repoStats.load();
+        if (this.elements.repoStatsInput) {
+            this.elements.repoStatsInput.checked = repoStatsEnabled;
+        }
+
+        const activityEnabled = this.activity.load();
+        if (this.elements.activityInput) {
+            this.elements.activityInput.checked = activityEnabled;
+        }
+
+        this._bindEvents();
+    }
+
+    /**
+     * Open the dialog
+     */
+    open() {
+        if (this.dialog) {
+            this.dialog.showModal();
+            this.refreshCacheStats();
+            this.logger.debug('Settings dialog opened');
+        }
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        if (this.dialog) {
+            this.dialog.close();
+            this.logger.debug('Settings dialog closed');
+        }
+    }
+
+    /**
+     * Display current cache statistics
+     */
+    async refreshCacheStats() {
+        if (!this.elements.cacheStats) return;
+
+        try {
+            const stats = await this.apiService.getCacheStats();
+            const storage = stats.storage === 'indexeddb' ? 'saved in this browser' : 'in memory only';
+            this.elements.cacheStats.textContent =
+                `${stats.entries} profiles cached (${storage}). ` +
+                `This session: ${stats.hits} hits, ${stats.revalidated} revalidated, ${stats.misses} fetched.`;
+        } catch (error) {
+            this.logger.warn('Failed to read cache statistics', error);
+            this.elements.cacheStats.textContent = 'Cache statistics unavailable.';
+        }
+    }
+
+    /**
+     * Bind dialog event listeners
+     * @private
+     */
+    _bindEvents() {
+        if (this.elements.closeButton) {
+            this.elements.closeButton.addEventListener('click', () => this.close());
+        }
+
+        // Clicking the backdrop closes the dialog
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) {
+                this.close();
+            }
+        });
+
+        if (this.elements.tokenInput) {
+            this.elements.tokenInput.addEventListener('input', () => {
+                this.credentials.setToken(this.elements.tokenInput.value);
+            });
+            this.elements.tokenInput.addEventListener('blur', () => this.credentials.save());
+        }
+
+        if (this.elements.clearCacheButton) {
+            this.elements.clearCacheButton.addEventListener('click', () => this._handleClearCache());
+        }
+
+        if (this.elements.orgEnabledInput) {
+            this.elements.orgEnabledInput.addEventListener('change', () => {
+                this.orgMembership.setSettings({ enabled: this.elements.orgEnabledInput.checked });
+            });
+        }
+
+        if (this.elements.orgNameInput) {
+            this.elements.orgNameInput.addEventListener('change', () => {
+                this.orgMembership.setSettings({ org: this.elements.orgNameInput.value });
+                // Show what was actually kept, e.g. without a leading @ or cleared if invalid
+                this.elements.orgNameInput.value = this.orgMembership.getSettings().org;
+            });
+        }
+
+        if (this.elements.repoStatsInput) {
+            this.elements.repoStatsInput.addEventListener('change', () => {
+                this.repoStats.setEnabled(this.elements.repoStatsInput.checked);
+            });
+        }
+
+        if (this.elements.activityInput) {
+            this.elements.activityInput.addEventListener('change', () => {
+                this.activity.setEnabled(this.elements.activityInput.checked);
+            });
+        }
+    }
+
+    /**
+     * Clear the profile cache
+     * @private
+     */
+    async _handleClearCache() {
+        this.elements.clearCacheButton.disabled = true;
+        try {
+            await this.apiService.clearCache();
+            this.logger.info('Profile cache cleared');
+        } catch (error) {
+            this.logger.warn('Failed to clear profile cache', error);
+        } finally {
+            this.elements.clearCacheButton.disabled = false;
+            await this.refreshCacheStats();
+        }
+    }
+}
@@ -0,0 +1,269 @@
+/**
+ * Snapshot Panel Component following Single Responsibility Principle
+ * Saves the current results as a snapshot and shows the diff against an earlier one
+ */
+
+import { CONFIG } from '../config.js';
+import { DIFF_STATUSES } from '../services/snapshot-service.js';
+import { Logger } from '../utils/logger.js';
+import { DomHelpers } from '../utils/dom-helpers.js';
+
+// Columns of the exported diff
+const DIFF_EXPORT_KEYS = ['login', 'status', 'field', 'before', 'after'];
+
+export class SnapshotPanel {
+    /**
+     * @param {HTMLElement} container - Container element
+     * @param {SnapshotService} snapshots - Snapshot storage and comparison
+     * @param {ExportService} exportService - Service used to download the diff
+     * @param {Object} callbacks - Panel callbacks
+     * @param {Function} callbacks.getResults - Returns the current results
+     * @param {Function} callbacks.onDiff - Called with the diff after a comparison, or null when it is closed
+     */
+    constructor(container, snapshots, exportService, { getResults, onDiff }) {
+        this.container = container;
+        this.snapshots = snapshots;
+        this.exportService = exportService;
+        this.getResults = getResults;
+        this.onDiff = onDiff;
+        this.element = null;
+        this.diffElement = null;
+        this.messageElement = null;
+        this.diff = null;
+        this.logger = new Logger('SnapshotPanel');
+    }
+
+    /**
+     * Render the panel and append to container
+     * @returns {HTMLElement} The created panel element
+     */
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'snapshot-panel';
+        this._renderControls();
+        this.container.appendChild(this.element);
+        return this.element;
+    }
+
+    /**
+     * Compare the current results with a snapshot and show the diff
+     * @param {string} snapshotId - Snapshot id
+     * @returns {Object|null} Diff, or null if the snapshot no longer exists
+     */
+    compare(snapshotId) {
+        const snapshot = this.snapshots.get(snapshotId);
+        if (!snapshot) return null;
+
+        this.diff = this.snapshots.compare(snapshot, this.getResults());
+        this._renderDiff(snapshot);
+        this.onDiff(this.diff);
+        return this.diff;
+    }
+
+    /**
+     * Build the save and compare controls
+     * @private
+     */
+    _renderControls() {
+        const controls = document.createElement('div');
+        controls.className = 'snapshot-panel__controls';
+
+        const saveForm = document.createElement('form');
+        saveForm.className = 'snapshot-panel__save';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'snapshot-panel__input';
+        nameInput.placeholder = 'Snapshot name, e.g. Roster June';
+        nameInput.maxLength = CONFIG.SNAPSHOTS.MAX_NAME_LENGTH;
+        nameInput.setAttribute('aria-label', 'Snapshot name');
+        saveForm.appendChild(nameInput);
+        saveForm.appendChild(DomHelpers.createButton('Save snapshot', 'snapshot-panel__button', null, 'submit'));
+        saveForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._save(nameInput.value);
+        });
+        controls.appendChild(saveForm);
+
+        const snapshots = this.snapshots.getSnapshots();
+        if (snapshots.length > 0) {
+            const compare = document.createElement('div');
+            compare.className = 'snapshot-panel__compare';
+
+            const select = document.createElement('select');
+            select.className = 'snapshot-panel__select';
+            select.setAttribute('aria-label', 'Snapshot to compare with');
+            for (const snapshot of snapshots) {
+                const option = document.createElement('option');
+                option.value = snapshot.id;
+                option.textContent = `${snapshot.name} (${new Date(snapshot.savedAt).toLocaleDateString()})`;
+                option.selected = Boolean(this.diff && this.diff.snapshotId === snapshot.id);
+                select.appendChild(option);
+            }
+
+            compare.appendChild(select);
+            compare.appendChild(DomHelpers.createButton('Compare', 'snapshot-panel__button', () => this.compare(select.value)));
+            compare.appendChild(DomHelpers.createButton('Delete', 'snapshot-panel__button snapshot-panel__button--secondary', () => {
+                this.snapshots.remove(select.value);
+                if (this.diff && this.diff.snapshotId === select.value) {
+                    this._closeDiff();
+                }
+                this._refreshControls();
+            }));
+            controls.appendChild(compare);
+        }
+
+        this.messageElement = document.createElement('p');
+        this.messageElement.className = 'snapshot-panel__message';
+        controls.appendChild(this.messageElement);
+
+        this.element.appendChild(controls);
+    }
+
+    /**
+     * Rebuild the controls, e.g. after a snapshot was saved or deleted
+     * @private
+     */
+    _refreshControls() {
+        const controls = this.element.querySelector('.snapshot-panel__controls');
+        if (controls) controls.remove();
+
+        const diffElement = this.diffElement;
+        this._renderControls();
+        if (diffElement) {
+            this.element.appendChild(diffElement);
+        }
+    }
+
+    /**
+     * Save the current results as a snapshot
+     * @private
+     * @param {string} name - Snapshot name
+     */
+    _save(name) {
+        const results = this.getResults();
+        if (results.length === 0) return;
+
+        const snapshot = this.snapshots.create(name, results);
+        this._refreshControls();
+        this.messageElement.textContent = snapshot
+            ? `Saved "${snapshot.name}".`
+            : 'Could not save the snapshot; browser storage may be full. Delete older snapshots and try again.';
+    }
+
+    /**
+     * Show the diff summary, the changed users and export buttons
+     * @private
+     * @param {Object} snapshot - Snapshot the results were compared with
+     */
+    _renderDiff(snapshot) {
+        const diffElement = document.createElement('div');
+        diffElement.className = 'snapshot-diff';
+
+        const header = document.createElement('div');
+        header.className = 'snapshot-diff__header';
+
+        const summary = document.createElement('p');
+        summary.className = 'snapshot-diff__summary';
+        const parts = Object.entries(DIFF_STATUSES)
+            .filter(([status]) => this.diff.counts[status] > 0)
+            .map(([status, { label }]) => `${this.diff.counts[status]} ${label.toLowerCase()}`);
+        parts.push(`${this.diff.unchanged} unchanged`);
+        if (this.diff.skipped > 0) {
+            parts.push(`${this.diff.skipped} could not be compared`);
+        }
+        summary.textContent = `Compared with "${snapshot.name}" from ${new Date(snapshot.savedAt).toLocaleString()}: ${parts.join(', ')}`;
+        header.appendChild(summary);
+
+        if (this.diff.entries.length > 0) {
+            header.appendChild(DomHelpers.createButton('Export diff CSV', 'snapshot-panel__button', () => this._export('csv')));
+            header.appendChild(DomHelpers.createButton('Export diff JSON', 'snapshot-panel__button', () => this._export('json')));
+        }
+        header.appendChild(DomHelpers.createButton('Close', 'snapshot-panel__button snapshot-panel__button--secondary', () => this._closeDiff()));
+        diffElement.appendChild(header);
+
+        if (this.diff.entries.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'snapshot-diff__list';
+            this.diff.entries.forEach(entry => list.appendChild(this._createEntry(entry)));
+            diffElement.appendChild(list);
+        }
+
+        if (this.diffElement) {
+            this.diffElement.replaceWith(diffElement);
+        } else {
+            this.element.appendChild(diffElement);
+        }
+        this.diffElement = diffElement;
+    }
+
+    /**
+     * Create the list item describing one user's difference
+     * @private
+     * @param {Object} entry - Diff entry
+     * @returns {HTMLLIElement} List item
+     */
+    _createEntry(entry) {
+        const item = document.createElement('li');
+        item.className = `snapshot-diff__entry snapshot-diff__entry--${entry.status.replace(/_/g, '-')}`;
+
+        const title = document.createElement('span');
+        title.className = 'snapshot-diff__login';
+        title.textContent = `@${entry.login}`;
+        item.appendChild(title);
+
+        const status = document.createElement('span');
+        status.className = 'snapshot-diff__status';
+        status.textContent = DIFF_STATUSES[entry.status].label;
+        item.appendChild(status);
+
+        if (entry.changes.length > 0) {
+            const changes = document.createElement('ul');
+            changes.className = 'snapshot-diff__changes';
+            for (const change of entry.changes) {
+                const line = document.createElement('li');
+                line.textContent = `${change.label}: ${this._formatValue(change.before)} → ${this._formatValue(change.after)}`;
+                changes.appendChild(line);
+            }
+            item.appendChild(changes);
+        }
+
+        return item;
+    }
+
+    /**
+     * Hide the diff
+     * @private
+     */
+    _closeDiff() {
+        if (this.diffElement) {
+            this.diffElement.remove();
+        }
+        this.diffElement = null;
+        this.diff = null;
+        this.onDiff(null);
+    }
+
+    /**
+     * Download the diff
+     * @private
+     * @param {string} format - 'csv' or 'json'
+     */
+    _export(format) {
+        if (!this.diff) return;
+        this.exportService.downloadRows(this.snapshots.toRows(this.diff), DIFF_EXPORT_KEYS, format, 'github-users-diff');
+    }
+
+    /**
+     * Format a compared value for display
+     * @private
+     * @param {*} value - Field value
+     * @returns {string} Display text
+     */
+    _formatValue(value) {
+        if (value === null || value === '') return '(empty)';
+        const text = String(value);
+        return text.length > CONFIG.UI.MAX_DISPLAY_NAME_LENGTH
+            ? `${text.slice(0, CONFIG.UI.MAX_DISPLAY_NAME_LENGTH)}…`
+            : text;
+    }
+}
@@ -6,14 +6,25 @@
 import { CONFIG } from '../config.js';
 import { SecurityValidator } from '../utils/validator.js';
 import { Logger } from '../utils/logger.js';
-
-const logger = new Logger('UserCard');
+import { ErrorClassifier } from '../utils/error-classifier.js';
 
 export class UserCard {
-    constructor(userData, container) {
+    /**
+     * @param {Object} userData - User result
+     * @param {HTMLElement} container - Container element
+     * @param {Object} [options] - Card options
+     * @param {Function} [options.onSaveToList] - Called with ({login, id}, cardElement) from the "Save to list" button
+     * @param {Function} [options.onUpdateLists] - Called with the result of a renamed user from the "Update lists"
+     *        button; returns the number of lists updated
+     */
+    constructor(userData, container, { onSaveToList = null, onUpdateLists = null } = {}) {
         this.userData = userData;
         this.container = container;
+        this.onSaveToList = onSaveToList;
+        this.onUpdateLists = onUpdateLists;
+        this.highlight = null;
         this.element = null;
+        this.logger = new Logger('UserCard');
     }
 
     /**
@@ -24,7 +35,7 @@ export class UserCard {
         this.element = this._createElement();
         this.container.appendChild(this.element);
         
-        logger.debug('User card rendered', { 
+        this.logger.debug('User card rendered', { 
             username: this.userData.username,
             success: this.userData.success 
         });
@@ -38,22 +49,65 @@ export class UserCard {
     remove() {
         if (this.element && this.element.parentNode) {
             this.element.parentNode.removeChild(this.element);
-            logger.debug('User card removed', { username: this.userData.username });
+            this.logger.debug('User card removed', { username: this.userData.username });
         }
     }
 
     /**
-     * Update card with new data
+     * Update card with new data, keeping its position in the DOM
      * @param {Object} newData - Updated user data
+     * @param {Object} [options] - Card options for the new data
+     * @param {Function|null} [options.onUpdateLists] - Replaces the "Update lists" handler; null removes the button
      */
-    update(newData) {
+    update(newData, { onUpdateLists = this.onUpdateLists } = {}) {
         this.userData = newData;
+        this.onUpdateLists = onUpdateLists;
+        if (!this.element) return;
+
+        const previous = this.element;
+        this.element = this._createElement();
+        if (previous.parentNode) {
+            previous.parentNode.replaceChild(this.element, previous);
+        }
+
+        this.logger.debug('User card updated', {
+            username: this.userData.username,
+            success: this.userData.success
+        });
+    }
+
+    /**
+     * Mark the card as different from a compared snapshot, or clear the mark
+     * @param {Object|null} highlight - {status, label}, e.g. {status: 'changed', label: 'Changed'}
+     */
+    setHighlight(highlight) {
+        this.highlight = highlight;
         if (this.element) {
-            this.remove();
-            this.render();
+            this._applyHighlight(this.element);
         }
     }
 
+    /**
+     * Apply the snapshot highlight to a card element
+     * @private
+     * @param {HTMLElement} card - Card element
+     */
+    _applyHighlight(card) {
+        [...card.classList]
+            .filter(className => className.startsWith('user-card--diff-'))
+            .forEach(className => card.classList.remove(className));
+        const badge = card.querySelector(':scope > .user-card__diff');
+        if (badge) badge.remove();
+
+        if (!this.highlight) return;
+
+        card.classList.add(`user-card--diff-${this.highlight.status.replace(/_/g, '-')}`);
+        const newBadge = document.createElement('span');
+        newBadge.className = 'user-card__diff';
+        newBadge.textContent = this.highlight.label;
+        card.insertBefore(newBadge, card.firstChild);
+    }
+
     /**
      * Create the card DOM element
      * @private
@@ -62,16 +116,22 @@ export class UserCard {
     _createElement() {
         if (!this.userData.success) {
             const card = document.createElement('div');
-            card.className = 'user-card user-card--error';
+            card.className = `user-card user-card--error ${this._getErrorModifier()}`.trim();
             card.innerHTML = this._createErrorContent();
+            this._applyHighlight(card);
             return card;
         } else {
-            const card = document.createElement('a');
-            card.className = 'user-card';
-            card.href = this._getGitHubProfileUrl();
-            card.target = '_blank';
-            card.rel = 'noopener noreferrer';
+            // The card holds its own links, so only the header links to the profile
+            const card = document.createElement('div');
+            card.className = 'user-card user-card--detailed';
             card.innerHTML = this._createSuccessContent();
+            if (this.userData.renamedFrom) {
+                card.querySelector('.user-card__link').after(this._createRenameNotice());
+            }
+            if (this.onSaveToList) {
+                card.appendChild(this._createSaveButton(card));
+            }
+            this._applyHighlight(card);
             return card;
         }
     }
@@ -96,18 +156,355 @@ export class UserCard {
         );
 
         return `
-            <img class="user-card__avatar" 
-                 src="${avatarUrl}" 
-                 alt="${SecurityValidator.sanitizeText(user.login || 'User')}'s avatar"
-                 loading="lazy">
-            <div class="user-card__info">
-                <h3 class="user-card__name">${SecurityValidator.sanitizeText(displayName)}</h3>
-                <p class="user-card__username">@${username}</p>
-                <p class="user-card__bio">${SecurityValidator.sanitizeText(displayBio)}</p>
+            <a class="user-card__link"
+               href="${this._getGitHubProfileUrl()}"
+               target="_blank"
+               rel="noopener noreferrer">
+                <img class="user-card__avatar" 
+                     src="${avatarUrl}" 
+                     alt="${SecurityValidator.sanitizeText(user.login || 'User')}'s avatar"
+                     loading="lazy">
+                <div class="user-card__info">
+                    <h3 class="user-card__name">${SecurityValidator.sanitizeText(displayName)}</h3>
+                    <p class="user-card__username">@${username}</p>
+                    <p class="user-card__bio">${SecurityValidator.sanitizeText(displayBio)}</p>
+                </div>
+            </a>
+            ${this._createStatsContent(user, this.userData.repositories)}
+            ${this._createActivityContent(this.userData.activity)}
+            ${this._createOrgsContent(this.userData.organizations)}
+            ${this._createDetailsContent(user, this.userData.repositories)}
+        `;
+    }
+
+    /**
+     * Create the "Save to list" button
+     * @private
+     * @param {HTMLElement} card - Card element passed to the callback
+     * @returns {HTMLButtonElement} Button
+     */
+    _createSaveButton(card) {
+        const user = this.userData.data || this.userData;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'user-card__save';
+        button.textContent = 'Save to list';
+        button.addEventListener('click', () => this.onSaveToList({ login: user.login, id: user.id ?? null }, card));
+        return button;
+    }
+
+    /**
+     * Create the notice shown for a user found under a new login, with the "Update lists" action
+     * @private
+     * @returns {HTMLElement} Notice element
+     */
+    _createRenameNotice() {
+        const user = this.userData.data || this.userData;
+        const notice = document.createElement('div');
+        notice.className = 'user-card__renamed';
+
+        const text = document.createElement('span');
+        text.className = 'user-card__renamed-text';
+        text.textContent = `Renamed from @${this.userData.renamedFrom} to @${user.login}`;
+        notice.appendChild(text);
+
+        if (this.onUpdateLists) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'user-card__update-lists';
+            button.textContent = 'Update lists';
+            button.addEventListener('click', () => {
+                const updated = this.onUpdateLists(this.userData);
+                const done = document.createElement('span');
+                done.className = 'user-card__renamed-text';
+                done.textContent = `Updated ${updated} ${updated === 1 ? 'list' : 'lists'}`;
+                button.replaceWith(done);
+            });
+            notice.appendChild(button);
+        }
+
+        return notice;
+    }
+
+    /**
+     * Create the compact followers / following / repositories row
+     * @private
+     * @param {Object} user - GitHub user data
+     * @param {Object} [repositories] - Repository summary, when fetched
+     * @returns {string} HTML content
+     */
+    _createStatsContent(user, repositories) {
+        const stats = [
+            { label: 'followers', value: user.followers },
+            { label: 'following', value: user.following },
+            { label: 'repos', value: user.public_repos },
+            { label: 'stars', value: repositories?.totalStars }
+        ];
+
+        const items = stats
+            .filter(stat => Number.isFinite(stat.value))
+            .map(stat => `
+                <li class="user-card__stat" title="${stat.value.toLocaleString()} ${stat.label}">
+                    <span class="user-card__stat-value">${this._formatCount(stat.value)}</span>
+                    ${stat.label}
+                </li>
+            `)
+            .join('');
+
+        const language = repositories?.primaryLanguage
+            ? `<li class="user-card__stat user-card__stat--language">${SecurityValidator.sanitizeText(repositories.primaryLanguage)}</li>`
+            : '';
+
+        return items || language ? `<ul class="user-card__stats">${items}${language}</ul>` : '';
+    }
+
+    /**
+     * Create the activity indicator from the last public event
+     * @private
+     * @param {Object} [activity] - Activity summary ({lastActive, level} or {error})
+     * @returns {string} HTML content, empty if no lookup ran
+     */
+    _createActivityContent(activity) {
+        if (!activity) return '';
+
+        if (activity.error) {
+            return `<p class="user-card__activity user-card__activity--unknown">Activity unavailable: ${SecurityValidator.sanitizeText(activity.error)}</p>`;
+        }
+
+        const text = activity.lastActive
+            ? `Last active ${this._formatRelativeDate(activity.lastActive)}`
+            : 'No public activity found';
+        const title = activity.lastActive ? ` title="${SecurityValidator.sanitizeText(this._formatDate(activity.lastActive))}"` : '';
+
+        return `<p class="user-card__activity user-card__activity--${activity.level}"${title}>${SecurityValidator.sanitizeText(text)}</p>`;
+    }
+
+    /**
+     * Describe activity counts, e.g. "12 pushes, 1 pull request"
+     * @private
+     * @param {Object} counts - Counts of pushes, pullRequests, issues and reviews
+     * @returns {string} Description
+     */
+    _formatActivityCounts(counts) {
+        const parts = [
+            [counts.pushes, 'push', 'pushes'],
+            [counts.pullRequests, 'pull request', 'pull requests'],
+            [counts.issues, 'issue', 'issues'],
+            [counts.reviews, 'review', 'reviews']
+        ].map(([count, singular, plural]) => `${count} ${count === 1 ? singular : plural}`);
+
+        return parts.join(', ');
+    }
+
+    /**
+     * Format a timestamp relative to now (e.g. "3 days ago")
+     * @private
+     * @param {string} timestamp - ISO 8601 timestamp
+     * @returns {string} Relative time
+     */
+    _formatRelativeDate(timestamp) {
+        const days = Math.floor((Date.now() - Date.parse(timestamp)) / (24 * 60 * 60 * 1000));
+        const format = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+        if (days < 30) return format.format(-Math.max(days, 0), 'day');
+        if (days < 365) return format.format(-Math.floor(days / 30), 'month');
+        return format.format(-Math.floor(days / 365), 'year');
+    }
+
+    /**
+     * Create the organization badges and membership status
+     * @private
+     * @param {Object} [organizations] - Organization lookup result ({orgs, org, member} or {error})
+     * @returns {string} HTML content, empty if no lookup ran
+     */
+    _createOrgsContent(organizations) {
+        if (!organizations) return '';
+
+        if (organizations.error) {
+            return `<p class="user-card__orgs-note">Organizations unavailable: ${SecurityValidator.sanitizeText(organizations.error)}</p>`;
+        }
+
+        let membership = '';
+        if (organizations.org) {
+            const org = SecurityValidator.sanitizeText(organizations.org);
+            const status = organizations.member === true
+                ? { modifier: 'member', text: `Member of ${org}` }
+                : organizations.member === false
+                    ? { modifier: 'non-member', text: `Not a member of ${org}` }
+                    : { modifier: 'unknown', text: `Membership in ${org} unknown` };
+            membership = `<span class="user-card__membership user-card__membership--${status.modifier}">${status.text}</span>`;
+        }
+
+        const badges = organizations.orgs.map(org => {
+            const login = SecurityValidator.sanitizeText(org.login);
+            const avatar = SecurityValidator.isValidGitHubImageUrl(org.avatar_url)
+                ? `<img class="user-card__org-avatar" src="${SecurityValidator.sanitizeText(org.avatar_url)}" alt="" loading="lazy">`
+                : '';
+            return `
+                <li>
+                    <a class="user-card__org" href="https://github.com/${login}" target="_blank" rel="noopener noreferrer" title="${login}">
+                        ${avatar}${login}
+                    </a>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="user-card__orgs">
+                ${membership}
+                ${badges ? `<ul class="user-card__org-list">${badges}</ul>` : '<span class="user-card__orgs-note">No public organizations</span>'}
             </div>
         `;
     }
 
+    /**
+     * Create the expandable panel with the remaining profile fields
+     * @private
+     * @param {Object} user - GitHub user data
+     * @param {Object} [repositories] - Repository summary, when fetched
+     * @returns {string} HTML content, empty if the profile has no extra fields
+     */
+    _createDetailsContent(user, repositories) {
+        const rows = [];
+        const addRow = (label, valueHtml) => {
+            if (valueHtml) rows.push(`<dt>${label}</dt><dd>${valueHtml}</dd>`);
+        };
+
+        if (user.bio && user.bio.length > CONFIG.UI.MAX_DISPLAY_BIO_LENGTH) {
+            addRow('Bio', SecurityValidator.sanitizeText(user.bio));
+        }
+        addRow('Company', SecurityValidator.sanitizeText(user.company || ''));
+        addRow('Location', SecurityValidator.sanitizeText(user.location || ''));
+        addRow('Website', this._createExternalLink(
+            SecurityValidator.getSafeExternalUrl(user.blog),
+            user.blog
+        ));
+        if (SecurityValidator.validateTwitterUsername(user.twitter_username)) {
+            addRow('Twitter', this._createExternalLink(
+                `https://twitter.com/${user.twitter_username}`,
+                `@${user.twitter_username}`
+            ));
+        }
+        if (user.hireable) {
+            addRow('Hireable', 'Yes');
+        }
+        addRow('Joined', SecurityValidator.sanitizeText(this._formatDate(user.created_at)));
+
+        const activity = this.userData.activity;
+        if (activity && !activity.error) {
+            addRow(`Activity (${CONFIG.ACTIVITY.WINDOW_DAYS} days)`, this._formatActivityCounts(activity.counts));
+        }
+
+        if (repositories?.error) {
+            addRow('Repositories', `Unavailable: ${SecurityValidator.sanitizeText(repositories.error)}`);
+        } else if (repositories) {
+            addRow('Languages', this._createLanguagesContent(repositories));
+            addRow('Top repos', this._createTopReposContent(repositories.topRepos));
+        }
+
+        if (rows.length === 0) return '';
+
+        return `
+            <details class="user-card__details">
+                <summary class="user-card__details-toggle">More details</summary>
+                <dl class="user-card__fields">${rows.join('')}</dl>
+            </details>
+        `;
+    }
+
+    /**
+     * Create the language breakdown, by share of repositories
+     * @private
+     * @param {Object} repositories - Repository summary
+     * @returns {string} HTML content, empty if no repository has a language
+     */
+    _createLanguagesContent(repositories) {
+        const shown = repositories.languages.slice(0, CONFIG.REPOS.TOP_LANGUAGES);
+        if (shown.length === 0) return '';
+
+        const items = shown
+            .map(({ language, share }) => `
+                <li class="user-card__language">
+                    ${SecurityValidator.sanitizeText(language)}
+                    <span class="user-card__language-share">${Math.round(share * 100)}%</span>
+                </li>
+            `)
+            .join('');
+        const note = repositories.complete ? '' : `<small>Based on the ${repositories.count} most recently pushed repositories</small>`;
+
+        return `<ul class="user-card__languages">${items}</ul>${note}`;
+    }
+
+    /**
+     * Create the list of most starred repositories
+     * @private
+     * @param {Object[]} topRepos - Repositories sorted by stars
+     * @returns {string} HTML content, empty if the user has no repositories
+     */
+    _createTopReposContent(topRepos) {
+        const items = topRepos
+            .filter(repo => this._isGitHubUrl(repo.html_url))
+            .map(repo => `
+                <li class="user-card__repo">
+                    ${this._createExternalLink(repo.html_url, repo.name)}
+                    <span class="user-card__repo-stars" title="${(repo.stargazers_count || 0).toLocaleString()} stars">★ ${this._formatCount(repo.stargazers_count || 0)}</span>
+                    ${repo.description ? `<span class="user-card__repo-description">${SecurityValidator.sanitizeText(SecurityValidator.truncateText(repo.description, CONFIG.UI.MAX_DISPLAY_NAME_LENGTH * 2))}</span>` : ''}
+                </li>
+            `)
+            .join('');
+
+        return items ? `<ol class="user-card__repos">${items}</ol>` : '';
+    }
+
+    /**
+     * Check whether a URL points to github.com over https
+     * @private
+     * @param {string} url - URL to check
+     * @returns {boolean} True if it is a github.com URL
+     */
+    _isGitHubUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            return urlObj.protocol === 'https:' && urlObj.hostname === 'github.com';
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Create a link that opens outside the app without leaking the opener
+     * @private
+     * @param {string|null} url - Validated absolute URL
+     * @param {string} text - Link text
+     * @returns {string} HTML content, empty if the URL is missing
+     */
+    _createExternalLink(url, text) {
+        if (!url) return '';
+        const label = SecurityValidator.truncateText(text, CONFIG.UI.MAX_DISPLAY_NAME_LENGTH);
+        return `<a class="user-card__external-link" href="${SecurityValidator.sanitizeText(url)}" target="_blank" rel="noopener noreferrer nofollow">${SecurityValidator.sanitizeText(label)}</a>`;
+    }
+
+    /**
+     * Format a count compactly (e.g. 1.2k)
+     * @private
+     * @param {number} value - Count
+     * @returns {string} Formatted count
+     */
+    _formatCount(value) {
+        return new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+    }
+
+    /**
+     * Format an ISO timestamp as a readable date
+     * @private
+     * @param {string} timestamp - ISO 8601 timestamp
+     * @returns {string} Formatted date, or an empty string if invalid
+     */
+    _formatDate(timestamp) {
+        const date = new Date(timestamp);
+        if (!timestamp || Number.isNaN(date.getTime())) return '';
+        return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
     /**
      * Create content for error state
      * @private
@@ -115,16 +512,38 @@ export class UserCard {
      */
     _createErrorContent() {
         const errorMessage = this.userData.error || 'Unknown error occurred';
+        const category = ErrorClassifier.describe(this.userData.code);
+        const attempts = this.userData.attempts > 1
+            ? `<br><small>Failed after ${this.userData.attempts} attempts</small>`
+            : '';
+        const guidance = category.guidance
+            ? `<p class="user-card__error-guidance">${SecurityValidator.sanitizeText(category.guidance)}</p>`
+            : '';
         
         return `
             <div class="user-card__error">
+                <span class="user-card__error-category">${SecurityValidator.sanitizeText(category.label)}</span>
+                <br>
                 <strong>${SecurityValidator.sanitizeText(this.userData.username || 'Unknown')}</strong>
                 <br>
                 ${SecurityValidator.sanitizeText(errorMessage)}
+                ${attempts}
+                ${guidance}
             </div>
         `;
     }
 
+    /**
+     * Get the modifier class for the error category, e.g. user-card--error-not-found
+     * @private
+     * @returns {string} Modifier class, or an empty string for uncategorized errors
+     */
+    _getErrorModifier() {
+        const code = this.userData.code;
+        if (!ErrorClassifier.isKnown(code)) return '';
+        return `user-card--error-${code.toLowerCase().replace(/_/g, '-')}`;
+    }
+
     /**
      * Get a valid avatar URL or fallback
      * @private
@@ -161,10 +580,11 @@ export class UserCardFactory {
      * Create a user card based on data type
      * @param {Object} userData - User data
      * @param {HTMLElement} container - Container element
+     * @param {Object} [options] - Card options, see UserCard
      * @returns {UserCard} User card instance
      */
-    static create(userData, container) {
-        return new UserCard(userData, container);
+    static create(userData, container, options = {}) {
+        return new UserCard(userData, container, options);
     }
 
     /**
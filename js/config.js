@@ -8,12 +8,69 @@ export const CONFIG = {
         GITHUB_BASE_URL: 'https://api.github.com',
         RATE_LIMIT_DELAY: 1000,
         MAX_RETRIES: 3,
-        TIMEOUT: 10000
+        TIMEOUT: 10000,
+        GRAPHQL_BATCH_SIZE: 50
     },
     BATCH: {
-        CHUNK_SIZE: 8,
-        CHUNK_DELAY: 500,
-        MAX_CONCURRENT: 5
+        MAX_CONCURRENT: 5,
+        REQUESTS_PER_SECOND: 10
+    },
+    CACHE: {
+        DB_NAME: 'github-profile-identifier',
+        DB_VERSION: 1,
+        STORE_NAME: 'users',
+        TTL: 60 * 60 * 1000
+    },
+    STORAGE: {
+        TOKEN_KEY: 'github-token',
+        EXPORT_COLUMNS_KEY: 'export-columns',
+        ORG_SETTINGS_KEY: 'org-settings',
+        REPO_STATS_KEY: 'repo-stats-enabled',
+        ACTIVITY_KEY: 'activity-enabled',
+        SESSION_KEY: 'search-session',
+        HISTORY_KEY: 'search-history',
+        LISTS_KEY: 'user-lists',
+        SNAPSHOTS_KEY: 'snapshots'
+    },
+    REPOS: {
+        PER_PAGE: 100,
+        TOP_COUNT: 3,
+        TOP_LANGUAGES: 5
+    },
+    ACTIVITY: {
+        PER_PAGE: 100,
+        WINDOW_DAYS: 90,
+        ACTIVE_DAYS: 30,
+        INACTIVE_DAYS: 180
+    },
+    SESSION: {
+        SAVE_INTERVAL: 1000
+    },
+    HISTORY: {
+        MAX_ENTRIES: 50,
+        MAX_NAME_LENGTH: 80
+    },
+    LISTS: {
+        MAX_NAME_LENGTH: 80
+    },
+    SNAPSHOTS: {
+        MAX_SNAPSHOTS: 20,
+        MAX_NAME_LENGTH: 80
+    },
+    SHARE: {
+        // Longer URLs may be rejected by servers when the link is opened
+        MAX_URL_LENGTH: 8000
+    },
+    REVERSE_LOOKUP: {
+        MAX_ENTRIES: 100,
+        MAX_TERM_LENGTH: 100,
+        MAX_CANDIDATES: 5,
+        // GitHub's search API has its own, much lower rate limit
+        REQUESTS_PER_MINUTE: 10,
+        AUTHENTICATED_REQUESTS_PER_MINUTE: 30
+    },
+    IMPORT: {
+        MAX_FILE_SIZE: 1024 * 1024
     },
     UI: {
         MAX_DISPLAY_NAME_LENGTH: 50,
@@ -26,5 +83,9 @@ export const FEATURES = {
     KEYBOARD_SHORTCUTS: true,
     PROGRESS_TRACKING: true,
     REAL_TIME_RESULTS: true,
-    CLICKABLE_CARDS: true
+    CLICKABLE_CARDS: true,
+    GRAPHQL_BATCH_LOOKUP: true,
+    ORG_MEMBERSHIP: true,
+    REPO_STATS: true,
+    ACTIVITY: true
 };
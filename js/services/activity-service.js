@@ -0,0 +1,147 @@
+/**
+ * Activity Service following Single Responsibility Principle
+ * Summarizes a user's recent public events into an activity level and counts
+ * Doubles as the "activity" enrichment stage for BatchProcessor
+ */
+
+import { CONFIG, FEATURES } from '../config.js';
+import { Logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ActivityService {
+    /**
+     * @param {GitHubApiService} apiService - API service used for the lookups
+     * @param {Storage} [storage] - Where the enabled setting is persisted
+     */
+    constructor(apiService, storage = globalThis.localStorage) {
+        this.apiService = apiService;
+        this.storage = storage;
+        this.enabled = false;
+        this.name = 'activity';
+        this.concurrency = CONFIG.BATCH.MAX_CONCURRENT;
+        this.logger = new Logger('Activity');
+    }
+
+    /**
+     * Load the saved setting from storage
+     * @returns {boolean} Whether the lookup is enabled
+     */
+    load() {
+        try {
+            this.enabled = Boolean(this.storage) && this.storage.getItem(CONFIG.STORAGE.ACTIVITY_KEY) === 'true';
+        } catch (error) {
+            this.logger.warn('Failed to load activity settings from storage', error);
+        }
+        return this.enabled;
+    }
+
+    /**
+     * Enable or disable the lookup and persist the choice
+     * @param {boolean} enabled - Whether to fetch activity for new searches
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+        try {
+            if (this.storage) {
+                this.storage.setItem(CONFIG.STORAGE.ACTIVITY_KEY, String(this.enabled));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save activity settings', error);
+        }
+    }
+
+    /**
+     * Check whether lookups should run for new searches
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return FEATURES.ACTIVITY && this.enabled;
+    }
+
+    /**
+     * Enrichment stage entry point
+     * @param {Object} result - Successful batch result
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the requests
+     * @param {Function} [options.throttle] - Awaited before each request; resolves to false once cancelled
+     * @returns {Promise<Object>} Summary from summarize(), or {error, rateLimited}
+     */
+    async enrich(result, { signal, throttle = () => Promise.resolve(true) } = {}) {
+        const login = result.data.login;
+        if (!(await throttle())) {
+            return { error: 'Request cancelled' };
+        }
+
+        const events = await this.apiService.fetchUserEvents(login, { signal });
+        if (!events.success) {
+            return { error: events.error, rateLimited: events.rateLimited };
+        }
+
+        // The events API only covers 90 days; fall back to the latest push for quiet accounts
+        let lastPush = null;
+        if (events.data.length === 0) {
+            if (!(await throttle())) {
+                return { error: 'Request cancelled' };
+            }
+
+            const repos = await this.apiService.fetchUserRepos(login, { signal, perPage: 1 });
+            if (repos.rateLimited) {
+                return { error: repos.error, rateLimited: true };
+            }
+            if (repos.success && repos.data.length > 0) {
+                lastPush = repos.data[0].pushed_at || null;
+            }
+        }
+
+        return this.summarize(events.data, lastPush);
+    }
+
+    /**
+     * Summarize events from the last CONFIG.ACTIVITY.WINDOW_DAYS days
+     * @param {Object[]} events - Events from fetchUserEvents, newest first
+     * @param {string|null} [lastPush] - Latest repository push, used when there are no events
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Object} {lastActive, level, inactive, counts: {pushes, pullRequests, issues, reviews}}
+     */
+    summarize(events, lastPush = null, now = Date.now()) {
+        const since = now - CONFIG.ACTIVITY.WINDOW_DAYS * DAY_MS;
+        const counts = { pushes: 0, pullRequests: 0, issues: 0, reviews: 0 };
+        let lastActive = null;
+
+        for (const event of events) {
+            const time = Date.parse(event.created_at);
+            if (Number.isNaN(time)) continue;
+            if (!lastActive || time > Date.parse(lastActive)) {
+                lastActive = event.created_at;
+            }
+            if (time < since) continue;
+
+            if (event.type === 'PushEvent') counts.pushes++;
+            else if (event.type === 'PullRequestEvent' && event.action === 'opened') counts.pullRequests++;
+            else if (event.type === 'IssuesEvent' && event.action === 'opened') counts.issues++;
+            else if (event.type === 'PullRequestReviewEvent') counts.reviews++;
+        }
+
+        if (!lastActive && lastPush && !Number.isNaN(Date.parse(lastPush))) {
+            lastActive = lastPush;
+        }
+
+        const level = this.getLevel(lastActive, now);
+        return { lastActive, level, inactive: level === 'inactive', counts };
+    }
+
+    /**
+     * Classify how recently an account was active
+     * @param {string|null} lastActive - Last activity timestamp
+     * @param {number} now - Current time in milliseconds
+     * @returns {string} 'active', 'recent' or 'inactive'
+     */
+    getLevel(lastActive, now) {
+        if (!lastActive) return 'inactive';
+        const days = (now - Date.parse(lastActive)) / DAY_MS;
+        if (days <= CONFIG.ACTIVITY.ACTIVE_DAYS) return 'active';
+        if (days <= CONFIG.ACTIVITY.INACTIVE_DAYS) return 'recent';
+        return 'inactive';
+    }
+}
@@ -1,50 +1,382 @@
 /**
  * Batch Processor Service following Single Responsibility Principle
- * Handles batch processing of multiple users with intelligent chunking
+ * Handles batch processing of multiple users with a throttled worker pool
  */
 
 import { CONFIG } from '../config.js';
 import { Logger } from '../utils/logger.js';
+import { TokenBucket } from '../utils/token-bucket.js';
+import { ERROR_CODES } from '../utils/error-classifier.js';
+
+/**
+ * Enrichment stage run for every found user after the base profile
+ * @typedef {Object} EnrichmentStage
+ * @property {string} name - Result property the stage output is stored under
+ * @property {number} [concurrency] - Users enriched in parallel across the batch, CONFIG.BATCH.MAX_CONCURRENT by default
+ * @property {Function} [isEnabled] - Returns false to skip the stage for a batch
+ * @property {Function} enrich - Receives (result, {signal, throttle}) and resolves to the stage output;
+ *           throttle must be awaited before each request and resolves to false once the batch is cancelled.
+ *           An output with rateLimited set is retried once the REST rate limit resets
+ */
 
 export class BatchProcessor {
-    constructor(apiService) {
+    /**
+     * @param {GitHubApiService} apiService - API service used to fetch profiles
+     * @param {EnrichmentStage[]} [stages] - Enrichment stages run after each profile
+     */
+    constructor(apiService, stages = []) {
         this.apiService = apiService;
+        this.stages = [...stages];
+        this.pauseState = null;
         this.logger = new Logger('BatchProcessor');
     }
 
     /**
-     * Process multiple users in optimized batches
+     * Stop starting new requests; requests in flight still complete
+     */
+    pause() {
+        if (this.pauseState) return;
+
+        let resume;
+        const promise = new Promise(resolve => { resume = resolve; });
+        this.pauseState = { promise, resume };
+        this.logger.info('Batch paused');
+    }
+
+    /**
+     * Continue a paused batch
+     */
+    resume() {
+        if (!this.pauseState) return;
+
+        this.pauseState.resume();
+        this.pauseState = null;
+        this.logger.info('Batch resumed');
+    }
+
+    /**
+     * Check whether the batch is paused
+     * @returns {boolean} True if paused
+     */
+    isPaused() {
+        return Boolean(this.pauseState);
+    }
+
+    /**
+     * Register an enrichment stage
+     * @param {EnrichmentStage} stage - Stage to run after the base profile
+     */
+    addStage(stage) {
+        if (this.stages.some(existing => existing.name === stage.name)) {
+            throw new Error(`Enrichment stage "${stage.name}" is already registered`);
+        }
+        this.stages.push(stage);
+    }
+
+    /**
+     * Process multiple users with a pool of workers that keeps up to
+     * CONFIG.BATCH.MAX_CONCURRENT requests in flight, throttled to CONFIG.BATCH.REQUESTS_PER_SECOND
      * @param {string[]} usernames - Array of usernames to process
-     * @param {Function} onProgress - Progress callback (processed, total)
-     * @param {Function} onResult - Result callback (result)
-     * @returns {Promise<void>}
+     * @param {Function} onProgress - Progress callback (processed, total, {throughput})
+     * @param {Function} onResult - Result callback (result, tagged with requestedUsername)
+     * @param {Object} [options] - Processing options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the batch
+     * @param {Function} [options.onRateLimit] - Called with the resume timestamp before pausing
+     * @param {Function} [options.resolveUserId] - Resolves a username to a known account id (or null),
+     *        used to follow renames of users that are no longer found
+     * @returns {Promise<Object>} Summary with processed, total, cancelled, elapsed (ms) and throughput (users/s)
      */
-    async processUsers(usernames, onProgress, onResult) {
-        const chunks = this.createChunks(usernames, CONFIG.BATCH.CHUNK_SIZE);
-        let processedCount = 0;
+    async processUsers(usernames, onProgress, onResult, options = {}) {
+        const { signal, onRateLimit, resolveUserId } = options;
+        const useBatchLookup = this.apiService.canBatchLookup();
+        const lookupResource = useBatchLookup ? 'graphql' : 'core';
+        const stages = this.stages.filter(stage => !stage.isEnabled || stage.isEnabled());
+        const limiters = new Map(stages.map(stage =>
+            [stage, this.createLimiter(stage.concurrency || CONFIG.BATCH.MAX_CONCURRENT)]
+        ));
+        const bucket = new TokenBucket(CONFIG.BATCH.REQUESTS_PER_SECOND, CONFIG.BATCH.MAX_CONCURRENT);
         const totalUsers = usernames.length;
+        const startedAt = Date.now();
+        let processedCount = 0;
 
-        this.logger.info(`Processing ${totalUsers} users in ${chunks.length} chunks`);
+        // Each unit of work is one request: a single user, or a GraphQL batch of users
+        const queue = useBatchLookup
+            ? this.createChunks(usernames, CONFIG.API.GRAPHQL_BATCH_SIZE)
+            : usernames.map(username => [username]);
+        const workerCount = Math.min(CONFIG.BATCH.MAX_CONCURRENT, queue.length);
 
-        for (const [index, chunk] of chunks.entries()) {
-            this.logger.debug(`Processing chunk ${index + 1}/${chunks.length} with ${chunk.length} users`);
-            
-            const promises = chunk.map(username => this.apiService.fetchUser(username));
-            const results = await Promise.all(promises);
+        // Workers and stages share one rate limit pause per resource so the countdown is only reported once
+        const rateLimited = new Set();
+        const rateLimitPauses = new Map();
+        const waitForRateLimit = (resource) => {
+            if (!rateLimitPauses.has(resource)) {
+                rateLimitPauses.set(resource, this.waitForRateLimit(rateLimited.has(resource), signal, onRateLimit, resource)
+                    .finally(() => rateLimitPauses.delete(resource)));
+                rateLimited.delete(resource);
+            }
+            return rateLimitPauses.get(resource);
+        };
 
-            for (const result of results) {
-                processedCount++;
-                onResult(result);
-                onProgress(processedCount, totalUsers);
+        // Every request, including enrichment stages, waits out rate limits and takes a token first
+        const throttle = async (resource, wasRateLimited = false) => {
+            if (wasRateLimited) {
+                rateLimited.add(resource);
             }
+            await waitForRateLimit(resource);
+            return bucket.take(signal);
+        };
+
+        const worker = async () => {
+            while (queue.length > 0 && !signal?.aborted) {
+                await this.waitWhilePaused(signal);
+                if (signal?.aborted || queue.length === 0) break;
+
+                const requested = queue.shift();
+
+                if (!(await throttle(lookupResource))) break;
 
-            // Add delay between chunks to respect rate limits
-            if (index < chunks.length - 1) {
-                await this.delay(CONFIG.BATCH.CHUNK_DELAY);
+                const results = await this.fetchChunk(requested, useBatchLookup, signal);
+                if (resolveUserId) {
+                    await this.resolveRenames(results, requested, resolveUserId, signal);
+                }
+                await this.enrichResults(results, stages, limiters, throttle, signal);
+
+                const retry = [];
+                for (const [position, result] of results.entries()) {
+                    // Cancelled requests never reached GitHub, so they are not results
+                    if (result.cancelled) continue;
+
+                    // Rate limited requests are retried once the limit resets
+                    if (result.rateLimited) {
+                        retry.push(requested[position]);
+                        continue;
+                    }
+
+                    processedCount++;
+                    onResult({ ...result, requestedUsername: requested[position] });
+                    onProgress(processedCount, totalUsers, {
+                        throughput: this.getThroughput(processedCount, startedAt)
+                    });
+                }
+
+                if (retry.length > 0) {
+                    queue.unshift(retry);
+                    rateLimited.add(lookupResource);
+                }
             }
+        };
+
+        this.logger.info(`Processing ${totalUsers} users with up to ${workerCount} requests in flight${useBatchLookup ? ' via GraphQL' : ''}`);
+        await Promise.all(Array.from({ length: workerCount }, worker));
+
+        // A batch cancelled while paused must not leave the next one paused
+        if (this.pauseState) {
+            this.pauseState.resume();
+            this.pauseState = null;
+        }
+
+        const cancelled = Boolean(signal?.aborted);
+        const elapsed = Date.now() - startedAt;
+        const throughput = this.getThroughput(processedCount, startedAt);
+        if (cancelled) {
+            this.logger.info(`Cancelled after processing ${processedCount} of ${totalUsers} users`);
+        } else {
+            this.logger.info(`Completed processing ${totalUsers} users in ${elapsed}ms (${throughput.toFixed(1)} users/s)`);
+        }
+
+        return { processed: processedCount, total: totalUsers, cancelled, elapsed, throughput };
+    }
+
+    /**
+     * Fetch one unit of work, with a single GraphQL request when available
+     * @param {string[]} usernames - Usernames in the unit (one, unless batching via GraphQL)
+     * @param {boolean} useBatchLookup - Whether to use the GraphQL batch lookup
+     * @param {AbortSignal} [signal] - Signal used to cancel the requests
+     * @returns {Promise<Object[]>} Results in input order
+     */
+    fetchChunk(usernames, useBatchLookup, signal) {
+        if (useBatchLookup) {
+            return this.apiService.fetchUsersBatch(usernames, { signal });
+        }
+        return Promise.all(usernames.map(username => this.apiService.fetchUser(username, { signal })));
+    }
+
+    /**
+     * Look up users that were not found by their known account id, so renamed accounts are followed
+     * A found account replaces the result and is tagged with renamedFrom; a rate limited lookup
+     * replaces it too so the username is retried
+     * @param {Object[]} results - Request results, updated in place
+     * @param {string[]} usernames - Requested usernames, in result order
+     * @param {Function} resolveUserId - Resolves a username to a known account id (or null)
+     * @param {AbortSignal} [signal] - Signal used to cancel the requests
+     * @returns {Promise<void>}
+     */
+    async resolveRenames(results, usernames, resolveUserId, signal) {
+        await Promise.all([...results.keys()]
+            .filter(position => results[position].code === ERROR_CODES.NOT_FOUND)
+            .map(async (position) => {
+                const username = usernames[position];
+                const id = await resolveUserId(username);
+                if (id === null || id === undefined || signal?.aborted) return;
+
+                const lookup = await this.apiService.fetchUserById(id, { signal });
+                if (lookup.rateLimited) {
+                    results[position] = { ...lookup, username };
+                } else if (lookup.success && lookup.data.login.toLowerCase() !== username.toLowerCase()) {
+                    this.logger.info(`${username} was renamed to ${lookup.data.login}`);
+                    results[position] = { ...lookup, renamedFrom: username };
+                }
+            }));
+    }
+
+    /**
+     * Run the enrichment stages for the successful results of one request
+     * Stages run side by side; a failing stage only affects its own output
+     * @param {Object[]} results - Request results, updated in place
+     * @param {EnrichmentStage[]} stages - Enabled stages
+     * @param {Map<EnrichmentStage, Function>} limiters - Concurrency limiter of each stage
+     * @param {Function} throttle - Receives (resource, wasRateLimited) and resolves to false once cancelled
+     * @param {AbortSignal} [signal] - Signal used to cancel the requests
+     * @returns {Promise<void>}
+     */
+    async enrichResults(results, stages, limiters, throttle, signal) {
+        if (stages.length === 0) return;
+
+        await Promise.all([...results.keys()]
+            .filter(position => results[position].success)
+            .map(async (position) => {
+                const outputs = await Promise.all(stages.map(stage =>
+                    limiters.get(stage)(() => this.runStage(stage, results[position], throttle, signal))
+                ));
+
+                const enrichment = {};
+                stages.forEach((stage, index) => {
+                    enrichment[stage.name] = outputs[index];
+                });
+                results[position] = { ...results[position], ...enrichment };
+            }));
+    }
+
+    /**
+     * Run one stage for one result, turning failures into an error output
+     * Stage requests are REST calls, so a rate limited stage waits for the core limit to reset and is retried
+     * @param {EnrichmentStage} stage - Stage to run
+     * @param {Object} result - Successful base result
+     * @param {Function} throttle - Receives (resource, wasRateLimited) and resolves to false once cancelled
+     * @param {AbortSignal} [signal] - Signal used to cancel the requests
+     * @returns {Promise<Object>} Stage output, or {error} if the stage threw
+     */
+    async runStage(stage, result, throttle, signal) {
+        let wasRateLimited = false;
+
+        // Stages may send several requests, and each one takes its own token
+        const throttleRequest = async () => {
+            const allowed = await throttle('core', wasRateLimited);
+            wasRateLimited = false;
+            return allowed;
+        };
+
+        for (;;) {
+            let output;
+            try {
+                output = await stage.enrich(result, { signal, throttle: throttleRequest });
+            } catch (error) {
+                this.logger.warn(`Enrichment stage ${stage.name} failed for ${result.data.login}`, error);
+                return { error: error.message || `${stage.name} unavailable` };
+            }
+
+            if (!output || !output.rateLimited || signal?.aborted) return output;
+            wasRateLimited = true;
+        }
+    }
+
+    /**
+     * Create a limiter that runs at most `limit` tasks at once
+     * @param {number} limit - Maximum tasks in flight
+     * @returns {Function} Function that takes an async task and resolves to its result
+     */
+    createLimiter(limit) {
+        let active = 0;
+        const waiting = [];
+
+        // A finishing task hands its slot straight to the next waiting one
+        const release = () => {
+            const next = waiting.shift();
+            if (next) {
+                next();
+            } else {
+                active--;
+            }
+        };
+
+        return async (task) => {
+            if (active >= limit) {
+                await new Promise(resolve => waiting.push(resolve));
+            } else {
+                active++;
+            }
+
+            try {
+                return await task();
+            } finally {
+                release();
+            }
+        };
+    }
+
+    /**
+     * Calculate users processed per second since the batch started
+     * @param {number} processed - Users processed so far
+     * @param {number} startedAt - Batch start timestamp (ms)
+     * @returns {number} Users per second
+     */
+    getThroughput(processed, startedAt) {
+        const seconds = (Date.now() - startedAt) / 1000;
+        return seconds > 0 ? processed / seconds : 0;
+    }
+
+    /**
+     * Wait until the batch is resumed or cancelled
+     * @param {AbortSignal} [signal] - Signal that ends the wait early
+     * @returns {Promise<void>}
+     */
+    waitWhilePaused(signal) {
+        if (!this.pauseState) return Promise.resolve();
+
+        return new Promise(resolve => {
+            const onAbort = () => resolve();
+            this.pauseState.promise.then(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            });
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Pause until the API service reports that requests to a rate limit resource may proceed
+     * @param {boolean} wasRateLimited - Whether the previous attempt was rejected
+     * @param {AbortSignal} [signal] - Signal that ends the pause early
+     * @param {Function} [onRateLimit] - Called with the resume timestamp before pausing
+     * @param {string} [resource] - Rate limit resource, 'core' (REST) or 'graphql'
+     * @returns {Promise<void>}
+     */
+    async waitForRateLimit(wasRateLimited, signal, onRateLimit, resource = 'core') {
+        let waitTime = this.apiService.getRateLimitWaitTime(resource);
+
+        // A rejection without a usable reset time still needs a short pause
+        if (wasRateLimited) {
+            waitTime = Math.max(waitTime, CONFIG.API.RATE_LIMIT_DELAY);
+        }
+
+        if (waitTime <= 0) return;
+
+        this.logger.info(`Rate limit reached, pausing for ${Math.ceil(waitTime / 1000)}s`);
+        if (onRateLimit) {
+            onRateLimit(Date.now() + waitTime);
         }
 
-        this.logger.info(`Completed processing ${totalUsers} users`);
+        await this.delay(waitTime, signal);
     }
 
     /**
@@ -64,9 +396,21 @@ export class BatchProcessor {
     /**
      * Delay execution
      * @param {number} ms - Milliseconds to delay
+     * @param {AbortSignal} [signal] - Signal that ends the delay early
      * @returns {Promise<void>}
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    delay(ms, signal = null) {
+        return new Promise(resolve => {
+            // The listener is removed when the timer fires, so long batches don't pile them up on the signal
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
     }
 }
@@ -0,0 +1,89 @@
+/**
+ * Credentials Service following Single Responsibility Principle
+ * Manages the optional GitHub Personal Access Token and its persistence
+ */
+
+import { CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+
+export class CredentialsService {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.token = null;
+        this.logger = new Logger('Credentials');
+    }
+
+    /**
+     * Load the saved token from storage
+     * @returns {string|null} Saved token or null
+     */
+    load() {
+        try {
+            const savedToken = this.storage && this.storage.getItem(CONFIG.STORAGE.TOKEN_KEY);
+            this.token = savedToken || null;
+            if (this.token) {
+                this.logger.debug('GitHub token loaded from storage');
+            }
+        } catch (error) {
+            this.logger.warn('Failed to load GitHub token from storage', error);
+        }
+        return this.token;
+    }
+
+    /**
+     * Set the token used for requests without persisting it
+     * @param {string} token - Token value, empty to clear
+     */
+    setToken(token) {
+        const trimmed = typeof token === 'string' ? token.trim() : '';
+        this.token = trimmed || null;
+
+        if (this.token) {
+            this.logger.debug('GitHub token updated - rate limit increased to 5,000/hour');
+        } else {
+            this.logger.debug('GitHub token cleared - using unauthenticated rate limit (60/hour)');
+        }
+    }
+
+    /**
+     * Persist the current token, removing it from storage when empty
+     */
+    save() {
+        try {
+            if (!this.storage) return;
+            if (this.token) {
+                this.storage.setItem(CONFIG.STORAGE.TOKEN_KEY, this.token);
+                this.logger.debug('GitHub token saved to storage');
+            } else {
+                this.storage.removeItem(CONFIG.STORAGE.TOKEN_KEY);
+                this.logger.debug('GitHub token removed from storage');
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save GitHub token to storage', error);
+        }
+    }
+
+    /**
+     * Get the current token
+     * @returns {string|null} Token or null when unauthenticated
+     */
+    getToken() {
+        return this.token;
+    }
+
+    /**
+     * Check whether a token is configured
+     * @returns {boolean} True if a token is set
+     */
+    hasToken() {
+        return this.token !== null;
+    }
+
+    /**
+     * Get the Authorization header for the current token
+     * @returns {Object} Header object, empty when unauthenticated
+     */
+    getAuthHeaders() {
+        return this.token ? { 'Authorization': `token ${this.token}` } : {};
+    }
+}
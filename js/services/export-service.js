@@ -0,0 +1,197 @@
+/**
+ * Export Service following Single Responsibility Principle
+ * Converts batch results to CSV or JSON and triggers downloads
+ */
+
+import { CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Exportable columns, in output order
+ * Each column reads from a result object ({success, data} or {success: false, username, error, code})
+ */
+export const EXPORT_COLUMNS = [
+    { key: 'login', label: 'Login', value: (result) => result.success ? result.data.login : result.username },
+    { key: 'id', label: 'Account id', value: (result) => result.data?.id },
+    { key: 'renamed_from', label: 'Renamed from', value: (result) => result.renamedFrom },
+    { key: 'name', label: 'Name', value: (result) => result.data?.name },
+    { key: 'company', label: 'Company', value: (result) => result.data?.company },
+    { key: 'location', label: 'Location', value: (result) => result.data?.location },
+    { key: 'email', label: 'Email', value: (result) => result.data?.email },
+    { key: 'blog', label: 'Blog', value: (result) => result.data?.blog },
+    { key: 'followers', label: 'Followers', value: (result) => result.data?.followers },
+    { key: 'public_repos', label: 'Public repos', value: (result) => result.data?.public_repos },
+    { key: 'created_at', label: 'Created at', value: (result) => result.data?.created_at },
+    { key: 'primary_language', label: 'Primary language', value: (result) => result.repositories?.primaryLanguage },
+    { key: 'total_stars', label: 'Total stars', value: (result) => result.repositories?.totalStars },
+    { key: 'organizations', label: 'Organizations', value: (result) => result.organizations?.orgs?.map(org => org.login).join(' ') },
+    { key: 'org_member', label: 'Org member', value: (result) => typeof result.organizations?.member === 'boolean' ? String(result.organizations.member) : null },
+    { key: 'error', label: 'Error', value: (result) => result.success ? null : result.error },
+    { key: 'error_code', label: 'Error code', value: (result) => result.success ? null : result.code }
+];
+
+export class ExportService {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.logger = new Logger('Export');
+    }
+
+    /**
+     * Get the columns selected for export
+     * @returns {string[]} Column keys in output order
+     */
+    getSelectedColumns() {
+        try {
+            const saved = this.storage && this.storage.getItem(CONFIG.STORAGE.EXPORT_COLUMNS_KEY);
+            if (saved) {
+                const keys = JSON.parse(saved);
+                const known = EXPORT_COLUMNS.filter(column => keys.includes(column.key)).map(column => column.key);
+                if (known.length > 0) return known;
+            }
+        } catch (error) {
+            this.logger.warn('Failed to load export columns from storage', error);
+        }
+        return EXPORT_COLUMNS.map(column => column.key);
+    }
+
+    /**
+     * Persist the columns selected for export
+     * @param {string[]} keys - Column keys
+     */
+    setSelectedColumns(keys) {
+        try {
+            if (this.storage) {
+                this.storage.setItem(CONFIG.STORAGE.EXPORT_COLUMNS_KEY, JSON.stringify(keys));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save export columns to storage', error);
+        }
+    }
+
+    /**
+     * Convert results to rows of column values
+     * @param {Object[]} results - Batch results
+     * @param {string[]} keys - Column keys
+     * @returns {Object[]} One object per result, keyed by column
+     */
+    toRows(results, keys) {
+        const columns = EXPORT_COLUMNS.filter(column => keys.includes(column.key));
+        return results.map(result => {
+            const row = {};
+            for (const column of columns) {
+                const value = column.value(result);
+                row[column.key] = value === undefined || value === '' ? null : value;
+            }
+            return row;
+        });
+    }
+
+    /**
+     * Convert results to CSV
+     * @param {Object[]} results - Batch results
+     * @param {string[]} keys - Column keys
+     * @returns {string} CSV text with a header row
+     */
+    toCSV(results, keys) {
+        const columnKeys = EXPORT_COLUMNS.filter(column => keys.includes(column.key)).map(column => column.key);
+        return this.formatCSV(this.toRows(results, keys), columnKeys);
+    }
+
+    /**
+     * Format rows as CSV
+     * @param {Object[]} rows - Row objects
+     * @param {string[]} keys - Row properties to output, in column order
+     * @returns {string} CSV text with a header row
+     */
+    formatCSV(rows, keys) {
+        const lines = [keys.join(',')];
+
+        for (const row of rows) {
+            lines.push(keys.map(key => this.escapeCSV(row[key])).join(','));
+        }
+
+        return lines.join('\r\n');
+    }
+
+    /**
+     * Convert results to JSON
+     * @param {Object[]} results - Batch results
+     * @param {string[]} keys - Column keys
+     * @returns {string} Pretty-printed JSON array
+     */
+    toJSON(results, keys) {
+        return JSON.stringify(this.toRows(results, keys), null, 2);
+    }
+
+    /**
+     * Escape a single CSV value
+     * @param {*} value - Cell value
+     * @returns {string} Escaped cell
+     */
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = String(value);
+        // Spreadsheets evaluate cells starting with these characters as formulas
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Export results as a downloaded file
+     * @param {Object[]} results - Batch results
+     * @param {string} format - 'csv' or 'json'
+     * @param {string[]} keys - Column keys
+     */
+    download(results, format, keys) {
+        const content = format === 'csv' ? this.toCSV(results, keys) : this.toJSON(results, keys);
+        const filename = this.saveFile(content, format, 'github-users');
+        this.logger.info(`Exported ${results.length} results as ${filename}`);
+    }
+
+    /**
+     * Export plain rows (e.g. a snapshot diff) as a downloaded file
+     * @param {Object[]} rows - Row objects
+     * @param {string[]} keys - Row properties to output, in column order
+     * @param {string} format - 'csv' or 'json'
+     * @param {string} basename - File name without date and extension
+     */
+    downloadRows(rows, keys, format, basename) {
+        const content = format === 'csv'
+            ? this.formatCSV(rows, keys)
+            : JSON.stringify(rows.map(row => Object.fromEntries(keys.map(key => [key, row[key] ?? null]))), null, 2);
+        const filename = this.saveFile(content, format, basename);
+        this.logger.info(`Exported ${rows.length} rows as ${filename}`);
+    }
+
+    /**
+     * Download text as a dated file
+     * @param {string} content - CSV or JSON text
+     * @param {string} format - 'csv' or 'json'
+     * @param {string} basename - File name without date and extension
+     * @returns {string} Downloaded file name
+     */
+    saveFile(content, format, basename) {
+        const isCSV = format === 'csv';
+        // The byte order mark lets spreadsheet apps detect UTF-8
+        const body = isCSV ? '\uFEFF' + content : content;
+        const mimeType = isCSV ? 'text/csv;charset=utf-8' : 'application/json';
+        const filename = `${basename}-${new Date().toISOString().slice(0, 10)}.${isCSV ? 'csv' : 'json'}`;
+
+        const url = URL.createObjectURL(new Blob([body], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        return filename;
+    }
+}
@@ -3,71 +3,878 @@
  * Handles all GitHub API communication and caching
  */
 
-import { CONFIG } from '../config.js';
+import { CONFIG, FEATURES } from '../config.js';
 import { Logger } from '../utils/logger.js';
+import { ErrorClassifier, ERROR_CODES } from '../utils/error-classifier.js';
+import { UserCache } from './user-cache.js';
+import { CredentialsService } from './credentials.js';
 
 export class GitHubApiService {
-    constructor() {
+    /**
+     * @param {UserCache} [cache] - Profile cache, persistent by default
+     * @param {CredentialsService} [credentials] - Source of the optional GitHub token
+     */
+    constructor(cache = new UserCache(), credentials = new CredentialsService()) {
         this.logger = new Logger('GitHubAPI');
-        this.cache = new Map();
+        this.cache = cache;
+        this.credentials = credentials;
+        this.cacheStats = {
+            hits: 0,
+            revalidated: 0,
+            misses: 0
+        };
+        // REST ("core") and GraphQL requests have separate budgets, tracked per X-RateLimit-Resource
+        this.rateLimits = new Map();
     }
 
     /**
-     * Fetch user data from GitHub API
+     * Fetch user data from GitHub API, retrying transient failures
      * @param {string} username - GitHub username
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
      * @returns {Promise<Object>} User data or error result
      */
-    async fetchUser(username) {
+    async fetchUser(username, { signal } = {}) {
         const cacheKey = username.toLowerCase();
-        if (this.cache.has(cacheKey)) {
+        const cached = await this.cache.get(cacheKey);
+        if (this.cache.isFresh(cached)) {
+            this.cacheStats.hits++;
             this.logger.debug(`Cache hit for user: ${username}`);
-            return this.cache.get(cacheKey);
+            return { success: true, data: cached.data };
+        }
+
+        const headers = this.getRequestHeaders();
+
+        // Stale entries are revalidated; a 304 does not count against the rate limit
+        if (cached && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
         }
 
         try {
-            this.logger.debug(`Fetching user: ${username}`);
-            const response = await fetch(`${CONFIG.API.GITHUB_BASE_URL}/users/${username}`, {
-                headers: {
-                    'Accept': 'application/vnd.github.v3+json',
-                    'User-Agent': 'GitHub-Profile-Identifier'
+            return await this.withRetries(`user ${username}`, signal, async (attempt) => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/users/${username}`,
+                    { headers },
+                    signal
+                );
+
+                this.updateRateLimit(response.headers);
+
+                if (response.status === 304 && cached) {
+                    await this.cache.set(cacheKey, { ...cached, fetchedAt: Date.now() });
+                    this.cacheStats.revalidated++;
+                    this.logger.debug(`Cached data still valid for user: ${username}`);
+                    return { success: true, data: cached.data };
                 }
-            });
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+                if (this.isRateLimitResponse(response)) {
+                    this.logger.warn(`Rate limit reached while fetching user: ${username}`, this.getRateLimit());
+                    return this.createRateLimitedResult(username, attempt, response.status);
+                }
 
-            const userData = await response.json();
-            const result = { success: true, data: userData };
-            
-            this.cache.set(cacheKey, result);
-            this.logger.debug(`Successfully fetched user: ${username}`);
-            return result;
-            
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                const userData = await response.json();
+                const result = { success: true, data: userData };
+                
+                await this.cache.set(cacheKey, {
+                    data: userData,
+                    etag: response.headers.get('ETag'),
+                    fetchedAt: Date.now()
+                });
+                this.cacheStats.misses++;
+                this.logger.debug(`Successfully fetched user: ${username}`);
+                return result;
+            });
         } catch (error) {
+            if (error.name === 'AbortError') {
+                this.logger.debug(`Request cancelled for user: ${username}`);
+                return { success: false, username, cancelled: true, error: 'Request cancelled' };
+            }
+
             const result = { 
                 success: false, 
                 username, 
-                error: error.message || 'Failed to fetch user data' 
+                error: error.message || 'Failed to fetch user data',
+                attempts: error.attempts,
+                ...this.getErrorFields(error)
             };
-            this.logger.error(`Failed to fetch user ${username}`, error);
+            this.logger.error(`Failed to fetch user ${username} after ${error.attempts} attempt(s)`, error);
             return result;
         }
     }
 
+    /**
+     * Fetch a user by numeric account id, which survives renames
+     * The profile is cached under its current login
+     * @param {number} id - GitHub account id
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<Object>} {success, data} or error result
+     */
+    async fetchUserById(id, { signal } = {}) {
+        try {
+            const { userData, etag } = await this.withRetries(`user id ${id}`, signal, async () => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/user/${id}`,
+                    { headers: this.getRequestHeaders() },
+                    signal
+                );
+
+                this.updateRateLimit(response.headers);
+
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                return { userData: await response.json(), etag: response.headers.get('ETag') };
+            });
+
+            await this.cache.set(userData.login.toLowerCase(), { data: userData, etag, fetchedAt: Date.now() });
+            this.logger.debug(`Fetched user id ${id}: ${userData.login}`);
+            return { success: true, data: userData };
+        } catch (error) {
+            return this.createLookupError(`user id ${id}`, error);
+        }
+    }
+
+    /**
+     * Search users with the search API, e.g. "ada@example.com in:email" or 'fullname:"Ada Lovelace"'
+     * The search API has its own rate limit, so responses do not update the core rate limit state
+     * @param {string} query - Search query with qualifiers
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @param {number} [options.perPage] - Maximum matches returned, CONFIG.REVERSE_LOOKUP.MAX_CANDIDATES by default
+     * @returns {Promise<Object>} {success, data: {total, items: [{login, id, avatar_url}]}},
+     *          or error result; rate limited results carry resetAt (ms timestamp)
+     */
+    async searchUsers(query, { signal, perPage = CONFIG.REVERSE_LOOKUP.MAX_CANDIDATES } = {}) {
+        try {
+            return await this.withRetries(`user search "${query}"`, signal, async (attempt) => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/search/users?q=${encodeURIComponent(query)}&per_page=${perPage}`,
+                    { headers: this.getRequestHeaders() },
+                    signal
+                );
+
+                if (this.isRateLimitResponse(response)) {
+                    this.logger.warn(`Search rate limit reached while searching: ${query}`);
+                    return {
+                        ...this.createRateLimitedResult(null, attempt, response.status),
+                        resetAt: this.getSearchResetAt(response.headers)
+                    };
+                }
+
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                const body = await response.json();
+                return {
+                    success: true,
+                    data: {
+                        total: body.total_count,
+                        items: body.items.map(item => ({
+                            login: item.login,
+                            id: item.id,
+                            avatar_url: item.avatar_url
+                        }))
+                    }
+                };
+            });
+        } catch (error) {
+            return this.createLookupError(`user search "${query}"`, error);
+        }
+    }
+
+    /**
+     * Get when a rejected search request may be sent again
+     * @param {Headers} headers - Response headers
+     * @returns {number} Timestamp in ms
+     */
+    getSearchResetAt(headers) {
+        const retryAfter = headers.get('Retry-After');
+        if (retryAfter !== null) {
+            return Date.now() + Number(retryAfter) * 1000;
+        }
+
+        const reset = headers.get('X-RateLimit-Reset');
+        // The search limit resets every minute
+        return reset !== null ? Number(reset) * 1000 : Date.now() + 60 * 1000;
+    }
+
+    /**
+     * Get the account id of a previously fetched user, even if the cache entry is stale
+     * @param {string} username - GitHub username
+     * @returns {Promise<number|null>} Account id, or null if the user was never fetched
+     */
+    async getCachedUserId(username) {
+        const cached = await this.cache.get(username.toLowerCase());
+        return cached?.data?.id ?? null;
+    }
+
+    /**
+     * Fetch the public organization memberships of a user
+     * @param {string} username - GitHub username
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<Object>} {success, data: [{login, avatar_url}]} or error result
+     */
+    async fetchUserOrgs(username, { signal } = {}) {
+        try {
+            const orgs = await this.withRetries(`organizations of ${username}`, signal, async () => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/users/${username}/orgs`,
+                    { headers: this.getRequestHeaders() },
+                    signal
+                );
+
+                this.updateRateLimit(response.headers);
+
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                return response.json();
+            });
+
+            return {
+                success: true,
+                data: orgs.map(org => ({ login: org.login, avatar_url: org.avatar_url }))
+            };
+        } catch (error) {
+            return this.createLookupError(`organizations of ${username}`, error);
+        }
+    }
+
+    /**
+     * Fetch the public repositories a user owns, most recently pushed first
+     * Only the first page of repositories is returned
+     * @param {string} username - GitHub username
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @param {number} [options.perPage] - Page size, CONFIG.REPOS.PER_PAGE by default
+     * @returns {Promise<Object>} {success, data: repository[]} or error result
+     */
+    async fetchUserRepos(username, { signal, perPage = CONFIG.REPOS.PER_PAGE } = {}) {
+        try {
+            const repos = await this.withRetries(`repositories of ${username}`, signal, async () => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/users/${username}/repos?type=owner&sort=pushed&per_page=${perPage}`,
+                    { headers: this.getRequestHeaders() },
+                    signal
+                );
+
+                this.updateRateLimit(response.headers);
+
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                return response.json();
+            });
+
+            return {
+                success: true,
+                data: repos.map(repo => ({
+                    name: repo.name,
+                    html_url: repo.html_url,
+                    description: repo.description,
+                    language: repo.language,
+                    stargazers_count: repo.stargazers_count,
+                    fork: repo.fork,
+                    pushed_at: repo.pushed_at
+                }))
+            };
+        } catch (error) {
+            return this.createLookupError(`repositories of ${username}`, error);
+        }
+    }
+
+    /**
+     * Fetch a user's recent public events (GitHub keeps the last 90 days)
+     * @param {string} username - GitHub username
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<Object>} {success, data: event[]} or error result
+     */
+    async fetchUserEvents(username, { signal } = {}) {
+        try {
+            const events = await this.withRetries(`events of ${username}`, signal, async () => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/users/${username}/events/public?per_page=${CONFIG.ACTIVITY.PER_PAGE}`,
+                    { headers: this.getRequestHeaders() },
+                    signal
+                );
+
+                this.updateRateLimit(response.headers);
+
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                return response.json();
+            });
+
+            return {
+                success: true,
+                data: events.map(event => ({
+                    type: event.type,
+                    action: event.payload ? event.payload.action : undefined,
+                    created_at: event.created_at
+                }))
+            };
+        } catch (error) {
+            return this.createLookupError(`events of ${username}`, error);
+        }
+    }
+
+    /**
+     * Check whether a user belongs to an organization
+     * Authenticated members of the organization also see private memberships;
+     * everyone else is redirected by GitHub to the public membership check
+     * @param {string} org - Organization login
+     * @param {string} username - GitHub username
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<Object>} {success, data: boolean} or error result
+     */
+    async checkOrgMembership(org, username, { signal } = {}) {
+        try {
+            const isMember = await this.withRetries(`membership of ${username} in ${org}`, signal, async () => {
+                const response = await this.fetchWithTimeout(
+                    `${CONFIG.API.GITHUB_BASE_URL}/orgs/${org}/members/${username}`,
+                    { headers: this.getRequestHeaders() },
+                    signal
+                );
+
+                this.updateRateLimit(response.headers);
+
+                if (response.status === 204) return true;
+                if (response.status === 404) return false;
+                throw await this.createHttpError(response);
+            });
+
+            return { success: true, data: isMember };
+        } catch (error) {
+            return this.createLookupError(`membership of ${username} in ${org}`, error);
+        }
+    }
+
+    /**
+     * Check whether users can be resolved in batches through the GraphQL API
+     * @returns {boolean} True when enabled and a token is configured (GraphQL requires auth)
+     */
+    canBatchLookup() {
+        return FEATURES.GRAPHQL_BATCH_LOOKUP && this.credentials.hasToken();
+    }
+
+    /**
+     * Fetch many users with a single GraphQL request using aliased user(login:) fields
+     * @param {string[]} usernames - GitHub usernames
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<Object[]>} Results in the same order and shape as fetchUser
+     */
+    async fetchUsersBatch(usernames, { signal } = {}) {
+        const results = new Array(usernames.length);
+        const pending = [];
+
+        for (const [index, username] of usernames.entries()) {
+            const cached = await this.cache.get(username.toLowerCase());
+            if (this.cache.isFresh(cached)) {
+                this.cacheStats.hits++;
+                results[index] = { success: true, data: cached.data };
+            } else {
+                pending.push(index);
+            }
+        }
+
+        if (pending.length === 0) return results;
+
+        const logins = pending.map(index => usernames[index]);
+        const description = `batch of ${logins.length} users`;
+
+        try {
+            const body = await this.withRetries(description, signal, async () => {
+                const response = await this.fetchWithTimeout(`${CONFIG.API.GITHUB_BASE_URL}/graphql`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'GitHub-Profile-Identifier',
+                        ...this.credentials.getAuthHeaders()
+                    },
+                    body: JSON.stringify(this.buildUsersQuery(logins))
+                }, signal);
+
+                this.updateRateLimit(response.headers, 'graphql');
+
+                if (this.isRateLimitResponse(response)) {
+                    return { rateLimited: true };
+                }
+
+                if (!response.ok) {
+                    throw await this.createHttpError(response);
+                }
+
+                return response.json();
+            });
+
+            const errors = body.errors || [];
+            if (body.rateLimited || errors.some(error => error.type === 'RATE_LIMITED')) {
+                this.logger.warn(`Rate limit reached while fetching ${description}`, this.getRateLimit('graphql'));
+                pending.forEach(index => {
+                    results[index] = this.createRateLimitedResult(usernames[index], 1);
+                });
+                return results;
+            }
+
+            if (!body.data && errors.length > 0) {
+                throw Object.assign(new Error(`GraphQL error: ${errors[0].message}`), {
+                    attempts: 1,
+                    code: ERROR_CODES.INVALID_INPUT
+                });
+            }
+
+            for (const [position, index] of pending.entries()) {
+                results[index] = await this.normalizeBatchEntry(usernames[index], `u${position}`, body.data, errors);
+            }
+
+            this.logger.debug(`Successfully fetched ${description} via GraphQL`);
+            return results;
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.logger.debug(`Request cancelled for ${description}`);
+                pending.forEach(index => {
+                    results[index] = { success: false, username: usernames[index], cancelled: true, error: 'Request cancelled' };
+                });
+                return results;
+            }
+
+            this.logger.error(`Failed to fetch ${description} after ${error.attempts} attempt(s)`, error);
+            pending.forEach(index => {
+                results[index] = {
+                    success: false,
+                    username: usernames[index],
+                    error: error.message || 'Failed to fetch user data',
+                    attempts: error.attempts,
+                    ...this.getErrorFields(error)
+                };
+            });
+            return results;
+        }
+    }
+
+    /**
+     * Build the aliased GraphQL query for a list of logins
+     * @param {string[]} logins - GitHub usernames
+     * @returns {Object} Request body with query and variables
+     */
+    buildUsersQuery(logins) {
+        const variables = {};
+        const declarations = [];
+        const fields = [];
+
+        logins.forEach((login, position) => {
+            variables[`login${position}`] = login;
+            declarations.push(`$login${position}: String!`);
+            fields.push(`u${position}: user(login: $login${position}) { ...UserFields }`);
+        });
+
+        const query = `query(${declarations.join(', ')}) {
+            ${fields.join('\n            ')}
+        }
+        fragment UserFields on User {
+            login databaseId name avatarUrl url bio company location email
+            websiteUrl twitterUsername isHireable createdAt updatedAt
+            followers { totalCount }
+            following { totalCount }
+            repositories(privacy: PUBLIC, ownerAffiliations: OWNER) { totalCount }
+            gists(privacy: PUBLIC) { totalCount }
+        }`;
+
+        return { query, variables };
+    }
+
+    /**
+     * Convert one aliased GraphQL entry into a fetchUser-style result and cache it
+     * @param {string} username - Requested username
+     * @param {string} alias - Alias used in the query
+     * @param {Object|null} data - GraphQL response data
+     * @param {Object[]} errors - GraphQL response errors
+     * @returns {Promise<Object>} Success or error result
+     */
+    async normalizeBatchEntry(username, alias, data, errors) {
+        const user = data && data[alias];
+        if (!user) {
+            const aliasError = errors.find(error => Array.isArray(error.path) && error.path[0] === alias);
+            const notFound = !aliasError || aliasError.type === 'NOT_FOUND';
+            return {
+                success: false,
+                username,
+                error: notFound ? 'User not found' : aliasError.message,
+                attempts: 1,
+                ...ErrorClassifier.toFields(notFound ? ERROR_CODES.NOT_FOUND : ERROR_CODES.INVALID_INPUT)
+            };
+        }
+
+        // Same field names as the REST /users/{username} response so UserCard renders it unchanged
+        const userData = {
+            login: user.login,
+            id: user.databaseId,
+            type: 'User',
+            name: user.name,
+            avatar_url: user.avatarUrl,
+            html_url: user.url,
+            bio: user.bio,
+            company: user.company,
+            location: user.location,
+            email: user.email || null,
+            blog: user.websiteUrl || '',
+            twitter_username: user.twitterUsername,
+            hireable: user.isHireable || null,
+            followers: user.followers.totalCount,
+            following: user.following.totalCount,
+            public_repos: user.repositories.totalCount,
+            public_gists: user.gists.totalCount,
+            created_at: user.createdAt,
+            updated_at: user.updatedAt
+        };
+
+        await this.cache.set(username.toLowerCase(), { data: userData, etag: null, fetchedAt: Date.now() });
+        this.cacheStats.misses++;
+        return { success: true, data: userData };
+    }
+
+    /**
+     * Run an operation, retrying transient failures with backoff
+     * @param {string} description - What is being fetched, for logging
+     * @param {AbortSignal} [signal] - Signal used to cancel retries
+     * @param {Function} operation - Receives the attempt number (1-based) and returns a result
+     * @returns {Promise<*>} Operation result
+     * @throws {Error} Last error, with an attempts property
+     */
+    async withRetries(description, signal, operation) {
+        const maxAttempts = CONFIG.API.MAX_RETRIES + 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                this.logger.debug(`Fetching ${description} (attempt ${attempt}/${maxAttempts})`);
+                return await operation(attempt);
+            } catch (error) {
+                if (error.name === 'AbortError' || !this.isRetryableError(error) || attempt >= maxAttempts) {
+                    error.attempts = attempt;
+                    throw error;
+                }
+
+                const retryDelay = this.getRetryDelay(attempt);
+                this.logger.warn(`Attempt ${attempt} for ${description} failed, retrying in ${retryDelay}ms`, error.message);
+                await this.delay(retryDelay, signal);
+            }
+        }
+    }
+
+    /**
+     * Build the headers sent with every REST request
+     * @returns {Object} Request headers, including the token when configured
+     */
+    getRequestHeaders() {
+        return {
+            'Accept': 'application/vnd.github.v3+json',
+            'User-Agent': 'GitHub-Profile-Identifier',
+            ...this.credentials.getAuthHeaders()
+        };
+    }
+
+    /**
+     * Create the error thrown for a failed response
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Error>} Error with status, code and a retryable flag for withRetries
+     */
+    async createHttpError(response) {
+        if (this.isRateLimitResponse(response)) {
+            const error = new Error(this.createRateLimitedResult(null, 1).error);
+            error.status = response.status;
+            error.code = ERROR_CODES.RATE_LIMITED;
+            error.retryable = false;
+            error.rateLimited = true;
+            return error;
+        }
+
+        const secondaryRateLimit = await this.isSecondaryRateLimit(response);
+        const error = new Error(this.describeHttpError(response));
+        error.status = response.status;
+        error.code = secondaryRateLimit ? ERROR_CODES.RATE_LIMITED : ErrorClassifier.fromStatus(response.status);
+        error.retryable = response.status >= 500 || secondaryRateLimit;
+        return error;
+    }
+
+    /**
+     * Get the structured fields of an error result for a thrown error
+     * @param {Error} error - Error thrown by withRetries
+     * @returns {{code: string, status: number|null, retryable: boolean}} Error fields
+     */
+    getErrorFields(error) {
+        return ErrorClassifier.toFields(ErrorClassifier.classify(error), error.status ?? null);
+    }
+
+    /**
+     * Create the error result for a failed secondary lookup
+     * @param {string} description - What was being fetched, for logging
+     * @param {Error} error - Error thrown by withRetries
+     * @returns {Object} Error result
+     */
+    createLookupError(description, error) {
+        if (error.name === 'AbortError') {
+            this.logger.debug(`Request cancelled for ${description}`);
+            return { success: false, cancelled: true, error: 'Request cancelled' };
+        }
+
+        this.logger.warn(`Failed to fetch ${description} after ${error.attempts} attempt(s)`, error.message);
+        return {
+            success: false,
+            rateLimited: Boolean(error.rateLimited),
+            error: error.message || 'Request failed',
+            attempts: error.attempts,
+            ...this.getErrorFields(error)
+        };
+    }
+
+    /**
+     * Create the result for a request rejected by the rate limit
+     * @param {string} username - Requested username
+     * @param {number} attempts - Attempts made
+     * @param {number|null} [status] - HTTP status of the rejected response
+     * @returns {Object} Rate limited error result
+     */
+    createRateLimitedResult(username, attempts, status = null) {
+        return {
+            success: false,
+            username,
+            rateLimited: true,
+            error: this.credentials.hasToken()
+                ? 'Rate limit exceeded.'
+                : 'Rate limit exceeded. Consider adding a GitHub token for higher limits.',
+            attempts,
+            ...ErrorClassifier.toFields(ERROR_CODES.RATE_LIMITED, status)
+        };
+    }
+
+    /**
+     * Build an error message for a failed response
+     * @param {Response} response - Fetch response
+     * @returns {string} Error message
+     */
+    describeHttpError(response) {
+        if (response.status === 401 && this.credentials.hasToken()) {
+            return 'HTTP 401: GitHub token is invalid or expired. Update it in API Configuration.';
+        }
+        if (response.status === 403 && this.credentials.hasToken()) {
+            return 'HTTP 403: Forbidden. Token may be invalid or lack access.';
+        }
+        return `HTTP ${response.status}: ${response.statusText}`;
+    }
+
+    /**
+     * Fetch a URL, aborting if it takes longer than CONFIG.API.TIMEOUT
+     * @param {string} url - Request URL
+     * @param {Object} options - Fetch options
+     * @param {AbortSignal} [signal] - Signal used to cancel the request
+     * @returns {Promise<Response>} Fetch response
+     */
+    async fetchWithTimeout(url, options, signal) {
+        const controller = new AbortController();
+        const forwardAbort = () => controller.abort();
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, CONFIG.API.TIMEOUT);
+
+        if (signal?.aborted) {
+            controller.abort();
+        } else {
+            signal?.addEventListener('abort', forwardAbort, { once: true });
+        }
+
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (timedOut && !signal?.aborted) {
+                const timeoutError = new Error(`Request timed out after ${CONFIG.API.TIMEOUT / 1000}s`);
+                timeoutError.name = 'TimeoutError';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', forwardAbort);
+        }
+    }
+
+    /**
+     * Check whether a failed request is worth retrying
+     * @param {Error} error - Error thrown by the request
+     * @returns {boolean} True for network errors, timeouts, 5xx and secondary rate limits
+     */
+    isRetryableError(error) {
+        if (typeof error.retryable === 'boolean') return error.retryable;
+        // fetch rejects with a TypeError when the network request itself fails
+        return error.name === 'TypeError' || error.name === 'TimeoutError';
+    }
+
+    /**
+     * Check whether a 403 response comes from GitHub's secondary rate limit
+     * @param {Response} response - Fetch response
+     * @returns {Promise<boolean>} True if the body reports a secondary rate limit
+     */
+    async isSecondaryRateLimit(response) {
+        if (response.status !== 403) return false;
+        try {
+            const body = await response.clone().json();
+            return /secondary rate limit/i.test(body.message || '');
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Get the jittered exponential backoff delay for a retry
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt) {
+        const backoff = CONFIG.API.RATE_LIMIT_DELAY * 2 ** (attempt - 1);
+        return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+    }
+
+    /**
+     * Delay execution
+     * @param {number} ms - Milliseconds to delay
+     * @param {AbortSignal} [signal] - Signal that ends the delay early
+     * @returns {Promise<void>}
+     */
+    delay(ms, signal = null) {
+        return new Promise(resolve => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Record rate limit state from GitHub response headers
+     * @param {Headers} headers - Response headers
+     * @param {string} [resource] - Rate limit resource of the request, used when the response does not name one
+     */
+    updateRateLimit(headers, resource = 'core') {
+        if (!headers) return;
+
+        const state = this.getRateLimitState(headers.get('X-RateLimit-Resource') || resource);
+        const limit = headers.get('X-RateLimit-Limit');
+        const remaining = headers.get('X-RateLimit-Remaining');
+        const reset = headers.get('X-RateLimit-Reset');
+        const retryAfter = headers.get('Retry-After');
+
+        if (limit !== null) {
+            state.limit = Number(limit);
+        }
+
+        if (reset !== null && remaining !== null) {
+            const resetAt = Number(reset) * 1000;
+            // Concurrent responses can arrive out of order within the same window
+            const sameWindow = resetAt === state.resetAt && state.remaining !== null;
+            state.remaining = sameWindow
+                ? Math.min(state.remaining, Number(remaining))
+                : Number(remaining);
+            state.resetAt = resetAt;
+        }
+
+        state.retryAfterUntil = retryAfter !== null
+            ? Date.now() + Number(retryAfter) * 1000
+            : null;
+    }
+
+    /**
+     * Get the tracked state of one rate limit resource, creating it on first use
+     * @param {string} resource - Rate limit resource, e.g. 'core' or 'graphql'
+     * @returns {Object} Mutable state (limit, remaining, resetAt, retryAfterUntil)
+     */
+    getRateLimitState(resource) {
+        if (!this.rateLimits.has(resource)) {
+            this.rateLimits.set(resource, { limit: null, remaining: null, resetAt: null, retryAfterUntil: null });
+        }
+        return this.rateLimits.get(resource);
+    }
+
+    /**
+     * Check whether a response was rejected by a primary or secondary rate limit
+     * @param {Response} response - Fetch response
+     * @returns {boolean} True if rate limited
+     */
+    isRateLimitResponse(response) {
+        if (response.status === 429) return true;
+        if (response.status !== 403 || !response.headers) return false;
+        return response.headers.get('Retry-After') !== null ||
+               response.headers.get('X-RateLimit-Remaining') === '0';
+    }
+
+    /**
+     * Get a snapshot of the rate limit state of one resource
+     * @param {string} [resource] - Rate limit resource, 'core' (REST) by default
+     * @returns {Object} Rate limit state (limit, remaining, resetAt, retryAfterUntil)
+     */
+    getRateLimit(resource = 'core') {
+        return { ...this.getRateLimitState(resource) };
+    }
+
+    /**
+     * Get how long to wait before the next request to a resource is allowed
+     * @param {string} [resource] - Rate limit resource, 'core' (REST) by default
+     * @returns {number} Milliseconds to wait, 0 if requests can proceed
+     */
+    getRateLimitWaitTime(resource = 'core') {
+        const rateLimit = this.getRateLimitState(resource);
+        const now = Date.now();
+        let waitTime = 0;
+
+        if (rateLimit.retryAfterUntil) {
+            waitTime = Math.max(waitTime, rateLimit.retryAfterUntil - now);
+        }
+
+        if (rateLimit.remaining === 0 && rateLimit.resetAt) {
+            waitTime = Math.max(waitTime, rateLimit.resetAt - now);
+        }
+
+        return waitTime;
+    }
+
     /**
      * Clear the cache
+     * @returns {Promise<void>}
      */
-    clearCache() {
-        this.cache.clear();
+    async clearCache() {
+        await this.cache.clear();
+        this.cacheStats = { hits: 0, revalidated: 0, misses: 0 };
         this.logger.debug('Cache cleared');
     }
 
     /**
-     * Get cache size
-     * @returns {number} Number of cached entries
+     * Get cache statistics
+     * @returns {Promise<Object>} Entries, storage backend, hits, revalidated and misses
      */
-    getCacheSize() {
-        return this.cache.size;
+    async getCacheStats() {
+        const storageStats = await this.cache.getStats();
+        return { ...storageStats, ...this.cacheStats };
     }
 }
@@ -0,0 +1,145 @@
+/**
+ * Organization Membership Service following Single Responsibility Principle
+ * Looks up a user's organizations and membership in the configured organization
+ * Doubles as the "organizations" enrichment stage for BatchProcessor
+ */
+
+import { CONFIG, FEATURES } from '../config.js';
+import { SecurityValidator } from '../utils/validator.js';
+import { Logger } from '../utils/logger.js';
+
+export class OrgMembershipService {
+    /**
+     * @param {GitHubApiService} apiService - API service used for the lookups
+     * @param {CredentialsService} credentials - Source of the optional GitHub token
+     * @param {Storage} [storage] - Where the lookup settings are persisted
+     */
+    constructor(apiService, credentials, storage = globalThis.localStorage) {
+        this.apiService = apiService;
+        this.credentials = credentials;
+        this.storage = storage;
+        this.settings = { enabled: false, org: '' };
+        this.name = 'organizations';
+        this.concurrency = CONFIG.BATCH.MAX_CONCURRENT;
+        this.logger = new Logger('OrgMembership');
+    }
+
+    /**
+     * Load the saved settings from storage
+     * @returns {Object} Settings with enabled and org
+     */
+    load() {
+        try {
+            const saved = this.storage && this.storage.getItem(CONFIG.STORAGE.ORG_SETTINGS_KEY);
+            if (saved) {
+                const { enabled, org } = JSON.parse(saved);
+                this.settings = { enabled: Boolean(enabled), org: this.normalizeOrg(org) };
+            }
+        } catch (error) {
+            this.logger.warn('Failed to load organization settings from storage', error);
+        }
+        return this.getSettings();
+    }
+
+    /**
+     * Update and persist the settings
+     * @param {Object} settings - Partial settings with enabled and/or org
+     */
+    setSettings(settings) {
+        this.settings = {
+            enabled: 'enabled' in settings ? Boolean(settings.enabled) : this.settings.enabled,
+            org: 'org' in settings ? this.normalizeOrg(settings.org) : this.settings.org
+        };
+
+        try {
+            if (this.storage) {
+                this.storage.setItem(CONFIG.STORAGE.ORG_SETTINGS_KEY, JSON.stringify(this.settings));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save organization settings', error);
+        }
+    }
+
+    /**
+     * Get the current settings
+     * @returns {Object} Settings with enabled and org
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Check whether lookups should run for new searches
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return FEATURES.ORG_MEMBERSHIP && this.settings.enabled;
+    }
+
+    /**
+     * Enrichment stage entry point
+     * @param {Object} result - Successful batch result
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the requests
+     * @param {Function} [options.throttle] - Awaited before each request; resolves to false once cancelled
+     * @returns {Promise<Object>} Same as lookup()
+     */
+    enrich(result, { signal, throttle } = {}) {
+        return this.lookup(result.data.login, { signal, throttle });
+    }
+
+    /**
+     * Look up a user's public organizations and membership in the configured organization
+     * @param {string} username - GitHub username
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the requests
+     * @param {Function} [options.throttle] - Awaited before each request; resolves to false once cancelled
+     * @returns {Promise<Object>} {orgs, org, member} where member is null when unknown,
+     *          or {error, rateLimited} if the organizations could not be fetched or the membership check was rate limited
+     */
+    async lookup(username, { signal, throttle = () => Promise.resolve(true) } = {}) {
+        if (!(await throttle())) {
+            return { error: 'Request cancelled' };
+        }
+
+        const orgsResult = await this.apiService.fetchUserOrgs(username, { signal });
+        if (!orgsResult.success) {
+            return { error: orgsResult.error, rateLimited: orgsResult.rateLimited };
+        }
+
+        const orgs = orgsResult.data;
+        const org = this.settings.org;
+        if (!org) {
+            return { orgs, org: null, member: null };
+        }
+
+        if (orgs.some(entry => entry.login.toLowerCase() === org.toLowerCase())) {
+            return { orgs, org, member: true };
+        }
+
+        // Without a token only public memberships are visible, and those are already in the list
+        if (!this.credentials.hasToken()) {
+            return { orgs, org, member: false };
+        }
+
+        if (!(await throttle())) {
+            return { error: 'Request cancelled' };
+        }
+
+        const membership = await this.apiService.checkOrgMembership(org, username, { signal });
+        if (membership.rateLimited) {
+            return { error: membership.error, rateLimited: true };
+        }
+        return { orgs, org, member: membership.success ? membership.data : null };
+    }
+
+    /**
+     * Validate an organization login from user input
+     * @param {string} org - Organization login, optionally prefixed with @
+     * @returns {string} Organization login, or an empty string if invalid
+     */
+    normalizeOrg(org) {
+        const candidate = typeof org === 'string' ? org.trim().replace(/^@/, '') : '';
+        return SecurityValidator.validateUsername(candidate) ? candidate : '';
+    }
+}
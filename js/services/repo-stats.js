@@ -0,0 +1,117 @@
+/**
+ * Repository Stats Service following Single Responsibility Principle
+ * Summarizes a user's public repositories: top repositories, languages and stars
+ * Doubles as the "repositories" enrichment stage for BatchProcessor
+ */
+
+import { CONFIG, FEATURES } from '../config.js';
+import { Logger } from '../utils/logger.js';
+
+export class RepoStatsService {
+    /**
+     * @param {GitHubApiService} apiService - API service used for the lookups
+     * @param {Storage} [storage] - Where the enabled setting is persisted
+     */
+    constructor(apiService, storage = globalThis.localStorage) {
+        this.apiService = apiService;
+        this.storage = storage;
+        this.enabled = false;
+        this.name = 'repositories';
+        this.concurrency = CONFIG.BATCH.MAX_CONCURRENT;
+        this.logger = new Logger('RepoStats');
+    }
+
+    /**
+     * Load the saved setting from storage
+     * @returns {boolean} Whether the lookup is enabled
+     */
+    load() {
+        try {
+            this.enabled = Boolean(this.storage) && this.storage.getItem(CONFIG.STORAGE.REPO_STATS_KEY) === 'true';
+        } catch (error) {
+            this.logger.warn('Failed to load repository settings from storage', error);
+        }
+        return this.enabled;
+    }
+
+    /**
+     * Enable or disable the lookup and persist the choice
+     * @param {boolean} enabled - Whether to fetch repositories for new searches
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+        try {
+            if (this.storage) {
+                this.storage.setItem(CONFIG.STORAGE.REPO_STATS_KEY, String(this.enabled));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save repository settings', error);
+        }
+    }
+
+    /**
+     * Check whether lookups should run for new searches
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return FEATURES.REPO_STATS && this.enabled;
+    }
+
+    /**
+     * Enrichment stage entry point
+     * @param {Object} result - Successful batch result
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @param {Function} [options.throttle] - Awaited before the request; resolves to false once cancelled
+     * @returns {Promise<Object>} Summary from summarize(), or {error, rateLimited}
+     */
+    async enrich(result, { signal, throttle = () => Promise.resolve(true) } = {}) {
+        if (!(await throttle())) {
+            return { error: 'Request cancelled' };
+        }
+
+        const repos = await this.apiService.fetchUserRepos(result.data.login, { signal });
+        if (!repos.success) {
+            return { error: repos.error, rateLimited: repos.rateLimited };
+        }
+        return this.summarize(repos.data);
+    }
+
+    /**
+     * Summarize repositories, ignoring forks
+     * @param {Object[]} repos - Repositories from fetchUserRepos
+     * @returns {Object} {topRepos, languages, primaryLanguage, totalStars, count, complete}
+     *          where languages holds {language, count, share} by number of repositories
+     */
+    summarize(repos) {
+        const sources = repos.filter(repo => !repo.fork);
+        const totalStars = sources.reduce((sum, repo) => sum + (repo.stargazers_count || 0), 0);
+
+        const topRepos = [...sources]
+            .sort((a, b) => (b.stargazers_count || 0) - (a.stargazers_count || 0))
+            .slice(0, CONFIG.REPOS.TOP_COUNT)
+            .map(({ name, html_url, description, language, stargazers_count }) =>
+                ({ name, html_url, description, language, stargazers_count }));
+
+        const counts = new Map();
+        for (const repo of sources) {
+            if (repo.language) {
+                counts.set(repo.language, (counts.get(repo.language) || 0) + 1);
+            }
+        }
+        const withLanguage = [...counts.values()].reduce((sum, count) => sum + count, 0);
+        const languages = [...counts.entries()]
+            .map(([language, count]) => ({ language, count, share: count / withLanguage }))
+            .sort((a, b) => b.count - a.count || a.language.localeCompare(b.language));
+
+        return {
+            topRepos,
+            languages,
+            primaryLanguage: languages.length > 0 ? languages[0].language : null,
+            totalStars,
+            count: sources.length,
+            // A full page means the user may own more repositories than were summarized
+            complete: repos.length < CONFIG.REPOS.PER_PAGE
+        };
+    }
+}
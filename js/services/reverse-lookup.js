@@ -0,0 +1,101 @@
+/**
+ * Reverse Lookup Service following Single Responsibility Principle
+ * Proposes candidate GitHub accounts for email addresses and full names via the search users API
+ */
+
+import { CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { TokenBucket } from '../utils/token-bucket.js';
+
+export class ReverseLookupService {
+    /**
+     * @param {GitHubApiService} apiService - API service used for the searches
+     * @param {CredentialsService} credentials - Source of the optional GitHub token, which raises the search limit
+     */
+    constructor(apiService, credentials) {
+        this.apiService = apiService;
+        this.credentials = credentials;
+        this.logger = new Logger('ReverseLookup');
+    }
+
+    /**
+     * Look up candidate accounts for each entry, one search at a time within the search rate limit
+     * @param {{term: string, type: string}[]} entries - Entries from IdentityParser
+     * @param {Object} [options] - Lookup options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the lookup
+     * @param {Function} [options.onLookup] - Called with (lookup, index) as each entry finishes
+     * @param {Function} [options.onRateLimit] - Called with the resume timestamp before waiting for the search limit
+     * @returns {Promise<Object[]>} Lookups ({term, type, candidates, total, error}) for the entries finished
+     *          before any cancellation, in input order
+     */
+    async findCandidates(entries, { signal, onLookup, onRateLimit } = {}) {
+        const perMinute = this.credentials.hasToken()
+            ? CONFIG.REVERSE_LOOKUP.AUTHENTICATED_REQUESTS_PER_MINUTE
+            : CONFIG.REVERSE_LOOKUP.REQUESTS_PER_MINUTE;
+        const bucket = new TokenBucket(perMinute / 60, perMinute);
+        const lookups = [];
+
+        for (const [index, entry] of entries.entries()) {
+            const lookup = await this.lookupEntry(entry, bucket, signal, onRateLimit);
+            if (!lookup) break;
+
+            lookups.push(lookup);
+            if (onLookup) onLookup(lookup, index);
+        }
+
+        this.logger.info(`Looked up ${lookups.length} of ${entries.length} entries`);
+        return lookups;
+    }
+
+    /**
+     * Run the queries of one entry until one of them has matches
+     * @param {{term: string, type: string}} entry - Email or name entry
+     * @param {TokenBucket} bucket - Throttle shared by the whole lookup
+     * @param {AbortSignal} [signal] - Signal used to cancel the lookup
+     * @param {Function} [onRateLimit] - Called with the resume timestamp before waiting for the search limit
+     * @returns {Promise<Object|null>} Lookup, or null if cancelled
+     */
+    async lookupEntry(entry, bucket, signal, onRateLimit) {
+        const lookup = { ...entry, candidates: [], total: 0, error: null };
+
+        for (const query of this.buildQueries(entry)) {
+            let result;
+            do {
+                if (!(await bucket.take(signal))) return null;
+                result = await this.apiService.searchUsers(query, { signal });
+
+                if (result.rateLimited) {
+                    if (onRateLimit) onRateLimit(result.resetAt);
+                    await this.apiService.delay(Math.max(0, result.resetAt - Date.now()), signal);
+                }
+                if (signal?.aborted || result.cancelled) return null;
+            } while (result.rateLimited);
+
+            if (!result.success) {
+                lookup.error = result.error;
+                return lookup;
+            }
+
+            if (result.data.items.length > 0) {
+                lookup.candidates = result.data.items;
+                lookup.total = result.data.total;
+                return lookup;
+            }
+        }
+
+        return lookup;
+    }
+
+    /**
+     * Build the search queries for an entry, most precise first
+     * Names are matched as the full profile name, then anywhere in the name
+     * @param {{term: string, type: string}} entry - Email or name entry
+     * @returns {string[]} Search queries
+     */
+    buildQueries(entry) {
+        if (entry.type === 'email') {
+            return [`${entry.term} in:email`];
+        }
+        return [`fullname:"${entry.term}"`, `${entry.term} in:name`];
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * Search History Service following Single Responsibility Principle
+ * Keeps a local history of past searches that can be re-run, renamed, pinned or deleted
+ */
+
+import { CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { IdGenerator } from '../utils/id-generator.js';
+
+export class SearchHistoryService {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.entries = [];
+        this.logger = new Logger('SearchHistory');
+    }
+
+    /**
+     * Load the history from storage
+     * @returns {Object[]} Entries, pinned first and then newest first
+     */
+    load() {
+        try {
+            const saved = this.storage && this.storage.getItem(CONFIG.STORAGE.HISTORY_KEY);
+            const entries = saved ? JSON.parse(saved) : [];
+            this.entries = Array.isArray(entries)
+                ? entries.filter(entry => entry && typeof entry.id === 'string' &&
+                    typeof entry.query === 'string' && Array.isArray(entry.usernames))
+                : [];
+        } catch (error) {
+            this.logger.warn('Failed to load search history from storage', error);
+            this.entries = [];
+        }
+        return this.getEntries();
+    }
+
+    /**
+     * Get the history in display order
+     * @returns {Object[]} Entries, pinned first and then newest first
+     */
+    getEntries() {
+        return [...this.entries].sort((a, b) =>
+            Number(b.pinned) - Number(a.pinned) || b.searchedAt - a.searchedAt
+        );
+    }
+
+    /**
+     * Get one entry
+     * @param {string} id - Entry id
+     * @returns {Object|null} Entry, or null if it was deleted
+     */
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Record a search; searching the same usernames again updates the existing entry
+     * @param {string} query - Search text as entered, used to re-run the search
+     * @param {string[]} usernames - Searched usernames in input order
+     * @param {Object} counts - Outcome of the search
+     * @param {number} counts.found - Users found
+     * @param {number} counts.failed - Users that failed
+     * @returns {Object} Recorded entry
+     */
+    record(query, usernames, { found, failed }) {
+        const key = this.getKey(usernames);
+        let entry = this.entries.find(existing => this.getKey(existing.usernames) === key);
+
+        if (entry) {
+            Object.assign(entry, { query, usernames: [...usernames], searchedAt: Date.now(), found, failed });
+        } else {
+            entry = {
+                id: IdGenerator.create(),
+                name: '',
+                pinned: false,
+                query,
+                usernames: [...usernames],
+                searchedAt: Date.now(),
+                found,
+                failed
+            };
+            this.entries.push(entry);
+            this.prune();
+        }
+
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Update the found/failed counts of an entry, e.g. after retrying failures
+     * @param {string} id - Entry id
+     * @param {Object} counts - New counts with found and failed
+     */
+    updateCounts(id, { found, failed }) {
+        this.update(id, { found, failed });
+    }
+
+    /**
+     * Rename an entry; an empty name falls back to the username list
+     * @param {string} id - Entry id
+     * @param {string} name - New name
+     */
+    rename(id, name) {
+        this.update(id, { name: String(name || '').trim().slice(0, CONFIG.HISTORY.MAX_NAME_LENGTH) });
+    }
+
+    /**
+     * Pin or unpin an entry; pinned entries stay on top and are never pruned
+     * @param {string} id - Entry id
+     * @param {boolean} pinned - Whether the entry is pinned
+     */
+    setPinned(id, pinned) {
+        this.update(id, { pinned: Boolean(pinned) });
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} id - Entry id
+     */
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.save();
+    }
+
+    /**
+     * Apply changes to an entry and persist them
+     * @param {string} id - Entry id
+     * @param {Object} changes - Properties to update
+     */
+    update(id, changes) {
+        const entry = this.get(id);
+        if (!entry) return;
+        Object.assign(entry, changes);
+        this.save();
+    }
+
+    /**
+     * Drop the oldest unpinned entries beyond CONFIG.HISTORY.MAX_ENTRIES
+     */
+    prune() {
+        const unpinned = this.entries
+            .filter(entry => !entry.pinned)
+            .sort((a, b) => b.searchedAt - a.searchedAt);
+        const dropped = new Set(unpinned.slice(CONFIG.HISTORY.MAX_ENTRIES));
+        this.entries = this.entries.filter(entry => !dropped.has(entry));
+    }
+
+    /**
+     * Build the key that identifies searches of the same usernames
+     * @param {string[]} usernames - Usernames
+     * @returns {string} Case-insensitive key independent of order
+     */
+    getKey(usernames) {
+        return usernames.map(username => username.toLowerCase()).sort().join(',');
+    }
+
+    /**
+     * Write the history to storage
+     */
+    save() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(CONFIG.STORAGE.HISTORY_KEY, JSON.stringify(this.entries));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save search history', error);
+        }
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * Search Session Service following Single Responsibility Principle
+ * Persists the running batch (requested usernames and completed results) so it survives a reload
+ */
+
+import { CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+
+export class SearchSessionService {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.session = null;
+        this.saveTimer = null;
+        this.logger = new Logger('SearchSession');
+    }
+
+    /**
+     * Load an unfinished session from storage
+     * @returns {Object|null} Session with usernames, results and savedAt, or null if none remain
+     */
+    load() {
+        try {
+            const saved = this.storage && this.storage.getItem(CONFIG.STORAGE.SESSION_KEY);
+            if (!saved) return null;
+
+            const session = JSON.parse(saved);
+            if (!Array.isArray(session.usernames) || !Array.isArray(session.results)) {
+                this.clear();
+                return null;
+            }
+
+            this.session = session;
+            if (this.getRemaining().length === 0) {
+                this.clear();
+                return null;
+            }
+            return session;
+        } catch (error) {
+            this.logger.warn('Failed to load saved search', error);
+            return null;
+        }
+    }
+
+    /**
+     * Start tracking a batch
+     * @param {string[]} usernames - All usernames in the batch
+     * @param {Object[]} [results] - Results already completed (when resuming)
+     */
+    start(usernames, results = []) {
+        this.session = { usernames: [...usernames], results: [...results], savedAt: Date.now() };
+        this.save();
+    }
+
+    /**
+     * Record a completed result; saving is batched to keep large sessions cheap
+     * @param {Object} result - Result tagged with requestedUsername
+     */
+    recordResult(result) {
+        if (!this.session) return;
+
+        this.session.results.push(result);
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), CONFIG.SESSION.SAVE_INTERVAL);
+        }
+    }
+
+    /**
+     * Get usernames that have no result yet, in input order
+     * @returns {string[]} Remaining usernames
+     */
+    getRemaining() {
+        if (!this.session) return [];
+
+        const done = new Set(this.session.results.map(result =>
+            (result.requestedUsername || result.username || '').toLowerCase()
+        ));
+        return this.session.usernames.filter(username => !done.has(username.toLowerCase()));
+    }
+
+    /**
+     * Write the session to storage now
+     */
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.session || !this.storage) return;
+
+        try {
+            this.session.savedAt = Date.now();
+            this.storage.setItem(CONFIG.STORAGE.SESSION_KEY, JSON.stringify(this.session));
+        } catch (error) {
+            // Most likely the storage quota; the batch still runs, it just can't be resumed
+            this.logger.warn('Failed to save search progress', error);
+        }
+    }
+
+    /**
+     * Forget the session, e.g. once the batch finished or was discarded
+     */
+    clear() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.session = null;
+
+        try {
+            if (this.storage) {
+                this.storage.removeItem(CONFIG.STORAGE.SESSION_KEY);
+            }
+        } catch (error) {
+            this.logger.warn('Failed to remove saved search', error);
+        }
+    }
+}
@@ -0,0 +1,274 @@
+/**
+ * Snapshot Service following Single Responsibility Principle
+ * Saves batch results as snapshots and compares a later run against them
+ */
+
+import { CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { ERROR_CODES } from '../utils/error-classifier.js';
+import { IdGenerator } from '../utils/id-generator.js';
+
+/**
+ * Profile fields kept in a snapshot and compared between runs, in display order
+ */
+export const SNAPSHOT_FIELDS = [
+    { key: 'name', label: 'Name' },
+    { key: 'company', label: 'Company' },
+    { key: 'location', label: 'Location' },
+    { key: 'bio', label: 'Bio' },
+    { key: 'avatar_url', label: 'Avatar' },
+    { key: 'followers', label: 'Followers' }
+];
+
+/**
+ * Kinds of difference between a snapshot and a new run
+ */
+export const DIFF_STATUSES = {
+    changed: { label: 'Changed' },
+    not_found: { label: 'Now not found' },
+    new: { label: 'New' },
+    removed: { label: 'Not in this run' }
+};
+
+export class SnapshotService {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.snapshots = [];
+        this.logger = new Logger('Snapshots');
+    }
+
+    /**
+     * Load snapshots from storage
+     * @returns {Object[]} Snapshots, newest first
+     */
+    load() {
+        try {
+            const saved = this.storage && this.storage.getItem(CONFIG.STORAGE.SNAPSHOTS_KEY);
+            const snapshots = saved ? JSON.parse(saved) : [];
+            this.snapshots = Array.isArray(snapshots)
+                ? snapshots.filter(snapshot => snapshot && typeof snapshot.id === 'string' &&
+                    snapshot.users && typeof snapshot.users === 'object')
+                : [];
+        } catch (error) {
+            this.logger.warn('Failed to load snapshots from storage', error);
+            this.snapshots = [];
+        }
+        return this.getSnapshots();
+    }
+
+    /**
+     * Get all snapshots
+     * @returns {Object[]} Snapshots, newest first
+     */
+    getSnapshots() {
+        return [...this.snapshots].sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Get one snapshot
+     * @param {string} id - Snapshot id
+     * @returns {Object|null} Snapshot, or null if it was deleted
+     */
+    get(id) {
+        return this.snapshots.find(snapshot => snapshot.id === id) || null;
+    }
+
+    /**
+     * Save results as a snapshot; users that could not be fetched for other reasons are left out
+     * @param {string} name - Snapshot name
+     * @param {Object[]} results - Batch results
+     * @returns {Object|null} The snapshot, or null if it could not be stored
+     */
+    create(name, results) {
+        const users = {};
+        for (const result of results) {
+            const key = this.getKey(result);
+            if (!key) continue;
+
+            if (result.success) {
+                users[key] = this.pickFields(result.data);
+            } else if (result.code === ERROR_CODES.NOT_FOUND) {
+                users[key] = null;
+            }
+        }
+
+        const savedAt = Date.now();
+        const snapshot = {
+            id: IdGenerator.create(savedAt),
+            name: String(name || '').trim().slice(0, CONFIG.SNAPSHOTS.MAX_NAME_LENGTH) ||
+                `Snapshot of ${Object.keys(users).length} users`,
+            savedAt,
+            users
+        };
+
+        const previous = this.snapshots;
+        this.snapshots = [...previous, snapshot];
+        this.prune();
+        if (!this.save()) {
+            this.snapshots = previous;
+            return null;
+        }
+
+        this.logger.info(`Saved snapshot "${snapshot.name}" with ${Object.keys(users).length} users`);
+        return snapshot;
+    }
+
+    /**
+     * Get the account id a username had in the newest snapshot that found it
+     * @param {string} username - GitHub username
+     * @returns {number|null} Account id, or null if no snapshot has it
+     */
+    getUserId(username) {
+        const key = username.toLowerCase();
+        const snapshot = this.getSnapshots().find(candidate => candidate.users[key]?.id != null);
+        return snapshot ? snapshot.users[key].id : null;
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot id
+     */
+    remove(id) {
+        this.snapshots = this.snapshots.filter(snapshot => snapshot.id !== id);
+        this.save();
+    }
+
+    /**
+     * Compare results with a snapshot
+     * @param {Object} snapshot - Saved snapshot
+     * @param {Object[]} results - Batch results of the new run
+     * @returns {Object} {entries: [{key, login, status, changes: [{field, label, before, after}]}],
+     *          counts by status, unchanged, skipped (failures other than not found)}
+     */
+    compare(snapshot, results) {
+        const entries = [];
+        const seen = new Set();
+        let unchanged = 0;
+        let skipped = 0;
+
+        for (const result of results) {
+            const key = this.getKey(result);
+            if (!key) continue;
+            seen.add(key);
+
+            const hadEntry = Object.hasOwn(snapshot.users, key);
+            const before = hadEntry ? snapshot.users[key] : null;
+
+            if (!result.success) {
+                if (result.code !== ERROR_CODES.NOT_FOUND) {
+                    skipped++;
+                } else if (before) {
+                    entries.push({ key, login: before.login || key, status: 'not_found', changes: [] });
+                } else {
+                    unchanged++;
+                }
+                continue;
+            }
+
+            if (!before) {
+                entries.push({ key, login: result.data.login, status: 'new', changes: [] });
+                continue;
+            }
+
+            const after = this.pickFields(result.data);
+            const changes = [];
+
+            // A renamed account followed by id keeps the key of its old login, so the rename is a change of its own
+            if (before.login && before.login !== after.login) {
+                changes.push({ field: 'login', label: 'Login', before: before.login, after: after.login });
+            }
+
+            changes.push(...SNAPSHOT_FIELDS
+                .filter(field => (before[field.key] ?? null) !== (after[field.key] ?? null))
+                .map(field => ({
+                    field: field.key,
+                    label: field.label,
+                    before: before[field.key] ?? null,
+                    after: after[field.key] ?? null
+                })));
+
+            if (changes.length > 0) {
+                entries.push({ key, login: result.data.login, status: 'changed', changes });
+            } else {
+                unchanged++;
+            }
+        }
+
+        for (const [key, user] of Object.entries(snapshot.users)) {
+            if (!seen.has(key) && user) {
+                entries.push({ key, login: user.login || key, status: 'removed', changes: [] });
+            }
+        }
+
+        const counts = Object.fromEntries(Object.keys(DIFF_STATUSES).map(status =>
+            [status, entries.filter(entry => entry.status === status).length]
+        ));
+
+        return { snapshotId: snapshot.id, entries, counts, unchanged, skipped };
+    }
+
+    /**
+     * Flatten a diff into export rows, one per changed field
+     * @param {Object} diff - Result of compare()
+     * @returns {Object[]} Rows with login, status, field, before and after
+     */
+    toRows(diff) {
+        return diff.entries.flatMap(entry => {
+            if (entry.changes.length === 0) {
+                return [{ login: entry.login, status: entry.status, field: null, before: null, after: null }];
+            }
+            return entry.changes.map(change => ({
+                login: entry.login,
+                status: entry.status,
+                field: change.field,
+                before: change.before,
+                after: change.after
+            }));
+        });
+    }
+
+    /**
+     * Get the key that matches a result across runs
+     * @param {Object} result - Batch result
+     * @returns {string} Lowercase requested username, or an empty string
+     */
+    getKey(result) {
+        const username = result.requestedUsername || result.username || (result.data && result.data.login) || '';
+        return username.toLowerCase();
+    }
+
+    /**
+     * Keep only the compared profile fields
+     * @param {Object} user - GitHub user data
+     * @returns {Object} Login, id and SNAPSHOT_FIELDS values
+     */
+    pickFields(user) {
+        const fields = { login: user.login, id: user.id ?? null };
+        for (const field of SNAPSHOT_FIELDS) {
+            fields[field.key] = user[field.key] ?? null;
+        }
+        return fields;
+    }
+
+    /**
+     * Drop the oldest snapshots beyond CONFIG.SNAPSHOTS.MAX_SNAPSHOTS
+     */
+    prune() {
+        this.snapshots = this.getSnapshots().slice(0, CONFIG.SNAPSHOTS.MAX_SNAPSHOTS);
+    }
+
+    /**
+     * Write snapshots to storage
+     * @returns {boolean} False if storage is unavailable or full
+     */
+    save() {
+        try {
+            if (!this.storage) return false;
+            this.storage.setItem(CONFIG.STORAGE.SNAPSHOTS_KEY, JSON.stringify(this.snapshots));
+            return true;
+        } catch (error) {
+            this.logger.warn('Failed to save snapshots', error);
+            return false;
+        }
+    }
+}
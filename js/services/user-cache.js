@@ -0,0 +1,136 @@
+/**
+ * User Cache Service following Single Responsibility Principle
+ * Persists fetched profiles in IndexedDB with an in-memory fallback
+ */
+
+import { CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+
+export class UserCache {
+    constructor() {
+        this.logger = new Logger('UserCache');
+        this.memory = new Map();
+        this.dbPromise = this.openDatabase();
+    }
+
+    /**
+     * Get a cached entry
+     * @param {string} key - Cache key (lowercased username)
+     * @returns {Promise<Object|null>} Entry with data, etag and fetchedAt, or null
+     */
+    async get(key) {
+        if (this.memory.has(key)) {
+            return this.memory.get(key);
+        }
+
+        const entry = await this.runRequest('readonly', store => store.get(key));
+        if (entry) {
+            this.memory.set(key, entry);
+        }
+        return entry || null;
+    }
+
+    /**
+     * Store an entry
+     * @param {string} key - Cache key (lowercased username)
+     * @param {Object} entry - Entry with data, etag and fetchedAt
+     * @returns {Promise<void>}
+     */
+    async set(key, entry) {
+        const record = { ...entry, key };
+        this.memory.set(key, record);
+        await this.runRequest('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Remove all entries from memory and persistent storage
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.memory.clear();
+        await this.runRequest('readwrite', store => store.clear());
+        this.logger.debug('Cache cleared');
+    }
+
+    /**
+     * Check whether an entry is still within the configured TTL
+     * @param {Object} entry - Cached entry
+     * @returns {boolean} True if the entry can be used without revalidation
+     */
+    isFresh(entry) {
+        return Boolean(entry) && Date.now() - entry.fetchedAt < CONFIG.CACHE.TTL;
+    }
+
+    /**
+     * Get storage statistics
+     * @returns {Promise<Object>} Number of entries and storage backend in use
+     */
+    async getStats() {
+        const db = await this.dbPromise;
+        if (!db) {
+            return { entries: this.memory.size, storage: 'memory' };
+        }
+
+        const entries = await this.runRequest('readonly', store => store.count());
+        return { entries: entries ?? this.memory.size, storage: 'indexeddb' };
+    }
+
+    /**
+     * Open the IndexedDB database, resolving to null when unavailable
+     * @returns {Promise<IDBDatabase|null>} Database handle or null
+     */
+    openDatabase() {
+        if (typeof indexedDB === 'undefined') {
+            this.logger.info('IndexedDB unavailable, using in-memory cache');
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            try {
+                const request = indexedDB.open(CONFIG.CACHE.DB_NAME, CONFIG.CACHE.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(CONFIG.CACHE.STORE_NAME)) {
+                        db.createObjectStore(CONFIG.CACHE.STORE_NAME, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.logger.warn('Failed to open IndexedDB, using in-memory cache', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                // Some browsers throw synchronously in private mode
+                this.logger.warn('Failed to open IndexedDB, using in-memory cache', error);
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Run a single request against the object store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} Request result, or null when storage is unavailable or fails
+     */
+    async runRequest(mode, operation) {
+        const db = await this.dbPromise;
+        if (!db) return null;
+
+        return new Promise(resolve => {
+            try {
+                const transaction = db.transaction(CONFIG.CACHE.STORE_NAME, mode);
+                const request = operation(transaction.objectStore(CONFIG.CACHE.STORE_NAME));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.logger.warn(`IndexedDB ${mode} request failed`, request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                this.logger.warn(`IndexedDB ${mode} transaction failed`, error);
+                resolve(null);
+            }
+        });
+    }
+}
@@ -0,0 +1,294 @@
+/**
+ * User Lists Service following Single Responsibility Principle
+ * Stores named collections of usernames (e.g. "frontend team") that can be searched as a batch
+ * Each list also keeps the account ids of its members so renamed accounts can be found again
+ */
+
+import { CONFIG } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { IdGenerator } from '../utils/id-generator.js';
+
+export class UserListsService {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.lists = [];
+        this.logger = new Logger('UserLists');
+    }
+
+    /**
+     * Load the lists from storage
+     * @returns {Object[]} Lists sorted by name
+     */
+    load() {
+        try {
+            const saved = this.storage && this.storage.getItem(CONFIG.STORAGE.LISTS_KEY);
+            const lists = saved ? JSON.parse(saved) : [];
+            this.lists = Array.isArray(lists)
+                ? lists.filter(list => list && typeof list.id === 'string' &&
+                    typeof list.name === 'string' && Array.isArray(list.usernames))
+                : [];
+            // Lists saved before ids were tracked start without any
+            for (const list of this.lists) {
+                if (!list.ids || typeof list.ids !== 'object') {
+                    list.ids = {};
+                }
+            }
+        } catch (error) {
+            this.logger.warn('Failed to load user lists from storage', error);
+            this.lists = [];
+        }
+        return this.getLists();
+    }
+
+    /**
+     * Get all lists
+     * @returns {Object[]} Lists sorted by name
+     */
+    getLists() {
+        return [...this.lists].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get one list
+     * @param {string} id - List id
+     * @returns {Object|null} List, or null if it was deleted
+     */
+    get(id) {
+        return this.lists.find(list => list.id === id) || null;
+    }
+
+    /**
+     * Create a list; a name that is already taken returns the existing list
+     * @param {string} name - List name
+     * @param {string[]} [usernames] - Initial members
+     * @returns {Object|null} The list, or null if the name is empty
+     */
+    create(name, usernames = []) {
+        const listName = this.normalizeName(name);
+        if (!listName) return null;
+
+        const existing = this.findByName(listName);
+        if (existing) {
+            usernames.forEach(username => this.addMember(existing.id, username));
+            return existing;
+        }
+
+        const list = {
+            id: IdGenerator.create(),
+            name: listName,
+            usernames: [],
+            ids: {},
+            updatedAt: Date.now()
+        };
+        usernames.forEach(username => this.addUnique(list, username));
+        this.lists.push(list);
+        this.save();
+        return list;
+    }
+
+    /**
+     * Find a list by name, ignoring case
+     * @param {string} name - List name
+     * @returns {Object|null} List, or null if none has that name
+     */
+    findByName(name) {
+        const key = this.normalizeName(name).toLowerCase();
+        return this.lists.find(list => list.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Rename a list; empty names and names used by another list are ignored
+     * @param {string} id - List id
+     * @param {string} name - New name
+     * @returns {boolean} True if the list was renamed
+     */
+    rename(id, name) {
+        const list = this.get(id);
+        const listName = this.normalizeName(name);
+        const existing = this.findByName(listName);
+        if (!list || !listName || (existing && existing !== list)) return false;
+
+        list.name = listName;
+        this.touch(list);
+        return true;
+    }
+
+    /**
+     * Delete a list
+     * @param {string} id - List id
+     */
+    remove(id) {
+        this.lists = this.lists.filter(list => list.id !== id);
+        this.save();
+    }
+
+    /**
+     * Add a username to a list
+     * @param {string} id - List id
+     * @param {string} username - GitHub username
+     * @param {number|null} [userId] - Account id of the user, if known
+     */
+    addMember(id, username, userId = null) {
+        const list = this.get(id);
+        if (!list) return;
+
+        const added = this.addUnique(list, username);
+        const idChanged = this.setUserId(list, username, userId);
+        if (added || idChanged) {
+            this.touch(list);
+        }
+    }
+
+    /**
+     * Remove a username from a list
+     * @param {string} id - List id
+     * @param {string} username - GitHub username
+     */
+    removeMember(id, username) {
+        const list = this.get(id);
+        if (!list || !this.hasMember(id, username)) return;
+
+        const key = username.toLowerCase();
+        list.usernames = list.usernames.filter(member => member.toLowerCase() !== key);
+        delete list.ids[key];
+        this.touch(list);
+    }
+
+    /**
+     * Replace a renamed member with its new login in every list that contains the old one
+     * The member keeps its position in each list
+     * @param {string} oldLogin - Previous login
+     * @param {string} newLogin - Current login
+     * @param {number|null} [userId] - Account id of the user
+     * @returns {number} Number of lists updated
+     */
+    replaceMember(oldLogin, newLogin, userId = null) {
+        const oldKey = oldLogin.toLowerCase();
+        const newKey = newLogin.toLowerCase();
+        const lists = this.getListsWithMember(oldLogin);
+
+        for (const list of lists) {
+            // A list that already has the new login just drops the old one
+            list.usernames = list.usernames.some(member => member.toLowerCase() === newKey)
+                ? list.usernames.filter(member => member.toLowerCase() !== oldKey)
+                : list.usernames.map(member => (member.toLowerCase() === oldKey ? newLogin : member));
+            delete list.ids[oldKey];
+            this.setUserId(list, newLogin, userId);
+            list.updatedAt = Date.now();
+        }
+
+        if (lists.length > 0) {
+            this.save();
+            this.logger.info(`Replaced ${oldLogin} with ${newLogin} in ${lists.length} list(s)`);
+        }
+        return lists.length;
+    }
+
+    /**
+     * Get the lists that contain a username
+     * @param {string} username - GitHub username
+     * @returns {Object[]} Lists sorted by name
+     */
+    getListsWithMember(username) {
+        return this.getLists().filter(list => this.hasMember(list.id, username));
+    }
+
+    /**
+     * Remember the account ids of list members found by a search
+     * @param {Object[]} users - GitHub user data with login and id
+     */
+    recordUserIds(users) {
+        let changed = false;
+        for (const list of this.lists) {
+            for (const user of users) {
+                if (this.hasMember(list.id, user.login) && this.setUserId(list, user.login, user.id)) {
+                    changed = true;
+                }
+            }
+        }
+        if (changed) {
+            this.save();
+        }
+    }
+
+    /**
+     * Get the account id stored for a username in any list
+     * @param {string} username - GitHub username
+     * @returns {number|null} Account id, or null if no list knows it
+     */
+    getUserId(username) {
+        const key = username.toLowerCase();
+        const list = this.lists.find(candidate => Object.hasOwn(candidate.ids, key));
+        return list ? list.ids[key] : null;
+    }
+
+    /**
+     * Check whether a list contains a username
+     * @param {string} id - List id
+     * @param {string} username - GitHub username
+     * @returns {boolean} True if the username is a member, ignoring case
+     */
+    hasMember(id, username) {
+        const list = this.get(id);
+        const key = username.toLowerCase();
+        return Boolean(list) && list.usernames.some(member => member.toLowerCase() === key);
+    }
+
+    /**
+     * Add a username to a list object unless it is already a member
+     * @param {Object} list - List
+     * @param {string} username - GitHub username
+     * @returns {boolean} True if the username was added
+     */
+    addUnique(list, username) {
+        const key = username.toLowerCase();
+        if (list.usernames.some(member => member.toLowerCase() === key)) return false;
+        list.usernames.push(username);
+        return true;
+    }
+
+    /**
+     * Store the account id of a list member
+     * @param {Object} list - List
+     * @param {string} username - GitHub username
+     * @param {number|null} userId - Account id; null leaves the stored id unchanged
+     * @returns {boolean} True if the stored id changed
+     */
+    setUserId(list, username, userId) {
+        const key = username.toLowerCase();
+        if (userId === null || userId === undefined || list.ids[key] === userId) return false;
+        list.ids[key] = userId;
+        return true;
+    }
+
+    /**
+     * Trim and shorten a list name
+     * @param {string} name - Raw name
+     * @returns {string} Normalized name, possibly empty
+     */
+    normalizeName(name) {
+        return String(name || '').trim().slice(0, CONFIG.LISTS.MAX_NAME_LENGTH);
+    }
+
+    /**
+     * Mark a list as changed and persist all lists
+     * @param {Object} list - Changed list
+     */
+    touch(list) {
+        list.updatedAt = Date.now();
+        this.save();
+    }
+
+    /**
+     * Write the lists to storage
+     */
+    save() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(CONFIG.STORAGE.LISTS_KEY, JSON.stringify(this.lists));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save user lists', error);
+        }
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * DOM Helpers following Single Responsibility Principle
+ * Builds the small controls shared by components: action buttons and inline rename fields
+ */
+
+export class DomHelpers {
+    /**
+     * Create a button
+     * @param {string} text - Button text
+     * @param {string} className - Button class
+     * @param {Function|null} [onClick] - Click handler
+     * @param {string} [type] - Button type
+     * @returns {HTMLButtonElement} Button
+     */
+    static createButton(text, className, onClick = null, type = 'button') {
+        const button = document.createElement('button');
+        button.type = type;
+        button.className = className;
+        button.textContent = text;
+        if (onClick) {
+            button.addEventListener('click', onClick);
+        }
+        return button;
+    }
+
+    /**
+     * Replace an element with a text field until the edit is saved or cancelled
+     * Enter or leaving the field saves, Escape cancels
+     * @param {HTMLElement} element - Element showing the current value
+     * @param {Object} options - Field options
+     * @param {string} options.className - Field class
+     * @param {string} options.value - Current value
+     * @param {number} options.maxLength - Maximum length of the value
+     * @param {string} options.label - Accessible name of the field
+     * @param {string} [options.placeholder] - Placeholder shown while the field is empty
+     * @param {Function} options.onFinish - Called once with the entered value, or null if cancelled
+     * @returns {HTMLInputElement} Field
+     */
+    static startInlineEdit(element, { className, value, maxLength, label, placeholder = '', onFinish }) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = className;
+        input.value = value;
+        input.placeholder = placeholder;
+        input.maxLength = maxLength;
+        input.setAttribute('aria-label', label);
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            onFinish(save ? input.value : null);
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                // Keep Escape from also cancelling a running search
+                e.stopPropagation();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        element.replaceWith(input);
+        input.focus();
+        return input;
+    }
+}
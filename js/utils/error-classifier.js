@@ -0,0 +1,154 @@
+/**
+ * Error Classifier following Single Responsibility Principle
+ * Maps failed requests to error codes with a label, guidance and retryability
+ */
+
+export const ERROR_CODES = Object.freeze({
+    NOT_FOUND: 'NOT_FOUND',
+    RATE_LIMITED: 'RATE_LIMITED',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    NETWORK: 'NETWORK',
+    TIMEOUT: 'TIMEOUT',
+    SERVER: 'SERVER',
+    INVALID_INPUT: 'INVALID_INPUT'
+});
+
+/**
+ * Display details of each error code, in the order used by the results summary
+ */
+export const ERROR_CATEGORIES = {
+    [ERROR_CODES.NOT_FOUND]: {
+        label: 'Not found',
+        singular: 'not found',
+        plural: 'not found',
+        guidance: 'No GitHub account has this username. Check the spelling, or the account may have been renamed or deleted.',
+        retryable: false
+    },
+    [ERROR_CODES.RATE_LIMITED]: {
+        label: 'Rate limited',
+        singular: 'rate limited',
+        plural: 'rate limited',
+        guidance: 'GitHub is limiting requests. Wait for the limit to reset or add a token in API Configuration.',
+        retryable: true
+    },
+    [ERROR_CODES.UNAUTHORIZED]: {
+        label: 'Not authorized',
+        singular: 'not authorized',
+        plural: 'not authorized',
+        guidance: 'GitHub rejected the token. Update or remove it in API Configuration.',
+        retryable: false
+    },
+    [ERROR_CODES.NETWORK]: {
+        label: 'Network error',
+        singular: 'network error',
+        plural: 'network errors',
+        guidance: 'GitHub could not be reached. Check your connection and retry.',
+        retryable: true
+    },
+    [ERROR_CODES.TIMEOUT]: {
+        label: 'Timed out',
+        singular: 'timed out',
+        plural: 'timed out',
+        guidance: 'GitHub took too long to respond. Retry in a moment.',
+        retryable: true
+    },
+    [ERROR_CODES.SERVER]: {
+        label: 'GitHub error',
+        singular: 'GitHub error',
+        plural: 'GitHub errors',
+        guidance: 'GitHub had a temporary problem. Retry in a moment.',
+        retryable: true
+    },
+    [ERROR_CODES.INVALID_INPUT]: {
+        label: 'Invalid request',
+        singular: 'invalid request',
+        plural: 'invalid requests',
+        guidance: 'GitHub did not accept this username. Check it for typos.',
+        retryable: false
+    }
+};
+
+export class ErrorClassifier {
+    /**
+     * Get the error code for an HTTP status
+     * @param {number} status - HTTP status of a failed response
+     * @returns {string} Error code
+     */
+    static fromStatus(status) {
+        if (status === 404) return ERROR_CODES.NOT_FOUND;
+        if (status === 429) return ERROR_CODES.RATE_LIMITED;
+        if (status === 401 || status === 403) return ERROR_CODES.UNAUTHORIZED;
+        if (status >= 500) return ERROR_CODES.SERVER;
+        return ERROR_CODES.INVALID_INPUT;
+    }
+
+    /**
+     * Get the error code for a thrown error
+     * @param {Error} error - Error with an optional code or status property
+     * @returns {string} Error code
+     */
+    static classify(error) {
+        if (ErrorClassifier.isKnown(error.code)) return error.code;
+        if (error.name === 'TimeoutError') return ERROR_CODES.TIMEOUT;
+        if (typeof error.status === 'number') return ErrorClassifier.fromStatus(error.status);
+        // fetch rejects with a TypeError when the network request itself fails
+        return ERROR_CODES.NETWORK;
+    }
+
+    /**
+     * Build the structured fields of an error result
+     * @param {string} code - Error code
+     * @param {number|null} [status] - HTTP status, if a response was received
+     * @returns {{code: string, status: number|null, retryable: boolean}} Error fields
+     */
+    static toFields(code, status = null) {
+        return { code, status, retryable: ErrorClassifier.describe(code).retryable };
+    }
+
+    /**
+     * Check whether a value is one of ERROR_CODES
+     * @param {*} code - Value to check
+     * @returns {boolean} True for a known error code
+     */
+    static isKnown(code) {
+        return typeof code === 'string' && Object.hasOwn(ERROR_CATEGORIES, code);
+    }
+
+    /**
+     * Get the display details of an error code
+     * @param {string} [code] - Error code; results saved before codes existed have none
+     * @returns {Object} Category with label, singular, plural, guidance and retryable
+     */
+    static describe(code) {
+        if (ErrorClassifier.isKnown(code)) return ERROR_CATEGORIES[code];
+        return {
+            label: 'Error',
+            singular: 'other error',
+            plural: 'other errors',
+            guidance: '',
+            retryable: false
+        };
+    }
+
+    /**
+     * Count failed results by error code
+     * @param {Object[]} results - Batch results
+     * @returns {{code: string, count: number, label: string}[]} Non-empty categories in display order
+     */
+    static summarize(results) {
+        const counts = new Map();
+        for (const result of results) {
+            if (result.success) continue;
+            const code = ErrorClassifier.isKnown(result.code) ? result.code : null;
+            counts.set(code, (counts.get(code) || 0) + 1);
+        }
+
+        return [...Object.keys(ERROR_CATEGORIES), null]
+            .filter(code => counts.has(code))
+            .map(code => {
+                const count = counts.get(code);
+                const category = ErrorClassifier.describe(code);
+                return { code, count, label: `${count} ${count === 1 ? category.singular : category.plural}` };
+            });
+    }
+}
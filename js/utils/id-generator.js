@@ -0,0 +1,15 @@
+/**
+ * Id Generator following Single Responsibility Principle
+ * Creates the ids of stored records such as history entries, lists and snapshots
+ */
+
+export class IdGenerator {
+    /**
+     * Create an id that sorts by creation time and is unique within one browser
+     * @param {number} [timestamp] - Creation timestamp (ms)
+     * @returns {string} Id, e.g. "m3k2x1ab-4fz9qc"
+     */
+    static create(timestamp = Date.now()) {
+        return `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Identity Parser following Single Responsibility Principle
+ * Extracts email addresses and full names from free-form lists (e.g. an HR export) for reverse lookup
+ */
+
+import { CONFIG } from '../config.js';
+
+const EMAIL_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+
+export class IdentityParser {
+    /**
+     * Parse raw input into unique emails and names
+     * Entries are separated by new lines, commas or semicolons, so names may contain spaces;
+     * "Ada Lovelace <ada@example.com>" is read as the email
+     * @param {string} input - Raw input
+     * @returns {{entries: {term: string, type: string}[], rejected: {token: string, reason: string}[], duplicates: number}}
+     *          Entries in input order with type 'email' or 'name', rejected tokens with reasons, and duplicates skipped
+     */
+    static parse(input) {
+        const entries = [];
+        const rejected = [];
+        const seen = new Set();
+        let duplicates = 0;
+
+        for (const token of IdentityParser.tokenize(input)) {
+            const { entry, reason } = IdentityParser.normalizeToken(token);
+            if (reason) {
+                rejected.push({ token, reason });
+                continue;
+            }
+
+            const key = `${entry.type}:${entry.term.toLowerCase()}`;
+            if (seen.has(key)) {
+                duplicates++;
+                continue;
+            }
+
+            // Each entry costs a search request, which is limited to a few per minute
+            if (entries.length >= CONFIG.REVERSE_LOOKUP.MAX_ENTRIES) {
+                rejected.push({ token, reason: `over the limit of ${CONFIG.REVERSE_LOOKUP.MAX_ENTRIES} entries per lookup` });
+                continue;
+            }
+
+            seen.add(key);
+            entries.push(entry);
+        }
+
+        return { entries, rejected, duplicates };
+    }
+
+    /**
+     * Split raw input into trimmed, non-empty tokens
+     * @param {string} input - Raw input
+     * @returns {string[]} Tokens
+     */
+    static tokenize(input) {
+        if (typeof input !== 'string') return [];
+        return input.split(/[\n\r,;]+/).map(token => token.trim()).filter(token => token.length > 0);
+    }
+
+    /**
+     * Turn a single token into an email or name entry
+     * @param {string} token - Raw token
+     * @returns {{entry?: {term: string, type: string}, reason?: string}} Entry, or the reason it was rejected
+     */
+    static normalizeToken(token) {
+        const bracketed = token.match(/<([^<>]+)>/);
+        const candidate = (bracketed ? bracketed[1] : token).replace(/["']/g, '').replace(/\s+/g, ' ').trim();
+
+        if (!candidate) return { reason: 'empty entry' };
+        if (candidate.length > CONFIG.REVERSE_LOOKUP.MAX_TERM_LENGTH) {
+            return { reason: `longer than ${CONFIG.REVERSE_LOOKUP.MAX_TERM_LENGTH} characters` };
+        }
+
+        if (candidate.includes('@')) {
+            return EMAIL_PATTERN.test(candidate)
+                ? { entry: { term: candidate, type: 'email' } }
+                : { reason: 'not a valid email address' };
+        }
+
+        if (!/\p{L}/u.test(candidate)) return { reason: 'names must contain letters' };
+        return { entry: { term: candidate, type: 'name' } };
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * Import Parser following Single Responsibility Principle
+ * Reads username lists from text, CSV and JSON file contents
+ */
+
+import { UsernameParser } from './username-parser.js';
+
+// Header names (lowercase, letters and digits only) of columns holding GitHub logins
+const LOGIN_HEADERS = new Set([
+    'github', 'githubusername', 'githublogin', 'githubhandle', 'githubuser', 'login', 'username', 'user', 'handle'
+]);
+
+// Other common column names; a first row containing one is a header even if it looks like usernames
+const OTHER_HEADERS = new Set([
+    'name', 'fullname', 'firstname', 'lastname', 'displayname', 'email', 'emailaddress', 'mail',
+    'id', 'team', 'company', 'department', 'role', 'title', 'location'
+]);
+
+export class ImportParser {
+    /**
+     * Detect the file format from its name, falling back to its content
+     * @param {string} filename - File name
+     * @param {string} text - File content
+     * @returns {string} 'csv', 'json' or 'text'
+     */
+    static detectFormat(filename, text) {
+        const extension = (filename.split('.').pop() || '').toLowerCase();
+        if (extension === 'csv') return 'csv';
+        if (extension === 'json') return 'json';
+        if (extension === 'txt') return 'text';
+
+        const trimmed = text.trim();
+        return trimmed.startsWith('[') ? 'json' : 'text';
+    }
+
+    /**
+     * Parse CSV text into rows of cells (RFC 4180 quoting)
+     * @param {string} text - CSV content
+     * @returns {string[][]} Rows, without empty lines
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        const content = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',' || char === ';' || char === '\t') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        row.push(cell);
+        rows.push(row);
+
+        return rows.filter(cells => cells.some(value => value.trim().length > 0));
+    }
+
+    /**
+     * Guess which CSV column holds usernames and whether the first row is a header
+     * @param {string[][]} rows - CSV rows
+     * @returns {{column: number, hasHeader: boolean}} Suggested column index and header flag
+     */
+    static suggestColumn(rows) {
+        if (rows.length === 0) return { column: 0, hasHeader: false };
+
+        const firstRow = rows[0];
+        const headers = firstRow.map(cell => ImportParser.normalizeHeader(cell));
+
+        // Known column names are checked before the cells are judged as usernames ("Name" is a valid login)
+        const loginIndex = headers.findIndex((header, index) => LOGIN_HEADERS.has(header) ||
+            (/github|login|user|handle/.test(header) && UsernameParser.normalizeToken(firstRow[index].trim()).reason));
+        if (loginIndex !== -1) {
+            return { column: loginIndex, hasHeader: true };
+        }
+        if (headers.some(header => OTHER_HEADERS.has(header))) {
+            return { column: 0, hasHeader: true };
+        }
+
+        // A first row with no valid usernames at all is almost certainly a header
+        const hasHeader = rows.length > 1 &&
+            firstRow.every(cell => UsernameParser.normalizeToken(cell.trim()).reason);
+        return { column: 0, hasHeader };
+    }
+
+    /**
+     * Reduce a header cell to lowercase letters and digits, e.g. "GitHub Username" to "githubusername"
+     * @param {string} cell - Header cell
+     * @returns {string} Normalized header
+     */
+    static normalizeHeader(cell) {
+        return cell.toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Get the values of one CSV column
+     * @param {string[][]} rows - CSV rows
+     * @param {number} column - Column index
+     * @param {boolean} hasHeader - Whether to skip the first row
+     * @returns {string[]} Column values
+     */
+    static extractColumn(rows, column, hasHeader) {
+        return rows
+            .slice(hasHeader ? 1 : 0)
+            .map(cells => cells[column] || '');
+    }
+
+    /**
+     * Read usernames from a JSON array of strings or of objects with a login/username field
+     * @param {string} text - JSON content
+     * @returns {string[]} Raw values
+     * @throws {Error} If the content is not a JSON array
+     */
+    static parseJSONList(text) {
+        const parsed = JSON.parse(text);
+        if (!Array.isArray(parsed)) {
+            throw new Error('JSON file must contain an array');
+        }
+
+        return parsed.map(entry => {
+            if (typeof entry === 'string') return entry;
+            if (entry && typeof entry === 'object') {
+                return String(entry.login || entry.username || entry.github || '');
+            }
+            return String(entry ?? '');
+        });
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Result View following Single Responsibility Principle
+ * Sorts and filters batch results for display without refetching
+ */
+
+/**
+ * Sort options offered by the results toolbar, in display order
+ * compare receives two successful results; errors always sort last
+ */
+export const SORT_OPTIONS = [
+    { key: 'input', label: 'Input order', compare: null },
+    { key: 'login', label: 'Login (A-Z)', compare: (a, b) => ResultView.compareText(a.data.login, b.data.login) },
+    { key: 'name', label: 'Name (A-Z)', compare: (a, b) => ResultView.compareText(a.data.name, b.data.name) },
+    { key: 'followers', label: 'Followers', compare: (a, b) => (b.data.followers || 0) - (a.data.followers || 0) },
+    { key: 'public_repos', label: 'Public repos', compare: (a, b) => (b.data.public_repos || 0) - (a.data.public_repos || 0) },
+    { key: 'account_age', label: 'Account age (oldest first)', compare: (a, b) => ResultView.compareText(a.data.created_at, b.data.created_at) },
+    { key: 'total_stars', label: 'Total stars', compare: (a, b) => (b.repositories?.totalStars ?? -1) - (a.repositories?.totalStars ?? -1) },
+    { key: 'primary_language', label: 'Primary language', compare: (a, b) => ResultView.compareText(a.repositories?.primaryLanguage, b.repositories?.primaryLanguage) }
+];
+
+/**
+ * Status filter options offered by the results toolbar
+ */
+export const STATUS_FILTERS = [
+    { key: 'all', label: 'All results', matches: () => true },
+    { key: 'success', label: 'Found', matches: (result) => result.success },
+    { key: 'error', label: 'Errors', matches: (result) => !result.success },
+    { key: 'org_member', label: 'Members of org', matches: (result) => result.organizations?.member === true },
+    { key: 'org_non_member', label: 'Not members of org', matches: (result) => result.organizations?.member === false },
+    { key: 'inactive', label: 'Inactive > 6 months', matches: (result) => result.activity?.inactive === true }
+];
+
+export class ResultView {
+    /**
+     * Get the default view state
+     * @returns {Object} View with sortBy, status, text and location
+     */
+    static getDefaultView() {
+        return { sortBy: 'input', status: 'all', text: '', location: '' };
+    }
+
+    /**
+     * Filter and sort results
+     * @param {Object[]} results - Batch results
+     * @param {Object} view - View state
+     * @param {Function} getInputIndex - Returns a result's position in the original input
+     * @returns {Object[]} Visible results in display order
+     */
+    static apply(results, view, getInputIndex) {
+        const sortOption = SORT_OPTIONS.find(option => option.key === view.sortBy) || SORT_OPTIONS[0];
+        const byInput = (a, b) => getInputIndex(a) - getInputIndex(b);
+
+        return results
+            .filter(result => ResultView.matches(result, view))
+            .sort((a, b) => {
+                if (!sortOption.compare) return byInput(a, b);
+                if (a.success !== b.success) return a.success ? -1 : 1;
+                if (!a.success) return byInput(a, b);
+                return sortOption.compare(a, b) || byInput(a, b);
+            });
+    }
+
+    /**
+     * Check whether a result passes the view filters
+     * @param {Object} result - Batch result
+     * @param {Object} view - View state
+     * @returns {boolean} True if visible
+     */
+    static matches(result, view) {
+        const statusFilter = STATUS_FILTERS.find(filter => filter.key === view.status) || STATUS_FILTERS[0];
+        if (!statusFilter.matches(result)) return false;
+
+        const text = view.text.trim().toLowerCase();
+        const location = view.location.trim().toLowerCase();
+        if (!text && !location) return true;
+
+        // Text filters only apply to found users
+        if (!result.success) return false;
+
+        const user = result.data;
+        if (text) {
+            const haystack = [user.login, user.name, user.bio, user.company].filter(Boolean).join(' ').toLowerCase();
+            if (!haystack.includes(text)) return false;
+        }
+
+        if (location && !(user.location || '').toLowerCase().includes(location)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether a view differs from the default
+     * @param {Object} view - View state
+     * @returns {boolean} True if any filter is active
+     */
+    static isFiltered(view) {
+        return view.status !== 'all' || view.text.trim() !== '' || view.location.trim() !== '';
+    }
+
+    /**
+     * Compare optional strings, placing missing values last
+     * @param {string|null} a - First value
+     * @param {string|null} b - Second value
+     * @returns {number} Sort order
+     */
+    static compareText(a, b) {
+        if (!a && !b) return 0;
+        if (!a) return 1;
+        if (!b) return -1;
+        return a.localeCompare(b, undefined, { sensitivity: 'base' });
+    }
+}
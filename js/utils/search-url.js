@@ -0,0 +1,86 @@
+/**
+ * Search URL following Single Responsibility Principle
+ * Encodes a search (usernames plus sort and filter state) in a shareable URL and reads it back
+ */
+
+import { UsernameParser } from './username-parser.js';
+import { ResultView, SORT_OPTIONS, STATUS_FILTERS } from './result-view.js';
+
+// URL parameter for each view property
+const VIEW_PARAMS = { sortBy: 'sort', status: 'status', text: 'q', location: 'location' };
+
+export class SearchUrl {
+    /**
+     * Build the URL of a search
+     * @param {string} baseUrl - Current page URL; its query string and hash are replaced
+     * @param {string[]} usernames - Searched usernames, or none for the start page
+     * @param {Object} [view] - Results view; only values that differ from the default are kept
+     * @returns {string} Absolute URL
+     */
+    static build(baseUrl, usernames, view = ResultView.getDefaultView()) {
+        const url = new URL(baseUrl);
+        url.hash = '';
+        url.search = '';
+        if (usernames.length === 0) return url.toString();
+
+        const params = new URLSearchParams();
+        params.set('users', usernames.join(','));
+
+        const defaults = ResultView.getDefaultView();
+        for (const [property, param] of Object.entries(VIEW_PARAMS)) {
+            const value = String(view[property] ?? '').trim();
+            if (value && value !== defaults[property]) {
+                params.set(param, value);
+            }
+        }
+
+        // Commas are valid in a query string and keep the username list readable
+        url.search = params.toString().replace(/%2C/gi, ',');
+        return url.toString();
+    }
+
+    /**
+     * Read a search from a URL
+     * Parameters are read from the query string, or from the hash (e.g. #users=a,b) for hand-made links
+     * @param {string} href - Page URL
+     * @returns {{usernames: string[], view: Object}|null} The search, or null if the URL has no usernames
+     */
+    static parse(href) {
+        const url = new URL(href);
+        const params = url.searchParams.has('users')
+            ? url.searchParams
+            : new URLSearchParams(url.hash.replace(/^#\/?\??/, ''));
+
+        const { usernames } = UsernameParser.parse(params.get('users') || '');
+        if (usernames.length === 0) return null;
+
+        const view = ResultView.getDefaultView();
+        for (const [property, param] of Object.entries(VIEW_PARAMS)) {
+            const value = params.get(param);
+            if (value !== null) {
+                view[property] = value;
+            }
+        }
+
+        // Unknown keys fall back to the defaults instead of hiding every result
+        if (!SORT_OPTIONS.some(option => option.key === view.sortBy)) {
+            view.sortBy = ResultView.getDefaultView().sortBy;
+        }
+        if (!STATUS_FILTERS.some(filter => filter.key === view.status)) {
+            view.status = ResultView.getDefaultView().status;
+        }
+
+        return { usernames, view };
+    }
+
+    /**
+     * Check whether two username lists describe the same search
+     * @param {string[]} a - Usernames
+     * @param {string[]} b - Usernames
+     * @returns {boolean} True if both have the same usernames in the same order, ignoring case
+     */
+    static isSameSearch(a, b) {
+        return a.length === b.length &&
+            a.every((username, index) => username.toLowerCase() === b[index].toLowerCase());
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * Token Bucket following Single Responsibility Principle
+ * Throttles work to a steady rate while allowing short bursts
+ */
+
+export class TokenBucket {
+    /**
+     * @param {number} ratePerSecond - Tokens added per second
+     * @param {number} capacity - Maximum stored tokens (burst size)
+     */
+    constructor(ratePerSecond, capacity) {
+        this.ratePerSecond = ratePerSecond;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Wait for a token and consume it
+     * @param {AbortSignal} [signal] - Signal that ends the wait early
+     * @returns {Promise<boolean>} True if a token was taken, false if aborted
+     */
+    async take(signal = null) {
+        for (;;) {
+            if (signal?.aborted) return false;
+
+            this.refill();
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return true;
+            }
+
+            const waitTime = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+            await new Promise(resolve => {
+                // Every wait removes its listener again, as one signal serves a whole batch
+                const onAbort = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+                const timer = setTimeout(() => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                }, waitTime);
+                signal?.addEventListener('abort', onAbort, { once: true });
+            });
+        }
+    }
+
+    /**
+     * Add the tokens earned since the last refill
+     */
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSecond);
+        this.updatedAt = now;
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Username Parser following Single Responsibility Principle
+ * Extracts GitHub usernames from free-form lists, @mentions and profile URLs
+ */
+
+import { SecurityValidator } from './validator.js';
+
+// First path segments on github.com that are not user profiles
+const GITHUB_RESERVED_PATHS = new Set([
+    'about', 'apps', 'collections', 'enterprise', 'events', 'explore', 'features',
+    'login', 'marketplace', 'new', 'notifications', 'orgs', 'pricing', 'pulls',
+    'search', 'settings', 'sponsors', 'topics', 'trending'
+]);
+
+export class UsernameParser {
+    /**
+     * Parse raw input into unique usernames and rejected tokens
+     * @param {string} input - Usernames separated by commas, semicolons, spaces or new lines
+     * @returns {{usernames: string[], rejected: {token: string, reason: string}[], duplicates: number}}
+     *          Valid usernames in input order, rejected tokens with reasons, and duplicates skipped
+     */
+    static parse(input) {
+        return UsernameParser.parseTokens(UsernameParser.tokenize(input));
+    }
+
+    /**
+     * Parse a list of values where each value is a single entry (e.g. spreadsheet cells)
+     * @param {string[]} tokens - Raw entries
+     * @returns {{usernames: string[], rejected: {token: string, reason: string}[], duplicates: number}}
+     *          Same shape as parse()
+     */
+    static parseTokens(tokens) {
+        const usernames = [];
+        const rejected = [];
+        const seen = new Set();
+        let duplicates = 0;
+
+        for (const rawToken of tokens) {
+            const token = String(rawToken).trim();
+            if (token.length === 0) continue;
+
+            const { username, reason } = UsernameParser.normalizeToken(token);
+            if (reason) {
+                rejected.push({ token, reason });
+                continue;
+            }
+
+            const key = username.toLowerCase();
+            if (seen.has(key)) {
+                duplicates++;
+                continue;
+            }
+
+            seen.add(key);
+            usernames.push(username);
+        }
+
+        return { usernames, rejected, duplicates };
+    }
+
+    /**
+     * Split raw input into tokens
+     * @param {string} input - Raw input
+     * @returns {string[]} Non-empty tokens
+     */
+    static tokenize(input) {
+        if (typeof input !== 'string') return [];
+        return input.split(/[\s,;]+/).filter(token => token.length > 0);
+    }
+
+    /**
+     * Turn a single token (username, @mention or profile URL) into a username
+     * @param {string} token - Raw token
+     * @returns {{username?: string, reason?: string}} Username, or the reason it was rejected
+     */
+    static normalizeToken(token) {
+        // Strip quotes from CSV cells and angle brackets from chat-formatted links
+        let candidate = token.replace(/^["'<(]+|[">)'.]+$/g, '');
+
+        if (/^(https?:\/\/)?(www\.)?github\.com(\/|$)/i.test(candidate)) {
+            return UsernameParser.parseProfileUrl(candidate);
+        }
+
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(candidate) || candidate.includes('/')) {
+            return { reason: 'not a GitHub profile URL' };
+        }
+
+        if (candidate.startsWith('@')) {
+            candidate = candidate.slice(1);
+        }
+
+        const reason = UsernameParser.getUsernameError(candidate);
+        return reason ? { reason } : { username: candidate };
+    }
+
+    /**
+     * Extract the username from a github.com profile URL
+     * Links with more than one path segment (e.g. repositories) are rejected
+     * @param {string} url - URL with or without protocol
+     * @returns {{username?: string, reason?: string}} Username, or the reason it was rejected
+     */
+    static parseProfileUrl(url) {
+        let segments;
+        try {
+            const urlObj = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+            segments = urlObj.pathname
+                .split('/')
+                .filter(segment => segment.length > 0)
+                .map(segment => decodeURIComponent(segment));
+        } catch {
+            return { reason: 'malformed URL' };
+        }
+
+        if (segments.length === 0) {
+            return { reason: 'GitHub URL without a username' };
+        }
+
+        // github.com/owner/repo and deeper links point at something the user owns, not their profile
+        if (segments.length > 1) {
+            return { reason: 'not a GitHub profile URL' };
+        }
+
+        const candidate = segments[0];
+        if (GITHUB_RESERVED_PATHS.has(candidate.toLowerCase())) {
+            return { reason: 'not a GitHub profile URL' };
+        }
+
+        const reason = UsernameParser.getUsernameError(candidate);
+        return reason ? { reason } : { username: candidate };
+    }
+
+    /**
+     * Explain why a string is not a valid GitHub username
+     * @param {string} username - Candidate username
+     * @returns {string|null} Human-readable reason, or null if valid
+     */
+    static getUsernameError(username) {
+        if (!username) return 'empty username';
+        if (username.length > 39) return 'longer than 39 characters';
+        if (!/^[a-zA-Z0-9-]+$/.test(username)) return 'only letters, numbers and hyphens are allowed';
+        if (username.startsWith('-') || username.endsWith('-')) return 'cannot start or end with a hyphen';
+        if (!SecurityValidator.validateUsername(username)) return 'invalid username';
+        return null;
+    }
+}
@@ -42,6 +42,39 @@ export class SecurityValidator {
         return /^[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?$/.test(trimmed);
     }
 
+    /**
+     * Normalize a user-supplied website into a safe http(s) URL
+     * @param {string} url - URL, with or without protocol (e.g. a profile blog field)
+     * @returns {string|null} Absolute http(s) URL, or null if unsafe or malformed
+     */
+    static getSafeExternalUrl(url) {
+        if (!url || typeof url !== 'string') return null;
+        const trimmed = url.trim();
+        if (trimmed.length === 0 || /\s/.test(trimmed)) return null;
+
+        // Profiles often store "example.com"; anything with another scheme is rejected
+        const hasScheme = /^[a-z][a-z0-9+.-]*:/i.test(trimmed);
+        if (hasScheme && !/^https?:\/\//i.test(trimmed)) return null;
+
+        try {
+            const urlObj = new URL(hasScheme ? trimmed : `https://${trimmed}`);
+            if (!urlObj.hostname.includes('.') || urlObj.username || urlObj.password) return null;
+            return urlObj.href;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Validate Twitter / X username format
+     * @param {string} username - Username without the leading @
+     * @returns {boolean} True if valid
+     */
+    static validateTwitterUsername(username) {
+        if (!username || typeof username !== 'string') return false;
+        return /^[A-Za-z0-9_]{1,15}$/.test(username);
+    }
+
     /**
      * Validate GitHub image URL
      * @param {string} url - URL to validate